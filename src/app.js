@@ -5,10 +5,24 @@ const helmet = require('helmet');
 const path = require('path');
 const sequelize = require('./config/db');
 const authRoutes = require('./router/authRoutes');
+const adminRoutes = require('./router/AdminRoutes');
+const profileRoutes = require('./router/ProfileRoutes');
+const guardianRoutes = require('./router/GuardianRoutes');
+const notificationRoutes = require('./router/NotificationRoutes');
+const eventRoutes = require('./router/EventRoutes');
+const moduleRoutes = require('./router/ModuleRoutes');
+const progressRoutes = require('./router/ProgressRoutes');
+const classroomRoutes = require('./router/ClassroomRoutes');
+const quizRoutes = require('./router/QuizRoutes');
+const badgeRoutes = require('./router/BadgeRoutes');
+const playerRoutes = require('./router/PlayerRoutes');
+const jwtService = require('./services/JwtService');
+const { requestContext } = require('./middleware/RequestContextMiddleware');
 
 const app = express();
 
 // Middleware
+app.use(requestContext);
 app.use(helmet());
 app.use(cookieParser());
 app.use(cors({
@@ -29,8 +43,25 @@ app.get('/api/v1/health', async (req, res) => {
     }
 });
 
+// Public keys for verifying access tokens offline
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwtService.getJwks());
+});
+
 // Routes
 app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/users', profileRoutes);
+app.use('/api/v1/guardian', guardianRoutes);
+app.use('/api/v1/notifications', notificationRoutes);
+app.use('/api/v1/events', eventRoutes);
+app.use('/api/v1/modules', moduleRoutes);
+app.use('/api/v1/progress', progressRoutes);
+app.use('/api/v1/classes', classroomRoutes);
+app.use('/api/v1/quizzes', quizRoutes);
+app.use('/api/v1/badges', badgeRoutes);
+app.use('/api/v1/players', playerRoutes);
 
 // app.use('/', authRoutes);
 
@@ -41,10 +72,12 @@ app.use((req, res) => {
 
 // Global Error Handler
 app.use((err, req, res, next) => {
-    console.error(`[Error] ${err.message}`);
+    console.error(`[Error] [${req.id}] ${err.message}`);
     res.status(err.statusCode || 500).json({
         status: 'error',
         message: err.message || 'Internal Server Error',
+        ...(err.statusCode && err.code && { code: err.code }),
+        request_id: req.id,
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     });
 });
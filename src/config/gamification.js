@@ -0,0 +1,20 @@
+// XP, levels and streak freezes for players (see PlayerService)
+module.exports = {
+    // XP per ledger reason (adjustments carry their own amount)
+    xp: {
+        daily_activity: 5, // First progress of the day, in the player's time zone
+        lesson_completed: 10,
+        quiz_passed: 15,
+        quiz_perfect: 10, // On top of quiz_passed
+        module_completed: 50,
+        badge_awarded: 25
+    },
+
+    // Total XP at which each level starts: levels[0] is level 1
+    levels: [0, 50, 150, 300, 500, 800, 1200, 1700, 2300, 3000, 4000, 5200, 6600, 8200, 10000],
+
+    streakFreezes: {
+        earnEveryDays: 7, // One freeze for every 7 days of a streak
+        maxHeld: 2 // No more are earned while a player holds this many
+    }
+};
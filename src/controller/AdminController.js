@@ -0,0 +1,933 @@
+// controllers/AdminController.js
+const { User, Session, SecurityEvent, AuditLog, Permission, RolePermission, UserPermission, EmailOutbox, sequelize } = require('../model');
+const jwtService = require('../services/JwtService');
+const emailService = require('../services/EmailService');
+const auditService = require('../services/AuditService');
+const permissionService = require('../services/PermissionService');
+const realtimeService = require('../services/RealtimeService');
+
+const ROLES = ['player', 'guardian', 'admin', 'moderator', 'educator'];
+const ACCOUNT_STATUSES = ['active', 'pending_guardian_consent', 'deactivated', 'pending_deletion', 'suspended', 'deleted'];
+const SORTABLE_FIELDS = ['created_at', 'last_login_at', 'email', 'name'];
+
+const AUDIT_EXPORT_MAX_ROWS = 50000;
+const AUDIT_EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Every admin action needs a written reason (stored in the audit log)
+ */
+const requireReason = (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+        res.status(422).json({
+            message: 'A reason is required for this action.',
+            errors: {
+                reason: ['Reason is required']
+            }
+        });
+        return null;
+    }
+
+    if (reason.length > 500) {
+        res.status(422).json({
+            message: 'Reason must be at most 500 characters.',
+            errors: {
+                reason: ['Reason must be at most 500 characters']
+            }
+        });
+        return null;
+    }
+
+    return reason;
+};
+
+/**
+ * Load the target user, rejecting actions on the admin's own account and on
+ * accounts whose role is not below the admin's (reads skip the role check)
+ */
+const findTargetUser = async (req, res, { allowSelf = false, readOnly = false } = {}) => {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+        res.status(404).json({
+            message: 'User not found'
+        });
+        return null;
+    }
+
+    if (!allowSelf && user.id === req.user.id) {
+        res.status(400).json({
+            message: 'You cannot perform this action on your own account.',
+            code: 'SELF_ACTION_NOT_ALLOWED'
+        });
+        return null;
+    }
+
+    if (!readOnly && user.id !== req.user.id && !permissionService.outranks(req.user, user)) {
+        res.status(403).json({
+            message: 'You cannot perform this action on an account with an equal or higher role.',
+            code: 'ROLE_HIERARCHY'
+        });
+        return null;
+    }
+
+    return user;
+};
+
+/**
+ * Search users (email, name, role, account status, provider)
+ */
+exports.getUsers = async (req, res, next) => {
+    try {
+        const { Op } = sequelize.Sequelize;
+        const { search, email, name, role, account_status, provider, sort, order } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+
+        if (role && !ROLES.includes(role)) {
+            return res.status(422).json({
+                message: 'Invalid role filter.',
+                errors: { role: [`Role must be one of: ${ROLES.join(', ')}`] }
+            });
+        }
+        if (account_status && !ACCOUNT_STATUSES.includes(account_status)) {
+            return res.status(422).json({
+                message: 'Invalid account status filter.',
+                errors: { account_status: [`Status must be one of: ${ACCOUNT_STATUSES.join(', ')}`] }
+            });
+        }
+
+        // Escape LIKE wildcards in user input
+        const like = (value) => `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+
+        const where = {};
+        if (search) {
+            where[Op.or] = [
+                { email: { [Op.like]: like(search) } },
+                { name: { [Op.like]: like(search) } }
+            ];
+        }
+        if (email) where.email = { [Op.like]: like(email) };
+        if (name) where.name = { [Op.like]: like(name) };
+        if (role) where.role = role;
+        if (account_status) where.account_status = account_status;
+        // Local accounts are stored with no provider, or 'local'
+        if (provider) where.provider = provider === 'local' ? { [Op.or]: [null, 'local'] } : provider;
+
+        const sortField = SORTABLE_FIELDS.includes(sort) ? sort : 'created_at';
+        const sortOrder = String(order).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+        const { rows, count } = await User.findAndCountAll({
+            where,
+            order: [[sortField, sortOrder], ['id', sortOrder]],
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            users: rows.map(u => u.toAdminJSON()),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                total_pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a single user with account state
+ */
+exports.getUser = async (req, res, next) => {
+    try {
+        const user = await findTargetUser(req, res, { allowSelf: true, readOnly: true });
+        if (!user) return;
+
+        const sessions = await jwtService.getUserSessions(user.id);
+
+        res.json({
+            user: user.toAdminJSON(),
+            active_sessions: sessions.length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Change a user's role
+ */
+exports.updateRole = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(422).json({
+                message: 'Invalid role.',
+                errors: { role: [`Role must be one of: ${ROLES.join(', ')}`] }
+            });
+        }
+
+        if (!permissionService.canAssignRole(req.user, role)) {
+            return res.status(403).json({
+                message: 'You cannot give a role above your own.',
+                code: 'ROLE_HIERARCHY'
+            });
+        }
+
+        const reason = requireReason(req, res);
+        if (!reason) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        if (user.role === role) {
+            return res.status(400).json({
+                message: `User already has the ${role} role.`,
+                code: 'ROLE_UNCHANGED'
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        const previousRole = user.role;
+        user.role = role;
+        user.permission_version = (user.permission_version || 0) + 1; // Old tokens carry the old role
+        await user.save({ fields: ['role', 'permission_version'], transaction });
+
+        await auditService.log(req, 'admin.user.role_changed', {
+            target: user,
+            reason,
+            changes: { role: { from: previousRole, to: role } },
+            transaction
+        });
+
+        await transaction.commit();
+
+        res.json({
+            message: `Role changed to ${role}.`,
+            user: user.toAdminJSON()
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Suspend an account (signs the user out everywhere)
+ */
+exports.suspendUser = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const reason = requireReason(req, res);
+        if (!reason) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        if (user.isSuspended()) {
+            return res.status(400).json({
+                message: 'This account is already suspended.',
+                code: 'ALREADY_SUSPENDED'
+            });
+        }
+
+        if (user.account_status === 'deleted') {
+            return res.status(400).json({
+                message: 'Deleted accounts cannot be suspended.',
+                code: 'ACCOUNT_DELETED'
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        const previousStatus = user.account_status;
+        user.account_status = 'suspended';
+        user.suspended_at = new Date();
+        user.suspension_reason = reason;
+        await user.save({ fields: ['account_status', 'suspended_at', 'suspension_reason'], transaction });
+
+        await Session.update(
+            { revoked_at: new Date() },
+            { where: { user_id: user.id, revoked_at: null }, transaction }
+        );
+
+        await auditService.log(req, 'admin.user.suspended', {
+            target: user,
+            reason,
+            changes: { account_status: { from: previousStatus, to: 'suspended' } },
+            transaction
+        });
+
+        await transaction.commit();
+
+        res.json({
+            message: 'Account suspended and signed out of all devices.',
+            user: user.toAdminJSON()
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Lift a suspension
+ */
+exports.unsuspendUser = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const reason = requireReason(req, res);
+        if (!reason) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        if (!user.isSuspended()) {
+            return res.status(400).json({
+                message: 'This account is not suspended.',
+                code: 'NOT_SUSPENDED'
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        user.account_status = user.getRestoredStatus();
+        user.suspended_at = null;
+        user.suspension_reason = null;
+        await user.save({ fields: ['account_status', 'suspended_at', 'suspension_reason'], transaction });
+
+        await auditService.log(req, 'admin.user.unsuspended', {
+            target: user,
+            reason,
+            changes: { account_status: { from: 'suspended', to: user.account_status } },
+            transaction
+        });
+
+        await transaction.commit();
+
+        res.json({
+            message: 'Account unsuspended.',
+            user: user.toAdminJSON()
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Force a password reset: password login is refused, sessions are revoked
+ * and a reset link is emailed
+ */
+exports.forcePasswordReset = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const reason = requireReason(req, res);
+        if (!reason) return;
+
+        const target = await findTargetUser(req, res);
+        if (!target) return;
+
+        const user = await User.scope('withPassword').findByPk(target.id);
+
+        if (!user.password) {
+            return res.status(400).json({
+                message: 'This account has no password (social sign-in only).',
+                code: 'NO_PASSWORD'
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        user.password_reset_required = true;
+        await user.save({ fields: ['password_reset_required'], transaction });
+
+        await Session.update(
+            { revoked_at: new Date() },
+            { where: { user_id: user.id, revoked_at: null }, transaction }
+        );
+
+        await auditService.log(req, 'admin.user.password_reset_forced', {
+            target: user,
+            reason,
+            changes: { password_reset_required: { from: false, to: true } },
+            transaction
+        });
+
+        await emailService.sendPasswordResetEmail(user, jwtService.generateResetToken(user), { transaction });
+
+        await transaction.commit();
+
+        // Open event streams belong to the revoked sessions
+        realtimeService.revokeSessions(user.id, { reason: 'password_reset_required' });
+
+        res.json({
+            message: 'Password reset required. The user was signed out and emailed a reset link.'
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Resend the email verification link
+ */
+exports.resendVerification = async (req, res, next) => {
+    try {
+        const reason = requireReason(req, res);
+        if (!reason) return;
+
+        const user = await findTargetUser(req, res, { allowSelf: true });
+        if (!user) return;
+
+        if (user.hasVerifiedEmail()) {
+            return res.status(400).json({
+                message: 'This account is already verified.',
+                code: 'ALREADY_VERIFIED'
+            });
+        }
+
+        await emailService.sendVerificationEmail(user, jwtService.generateVerificationToken(user));
+
+        await auditService.log(req, 'admin.user.verification_resent', {
+            target: user,
+            reason
+        });
+
+        res.json({
+            message: 'Verification email sent.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke every session for a user
+ */
+exports.revokeSessions = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const reason = requireReason(req, res);
+        if (!reason) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        transaction = await sequelize.transaction();
+
+        const [revoked] = await Session.update(
+            { revoked_at: new Date() },
+            { where: { user_id: user.id, revoked_at: null }, transaction }
+        );
+
+        await auditService.log(req, 'admin.user.sessions_revoked', {
+            target: user,
+            reason,
+            metadata: { sessions_revoked: revoked },
+            transaction
+        });
+
+        await transaction.commit();
+
+        realtimeService.revokeSessions(user.id, { reason: 'revoked_by_admin' });
+
+        res.json({
+            message: `${revoked} session(s) revoked.`,
+            sessions_revoked: revoked
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Permission catalog and the current role mappings
+ */
+exports.getPermissions = async (req, res, next) => {
+    try {
+        const [permissions, matrix] = await Promise.all([
+            Permission.findAll({ order: [['name', 'ASC']] }),
+            RolePermission.getMatrix()
+        ]);
+
+        res.json({
+            permissions: permissions.map(p => p.toJSON()),
+            roles: Object.fromEntries(ROLES.map(role => [role, matrix[role] || []]))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the permissions mapped to a role
+ * Everyone with the role gets a new permission version (their access tokens must be refreshed)
+ */
+exports.updateRolePermissions = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const { role } = req.params;
+        const { permissions: names } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(404).json({
+                message: 'Role not found'
+            });
+        }
+
+        if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+            return res.status(422).json({
+                message: 'Permissions must be a list of permission names.',
+                errors: { permissions: ['Permissions must be an array of strings'] }
+            });
+        }
+
+        // Keep at least one way back into this screen
+        if (role === 'admin' && !names.includes('permissions.manage')) {
+            return res.status(422).json({
+                message: 'The admin role must keep permissions.manage.',
+                errors: { permissions: ['The admin role must keep permissions.manage'] }
+            });
+        }
+
+        const reason = requireReason(req, res);
+        if (!reason) return;
+
+        const { permissions, unknown } = await permissionService.resolve(names);
+
+        if (unknown.length > 0) {
+            return res.status(422).json({
+                message: 'Unknown permissions.',
+                errors: { permissions: unknown.map(name => `Unknown permission: ${name}`) }
+            });
+        }
+
+        const previous = await RolePermission.getPermissionNames(role);
+        const updated = permissions.map(p => p.name).sort();
+
+        transaction = await sequelize.transaction();
+
+        await RolePermission.replaceForRole(role, permissions.map(p => p.id), { transaction });
+        await permissionService.bumpRole(role, { transaction });
+
+        await auditService.log(req, 'admin.role.permissions_updated', {
+            reason,
+            changes: { permissions: { from: previous, to: updated } },
+            metadata: {
+                role,
+                added: updated.filter(name => !previous.includes(name)),
+                removed: previous.filter(name => !updated.includes(name))
+            },
+            transaction
+        });
+
+        await transaction.commit();
+
+        res.json({
+            message: `Permissions for ${role} updated.`,
+            role,
+            permissions: updated
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * A user's role permissions, direct grants and effective permissions
+ */
+exports.getUserPermissions = async (req, res, next) => {
+    try {
+        const user = await findTargetUser(req, res, { allowSelf: true, readOnly: true });
+        if (!user) return;
+
+        const [rolePermissions, grants, effective] = await Promise.all([
+            RolePermission.getPermissionNames(user.role),
+            UserPermission.findForUser(user.id),
+            permissionService.getPermissionsForUser(user)
+        ]);
+
+        res.json({
+            role: user.role,
+            role_permissions: rolePermissions,
+            grants: grants.map(g => g.toJSON()),
+            effective
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Grant a permission directly to a user (optionally until `expires_at`)
+ * Granting an existing permission again updates its expiry.
+ */
+exports.grantUserPermission = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const { permission: name, expires_at } = req.body;
+
+        if (typeof name !== 'string' || !name) {
+            return res.status(422).json({
+                message: 'Permission is required.',
+                errors: { permission: ['Permission is required'] }
+            });
+        }
+
+        const expiresAt = expires_at ? new Date(expires_at) : null;
+        if (expires_at && (isNaN(expiresAt) || expiresAt <= new Date())) {
+            return res.status(422).json({
+                message: 'Expiry must be a future date.',
+                errors: { expires_at: ['Must be a valid future date'] }
+            });
+        }
+
+        const reason = requireReason(req, res);
+        if (!reason) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const { permissions: [permission] } = await permissionService.resolve([name]);
+
+        if (!permission) {
+            return res.status(422).json({
+                message: 'Unknown permission.',
+                errors: { permission: [`Unknown permission: ${name}`] }
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        const existing = await UserPermission.findOne({
+            where: { user_id: user.id, permission_id: permission.id },
+            transaction
+        });
+
+        const previousExpiry = existing ? existing.expires_at : null;
+
+        if (existing) {
+            existing.expires_at = expiresAt;
+            existing.granted_by = req.user.id;
+            await existing.save({ transaction });
+        } else {
+            await UserPermission.create({
+                user_id: user.id,
+                permission_id: permission.id,
+                granted_by: req.user.id,
+                expires_at: expiresAt
+            }, { transaction });
+        }
+
+        await permissionService.bumpUser(user.id, { transaction });
+
+        await auditService.log(req, 'admin.user.permission_granted', {
+            target: user,
+            reason,
+            changes: existing
+                ? auditService.diff({ expires_at: previousExpiry }, { expires_at: expiresAt }, ['expires_at'])
+                : null,
+            metadata: { permission: permission.name, expires_at: expiresAt },
+            transaction
+        });
+
+        await transaction.commit();
+
+        res.status(existing ? 200 : 201).json({
+            message: `Granted ${permission.name}.`,
+            permission: permission.name,
+            expires_at: expiresAt
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Remove a direct grant (role permissions are unaffected)
+ */
+exports.revokeUserPermission = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const reason = requireReason(req, res);
+        if (!reason) return;
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const { permissions: [permission] } = await permissionService.resolve([req.params.permission]);
+
+        const grant = permission && await UserPermission.findOne({
+            where: { user_id: user.id, permission_id: permission.id }
+        });
+
+        if (!grant) {
+            return res.status(404).json({
+                message: 'Grant not found'
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        await grant.destroy({ transaction });
+        await permissionService.bumpUser(user.id, { transaction });
+
+        await auditService.log(req, 'admin.user.permission_revoked', {
+            target: user,
+            reason,
+            metadata: { permission: permission.name, expires_at: grant.expires_at },
+            transaction
+        });
+
+        await transaction.commit();
+
+        res.json({
+            message: `Revoked ${permission.name}.`
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * List security events (filter by user, type, severity and date range)
+ */
+exports.getSecurityEvents = async (req, res, next) => {
+    try {
+        const { user_id, type, severity, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+        const invalidDates = ['from', 'to'].filter(key => req.query[key] && isNaN(new Date(req.query[key])));
+        if (invalidDates.length > 0) {
+            return res.status(422).json({
+                message: 'Invalid date filter.',
+                errors: Object.fromEntries(invalidDates.map(key => [key, ['Must be a valid date']]))
+            });
+        }
+
+        const { rows, count } = await SecurityEvent.search({
+            userId: user_id ? parseInt(user_id) : null,
+            type,
+            severity,
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null,
+            page,
+            limit
+        });
+
+        res.json({
+            events: rows.map(e => e.toJSON()),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                total_pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Parse audit log filters from the query string
+ * @returns {Object|null} - Filters, or null if a 422 was sent
+ */
+const parseAuditFilters = (req, res) => {
+    const { actor_id, target_user_id, action, request_id, ip_address, from, to } = req.query;
+
+    const invalidDates = ['from', 'to'].filter(key => req.query[key] && isNaN(new Date(req.query[key])));
+    if (invalidDates.length > 0) {
+        res.status(422).json({
+            message: 'Invalid date filter.',
+            errors: Object.fromEntries(invalidDates.map(key => [key, ['Must be a valid date']]))
+        });
+        return null;
+    }
+
+    return {
+        actorId: actor_id ? parseInt(actor_id) : null,
+        targetUserId: target_user_id ? parseInt(target_user_id) : null,
+        action,
+        requestId: request_id,
+        ipAddress: ip_address,
+        from: from ? new Date(from) : null,
+        to: to ? new Date(to) : null
+    };
+};
+
+/**
+ * Query the audit log
+ */
+exports.getAuditLogs = async (req, res, next) => {
+    try {
+        const filters = parseAuditFilters(req, res);
+        if (!filters) return;
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+        const { rows, count } = await AuditLog.search(filters, { page, limit });
+
+        res.json({
+            logs: rows.map(entry => entry.toJSON()),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                total_pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Export the audit log as CSV (same filters as the listing)
+ * Streams in batches so large exports don't sit in memory.
+ */
+exports.exportAuditLogs = async (req, res, next) => {
+    try {
+        const filters = parseAuditFilters(req, res);
+        if (!filters) return;
+
+        const where = AuditLog.buildWhere(filters);
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.write(auditService.csvHeader());
+
+        let exported = 0;
+        let lastId = null;
+
+        while (exported < AUDIT_EXPORT_MAX_ROWS) {
+            const batch = await AuditLog.findAll({
+                where: lastId ? { ...where, id: { [sequelize.Sequelize.Op.lt]: lastId } } : where,
+                order: [['id', 'DESC']],
+                limit: Math.min(AUDIT_EXPORT_BATCH_SIZE, AUDIT_EXPORT_MAX_ROWS - exported)
+            });
+
+            if (batch.length === 0) break;
+
+            res.write(auditService.toCsvRows(batch));
+            exported += batch.length;
+            lastId = batch[batch.length - 1].id;
+        }
+
+        // The export itself is audited
+        await auditService.log(req, 'admin.audit_log.exported', {
+            metadata: { filters: req.query, rows: exported }
+        });
+
+        res.end();
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('[Audit] Export failed mid-stream:', error.message);
+            return res.end();
+        }
+        next(error);
+    }
+};
+
+/**
+ * List outbox emails (filter by status, e.g. `dead` for dead letters)
+ */
+exports.getEmailOutbox = async (req, res, next) => {
+    try {
+        const { status, user_id } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+        if (status && !EmailOutbox.STATUSES.includes(status)) {
+            return res.status(422).json({
+                message: 'Invalid status filter.',
+                errors: { status: [`Status must be one of: ${EmailOutbox.STATUSES.join(', ')}`] }
+            });
+        }
+
+        const { rows, count } = await EmailOutbox.search({
+            status,
+            userId: user_id ? parseInt(user_id) : null
+        }, { page, limit });
+
+        res.json({
+            emails: rows.map(email => email.toJSON()),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                total_pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Queue a dead-lettered email again
+ */
+exports.retryEmail = async (req, res, next) => {
+    try {
+        const email = await EmailOutbox.findByPk(req.params.id);
+
+        if (!email) {
+            return res.status(404).json({
+                message: 'Email not found'
+            });
+        }
+
+        if (!email.isDead()) {
+            return res.status(400).json({
+                message: 'Only emails that failed permanently can be retried.',
+                code: 'EMAIL_NOT_DEAD'
+            });
+        }
+
+        await email.retry();
+
+        await auditService.log(req, 'admin.email.retried', {
+            target: email.user_id ? { id: email.user_id } : null,
+            metadata: { email_id: email.id, template: email.template }
+        });
+
+        emailService.processOutbox().catch(error => {
+            console.error('[Email] Outbox run failed:', error.message);
+        });
+
+        res.json({
+            message: 'Email queued for another attempt.',
+            email: email.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
@@ -1,8 +1,17 @@
-const { User } = require('../model');
+const { User, UserProfile, MfaRecoveryCode, MagicLinkToken, LoginAttempt, AuditLog, sequelize } = require('../model');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const jwtService = require('../services/JwtService');
 const { getDeviceInfo } = require('../middleware/AuthMiddleware');
 const emailService = require('../services/EmailService');
+const oauthService = require('../services/OAuthService');
+const totpService = require('../services/TotpService');
+const loginThrottleService = require('../services/LoginThrottleService');
+const passwordPolicyService = require('../services/PasswordPolicyService');
+const auditService = require('../services/AuditService');
+const permissionService = require('../services/PermissionService');
+const guardianConsentService = require('../services/GuardianConsentService');
+const webAuthnService = require('../services/WebAuthnService');
 
 const setRefreshCookie = (res, token) => {
     res.cookie('refresh_token', token, {
@@ -14,12 +23,98 @@ const setRefreshCookie = (res, token) => {
     });
 };
 
+/**
+ * Device-binding cookie for magic links: only the browser that requested a link can use it
+ */
+const MAGIC_LINK_DEVICE_COOKIE = 'magic_link_device';
+const MAGIC_LINK_DEVICE_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'None',
+    path: '/api/v1/auth/magic-link',
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+};
+
+const sendAccountLocked = (res, lockedUntil) => {
+    return res.status(423).json({
+        message: 'This account is temporarily locked after too many failed login attempts. Check your email for an unlock link.',
+        code: 'ACCOUNT_LOCKED',
+        locked_until: lockedUntil
+    });
+};
+
+const sendAccountSuspended = (res, user) => {
+    return res.status(403).json({
+        message: 'This account has been suspended. Contact support if you think this is a mistake.',
+        code: 'ACCOUNT_SUSPENDED',
+        reason: user.suspension_reason || null
+    });
+};
+
+const sendIpThrottled = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        message: 'Too many failed login attempts from this network. Please try again later.',
+        code: 'LOGIN_THROTTLED',
+        retry_after: retryAfter
+    });
+};
+
+const sendAccountThrottled = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        message: `Too many failed attempts. Try again in ${retryAfter} seconds.`,
+        code: 'LOGIN_THROTTLED',
+        retry_after: retryAfter
+    });
+};
+
+/**
+ * Response for an account that fails User#canSignIn - the one status policy for every sign-in path
+ */
+const sendAccountInactive = (res, user) => {
+    if (user.isSuspended()) {
+        return sendAccountSuspended(res, user);
+    }
+
+    if (user.account_status === 'deactivated') {
+        return res.status(403).json({
+            message: 'This account is deactivated. Reactivate it to sign in again.',
+            code: 'ACCOUNT_DEACTIVATED'
+        });
+    }
+
+    return res.status(403).json({
+        message: 'This account is not active.',
+        code: 'ACCOUNT_INACTIVE'
+    });
+};
+
+const sendUnlockEmail = async (user) => {
+    try {
+        await emailService.sendAccountLockedEmail(user, jwtService.generateUnlockToken(user));
+    } catch (error) {
+        console.error(`[Login] Failed to send unlock email to user ${user.id}:`, error.message);
+    }
+};
+
+const sendPasswordPolicyErrors = (res, errors) => {
+    return res.status(422).json({
+        message: errors[0],
+        errors: {
+            password: errors
+        }
+    });
+};
+
 /**
  * Register new user
  */
 exports.register = async (req, res, next) => {
+    let transaction;
+
     try {
-        const { email, password, password_confirmation, name } = req.body;
+        const { email, password, password_confirmation, name, date_of_birth, locale } = req.body;
 
         // Validation
         if (!email || !password) {
@@ -42,14 +137,26 @@ exports.register = async (req, res, next) => {
             });
         }
 
-        // Password strength validation
-        if (password.length < 8) {
-            return res.status(422).json({
-                message: 'Password must be at least 8 characters.',
-                errors: {
-                    password: ['Password must be at least 8 characters']
-                }
-            });
+        // Password policy
+        const passwordErrors = await passwordPolicyService.validate(password, { email, name });
+        if (passwordErrors.length > 0) {
+            return sendPasswordPolicyErrors(res, passwordErrors);
+        }
+
+        // Date of birth (optional) - same rules as the profile
+        if (date_of_birth) {
+            try {
+                await UserProfile.build({ date_of_birth }).validate({ fields: ['date_of_birth'] });
+            } catch (validationError) {
+                return res.status(422).json({
+                    message: 'Invalid date of birth.',
+                    errors: {
+                        date_of_birth: validationError.errors
+                            ? validationError.errors.map(e => e.message)
+                            : [validationError.message]
+                    }
+                });
+            }
         }
 
         // Check if user exists
@@ -63,23 +170,40 @@ exports.register = async (req, res, next) => {
             });
         }
 
+        transaction = await sequelize.transaction();
+
         // Create user
         const user = await User.create({
             email,
             password,
             name: name || null,
-            role: 'player'
-        });
+            role: 'player',
+            locale: emailService.resolveLocale(locale || req.acceptsLanguages(...emailService.locales))
+        }, { transaction });
+        await passwordPolicyService.recordPassword(user, password, { transaction });
 
-        // Generate verification token and send email
+        if (date_of_birth) {
+            await UserProfile.create({ user_id: user.id, date_of_birth }, { transaction });
+        }
+
+        // Generate verification token and queue the email with the account
         const token = jwtService.generateVerificationToken(user);
-        await emailService.sendVerificationEmail(user, token);
+        await emailService.sendVerificationEmail(user, token, { transaction });
+
+        await transaction.commit();
+
+        // Minors start out pending guardian consent
+        if (date_of_birth) {
+            await guardianConsentService.evaluate(user, date_of_birth);
+        }
 
         res.status(201).json({
             message: 'Account created successfully. Please verify your email.',
-            email: user.email
+            email: user.email,
+            guardian_consent_required: user.needsGuardianConsent()
         });
     } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
         next(error);
     }
 };
@@ -98,25 +222,65 @@ exports.login = async (req, res, next) => {
             });
         }
 
+        const deviceInfo = getDeviceInfo(req);
+
+        // Per-IP throttle
+        const ipCheck = await loginThrottleService.checkIp(deviceInfo.ip_address);
+        if (ipCheck.blocked) {
+            return sendIpThrottled(res, ipCheck.retryAfter);
+        }
+
         // Find user with password
         const user = await User.scope('withPassword').findOne({
             where: { email }
         });
 
         if (!user) {
+            await loginThrottleService.recordFailure(null, email, deviceInfo, 'unknown_email');
             return res.status(401).json({
                 message: 'Invalid email or password.'
             });
         }
 
+        // Per-account lock / backoff (checked before the password so it can't be bypassed)
+        const accountCheck = loginThrottleService.checkAccount(user);
+        if (accountCheck.locked) {
+            await loginThrottleService.recordFailure(null, email, deviceInfo, 'account_locked');
+            return sendAccountLocked(res, accountCheck.lockedUntil);
+        }
+        if (accountCheck.throttled) {
+            return sendAccountThrottled(res, accountCheck.retryAfter);
+        }
+
         // Validate password
         const isValidPassword = await user.validatePassword(password);
         if (!isValidPassword) {
+            const result = await loginThrottleService.recordFailure(user, email, deviceInfo, 'invalid_password');
+
+            if (result.justLocked) {
+                await sendUnlockEmail(user);
+            }
+            if (result.locked) {
+                return sendAccountLocked(res, result.lockedUntil);
+            }
+
             return res.status(401).json({
                 message: 'Invalid email or password.'
             });
         }
 
+        if (!user.canSignIn()) {
+            return sendAccountInactive(res, user);
+        }
+
+        // An admin invalidated the password - it must be reset by email
+        if (user.password_reset_required) {
+            return res.status(403).json({
+                message: 'You need to reset your password before logging in. Check your email for a reset link.',
+                code: 'PASSWORD_RESET_REQUIRED'
+            });
+        }
+
         // Check email verification (optional - remove if not needed)
         if (!user.hasVerifiedEmail()) {
             return res.status(403).json({
@@ -126,8 +290,19 @@ exports.login = async (req, res, next) => {
             });
         }
 
+        // Second factor required - no session until /mfa/verify
+        if (user.hasMfaEnabled()) {
+            return res.json({
+                message: 'Two-factor authentication required.',
+                mfa_required: true,
+                mfa_token: jwtService.generateMfaPendingToken(user)
+            });
+        }
+
+        await loginThrottleService.recordSuccess(user, deviceInfo, 'password');
+
         // Generate tokens with device info
-        const tokens = await jwtService.issueTokens(user, getDeviceInfo(req));
+        const tokens = await jwtService.issueTokens(user, { ...deviceInfo, auth_method: 'password' });
 
         // Set cookie instead of body
         setRefreshCookie(res, tokens.refreshToken);
@@ -135,7 +310,7 @@ exports.login = async (req, res, next) => {
         res.json({
             message: 'Login successful',
             token: tokens.accessToken, // Access token stays in JSON
-            user: user.toJSON()
+            user: user.toSafeJSON()
         });
 
         // res.json({
@@ -150,6 +325,340 @@ exports.login = async (req, res, next) => {
     }
 };
 
+/**
+ * Complete login with a TOTP code or recovery code
+ */
+exports.verifyMfa = async (req, res, next) => {
+    try {
+        const { mfa_token, code, recovery_code } = req.body;
+
+        if (!mfa_token || (!code && !recovery_code)) {
+            return res.status(422).json({
+                message: 'Verification code is required.',
+                errors: {
+                    code: ['Enter the code from your authenticator app or a recovery code']
+                }
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = jwtService.verifyActionToken(mfa_token, 'mfa_pending');
+        } catch (e) {
+            return res.status(401).json({
+                message: 'Your sign-in attempt has expired. Please log in again.',
+                code: 'MFA_TOKEN_EXPIRED'
+            });
+        }
+
+        const user = await User.scope('withMfaSecret').findByPk(decoded.id);
+
+        if (!user || !user.hasMfaEnabled() || !user.mfa_secret) {
+            return res.status(401).json({
+                message: 'Two-factor authentication is not enabled for this account.',
+                code: 'MFA_NOT_ENABLED'
+            });
+        }
+
+        if (!user.canSignIn()) {
+            return sendAccountInactive(res, user);
+        }
+
+        const deviceInfo = getDeviceInfo(req);
+
+        // Codes are guessable too - same lock / backoff as passwords
+        const accountCheck = loginThrottleService.checkAccount(user);
+        if (accountCheck.locked) {
+            return sendAccountLocked(res, accountCheck.lockedUntil);
+        }
+        if (accountCheck.throttled) {
+            return sendAccountThrottled(res, accountCheck.retryAfter);
+        }
+
+        const recordMfaFailure = async (reason) => {
+            const result = await loginThrottleService.recordFailure(user, user.email, deviceInfo, reason, 'mfa');
+            if (result.justLocked) {
+                await sendUnlockEmail(user);
+            }
+            return result;
+        };
+
+        let usedRecoveryCode = false;
+
+        if (code) {
+            const step = totpService.verifyCode(
+                totpService.decryptSecret(user.mfa_secret),
+                code,
+                user.mfa_last_used_step
+            );
+
+            // A concurrent request may already have spent the same step
+            if (step === null || !(await User.claimMfaStep(user.id, step))) {
+                const result = await recordMfaFailure('invalid_mfa_code');
+                if (result.locked) {
+                    return sendAccountLocked(res, result.lockedUntil);
+                }
+
+                return res.status(401).json({
+                    message: 'Invalid verification code.',
+                    code: 'INVALID_MFA_CODE'
+                });
+            }
+
+            user.mfa_last_used_step = step;
+        } else {
+            usedRecoveryCode = await MfaRecoveryCode.consume(user.id, recovery_code);
+
+            if (!usedRecoveryCode) {
+                const result = await recordMfaFailure('invalid_recovery_code');
+                if (result.locked) {
+                    return sendAccountLocked(res, result.lockedUntil);
+                }
+
+                return res.status(401).json({
+                    message: 'Invalid or already used recovery code.',
+                    code: 'INVALID_RECOVERY_CODE'
+                });
+            }
+        }
+
+        await loginThrottleService.recordSuccess(user, deviceInfo, decoded.auth_method || 'password');
+
+        const tokens = await jwtService.issueTokens(user, {
+            ...deviceInfo,
+            auth_method: decoded.auth_method || 'password'
+        });
+        await user.updateLastLogin();
+
+        setRefreshCookie(res, tokens.refreshToken);
+
+        res.json({
+            message: 'Login successful',
+            token: tokens.accessToken,
+            user: user.toSafeJSON(),
+            ...(usedRecoveryCode && {
+                recovery_codes_remaining: await MfaRecoveryCode.countRemaining(user.id)
+            })
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Passkey sign-in options (email optional - omit for discoverable passkeys)
+ */
+exports.passkeyLoginOptions = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        // Unknown emails get generic options so account existence isn't revealed
+        const user = email ? await User.findByEmail(email) : null;
+        const options = await webAuthnService.getAuthenticationOptions(user);
+
+        res.json(options);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Sign in with a passkey
+ */
+exports.passkeyLogin = async (req, res, next) => {
+    try {
+        const { response } = req.body;
+
+        if (!response) {
+            return res.status(422).json({
+                message: 'Passkey response is required.'
+            });
+        }
+
+        const deviceInfo = getDeviceInfo(req);
+
+        const ipCheck = await loginThrottleService.checkIp(deviceInfo.ip_address);
+        if (ipCheck.blocked) {
+            return sendIpThrottled(res, ipCheck.retryAfter);
+        }
+
+        let credential;
+        try {
+            credential = await webAuthnService.verifyAuthentication(response);
+        } catch (error) {
+            if (error.message.includes('Passkey')) {
+                // Not counted against an account - a passkey can't be guessed
+                await loginThrottleService.recordFailure(null, null, deviceInfo, 'invalid_passkey', 'passkey');
+                return res.status(401).json({
+                    message: 'Passkey sign-in failed.',
+                    code: 'PASSKEY_AUTH_FAILED'
+                });
+            }
+            throw error;
+        }
+
+        const user = credential.user;
+
+        if (!user.canSignIn()) {
+            return sendAccountInactive(res, user);
+        }
+
+        if (!user.hasVerifiedEmail()) {
+            return res.status(403).json({
+                message: 'Please verify your email before logging in.',
+                unverified: true,
+                email: user.email
+            });
+        }
+
+        await loginThrottleService.recordSuccess(user, deviceInfo, 'passkey');
+
+        const tokens = await jwtService.issueTokens(user, { ...deviceInfo, auth_method: 'passkey' });
+        await user.updateLastLogin();
+
+        setRefreshCookie(res, tokens.refreshToken);
+
+        res.json({
+            message: 'Login successful',
+            token: tokens.accessToken,
+            user: user.toSafeJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Request a passwordless sign-in link
+ * Always responds the same way so account existence isn't revealed.
+ */
+exports.requestMagicLink = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(422).json({
+                message: 'Email is required.',
+                errors: {
+                    email: ['Email is required']
+                }
+            });
+        }
+
+        // Reuse this browser's device secret, or issue one
+        let deviceSecret = req.cookies[MAGIC_LINK_DEVICE_COOKIE];
+        if (!deviceSecret || !/^[a-f0-9]{64}$/.test(deviceSecret)) {
+            deviceSecret = crypto.randomBytes(32).toString('hex');
+        }
+        res.cookie(MAGIC_LINK_DEVICE_COOKIE, deviceSecret, MAGIC_LINK_DEVICE_COOKIE_OPTIONS);
+
+        const user = await User.findByEmail(email);
+
+        if (user && user.canSignIn()) {
+            const jti = jwtService.generateJTI();
+            const token = jwtService.generateMagicLinkToken(user, jti);
+
+            await MagicLinkToken.create({
+                user_id: user.id,
+                jti,
+                device_hash: MagicLinkToken.hashDeviceSecret(deviceSecret),
+                ip_address: getDeviceInfo(req).ip_address,
+                expires_at: new Date(Date.now() + 15 * 60 * 1000) // 15 minutes
+            });
+
+            // Not awaited: response time must not depend on whether the account exists
+            emailService.sendMagicLinkEmail(user, token).catch(err => {
+                console.error(`[MagicLink] Failed to send link to user ${user.id}:`, err.message);
+            });
+        }
+
+        res.json({
+            message: 'If an account exists with that email, a sign-in link has been sent.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Sign in with a magic link
+ */
+exports.consumeMagicLink = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+        const deviceInfo = getDeviceInfo(req);
+        const invalidLink = async () => {
+            await loginThrottleService.recordFailure(null, null, deviceInfo, 'invalid_magic_link', 'magic_link');
+            return res.status(400).json({
+                message: 'This sign-in link is invalid, expired or already used.',
+                code: 'INVALID_MAGIC_LINK'
+            });
+        };
+
+        if (!token) return invalidLink();
+
+        let decoded;
+        try {
+            decoded = jwtService.verifyActionToken(token, 'magic_link');
+        } catch (e) {
+            return invalidLink();
+        }
+
+        const link = await MagicLinkToken.findOne({ where: { jti: decoded.jti } });
+
+        if (!link || link.user_id !== decoded.id || !link.isUsable()) {
+            return invalidLink();
+        }
+
+        if (!link.matchesDevice(req.cookies[MAGIC_LINK_DEVICE_COOKIE])) {
+            await loginThrottleService.recordFailure(null, null, deviceInfo, 'magic_link_device_mismatch', 'magic_link');
+            return res.status(403).json({
+                message: 'Open this link on the same device and browser where you requested it.',
+                code: 'MAGIC_LINK_DEVICE_MISMATCH'
+            });
+        }
+
+        if (!(await MagicLinkToken.consume(link.id))) {
+            return invalidLink();
+        }
+
+        const user = await User.findByPk(link.user_id);
+
+        if (!user || !user.canSignIn()) {
+            return invalidLink();
+        }
+
+        // Receiving the link proves ownership of the address
+        if (!user.email_verified_at) {
+            user.email_verified_at = new Date();
+            await user.save({ fields: ['email_verified_at'] });
+        }
+
+        if (user.hasMfaEnabled()) {
+            return res.json({
+                message: 'Two-factor authentication required.',
+                mfa_required: true,
+                mfa_token: jwtService.generateMfaPendingToken(user, 'magic_link')
+            });
+        }
+
+        await loginThrottleService.recordSuccess(user, deviceInfo, 'magic_link');
+
+        const tokens = await jwtService.issueTokens(user, { ...deviceInfo, auth_method: 'magic_link' });
+        await user.updateLastLogin();
+
+        setRefreshCookie(res, tokens.refreshToken);
+
+        res.json({
+            message: 'Login successful',
+            token: tokens.accessToken,
+            user: user.toSafeJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Refresh access token
  */
@@ -266,6 +775,8 @@ exports.logoutAll = async (req, res, next) => {
 
         await jwtService.logoutAll(req.user.id);
 
+        await auditService.log(req, 'auth.logged_out_everywhere', { target: req.user });
+
         res.json({
             message: 'Logged out from all devices successfully'
         });
@@ -285,7 +796,10 @@ exports.me = async (req, res, next) => {
             });
         }
 
-        res.json(req.user.toJSON());
+        res.json({
+            ...req.user.toJSON(),
+            permissions: await permissionService.getPermissionsForUser(req.user)
+        });
     } catch (error) {
         next(error);
     }
@@ -303,9 +817,11 @@ exports.getSessions = async (req, res, next) => {
         }
 
         const sessions = await jwtService.getUserSessions(req.user.id);
+        const attempts = await LoginAttempt.findRecentForUser(req.user.id, 10);
 
         res.json({
-            sessions
+            sessions,
+            recent_login_attempts: attempts.map(a => a.toJSON())
         });
     } catch (error) {
         next(error);
@@ -313,23 +829,65 @@ exports.getSessions = async (req, res, next) => {
 };
 
 /**
- * Revoke specific session
+ * Login history (successful and failed attempts)
  */
-exports.revokeSession = async (req, res, next) => {
+exports.getLoginActivity = async (req, res, next) => {
     try {
-        if (!req.user) {
-            return res.status(401).json({
-                message: 'Authentication required.'
-            });
-        }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const attempts = await LoginAttempt.findRecentForUser(req.user.id, limit);
 
-        const { session_id } = req.params;
-
-        // Find session and verify ownership
-        const { Session } = require('../model');
-        const session = await Session.findByPk(session_id);
+        res.json({
+            attempts: attempts.map(a => a.toJSON()),
+            failed_login_count: req.user.failed_login_count,
+            locked_until: req.user.isLocked() ? req.user.locked_until : null
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        if (!session || session.user_id !== req.user.id) {
+/**
+ * Account activity (audit trail for the current user's account)
+ */
+exports.getAccountActivity = async (req, res, next) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+
+        const { rows, count } = await AuditLog.search({ targetUserId: req.user.id }, { page, limit });
+
+        res.json({
+            activity: rows.map(entry => entry.toActivityJSON(req.user.id)),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                total_pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke specific session
+ */
+exports.revokeSession = async (req, res, next) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({
+                message: 'Authentication required.'
+            });
+        }
+
+        const { session_id } = req.params;
+
+        // Find session and verify ownership
+        const { Session } = require('../model');
+        const session = await Session.findByPk(session_id);
+
+        if (!session || session.user_id !== req.user.id) {
             return res.status(404).json({
                 message: 'Session not found.'
             });
@@ -337,6 +895,15 @@ exports.revokeSession = async (req, res, next) => {
 
         await jwtService.revokeSession(session.jti);
 
+        await auditService.log(req, 'auth.session_revoked', {
+            target: req.user,
+            metadata: {
+                session_id: session.id,
+                device_name: session.device_name,
+                ip_address: session.ip_address
+            }
+        });
+
         res.json({
             message: 'Session revoked successfully'
         });
@@ -430,12 +997,6 @@ exports.changePassword = async (req, res, next) => {
             });
         }
 
-        if (password.length < 8) {
-            return res.status(422).json({
-                message: 'Password must be at least 8 characters.'
-            });
-        }
-
         // Get user with password
         const user = await User.scope('withPassword').findByPk(req.user.id);
 
@@ -447,16 +1008,26 @@ exports.changePassword = async (req, res, next) => {
             });
         }
 
+        // Password policy (includes reuse of current / recent passwords)
+        const passwordErrors = await passwordPolicyService.validate(password, { user });
+        if (passwordErrors.length > 0) {
+            return sendPasswordPolicyErrors(res, passwordErrors);
+        }
+
         // Update password (will trigger hook to set password_changed_at)
         user.password = password;
+        user.password_reset_required = false;
         await user.save();
+        await passwordPolicyService.recordPassword(user, password);
+
+        await auditService.log(req, 'auth.password_changed', { target: user });
 
         // Revoke all sessions except current
         await jwtService.logoutAll(user.id);
 
         // Issue new tokens for current session
         const deviceInfo = getDeviceInfo(req);
-        const tokens = await jwtService.issueTokens(user, deviceInfo);
+        const tokens = await jwtService.issueTokens(user, { ...deviceInfo, auth_method: 'password' });
 
         res.json({
             message: 'Password changed successfully. All other sessions have been logged out.',
@@ -469,6 +1040,228 @@ exports.changePassword = async (req, res, next) => {
     }
 }
 
+/**
+ * Request an email change (confirmation goes to the new address)
+ */
+exports.requestEmailChange = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const { new_email, password } = req.body;
+
+        if (!new_email || !password) {
+            return res.status(422).json({
+                message: 'New email and password are required.',
+                errors: {
+                    new_email: !new_email ? ['New email is required'] : [],
+                    password: !password ? ['Password is required'] : []
+                }
+            });
+        }
+
+        const user = await User.scope('withPassword').findByPk(req.user.id);
+
+        if (!user.password) {
+            return res.status(400).json({
+                message: 'Set a password on your account before changing your email.',
+                code: 'PASSWORD_REQUIRED'
+            });
+        }
+
+        if (!(await user.validatePassword(password))) {
+            return res.status(401).json({
+                message: 'Incorrect password',
+                errors: {
+                    password: ['Incorrect password']
+                }
+            });
+        }
+
+        const email = String(new_email).toLowerCase().trim();
+
+        if (email === user.email) {
+            return res.status(422).json({
+                message: 'This is already your email address.',
+                errors: {
+                    new_email: ['This is already your email address']
+                }
+            });
+        }
+
+        const existingUser = await User.findOne({ where: { email } });
+        if (existingUser) {
+            return res.status(422).json({
+                message: 'Email already registered.',
+                errors: {
+                    new_email: ['This email is already registered']
+                }
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        // A new request replaces any pending one (older links stop working)
+        user.pending_email = email;
+        user.pending_email_requested_at = new Date();
+        await user.save({ fields: ['pending_email', 'pending_email_requested_at'], transaction });
+
+        await auditService.log(req, 'account.email_change_requested', {
+            target: user,
+            metadata: { new_email: email },
+            transaction
+        });
+
+        await emailService.sendEmailChangeConfirmationEmail(user, jwtService.generateEmailChangeToken(user), { transaction });
+        await emailService.sendEmailChangeRequestedEmail(user, jwtService.generateEmailChangeCancelToken(user), { transaction });
+
+        await transaction.commit();
+
+        res.json({
+            message: `We sent a confirmation link to ${email}. Your email will change once you confirm it.`,
+            pending_email: email
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+
+        if (error.name === 'SequelizeValidationError') {
+            return res.status(422).json({
+                message: 'Please enter a valid email address.',
+                errors: {
+                    new_email: ['Please enter a valid email address']
+                }
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Confirm an email change from the link sent to the new address
+ */
+exports.confirmEmailChange = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        let decoded;
+        try {
+            decoded = jwtService.verifyActionToken(token, 'email_change');
+        } catch (e) {
+            return res.status(400).json({
+                message: 'Invalid or expired confirmation link.',
+                code: 'INVALID_EMAIL_CHANGE_TOKEN'
+            });
+        }
+
+        if (decoded.id !== req.user.id) {
+            return res.status(403).json({
+                message: 'This confirmation link belongs to a different account.',
+                code: 'INVALID_EMAIL_CHANGE_TOKEN'
+            });
+        }
+
+        const user = await User.findByPk(req.user.id);
+
+        // Must match the latest pending request
+        if (!user.pending_email ||
+            user.pending_email !== decoded.email ||
+            !jwtService.isCurrentLink(decoded.version, user.pending_email_requested_at)) {
+            return res.status(400).json({
+                message: 'This confirmation link has already been used or was replaced by a newer request.',
+                code: 'INVALID_EMAIL_CHANGE_TOKEN'
+            });
+        }
+
+        const existingUser = await User.findOne({ where: { email: user.pending_email } });
+        if (existingUser) {
+            user.pending_email = null;
+            user.pending_email_requested_at = null;
+            await user.save({ fields: ['pending_email', 'pending_email_requested_at'] });
+
+            return res.status(409).json({
+                message: 'This email was registered by another account in the meantime.',
+                code: 'EMAIL_TAKEN'
+            });
+        }
+
+        const oldEmail = user.email;
+
+        user.email = user.pending_email;
+        user.email_verified_at = new Date(); // Clicking the link proves ownership of the new address
+        user.pending_email = null;
+        user.pending_email_requested_at = null;
+        await user.save();
+
+        // Keep this session, sign out everywhere else
+        await jwtService.logoutOthers(user.id, req.jti);
+
+        await auditService.log(req, 'account.email_changed', {
+            target: user,
+            changes: { email: { from: oldEmail, to: user.email } }
+        });
+
+        emailService.sendEmailChangedEmail(user, oldEmail).catch(error => {
+            console.error(`[EmailChange] Failed to notify old address for user ${user.id}:`, error.message);
+        });
+
+        res.json({
+            message: 'Your email address has been changed. All other sessions have been logged out.',
+            user: user.toSafeJSON()
+        });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).json({
+                message: 'This email was registered by another account in the meantime.',
+                code: 'EMAIL_TAKEN'
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Cancel a pending email change from the alert sent to the old address
+ */
+exports.cancelEmailChange = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        let decoded;
+        try {
+            decoded = jwtService.verifyActionToken(token, 'email_change_cancel');
+        } catch (e) {
+            return res.status(400).json({
+                message: 'Invalid or expired link.',
+                code: 'INVALID_EMAIL_CHANGE_TOKEN'
+            });
+        }
+
+        const user = await User.findByPk(decoded.id);
+
+        if (!user || !user.pending_email ||
+            !jwtService.isCurrentLink(decoded.version, user.pending_email_requested_at)) {
+            return res.status(400).json({
+                message: 'There is no pending email change to cancel.',
+                code: 'NO_PENDING_EMAIL_CHANGE'
+            });
+        }
+
+        user.pending_email = null;
+        user.pending_email_requested_at = null;
+        await user.save({ fields: ['pending_email', 'pending_email_requested_at'] });
+
+        // The request may not have come from the owner
+        await jwtService.logoutAll(user.id);
+
+        await auditService.log(req, 'account.email_change_cancelled', { actor: user, target: user });
+
+        res.json({
+            message: 'The email change was cancelled and all devices were signed out. We recommend resetting your password.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 exports.verifyEmail = async (req, res, next) => {
     try {
         const { token } = req.query;
@@ -539,13 +1332,449 @@ exports.resetPassword = async (req, res, next) => {
         // 2. 🟢 Verify token against the current user state (One-Time Use check)
         jwtService.verifyActionToken(token, 'password_reset', user);
 
+        // 3. Password policy
+        const passwordErrors = await passwordPolicyService.validate(password, { user });
+        if (passwordErrors.length > 0) {
+            return sendPasswordPolicyErrors(res, passwordErrors);
+        }
+
         user.password = password;
+        user.password_reset_required = false;
         await user.save(); // This updates password_changed_at
+        await passwordPolicyService.recordPassword(user, password);
 
         await jwtService.logoutAll(user.id); //
+        await loginThrottleService.reset(user);
+
+        await auditService.log(req, 'auth.password_reset', { actor: user, target: user });
 
         res.json({ message: 'Password reset successful.' });
     } catch (error) {
         res.status(400).json({ message: error.message || 'Invalid reset link.' });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Active password rules (for client-side hints)
+ */
+exports.getPasswordPolicy = async (req, res, next) => {
+    try {
+        res.json({
+            policy: passwordPolicyService.getRequirements()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unlock an account from the link in the lockout email
+ */
+exports.unlockAccount = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(422).json({
+                message: 'Unlock token is required.'
+            });
+        }
+
+        const payload = jwt.decode(token);
+        const user = payload?.id ? await User.findByPk(payload.id) : null;
+
+        if (!user) {
+            return res.status(400).json({
+                message: 'Invalid or expired unlock link.',
+                code: 'INVALID_UNLOCK_TOKEN'
+            });
+        }
+
+        try {
+            jwtService.verifyActionToken(token, 'account_unlock');
+        } catch (e) {
+            return res.status(400).json({
+                message: 'Invalid or expired unlock link.',
+                code: 'INVALID_UNLOCK_TOKEN'
+            });
+        }
+
+        // Link is tied to the lock it was sent for - a newer lock needs a newer link
+        if (!jwtService.isCurrentLink(payload.version, user.locked_until)) {
+            return res.status(400).json({
+                message: 'This unlock link has already been used or is no longer valid.',
+                code: 'INVALID_UNLOCK_TOKEN'
+            });
+        }
+
+        await loginThrottleService.reset(user);
+
+        await auditService.log(req, 'auth.account_unlocked', { actor: user, target: user });
+
+        res.json({
+            message: 'Your account has been unlocked. You can now log in.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * OAuth state cookie (start -> callback). Lax so it survives the provider's top-level redirect.
+ */
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const OAUTH_STATE_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'Lax',
+    path: '/api/v1/auth/oauth',
+    maxAge: 10 * 60 * 1000 // 10 minutes
+};
+
+const oauthError = (message, code, statusCode) => {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Find the user for a verified provider identity, creating one if needed.
+ * Returns { user } or { linkRequired: user } when a local account already owns the email.
+ */
+const resolveOAuthUser = async (identity) => {
+    // 1. Identity already linked
+    const linked = await User.findOne({
+        where: { provider: identity.provider, provider_id: identity.provider_id }
+    });
+    if (linked) return { user: linked };
+
+    if (!identity.email) {
+        throw oauthError('Your account did not share an email address. Please allow email access and try again.', 'OAUTH_EMAIL_REQUIRED', 422);
+    }
+
+    if (!identity.email_verified) {
+        throw oauthError('Your email address is not verified with this provider.', 'OAUTH_EMAIL_UNVERIFIED', 422);
+    }
+
+    // 2. Existing account with the same email
+    const existing = await User.findByEmail(identity.email);
+    if (existing) {
+        if (existing.provider_id) {
+            throw oauthError('This email is already linked to another sign-in method.', 'OAUTH_ACCOUNT_CONFLICT', 409);
+        }
+        return { linkRequired: existing };
+    }
+
+    // 3. New account
+    const user = await User.create({
+        email: identity.email,
+        password: null,
+        name: identity.name,
+        role: 'player',
+        provider: identity.provider,
+        provider_id: identity.provider_id,
+        email_verified_at: new Date()
+    });
+
+    return { user };
+};
+
+const assertCanSignIn = (user) => {
+    if (!user.canSignIn()) {
+        throw oauthError('This account is not active.', 'ACCOUNT_INACTIVE', 403);
+    }
+};
+
+/**
+ * Sign-in failures (bad token, inactive account, ...) count towards the per-IP limit
+ */
+const recordOAuthFailure = async (req, error) => {
+    const reason = error.code ? error.code.toLowerCase() : 'oauth_failed';
+    await loginThrottleService.recordFailure(null, null, getDeviceInfo(req), reason, 'oauth');
+};
+
+/**
+ * OAuth errors (here and in OAuthService) carry their code and status; anything else is unexpected
+ */
+const sendOAuthError = (res, error, next) => {
+    if (error.code && error.statusCode) {
+        return res.status(error.statusCode).json({
+            message: error.message,
+            code: error.code
+        });
+    }
+    next(error);
+};
+
+/**
+ * Start OAuth sign-in (redirects to provider)
+ */
+exports.oauthStart = async (req, res, next) => {
+    try {
+        const { provider } = req.params;
+
+        if (!oauthService.isEnabled(provider)) {
+            return res.status(404).json({
+                message: 'Sign-in provider not available.',
+                code: 'OAUTH_PROVIDER_UNAVAILABLE'
+            });
+        }
+
+        const params = oauthService.createAuthorizationParams();
+        const authorizationUrl = await oauthService.getAuthorizationUrl(provider, params);
+
+        res.cookie(OAUTH_STATE_COOKIE, jwtService.generateOAuthStateToken(provider, params), OAUTH_STATE_COOKIE_OPTIONS);
+        res.redirect(authorizationUrl);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * OAuth provider callback (authorization code flow)
+ * Always redirects back to the frontend with a status.
+ */
+exports.oauthCallback = async (req, res) => {
+    const { provider } = req.params;
+    const redirectTo = (params) => {
+        res.clearCookie(OAUTH_STATE_COOKIE, { path: OAUTH_STATE_COOKIE_OPTIONS.path });
+        res.redirect(`${process.env.FRONTEND_URL}/oauth/callback?${new URLSearchParams({ provider, ...params }).toString()}`);
+    };
+
+    try {
+        const { code, state, error: providerError } = req.query;
+
+        if (providerError) {
+            return redirectTo({ status: 'error', code: 'OAUTH_DENIED' });
+        }
+
+        // Validate state against the cookie set in oauthStart
+        let stored;
+        try {
+            stored = jwtService.verifyActionToken(req.cookies[OAUTH_STATE_COOKIE], 'oauth_state');
+        } catch (e) {
+            return redirectTo({ status: 'error', code: 'OAUTH_STATE_EXPIRED' });
+        }
+
+        if (!code || stored.provider !== provider || stored.state !== state) {
+            return redirectTo({ status: 'error', code: 'OAUTH_STATE_MISMATCH' });
+        }
+
+        const ipCheck = await loginThrottleService.checkIp(getDeviceInfo(req).ip_address);
+        if (ipCheck.blocked) {
+            return redirectTo({ status: 'error', code: 'LOGIN_THROTTLED' });
+        }
+
+        const idToken = await oauthService.exchangeCode(provider, code, stored.code_verifier);
+        const identity = await oauthService.verifyIdToken(provider, idToken, stored.nonce);
+        const result = await resolveOAuthUser(identity);
+
+        if (result.linkRequired) {
+            return redirectTo({
+                status: 'link_required',
+                email: result.linkRequired.email,
+                link_token: jwtService.generateAccountLinkToken(result.linkRequired, identity)
+            });
+        }
+
+        assertCanSignIn(result.user);
+
+        // Second factor required - the frontend completes sign-in through /mfa/verify
+        if (result.user.hasMfaEnabled()) {
+            return redirectTo({
+                status: 'mfa_required',
+                mfa_token: jwtService.generateMfaPendingToken(result.user, 'oauth')
+            });
+        }
+
+        await loginThrottleService.recordSuccess(result.user, getDeviceInfo(req), 'oauth');
+
+        const tokens = await jwtService.issueTokens(result.user, { ...getDeviceInfo(req), auth_method: 'oauth' });
+        await result.user.updateLastLogin();
+
+        // Access token is obtained by the frontend through /refresh
+        setRefreshCookie(res, tokens.refreshToken);
+
+        redirectTo({ status: 'success' });
+    } catch (error) {
+        console.error(`[OAuth] ${provider} callback failed:`, error.message);
+        await recordOAuthFailure(req, error);
+        redirectTo({ status: 'error', code: error.code || 'OAUTH_FAILED' });
+    }
+};
+
+/**
+ * Sign in with a provider ID token obtained by the client (mobile / One Tap)
+ */
+exports.oauthToken = async (req, res, next) => {
+    try {
+        const { provider } = req.params;
+        const { id_token, nonce } = req.body;
+
+        if (!id_token) {
+            return res.status(422).json({
+                message: 'Identity token is required.',
+                errors: {
+                    id_token: ['Identity token is required']
+                }
+            });
+        }
+
+        // Same brute-force protection as password login
+        const ipCheck = await loginThrottleService.checkIp(getDeviceInfo(req).ip_address);
+        if (ipCheck.blocked) {
+            return sendIpThrottled(res, ipCheck.retryAfter);
+        }
+
+        const identity = await oauthService.verifyIdToken(provider, id_token, nonce || null);
+        const result = await resolveOAuthUser(identity);
+
+        if (result.linkRequired) {
+            return res.status(409).json({
+                message: 'An account with this email already exists. Confirm your password to link it.',
+                code: 'ACCOUNT_LINK_REQUIRED',
+                email: result.linkRequired.email,
+                link_token: jwtService.generateAccountLinkToken(result.linkRequired, identity)
+            });
+        }
+
+        assertCanSignIn(result.user);
+
+        if (result.user.hasMfaEnabled()) {
+            return res.json({
+                message: 'Two-factor authentication required.',
+                mfa_required: true,
+                mfa_token: jwtService.generateMfaPendingToken(result.user, 'oauth')
+            });
+        }
+
+        await loginThrottleService.recordSuccess(result.user, getDeviceInfo(req), 'oauth');
+
+        const tokens = await jwtService.issueTokens(result.user, { ...getDeviceInfo(req), auth_method: 'oauth' });
+        await result.user.updateLastLogin();
+
+        setRefreshCookie(res, tokens.refreshToken);
+
+        res.json({
+            message: 'Login successful',
+            token: tokens.accessToken,
+            user: result.user.toJSON()
+        });
+    } catch (error) {
+        await recordOAuthFailure(req, error);
+        sendOAuthError(res, error, next);
+    }
+};
+
+/**
+ * Link a provider identity to an existing local account (requires password)
+ */
+exports.oauthLink = async (req, res, next) => {
+    try {
+        const { link_token, password } = req.body;
+
+        if (!link_token || !password) {
+            return res.status(422).json({
+                message: 'Link token and password are required.',
+                errors: {
+                    link_token: !link_token ? ['Link token is required'] : [],
+                    password: !password ? ['Password is required'] : []
+                }
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = jwtService.verifyActionToken(link_token, 'oauth_link');
+        } catch (e) {
+            return res.status(400).json({
+                message: 'Link request invalid or expired. Please sign in with the provider again.',
+                code: 'INVALID_LINK_TOKEN'
+            });
+        }
+
+        const deviceInfo = getDeviceInfo(req);
+
+        // Same brute-force protection as password login
+        const ipCheck = await loginThrottleService.checkIp(deviceInfo.ip_address);
+        if (ipCheck.blocked) {
+            return sendIpThrottled(res, ipCheck.retryAfter);
+        }
+
+        const user = await User.scope('withPassword').findByPk(decoded.id);
+
+        if (!user || !user.password) {
+            await loginThrottleService.recordFailure(null, null, deviceInfo, 'invalid_password', 'oauth');
+            return res.status(401).json({
+                message: 'Invalid password.'
+            });
+        }
+
+        const accountCheck = loginThrottleService.checkAccount(user);
+        if (accountCheck.locked) {
+            await loginThrottleService.recordFailure(null, user.email, deviceInfo, 'account_locked', 'oauth');
+            return sendAccountLocked(res, accountCheck.lockedUntil);
+        }
+        if (accountCheck.throttled) {
+            return sendAccountThrottled(res, accountCheck.retryAfter);
+        }
+
+        if (!(await user.validatePassword(password))) {
+            const result = await loginThrottleService.recordFailure(user, user.email, deviceInfo, 'invalid_password', 'oauth');
+
+            if (result.justLocked) {
+                await sendUnlockEmail(user);
+            }
+            if (result.locked) {
+                return sendAccountLocked(res, result.lockedUntil);
+            }
+
+            return res.status(401).json({
+                message: 'Invalid password.'
+            });
+        }
+
+        if (user.provider_id && user.provider_id !== decoded.provider_id) {
+            return res.status(409).json({
+                message: 'This account is already linked to another sign-in method.',
+                code: 'OAUTH_ACCOUNT_CONFLICT'
+            });
+        }
+
+        user.provider = decoded.provider;
+        user.provider_id = decoded.provider_id;
+        // The provider confirmed ownership of this email
+        if (!user.email_verified_at) {
+            user.email_verified_at = new Date();
+        }
+        await user.save();
+
+        assertCanSignIn(user);
+
+        // The link is saved, but signing in still needs the second factor
+        if (user.hasMfaEnabled()) {
+            return res.json({
+                message: 'Account linked. Two-factor authentication required.',
+                mfa_required: true,
+                mfa_token: jwtService.generateMfaPendingToken(user, 'oauth')
+            });
+        }
+
+        await loginThrottleService.recordSuccess(user, deviceInfo, 'oauth');
+
+        const tokens = await jwtService.issueTokens(user, { ...deviceInfo, auth_method: 'oauth' });
+        await user.updateLastLogin();
+
+        setRefreshCookie(res, tokens.refreshToken);
+
+        res.json({
+            message: 'Account linked successfully',
+            token: tokens.accessToken,
+            user: user.toJSON()
+        });
+    } catch (error) {
+        await recordOAuthFailure(req, error);
+        sendOAuthError(res, error, next);
+    }
+};
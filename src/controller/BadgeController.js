@@ -0,0 +1,283 @@
+// controllers/BadgeController.js
+const { Badge, Module, UserBadge } = require('../model');
+const badgeService = require('../services/BadgeService');
+const fileStorageService = require('../services/FileStorageService');
+const auditService = require('../services/AuditService');
+
+const BADGE_FIELDS = ['slug', 'name', 'description', 'criteria', 'is_active', 'is_secret'];
+
+const pickFields = (body, fields) => Object.fromEntries(
+    fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * 422 for model validation errors, 409 for a taken slug, or null for other errors
+ */
+const saveFailed = (res, error) => {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+            message: 'Another badge already uses this slug.',
+            code: 'BADGE_SLUG_TAKEN'
+        });
+    }
+
+    if (error.name !== 'SequelizeValidationError') return null;
+
+    const errors = {};
+    for (const item of error.errors) {
+        (errors[item.path] = errors[item.path] || []).push(item.message);
+    }
+
+    return res.status(422).json({
+        message: error.errors[0].message,
+        errors
+    });
+};
+
+/**
+ * module_completed rules must name an existing module
+ */
+const unknownModuleResponse = async (res, criteria) => {
+    if (!criteria || criteria.type !== 'module_completed' || !Number.isInteger(criteria.module_id)) return null;
+    if (await Module.count({ where: { id: criteria.module_id } })) return null;
+
+    return res.status(422).json({
+        message: 'The module in the badge criteria does not exist.',
+        errors: { criteria: [`Unknown module id: ${criteria.module_id}`] }
+    });
+};
+
+const findBadge = async (req, res) => {
+    const badge = await Badge.findByPk(req.params.id);
+
+    if (!badge) {
+        res.status(404).json({
+            message: 'Badge not found'
+        });
+        return null;
+    }
+
+    return badge;
+};
+
+const auditBadge = (req, action, badge, extra = {}) => auditService.log(req, action, {
+    metadata: { badge_id: badge.id, slug: badge.slug },
+    ...extra
+});
+
+// ==================== LEARNERS ====================
+
+/**
+ * Badge catalog with the signed-in user's awards
+ */
+exports.getCatalog = async (req, res, next) => {
+    try {
+        res.json({
+            badges: await badgeService.getCatalog(req.user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Badges the signed-in user has earned
+ */
+exports.getMyBadges = async (req, res, next) => {
+    try {
+        res.json({
+            badges: await badgeService.getUserBadges(req.user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==================== MANAGEMENT (admins) ====================
+
+/**
+ * Every badge, with how many users earned it
+ */
+exports.getBadges = async (req, res, next) => {
+    try {
+        const [badges, counts] = await Promise.all([
+            Badge.findAll({ order: [['id', 'ASC']] }),
+            UserBadge.count({ group: ['badge_id'] })
+        ]);
+        const countsByBadge = new Map(counts.map(row => [row.badge_id, parseInt(row.count)]));
+
+        res.json({
+            badges: badges.map(badge => ({
+                ...badge.toJSON(),
+                awarded_count: countsByBadge.get(badge.id) || 0
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a badge
+ * Body: { name, slug?, description, criteria: { type, ... }, is_active, is_secret }
+ * Awards start with the learners' next progress.
+ */
+exports.createBadge = async (req, res, next) => {
+    try {
+        const fields = pickFields(req.body, BADGE_FIELDS);
+
+        if (await unknownModuleResponse(res, fields.criteria)) return;
+
+        const badge = await Badge.create({
+            ...fields,
+            created_by: req.user.id
+        });
+
+        await auditBadge(req, 'badge.created', badge, {
+            changes: { criteria: badge.criteria }
+        });
+
+        res.status(201).json({
+            message: 'Badge created.',
+            badge: badge.toJSON()
+        });
+    } catch (error) {
+        if (saveFailed(res, error)) return;
+        next(error);
+    }
+};
+
+/**
+ * Edit a badge. Changing the rule does not take back awards already made.
+ */
+exports.updateBadge = async (req, res, next) => {
+    try {
+        const badge = await findBadge(req, res);
+        if (!badge) return;
+
+        const fields = pickFields(req.body, BADGE_FIELDS);
+
+        if (await unknownModuleResponse(res, fields.criteria)) return;
+
+        const before = { criteria: badge.criteria, is_active: badge.is_active };
+        badge.set(fields);
+        await badge.save();
+
+        await auditBadge(req, 'badge.updated', badge, {
+            changes: {
+                fields: Object.keys(fields),
+                before,
+                after: { criteria: badge.criteria, is_active: badge.is_active }
+            }
+        });
+
+        res.json({
+            message: 'Badge updated.',
+            badge: badge.toJSON()
+        });
+    } catch (error) {
+        if (saveFailed(res, error)) return;
+        next(error);
+    }
+};
+
+/**
+ * Delete a badge nobody has earned yet; earned badges are retired instead
+ * (is_active: false) so learners keep them
+ */
+exports.deleteBadge = async (req, res, next) => {
+    try {
+        const badge = await findBadge(req, res);
+        if (!badge) return;
+
+        if (await UserBadge.count({ where: { badge_id: badge.id } })) {
+            return res.status(409).json({
+                message: 'Learners have earned this badge. Deactivate it instead of deleting it.',
+                code: 'BADGE_AWARDED'
+            });
+        }
+
+        await badge.destroy();
+
+        if (badge.image_key) {
+            await fileStorageService.deleteFile(badge.image_key).catch(() => {});
+        }
+
+        await auditBadge(req, 'badge.deleted', badge);
+
+        res.json({
+            message: 'Badge deleted.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Upload the badge image (form field: file); it replaces the previous one
+ */
+exports.uploadImage = async (req, res, next) => {
+    try {
+        const badge = await findBadge(req, res);
+        if (!badge) return;
+
+        if (!req.file) {
+            return res.status(400).json({
+                message: 'No file uploaded'
+            });
+        }
+
+        const validation = fileStorageService.validateFile({
+            buffer: req.file.buffer,
+            size: req.file.size,
+            mimetype: req.file.mimetype,
+            originalFilename: req.file.originalname
+        }, 'image');
+
+        if (validation.valid && !fileStorageService.config.allowedTypes.images.includes(req.file.mimetype)) {
+            validation.errors.push('Badge images must be JPEG, PNG, GIF or WebP');
+        }
+
+        if (validation.errors.length > 0) {
+            return res.status(400).json({
+                message: 'File validation failed',
+                errors: validation.errors
+            });
+        }
+
+        let result;
+        try {
+            result = await fileStorageService.uploadBadgeImage(req.file.buffer, badge.id);
+        } catch (error) {
+            return res.status(400).json({
+                message: error.message,
+                code: 'UPLOAD_REJECTED'
+            });
+        }
+
+        const previousKey = badge.image_key;
+        badge.image_key = result.key;
+
+        try {
+            await badge.save({ fields: ['image_key'] });
+        } catch (error) {
+            await fileStorageService.deleteFile(result.key).catch(() => {});
+            throw error;
+        }
+
+        if (previousKey) {
+            await fileStorageService.deleteFile(previousKey).catch(() => {});
+        }
+
+        await auditBadge(req, 'badge.image_updated', badge);
+
+        res.json({
+            message: 'Badge image updated.',
+            badge: badge.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
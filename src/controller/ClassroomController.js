@@ -0,0 +1,313 @@
+// controllers/ClassroomController.js
+const { Classroom, ClassroomMember, sequelize } = require('../model');
+const progressService = require('../services/ProgressService');
+const auditService = require('../services/AuditService');
+
+/**
+ * Load a class the signed-in educator runs (admins: any class)
+ */
+const findManagedClassroom = async (req, res) => {
+    const classroom = await Classroom.findByPk(req.params.id);
+
+    if (!classroom || !classroom.isManagedBy(req.user)) {
+        res.status(404).json({
+            message: 'Class not found'
+        });
+        return null;
+    }
+
+    return classroom;
+};
+
+const nameError = (name) => {
+    if (typeof name !== 'string' || !name.trim()) return 'Name is required';
+    if (name.trim().length > 120) return 'Name must be at most 120 characters';
+    return null;
+};
+
+// ==================== EDUCATORS ====================
+
+/**
+ * Classes run by the signed-in educator
+ */
+exports.getClassrooms = async (req, res, next) => {
+    try {
+        const classrooms = await Classroom.findAll({
+            where: { educator_id: req.user.id },
+            attributes: {
+                include: [[
+                    sequelize.literal('(SELECT COUNT(*) FROM ClassroomMembers WHERE ClassroomMembers.classroom_id = Classroom.id)'),
+                    'member_count'
+                ]]
+            },
+            order: [['archived_at', 'ASC'], ['name', 'ASC']]
+        });
+
+        res.json({
+            classrooms: classrooms.map(classroom => classroom.toJSON())
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a class; learners join it with the generated code
+ */
+exports.createClassroom = async (req, res, next) => {
+    try {
+        const error = nameError(req.body.name);
+        if (error) {
+            return res.status(422).json({
+                message: error,
+                errors: { name: [error] }
+            });
+        }
+
+        const classroom = await Classroom.create({
+            name: req.body.name.trim(),
+            educator_id: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Class created.',
+            classroom: classroom.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Class with its members
+ */
+exports.getClassroom = async (req, res, next) => {
+    try {
+        const classroom = await findManagedClassroom(req, res);
+        if (!classroom) return;
+
+        const members = await ClassroomMember.findByClassroom(classroom.id);
+
+        res.json({
+            classroom: classroom.toJSON(),
+            members: members
+                .filter(member => member.user && member.user.account_status !== 'deleted')
+                .map(member => ({
+                    id: member.user.id,
+                    name: member.user.name,
+                    email: member.user.email,
+                    avatar_url: member.user.getAvatarUrl(),
+                    joined_at: member.joined_at
+                }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Rename or archive a class
+ * Body: { name?, archived? }
+ */
+exports.updateClassroom = async (req, res, next) => {
+    try {
+        const classroom = await findManagedClassroom(req, res);
+        if (!classroom) return;
+
+        const { name, archived } = req.body;
+
+        if (name !== undefined) {
+            const error = nameError(name);
+            if (error) {
+                return res.status(422).json({
+                    message: error,
+                    errors: { name: [error] }
+                });
+            }
+            classroom.name = name.trim();
+        }
+
+        if (archived !== undefined) {
+            classroom.archived_at = archived ? (classroom.archived_at || new Date()) : null;
+        }
+
+        await classroom.save();
+
+        res.json({
+            message: 'Class updated.',
+            classroom: classroom.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Issue a new join code (the old one stops working)
+ */
+exports.regenerateJoinCode = async (req, res, next) => {
+    try {
+        const classroom = await findManagedClassroom(req, res);
+        if (!classroom) return;
+
+        await classroom.regenerateJoinCode();
+
+        res.json({
+            message: 'Join code changed.',
+            classroom: classroom.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a class (learners' progress is kept - it belongs to them)
+ */
+exports.deleteClassroom = async (req, res, next) => {
+    try {
+        const classroom = await findManagedClassroom(req, res);
+        if (!classroom) return;
+
+        await classroom.destroy();
+
+        res.json({
+            message: 'Class deleted.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove a learner from a class
+ */
+exports.removeMember = async (req, res, next) => {
+    try {
+        const classroom = await findManagedClassroom(req, res);
+        if (!classroom) return;
+
+        const removed = await ClassroomMember.destroy({
+            where: { classroom_id: classroom.id, user_id: req.params.userId }
+        });
+
+        if (!removed) {
+            return res.status(404).json({
+                message: 'Learner is not in this class'
+            });
+        }
+
+        await auditService.log(req, 'classroom.member_removed', {
+            target: { id: parseInt(req.params.userId) },
+            metadata: { classroom_id: classroom.id }
+        });
+
+        res.json({
+            message: 'Learner removed from the class.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Progress rollup for a class (learners who hide their progress are counted, not shown)
+ */
+exports.getClassroomProgress = async (req, res, next) => {
+    try {
+        const classroom = await findManagedClassroom(req, res);
+        if (!classroom) return;
+
+        const rollup = await progressService.getClassroomRollup(classroom);
+
+        res.json({
+            classroom: classroom.toJSON(),
+            ...rollup
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==================== LEARNERS ====================
+
+/**
+ * Classes the signed-in user has joined
+ */
+exports.getJoinedClassrooms = async (req, res, next) => {
+    try {
+        const classrooms = await Classroom.findJoinedBy(req.user.id);
+
+        res.json({
+            classrooms: classrooms.map(classroom => ({
+                id: classroom.id,
+                name: classroom.name,
+                educator: classroom.educator ? { id: classroom.educator.id, name: classroom.educator.name } : null,
+                joined_at: classroom.members[0].joined_at
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Join a class with its code
+ * Body: { join_code }
+ */
+exports.joinClassroom = async (req, res, next) => {
+    try {
+        const classroom = await Classroom.findByJoinCode(req.body.join_code);
+
+        if (!classroom) {
+            return res.status(404).json({
+                message: 'No class found for this code. Check the code with your educator.',
+                code: 'INVALID_JOIN_CODE'
+            });
+        }
+
+        if (classroom.educator_id === req.user.id) {
+            return res.status(409).json({
+                message: 'You run this class.',
+                code: 'OWN_CLASSROOM'
+            });
+        }
+
+        const [, created] = await ClassroomMember.findOrCreate({
+            where: { classroom_id: classroom.id, user_id: req.user.id },
+            defaults: { classroom_id: classroom.id, user_id: req.user.id, joined_at: new Date() }
+        });
+
+        res.status(created ? 201 : 200).json({
+            message: created ? `You joined ${classroom.name}.` : `You are already in ${classroom.name}.`,
+            classroom: { id: classroom.id, name: classroom.name }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Leave a class
+ */
+exports.leaveClassroom = async (req, res, next) => {
+    try {
+        const removed = await ClassroomMember.destroy({
+            where: { classroom_id: req.params.id, user_id: req.user.id }
+        });
+
+        if (!removed) {
+            return res.status(404).json({
+                message: 'You are not in this class'
+            });
+        }
+
+        res.json({
+            message: 'You left the class.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
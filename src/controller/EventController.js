@@ -0,0 +1,38 @@
+// controllers/EventController.js
+const { Session } = require('../model');
+const realtimeService = require('../services/RealtimeService');
+const notificationService = require('../services/NotificationService');
+
+/**
+ * Server-Sent Events stream for the signed-in user
+ * Events: ready, notification, account_status, session_revoked, token_expired, resync
+ */
+exports.stream = async (req, res, next) => {
+    try {
+        // A revoked sign-in must not reconnect while its access token is still valid
+        const session = await Session.findByJti(req.jti);
+
+        if (!session || !session.isActive() || session.user_id !== req.user.id) {
+            return res.status(401).json({
+                message: 'This session has been revoked.',
+                code: 'SESSION_REVOKED'
+            });
+        }
+
+        // Current state so a fresh tab does not wait for the first event
+        const unreadCount = await notificationService.unreadCount(req.user.id);
+
+        realtimeService.connect(req, res, {
+            familyId: session.family_id,
+            expiresAt: req.tokenExpiresAt,
+            ready: {
+                account_status: req.user.account_status,
+                unread_count: unreadCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
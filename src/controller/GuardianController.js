@@ -1,5 +1,24 @@
 // controllers/GuardianController.js
-const { UserGuardian } = require('../model');
+const { UserGuardian, sequelize } = require('../model');
+const guardianConsentService = require('../services/GuardianConsentService');
+const jwtService = require('../services/JwtService');
+const emailService = require('../services/EmailService');
+const auditService = require('../services/AuditService');
+const guardianContactService = require('../services/GuardianContactService');
+const { getDeviceInfo } = require('../middleware/AuthMiddleware');
+
+/**
+ * Send the consent request when a minor's primary guardian is set or their email changes
+ * @returns {Promise<boolean>} - Whether an email went out
+ */
+const requestConsentIfNeeded = async (user, guardian, emailChanged = true) => {
+    if (!user.isPendingGuardianConsent() || !guardian.is_primary || !guardian.email || !emailChanged) {
+        return false;
+    }
+
+    const { sent } = await guardianConsentService.requestConsent(user);
+    return sent;
+};
 
 /**
  * Get all guardians for current user
@@ -20,6 +39,9 @@ exports.getGuardians = async (req, res, next) => {
                 email: g.email,
                 address: g.address,
                 is_primary: g.is_primary,
+                ...guardianContactService.toVerificationJSON(g),
+                linked: g.isLinked(),
+                invited_at: g.invited_at,
                 created_at: g.created_at
             }))
         });
@@ -68,8 +90,11 @@ exports.addGuardian = async (req, res, next) => {
             is_primary: is_primary || false
         });
 
+        const consentRequested = await requestConsentIfNeeded(req.user, guardian);
+
         res.status(201).json({
             message: 'Guardian added successfully',
+            consent_requested: consentRequested,
             guardian: {
                 id: guardian.id,
                 guardian_type: guardian.guardian_type,
@@ -79,6 +104,7 @@ exports.addGuardian = async (req, res, next) => {
                 email: guardian.email,
                 address: guardian.address,
                 is_primary: guardian.is_primary,
+                ...guardianContactService.toVerificationJSON(guardian),
                 created_at: guardian.created_at
             }
         });
@@ -131,10 +157,15 @@ exports.updateGuardian = async (req, res, next) => {
         if (address !== undefined) guardian.address = address;
         if (is_primary !== undefined) guardian.is_primary = is_primary;
 
+        const consentContactChanged = guardian.changed('email') || guardian.changed('is_primary');
+
         await guardian.save();
 
+        const consentRequested = await requestConsentIfNeeded(req.user, guardian, consentContactChanged);
+
         res.json({
             message: 'Guardian updated successfully',
+            consent_requested: consentRequested,
             guardian: {
                 id: guardian.id,
                 guardian_type: guardian.guardian_type,
@@ -144,6 +175,7 @@ exports.updateGuardian = async (req, res, next) => {
                 email: guardian.email,
                 address: guardian.address,
                 is_primary: guardian.is_primary,
+                ...guardianContactService.toVerificationJSON(guardian),
                 created_at: guardian.created_at
             }
         });
@@ -188,4 +220,321 @@ exports.deleteGuardian = async (req, res, next) => {
     }
 };
 
+/**
+ * Load one of the current user's guardian records
+ */
+const findOwnGuardian = async (req, res) => {
+    const guardian = await UserGuardian.findByPk(req.params.id);
+
+    if (!guardian || guardian.user_id !== req.user.id) {
+        res.status(404).json({
+            message: 'Guardian not found'
+        });
+        return null;
+    }
+
+    return guardian;
+};
+
+const CONTACT_CHANNELS = ['email', 'sms'];
+
+const invalidChannel = (res) => res.status(422).json({
+    message: 'Channel must be email or sms.',
+    errors: {
+        channel: ['Channel must be email or sms']
+    }
+});
+
+/**
+ * Send a verification code to a guardian's email or phone
+ */
+exports.sendContactVerification = async (req, res, next) => {
+    try {
+        const { channel } = req.params;
+        if (!CONTACT_CHANNELS.includes(channel)) return invalidChannel(res);
+
+        const guardian = await findOwnGuardian(req, res);
+        if (!guardian) return;
+
+        const { sent, reason } = await guardianContactService.sendCode(guardian, channel, req.user);
+
+        if (reason === 'already_verified') {
+            return res.status(400).json({
+                message: 'This contact is already verified.',
+                code: 'CONTACT_ALREADY_VERIFIED'
+            });
+        }
+        if (!sent) {
+            return res.status(422).json({
+                message: channel === 'email' ? 'This guardian has no email address.' : 'This guardian has no phone number.',
+                code: 'NO_CONTACT'
+            });
+        }
+
+        res.json({
+            message: channel === 'email'
+                ? 'Verification email sent to your guardian.'
+                : 'Verification code sent to your guardian by SMS.',
+            expires_in_minutes: guardianContactService.config.codeTtlMinutes
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm a guardian contact with the code they received
+ */
+exports.confirmContactVerification = async (req, res, next) => {
+    try {
+        const { channel } = req.params;
+        if (!CONTACT_CHANNELS.includes(channel)) return invalidChannel(res);
+
+        const guardian = await findOwnGuardian(req, res);
+        if (!guardian) return;
+
+        const { verified, reason } = await guardianContactService.confirmCode(guardian, channel, req.body.code);
+
+        if (!verified) {
+            const messages = {
+                expired: 'This code has expired. Request a new one.',
+                too_many_attempts: 'Too many incorrect attempts. Request a new code.',
+                invalid: 'Invalid verification code.'
+            };
+
+            return res.status(422).json({
+                message: messages[reason],
+                errors: {
+                    code: [messages[reason]]
+                }
+            });
+        }
+
+        res.json({
+            message: 'Contact verified.',
+            verification: guardianContactService.toVerificationJSON(guardian)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm a guardian email from the emailed link (public, token-based)
+ */
+exports.verifyContactEmail = async (req, res, next) => {
+    try {
+        const guardian = req.body.token
+            ? await guardianContactService.confirmEmailLink(req.body.token)
+            : null;
+
+        if (!guardian) {
+            return res.status(400).json({
+                message: 'This verification link is invalid, expired or has already been used.',
+                code: 'INVALID_VERIFICATION_LINK'
+            });
+        }
+
+        res.json({
+            message: 'Thank you. Your email address has been confirmed.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Invite a guardian to claim their record with a portal account
+ */
+exports.inviteGuardian = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const guardian = await findOwnGuardian(req, res);
+        if (!guardian) return;
+
+        if (guardian.isLinked()) {
+            return res.status(400).json({
+                message: 'This guardian has already linked an account.',
+                code: 'GUARDIAN_ALREADY_LINKED'
+            });
+        }
+
+        if (!guardian.email) {
+            return res.status(422).json({
+                message: 'Add an email address for this guardian first.',
+                errors: {
+                    email: ['Guardian email is required to send an invite']
+                }
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        // Newer invite invalidates older links
+        guardian.invited_at = new Date();
+        await guardian.save({ fields: ['invited_at'], transaction });
+
+        await emailService.sendGuardianInviteEmail(guardian, req.user, jwtService.generateGuardianInviteToken(guardian), { transaction });
+
+        await auditService.log(req, 'guardian.invited', {
+            target: req.user,
+            metadata: { guardian_id: guardian.id },
+            transaction
+        });
+
+        await transaction.commit();
+
+        res.json({
+            message: 'Invite sent to your guardian.',
+            invited_at: guardian.invited_at
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Guardian consent status for the current user
+ */
+exports.getConsentStatus = async (req, res, next) => {
+    try {
+        res.json(await guardianConsentService.getStatus(req.user));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Re-send the consent email to the primary guardian
+ */
+exports.resendConsentRequest = async (req, res, next) => {
+    try {
+        if (!req.user.needsGuardianConsent()) {
+            return res.status(400).json({
+                message: 'Guardian consent is not required for this account.',
+                code: 'CONSENT_NOT_REQUIRED'
+            });
+        }
+
+        const { sent, reason } = await guardianConsentService.requestConsent(req.user);
+
+        if (!sent) {
+            return res.status(422).json({
+                message: reason === 'no_primary_guardian'
+                    ? 'Add a primary guardian first.'
+                    : 'Your primary guardian needs an email address.',
+                code: reason === 'no_primary_guardian' ? 'NO_PRIMARY_GUARDIAN' : 'NO_GUARDIAN_EMAIL'
+            });
+        }
+
+        res.json({
+            message: 'Consent request sent to your guardian.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const invalidConsentLink = (res) => res.status(400).json({
+    message: 'This consent link is invalid, expired or has already been used.',
+    code: 'INVALID_CONSENT_LINK'
+});
+
+/**
+ * Details shown to the guardian before they respond (public, token-based)
+ */
+exports.getConsentRequest = async (req, res, next) => {
+    try {
+        const resolved = req.query.token
+            ? await guardianConsentService.resolveToken(req.query.token, 'guardian_consent')
+            : null;
+
+        if (!resolved) return invalidConsentLink(res);
+
+        const { user, guardian } = resolved;
+
+        res.json({
+            player: { name: user.name, email: user.email },
+            guardian: { full_name: guardian.full_name, relationship: guardian.relationship },
+            consent_age: guardianConsentService.config.consentAge
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Guardian grants or declines consent (public, token-based)
+ */
+exports.respondToConsent = async (req, res, next) => {
+    try {
+        const { token, decision } = req.body;
+
+        if (!['grant', 'decline'].includes(decision)) {
+            return res.status(422).json({
+                message: 'Decision must be grant or decline.',
+                errors: {
+                    decision: ['Decision must be grant or decline']
+                }
+            });
+        }
+
+        const resolved = token
+            ? await guardianConsentService.resolveToken(token, 'guardian_consent')
+            : null;
+
+        if (!resolved) return invalidConsentLink(res);
+
+        const { user, guardian } = resolved;
+
+        if (decision === 'grant' && user.guardian_consent_at) {
+            return res.status(400).json({
+                message: 'Consent has already been given.',
+                code: 'CONSENT_ALREADY_GIVEN'
+            });
+        }
+
+        await guardianConsentService.respond(
+            req,
+            user,
+            guardian,
+            decision === 'grant' ? 'granted' : 'declined',
+            getDeviceInfo(req)
+        );
+
+        res.json({
+            message: decision === 'grant'
+                ? 'Thank you. Your consent has been recorded.'
+                : 'Your decision has been recorded. The account stays restricted.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Guardian withdraws consent (public, token from the confirmation email)
+ */
+exports.withdrawConsent = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        const resolved = token
+            ? await guardianConsentService.resolveToken(token, 'guardian_consent_withdraw')
+            : null;
+
+        if (!resolved) return invalidConsentLink(res);
+
+        await guardianConsentService.withdraw(req, resolved.user, resolved.guardian, getDeviceInfo(req));
+
+        res.json({
+            message: 'Your consent has been withdrawn. Restricted features are locked again.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,390 @@
+// controllers/GuardianPortalController.js
+const { User, UserGuardian, UserPrivacySettings, SecurityEvent, sequelize } = require('../model');
+const jwtService = require('../services/JwtService');
+const passwordPolicyService = require('../services/PasswordPolicyService');
+const guardianConsentService = require('../services/GuardianConsentService');
+const guardianContactService = require('../services/GuardianContactService');
+const auditService = require('../services/AuditService');
+const progressService = require('../services/ProgressService');
+const badgeService = require('../services/BadgeService');
+const { getDeviceInfo } = require('../middleware/AuthMiddleware');
+
+const SAFETY_ALERT_DAYS = 90;
+
+const invalidInvite = (res) => res.status(400).json({
+    message: 'This invite is invalid, expired or has already been used.',
+    code: 'INVALID_GUARDIAN_INVITE'
+});
+
+/**
+ * Resolve an invite link to the guardian record it was sent for
+ * @returns {Promise<UserGuardian|null>}
+ */
+const resolveInvite = async (token) => {
+    if (!token) return null;
+
+    let decoded;
+    try {
+        decoded = jwtService.verifyActionToken(token, 'guardian_invite');
+    } catch (error) {
+        return null;
+    }
+
+    const guardian = await UserGuardian.findByPk(decoded.guardian_id, {
+        include: [{ model: User, as: 'user' }]
+    });
+
+    if (!guardian || guardian.isLinked() || !guardian.invited_at || !guardian.email) return null;
+
+    // Email changed or a newer invite was sent
+    if (guardian.email.toLowerCase() !== String(decoded.email).toLowerCase()) return null;
+    if (!jwtService.isCurrentLink(decoded.version, guardian.invited_at)) return null;
+
+    return guardian;
+};
+
+/**
+ * Link a guardian record to an account and consume the invite
+ */
+const linkGuardian = async (req, guardian, guardianUser, transaction) => {
+    guardian.guardian_user_id = guardianUser.id;
+    guardian.linked_at = new Date();
+    guardian.invited_at = null;
+    await guardian.save({ fields: ['guardian_user_id', 'linked_at', 'invited_at'], transaction });
+
+    // The invite went to this address
+    await guardianContactService.markEmailVerified(guardian, { transaction });
+
+    await auditService.log(req, 'guardian.linked', {
+        actor: guardianUser,
+        target: { id: guardian.user_id },
+        metadata: { guardian_id: guardian.id, guardian_user_id: guardianUser.id },
+        transaction
+    });
+};
+
+/**
+ * Load the link between the signed-in guardian and a ward
+ */
+const findWardLink = async (req, res) => {
+    const link = await UserGuardian.findWardLink(req.user.id, req.params.id);
+
+    if (!link || !link.user || link.user.account_status === 'deleted') {
+        res.status(404).json({
+            message: 'Ward not found'
+        });
+        return null;
+    }
+
+    return link;
+};
+
+const wardSummary = (link) => ({
+    id: link.user.id,
+    name: link.user.name,
+    avatar_url: link.user.getAvatarUrl(),
+    account_status: link.user.account_status,
+    relationship: link.relationship,
+    is_primary_guardian: link.is_primary,
+    guardian_consent: {
+        required: !!link.user.guardian_consent_required,
+        granted: !!link.user.guardian_consent_at,
+        granted_at: link.user.guardian_consent_at
+    },
+    linked_at: link.linked_at
+});
+
+/**
+ * Details shown before accepting an invite (public, token-based)
+ */
+exports.getInvite = async (req, res, next) => {
+    try {
+        const guardian = await resolveInvite(req.query.token);
+        if (!guardian) return invalidInvite(res);
+
+        const existingAccount = await User.findByEmail(guardian.email);
+
+        res.json({
+            ward: { name: guardian.user.name },
+            guardian: { full_name: guardian.full_name, email: guardian.email },
+            has_account: !!existingAccount
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Accept an invite by creating a guardian account (public, token-based)
+ * The invite proves ownership of the email, so the account starts verified.
+ */
+exports.acceptInvite = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const { token, name, password, password_confirmation } = req.body;
+
+        const guardian = await resolveInvite(token);
+        if (!guardian) return invalidInvite(res);
+
+        if (await User.findByEmail(guardian.email)) {
+            return res.status(409).json({
+                message: 'An account already exists for this email. Sign in and accept the invite from there.',
+                code: 'ACCOUNT_EXISTS'
+            });
+        }
+
+        if (!password) {
+            return res.status(422).json({
+                message: 'Password is required.',
+                errors: {
+                    password: ['Password is required']
+                }
+            });
+        }
+
+        if (password_confirmation && password !== password_confirmation) {
+            return res.status(422).json({
+                message: 'Passwords do not match.',
+                errors: {
+                    password: ['Passwords do not match']
+                }
+            });
+        }
+
+        const accountName = name || guardian.full_name;
+        const passwordErrors = await passwordPolicyService.validate(password, {
+            email: guardian.email,
+            name: accountName
+        });
+        if (passwordErrors.length > 0) {
+            return res.status(422).json({
+                message: passwordErrors[0],
+                errors: {
+                    password: passwordErrors
+                }
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        const guardianUser = await User.create({
+            email: guardian.email,
+            password,
+            name: accountName,
+            role: 'guardian',
+            email_verified_at: new Date()
+        }, { transaction });
+
+        await passwordPolicyService.recordPassword(guardianUser, password, { transaction });
+        await linkGuardian(req, guardian, guardianUser, transaction);
+
+        await transaction.commit();
+
+        res.status(201).json({
+            message: 'Guardian account created. Sign in to see your linked accounts.',
+            email: guardianUser.email
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Accept an invite with the signed-in account (must match the invited email)
+ */
+exports.claimInvite = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const guardian = await resolveInvite(req.body.token);
+        if (!guardian) return invalidInvite(res);
+
+        if (guardian.email.toLowerCase() !== req.user.email.toLowerCase()) {
+            return res.status(403).json({
+                message: 'This invite was sent to a different email address.',
+                code: 'INVITE_EMAIL_MISMATCH'
+            });
+        }
+
+        if (guardian.user_id === req.user.id) {
+            return res.status(400).json({
+                message: 'You cannot be your own guardian.',
+                code: 'SELF_ACTION_NOT_ALLOWED'
+            });
+        }
+
+        if (await UserGuardian.findWardLink(req.user.id, guardian.user_id)) {
+            return res.status(409).json({
+                message: 'You are already linked to this account.',
+                code: 'ALREADY_LINKED'
+            });
+        }
+
+        transaction = await sequelize.transaction();
+        await linkGuardian(req, guardian, req.user, transaction);
+        await transaction.commit();
+
+        res.json({
+            message: 'Invite accepted.',
+            ward: { id: guardian.user.id, name: guardian.user.name }
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * List wards linked to the signed-in guardian
+ */
+exports.getWards = async (req, res, next) => {
+    try {
+        const links = await UserGuardian.findWardLinks(req.user.id);
+
+        res.json({
+            wards: links
+                .filter(link => link.user && link.user.account_status !== 'deleted')
+                .map(wardSummary)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * One ward: progress and achievements (as the ward's privacy settings allow)
+ * and recent safety alerts
+ */
+exports.getWard = async (req, res, next) => {
+    try {
+        const link = await findWardLink(req, res);
+        if (!link) return;
+
+        const { Op } = sequelize.Sequelize;
+        const since = new Date(Date.now() - SAFETY_ALERT_DAYS * 24 * 60 * 60 * 1000);
+
+        const [privacy, alerts] = await Promise.all([
+            UserPrivacySettings.findOrCreateForUser(link.user.id),
+            SecurityEvent.findAll({
+                where: {
+                    user_id: link.user.id,
+                    severity: ['warning', 'critical'],
+                    created_at: { [Op.gte]: since }
+                },
+                order: [['created_at', 'DESC']],
+                limit: 20
+            })
+        ]);
+
+        const [progress, achievements] = await Promise.all([
+            privacy.show_progress ? progressService.getUserProgress(link.user.id) : null,
+            privacy.show_achievements ? badgeService.getUserBadges(link.user.id) : null
+        ]);
+
+        res.json({
+            ward: wardSummary(link),
+            progress,
+            achievements,
+            safety_alerts: alerts.map(event => ({
+                type: event.type,
+                severity: event.severity,
+                created_at: event.created_at
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Grant or withdraw consent from the portal (primary guardian only)
+ */
+exports.updateWardConsent = async (req, res, next) => {
+    try {
+        const { decision } = req.body;
+
+        if (!['grant', 'withdraw'].includes(decision)) {
+            return res.status(422).json({
+                message: 'Decision must be grant or withdraw.',
+                errors: {
+                    decision: ['Decision must be grant or withdraw']
+                }
+            });
+        }
+
+        const link = await findWardLink(req, res);
+        if (!link) return;
+
+        const ward = link.user;
+
+        if (!link.is_primary) {
+            return res.status(403).json({
+                message: 'Only the primary guardian can manage consent.',
+                code: 'NOT_PRIMARY_GUARDIAN'
+            });
+        }
+
+        if (!ward.guardian_consent_required) {
+            return res.status(400).json({
+                message: 'Guardian consent is not required for this account.',
+                code: 'CONSENT_NOT_REQUIRED'
+            });
+        }
+
+        if (decision === 'grant' && ward.guardian_consent_at) {
+            return res.status(400).json({
+                message: 'Consent has already been given.',
+                code: 'CONSENT_ALREADY_GIVEN'
+            });
+        }
+
+        if (decision === 'withdraw' && !ward.guardian_consent_at) {
+            return res.status(400).json({
+                message: 'There is no consent to withdraw.',
+                code: 'CONSENT_NOT_GIVEN'
+            });
+        }
+
+        if (decision === 'grant') {
+            await guardianConsentService.respond(req, ward, link, 'granted', getDeviceInfo(req), { actor: req.user });
+        } else {
+            await guardianConsentService.withdraw(req, ward, link, getDeviceInfo(req), { actor: req.user });
+        }
+
+        res.json({
+            message: decision === 'grant' ? 'Consent recorded.' : 'Consent withdrawn.',
+            ward: wardSummary(link)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unlink from a ward (the ward's guardian record stays)
+ */
+exports.unlinkWard = async (req, res, next) => {
+    try {
+        const link = await findWardLink(req, res);
+        if (!link) return;
+
+        link.guardian_user_id = null;
+        link.linked_at = null;
+        await link.save({ fields: ['guardian_user_id', 'linked_at'] });
+
+        await auditService.log(req, 'guardian.unlinked', {
+            target: { id: link.user_id },
+            metadata: { guardian_id: link.id }
+        });
+
+        res.json({
+            message: 'You are no longer linked to this account.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
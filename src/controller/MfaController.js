@@ -0,0 +1,313 @@
+// controllers/MfaController.js
+const { User, MfaRecoveryCode, sequelize } = require('../model');
+const jwtService = require('../services/JwtService');
+const totpService = require('../services/TotpService');
+const auditService = require('../services/AuditService');
+const loginThrottleService = require('../services/LoginThrottleService');
+const emailService = require('../services/EmailService');
+const { getDeviceInfo } = require('../middleware/AuthMiddleware');
+
+/**
+ * Count a failed confirmation towards the account lock
+ */
+const recordFailure = async (user, deviceInfo, reason, authMethod) => {
+    const result = await loginThrottleService.recordFailure(user, user.email, deviceInfo, reason, authMethod);
+
+    if (result.justLocked) {
+        try {
+            await emailService.sendAccountLockedEmail(user, jwtService.generateUnlockToken(user));
+        } catch (error) {
+            console.error(`[MFA] Failed to send unlock email to user ${user.id}:`, error.message);
+        }
+    }
+};
+
+const sendAccountLocked = (res, lockedUntil) => {
+    return res.status(423).json({
+        message: 'This account is temporarily locked after too many failed attempts. Check your email for an unlock link.',
+        code: 'ACCOUNT_LOCKED',
+        locked_until: lockedUntil
+    });
+};
+
+const sendAccountThrottled = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        message: `Too many failed attempts. Try again in ${retryAfter} seconds.`,
+        code: 'LOGIN_THROTTLED',
+        retry_after: retryAfter
+    });
+};
+
+/**
+ * Get two-factor authentication status
+ */
+exports.getStatus = async (req, res, next) => {
+    try {
+        const user = req.user;
+
+        res.json({
+            mfa_enabled: user.hasMfaEnabled(),
+            enabled_at: user.mfa_enabled_at,
+            recovery_codes_remaining: user.hasMfaEnabled()
+                ? await MfaRecoveryCode.countRemaining(user.id)
+                : 0
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start enrollment - generate a pending secret and provisioning URI
+ */
+exports.setup = async (req, res, next) => {
+    try {
+        const user = await User.scope('withMfaSecret').findByPk(req.user.id);
+
+        if (user.hasMfaEnabled()) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is already enabled.',
+                code: 'MFA_ALREADY_ENABLED'
+            });
+        }
+
+        const secret = totpService.generateSecret();
+
+        user.mfa_secret = totpService.encryptSecret(secret);
+        await user.save({ fields: ['mfa_secret'] });
+
+        res.json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+            secret, // For manual entry
+            otpauth_uri: totpService.getProvisioningUri(user, secret)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm enrollment with the first code and issue recovery codes
+ */
+exports.enable = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            await transaction.rollback();
+            return res.status(422).json({
+                message: 'Verification code is required.',
+                errors: {
+                    code: ['Verification code is required']
+                }
+            });
+        }
+
+        const user = await User.scope('withMfaSecret').findByPk(req.user.id, {
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+
+        if (user.hasMfaEnabled()) {
+            await transaction.rollback();
+            return res.status(400).json({
+                message: 'Two-factor authentication is already enabled.',
+                code: 'MFA_ALREADY_ENABLED'
+            });
+        }
+
+        if (!user.mfa_secret) {
+            await transaction.rollback();
+            return res.status(400).json({
+                message: 'Start two-factor setup first.',
+                code: 'MFA_SETUP_REQUIRED'
+            });
+        }
+
+        const step = totpService.verifyCode(totpService.decryptSecret(user.mfa_secret), code);
+
+        if (step === null) {
+            await transaction.rollback();
+            return res.status(422).json({
+                message: 'Invalid verification code.',
+                errors: {
+                    code: ['Invalid verification code']
+                }
+            });
+        }
+
+        user.mfa_enabled = true;
+        user.mfa_enabled_at = new Date();
+        user.mfa_last_used_step = step;
+        await user.save({ transaction });
+
+        const recoveryCodes = totpService.generateRecoveryCodes();
+        await MfaRecoveryCode.replaceForUser(user.id, recoveryCodes, { transaction });
+
+        await auditService.log(req, 'auth.mfa_enabled', { target: user, transaction });
+
+        await transaction.commit();
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+            recovery_codes: recoveryCodes
+        });
+    } catch (error) {
+        await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Regenerate recovery codes (invalidates the old set)
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        const user = await User.scope('withMfaSecret').findByPk(req.user.id);
+
+        if (!user.hasMfaEnabled()) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled.',
+                code: 'MFA_NOT_ENABLED'
+            });
+        }
+
+        // Same lock / backoff as sign-in, so a stolen session can't guess codes
+        const accountCheck = loginThrottleService.checkAccount(user);
+        if (accountCheck.locked) {
+            return sendAccountLocked(res, accountCheck.lockedUntil);
+        }
+        if (accountCheck.throttled) {
+            return sendAccountThrottled(res, accountCheck.retryAfter);
+        }
+
+        const step = totpService.verifyCode(
+            totpService.decryptSecret(user.mfa_secret),
+            code,
+            user.mfa_last_used_step
+        );
+
+        // A concurrent request may already have spent the same step
+        if (step === null || !(await User.claimMfaStep(user.id, step))) {
+            await recordFailure(user, getDeviceInfo(req), 'invalid_mfa_code', 'mfa');
+            return res.status(422).json({
+                message: 'Invalid verification code.',
+                errors: {
+                    code: ['Invalid verification code']
+                }
+            });
+        }
+
+        user.mfa_last_used_step = step;
+
+        const recoveryCodes = totpService.generateRecoveryCodes();
+        await MfaRecoveryCode.replaceForUser(user.id, recoveryCodes);
+
+        await auditService.log(req, 'auth.mfa_recovery_codes_regenerated', { target: user });
+
+        res.json({
+            message: 'New recovery codes generated. Your previous codes no longer work.',
+            recovery_codes: recoveryCodes
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Disable two-factor authentication (requires password)
+ */
+exports.disable = async (req, res, next) => {
+    try {
+        const { password, code } = req.body;
+
+        const user = await User.scope('withPassword').findByPk(req.user.id);
+
+        if (!user.hasMfaEnabled()) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled.',
+                code: 'MFA_NOT_ENABLED'
+            });
+        }
+
+        // Same lock / backoff as sign-in, so a stolen session can't guess the password
+        const accountCheck = loginThrottleService.checkAccount(user);
+        if (accountCheck.locked) {
+            return sendAccountLocked(res, accountCheck.lockedUntil);
+        }
+        if (accountCheck.throttled) {
+            return sendAccountThrottled(res, accountCheck.retryAfter);
+        }
+
+        const deviceInfo = getDeviceInfo(req);
+
+        if (user.password) {
+            if (!password) {
+                return res.status(422).json({
+                    message: 'Password is required to disable two-factor authentication.',
+                    errors: {
+                        password: ['Password is required']
+                    }
+                });
+            }
+
+            if (!(await user.validatePassword(password))) {
+                await recordFailure(user, deviceInfo, 'invalid_password', 'password');
+                return res.status(401).json({
+                    message: 'Incorrect password',
+                    errors: {
+                        password: ['Incorrect password']
+                    }
+                });
+            }
+        } else {
+            // OAuth-only accounts have no password - confirm with a current code instead
+            const { mfa_secret } = await User.scope('withMfaSecret').findByPk(user.id, {
+                attributes: ['id', 'mfa_secret']
+            });
+            const step = totpService.verifyCode(
+                totpService.decryptSecret(mfa_secret),
+                code,
+                user.mfa_last_used_step
+            );
+
+            if (step === null) {
+                await recordFailure(user, deviceInfo, 'invalid_mfa_code', 'mfa');
+                return res.status(422).json({
+                    message: 'Invalid verification code.',
+                    errors: {
+                        code: ['Invalid verification code']
+                    }
+                });
+            }
+        }
+
+        user.mfa_enabled = false;
+        user.mfa_secret = null;
+        user.mfa_enabled_at = null;
+        user.mfa_last_used_step = null;
+        await user.save();
+
+        await MfaRecoveryCode.destroy({ where: { user_id: user.id } });
+
+        await auditService.log(req, 'auth.mfa_disabled', { target: user });
+
+        await loginThrottleService.reset(user);
+
+        // Keep this session, sign out everywhere else
+        await jwtService.logoutOthers(user.id, req.jti);
+
+        res.json({
+            message: 'Two-factor authentication disabled. All other sessions have been logged out.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,857 @@
+// controllers/ModuleAuthoringController.js
+const { Module, Lesson, Quiz, File, sequelize } = require('../model');
+const fileStorageService = require('../services/FileStorageService');
+const auditService = require('../services/AuditService');
+
+const MODULE_FIELDS = ['title', 'summary', 'description', 'topic', 'age_band', 'estimated_minutes'];
+const LESSON_FIELDS = ['title', 'content', 'estimated_minutes'];
+const QUIZ_FIELDS = ['title', 'instructions', 'pass_percent', 'max_attempts', 'time_limit_seconds', 'shuffle_questions', 'shuffle_options'];
+const FILE_TYPES = ['thumbnail', 'resource', 'content'];
+
+// Videos get the larger upload limit
+const sizeLimitFor = (fileType, mimetype) => {
+    if (fileType === 'thumbnail') return 'image';
+    return String(mimetype).startsWith('video/') ? 'video' : 'default';
+};
+
+const pickFields = (body, fields) => Object.fromEntries(
+    fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * 422 response for model validation errors, or null for other errors
+ */
+const validationFailed = (res, error) => {
+    if (error.name !== 'SequelizeValidationError') return null;
+
+    const errors = {};
+    for (const item of error.errors) {
+        (errors[item.path] = errors[item.path] || []).push(item.message);
+    }
+
+    return res.status(422).json({
+        message: error.errors[0].message,
+        errors
+    });
+};
+
+/**
+ * Load a module the signed-in author (or an admin) may work on
+ */
+const findOwnModule = async (req, res) => {
+    const learningModule = await Module.findByPk(req.params.id);
+
+    if (!learningModule) {
+        res.status(404).json({
+            message: 'Module not found'
+        });
+        return null;
+    }
+
+    if (!learningModule.isEditableBy(req.user)) {
+        res.status(403).json({
+            message: 'You can only manage your own modules.',
+            code: 'NOT_MODULE_AUTHOR'
+        });
+        return null;
+    }
+
+    return learningModule;
+};
+
+/**
+ * Like findOwnModule, but only while the module is a draft
+ */
+const findDraftModule = async (req, res) => {
+    const learningModule = await findOwnModule(req, res);
+    if (!learningModule) return null;
+
+    if (!learningModule.isDraft()) {
+        res.status(409).json({
+            message: learningModule.isInReview()
+                ? 'This module is in review. Wait for the review to finish before editing.'
+                : 'This module is published. Unpublish it before editing.',
+            code: 'MODULE_NOT_EDITABLE'
+        });
+        return null;
+    }
+
+    return learningModule;
+};
+
+/**
+ * Media blocks may only point at files attached to the module
+ */
+const findUnknownFiles = async (learningModule, content) => {
+    const ids = Lesson.build({ content }).getFileIds();
+    if (ids.length === 0) return [];
+
+    const files = await File.findByEntity('module', learningModule.id);
+    const known = new Set(files.map(file => file.id));
+    return ids.filter(id => !known.has(id));
+};
+
+const unknownFilesResponse = (res, ids) => res.status(422).json({
+    message: 'Lesson content refers to files that are not attached to this module.',
+    errors: {
+        content: [`Unknown file id(s): ${ids.join(', ')}`]
+    }
+});
+
+/**
+ * Module with lessons (quiz answer keys included), and files - for authors and reviewers
+ */
+const moduleWithContent = async (learningModule) => {
+    const [lessons, files] = await Promise.all([
+        Lesson.findByModule(learningModule.id, { include: [{ model: Quiz, as: 'quiz' }] }),
+        File.findByEntity('module', learningModule.id)
+    ]);
+    const filesById = new Map(files.map(file => [file.id, file]));
+
+    return {
+        ...learningModule.toJSON(),
+        lessons: lessons.map(lesson => ({
+            ...lesson.toDetailJSON(filesById),
+            quiz: lesson.quiz ? lesson.quiz.toAuthorJSON() : null
+        })),
+        files: files.map(file => file.toJSON())
+    };
+};
+
+const auditModule = (req, action, learningModule, extra = {}) => auditService.log(req, action, {
+    metadata: { module_id: learningModule.id, title: learningModule.title },
+    ...extra
+});
+
+// ==================== MODULES ====================
+
+/**
+ * Modules the signed-in educator wrote (admins see every module)
+ * Filter: status
+ */
+exports.getMyModules = async (req, res, next) => {
+    try {
+        const { status } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        if (status && !Module.STATUSES.includes(status)) {
+            return res.status(422).json({
+                message: 'Invalid status filter.',
+                errors: { status: [`Status must be one of: ${Module.STATUSES.join(', ')}`] }
+            });
+        }
+
+        const where = {};
+        if (req.user.role !== 'admin') where.author_id = req.user.id;
+        if (status) where.status = status;
+
+        const { rows, count } = await Module.findAndCountAll({
+            where,
+            order: [['updated_at', 'DESC'], ['id', 'DESC']],
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            modules: rows.map(learningModule => learningModule.toJSON()),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                total_pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a draft module
+ */
+exports.createModule = async (req, res, next) => {
+    try {
+        const learningModule = await Module.create({
+            ...pickFields(req.body, MODULE_FIELDS),
+            author_id: req.user.id,
+            status: 'draft'
+        });
+
+        res.status(201).json({
+            message: 'Module created.',
+            module: learningModule.toJSON()
+        });
+    } catch (error) {
+        if (validationFailed(res, error)) return;
+        next(error);
+    }
+};
+
+/**
+ * Module with its lessons and files, in any state
+ */
+exports.getModule = async (req, res, next) => {
+    try {
+        const learningModule = await findOwnModule(req, res);
+        if (!learningModule) return;
+
+        res.json({
+            module: await moduleWithContent(learningModule)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Edit a draft module
+ */
+exports.updateModule = async (req, res, next) => {
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        learningModule.set(pickFields(req.body, MODULE_FIELDS));
+        await learningModule.save();
+
+        res.json({
+            message: 'Module updated.',
+            module: learningModule.toJSON()
+        });
+    } catch (error) {
+        if (validationFailed(res, error)) return;
+        next(error);
+    }
+};
+
+/**
+ * Delete a module with its lessons and files
+ */
+exports.deleteModule = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const learningModule = await findOwnModule(req, res);
+        if (!learningModule) return;
+
+        const files = await File.findByEntity('module', learningModule.id);
+
+        transaction = await sequelize.transaction();
+
+        await File.destroy({
+            where: { entity_type: 'module', entity_id: learningModule.id },
+            force: true,
+            transaction
+        });
+        await learningModule.destroy({ transaction });
+
+        await auditModule(req, 'module.deleted', learningModule, { transaction });
+
+        await transaction.commit();
+
+        // Storage is cleaned up once the rows are gone
+        if (files.length > 0) {
+            await fileStorageService.deleteMultipleFiles(files.map(file => file.file_key));
+        }
+
+        res.json({
+            message: 'Module deleted.'
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+// ==================== WORKFLOW ====================
+
+/**
+ * draft -> review
+ */
+exports.submitForReview = async (req, res, next) => {
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        const lessonCount = await Lesson.count({ where: { module_id: learningModule.id } });
+        if (lessonCount === 0) {
+            return res.status(422).json({
+                message: 'Add at least one lesson before submitting for review.',
+                errors: { lessons: ['Add at least one lesson'] }
+            });
+        }
+
+        await learningModule.submitForReview();
+        await auditModule(req, 'module.submitted', learningModule);
+
+        res.json({
+            message: 'Module submitted for review.',
+            module: learningModule.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Load a module in review for the signed-in reviewer.
+ * Educators cannot review their own modules; admins can.
+ */
+const findModuleForReview = async (req, res) => {
+    const learningModule = await Module.findByPk(req.params.id);
+
+    if (!learningModule) {
+        res.status(404).json({
+            message: 'Module not found'
+        });
+        return null;
+    }
+
+    if (!learningModule.isInReview()) {
+        res.status(409).json({
+            message: 'This module is not waiting for review.',
+            code: 'MODULE_NOT_IN_REVIEW'
+        });
+        return null;
+    }
+
+    if (learningModule.author_id === req.user.id && req.user.role !== 'admin') {
+        res.status(403).json({
+            message: 'Another educator has to review your module.',
+            code: 'SELF_REVIEW'
+        });
+        return null;
+    }
+
+    return learningModule;
+};
+
+/**
+ * Modules waiting for review (not the reviewer's own)
+ */
+exports.getReviewQueue = async (req, res, next) => {
+    try {
+        const { Op } = sequelize.Sequelize;
+        const where = { status: 'review' };
+        if (req.user.role !== 'admin') {
+            where[Op.or] = [{ author_id: { [Op.ne]: req.user.id } }, { author_id: null }];
+        }
+
+        const modules = await Module.findAll({
+            where,
+            order: [['submitted_at', 'ASC'], ['id', 'ASC']]
+        });
+
+        res.json({
+            modules: modules.map(learningModule => learningModule.toJSON())
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Reviewer's view of a module in review, with lessons and files
+ */
+exports.getModuleForReview = async (req, res, next) => {
+    try {
+        const learningModule = await findModuleForReview(req, res);
+        if (!learningModule) return;
+
+        res.json({
+            module: await moduleWithContent(learningModule)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * review -> published
+ */
+exports.approveModule = async (req, res, next) => {
+    try {
+        const learningModule = await findModuleForReview(req, res);
+        if (!learningModule) return;
+
+        await learningModule.publish(req.user);
+        await auditModule(req, 'module.published', learningModule);
+
+        res.json({
+            message: 'Module published.',
+            module: learningModule.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * review -> draft, with notes for the author
+ */
+exports.rejectModule = async (req, res, next) => {
+    try {
+        const notes = typeof req.body.notes === 'string' ? req.body.notes.trim() : '';
+
+        if (!notes) {
+            return res.status(422).json({
+                message: 'Tell the author what to change.',
+                errors: { notes: ['Review notes are required'] }
+            });
+        }
+
+        const learningModule = await findModuleForReview(req, res);
+        if (!learningModule) return;
+
+        await learningModule.reject(req.user, notes);
+        await auditModule(req, 'module.rejected', learningModule, { reason: notes });
+
+        res.json({
+            message: 'Module sent back to the author.',
+            module: learningModule.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * published -> draft
+ */
+exports.unpublishModule = async (req, res, next) => {
+    try {
+        const learningModule = await Module.findByPk(req.params.id);
+
+        if (!learningModule) {
+            return res.status(404).json({
+                message: 'Module not found'
+            });
+        }
+
+        if (!learningModule.isPublished()) {
+            return res.status(409).json({
+                message: 'This module is not published.',
+                code: 'MODULE_NOT_PUBLISHED'
+            });
+        }
+
+        await learningModule.unpublish();
+        await auditModule(req, 'module.unpublished', learningModule, { reason: req.body.reason || null });
+
+        res.json({
+            message: 'Module removed from the catalog and returned to draft.',
+            module: learningModule.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==================== LESSONS ====================
+
+/**
+ * Add a lesson at the end of a draft module
+ */
+exports.createLesson = async (req, res, next) => {
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        const fields = pickFields(req.body, LESSON_FIELDS);
+
+        const unknown = await findUnknownFiles(learningModule, fields.content || []);
+        if (unknown.length > 0) return unknownFilesResponse(res, unknown);
+
+        const lesson = await Lesson.create({
+            content: [],
+            ...fields,
+            module_id: learningModule.id,
+            position: await Lesson.nextPosition(learningModule.id)
+        });
+
+        res.status(201).json({
+            message: 'Lesson added.',
+            lesson: lesson.toDetailJSON()
+        });
+    } catch (error) {
+        if (validationFailed(res, error)) return;
+        next(error);
+    }
+};
+
+/**
+ * Edit a lesson of a draft module
+ */
+exports.updateLesson = async (req, res, next) => {
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        const lesson = await Lesson.findOne({
+            where: { id: req.params.lessonId, module_id: learningModule.id }
+        });
+
+        if (!lesson) {
+            return res.status(404).json({
+                message: 'Lesson not found'
+            });
+        }
+
+        const fields = pickFields(req.body, LESSON_FIELDS);
+
+        if (fields.content !== undefined) {
+            const unknown = await findUnknownFiles(learningModule, fields.content);
+            if (unknown.length > 0) return unknownFilesResponse(res, unknown);
+        }
+
+        lesson.set(fields);
+        await lesson.save();
+
+        res.json({
+            message: 'Lesson updated.',
+            lesson: lesson.toDetailJSON()
+        });
+    } catch (error) {
+        if (validationFailed(res, error)) return;
+        next(error);
+    }
+};
+
+/**
+ * Remove a lesson and close the gap in the order
+ */
+exports.deleteLesson = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        const lesson = await Lesson.findOne({
+            where: { id: req.params.lessonId, module_id: learningModule.id }
+        });
+
+        if (!lesson) {
+            return res.status(404).json({
+                message: 'Lesson not found'
+            });
+        }
+
+        transaction = await sequelize.transaction();
+
+        await lesson.destroy({ transaction });
+
+        const remaining = await Lesson.findByModule(learningModule.id, { transaction });
+        await Lesson.reorder(learningModule.id, remaining.map(item => item.id), { transaction });
+
+        await transaction.commit();
+
+        res.json({
+            message: 'Lesson deleted.'
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Set the lesson order
+ * Body: { lesson_ids: [...] } - every lesson of the module, in the new order
+ */
+exports.reorderLessons = async (req, res, next) => {
+    let transaction;
+
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        const lessonIds = Array.isArray(req.body.lesson_ids) ? req.body.lesson_ids.map(Number) : null;
+        const lessons = await Lesson.findByModule(learningModule.id);
+        const currentIds = lessons.map(lesson => lesson.id);
+
+        const matches = lessonIds
+            && lessonIds.length === currentIds.length
+            && new Set(lessonIds).size === lessonIds.length
+            && lessonIds.every(id => currentIds.includes(id));
+
+        if (!matches) {
+            return res.status(422).json({
+                message: 'List every lesson of the module exactly once.',
+                errors: { lesson_ids: ['Must contain every lesson id of the module exactly once'] }
+            });
+        }
+
+        transaction = await sequelize.transaction();
+        await Lesson.reorder(learningModule.id, lessonIds, { transaction });
+        await transaction.commit();
+
+        const reordered = await Lesson.findByModule(learningModule.id);
+
+        res.json({
+            message: 'Lessons reordered.',
+            lessons: reordered.map(lesson => lesson.toSummaryJSON())
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        next(error);
+    }
+};
+
+// ==================== QUIZZES ====================
+
+/**
+ * Load a lesson of the module from findOwnModule / findDraftModule
+ */
+const findModuleLesson = async (learningModule, req, res) => {
+    const lesson = await Lesson.findOne({
+        where: { id: req.params.lessonId, module_id: learningModule.id },
+        include: [{ model: Quiz, as: 'quiz' }]
+    });
+
+    if (!lesson) {
+        res.status(404).json({
+            message: 'Lesson not found'
+        });
+        return null;
+    }
+
+    return lesson;
+};
+
+/**
+ * A lesson's quiz with the answer key
+ */
+exports.getQuiz = async (req, res, next) => {
+    try {
+        const learningModule = await findOwnModule(req, res);
+        if (!learningModule) return;
+
+        const lesson = await findModuleLesson(learningModule, req, res);
+        if (!lesson) return;
+
+        if (!lesson.quiz) {
+            return res.status(404).json({
+                message: 'This lesson has no quiz'
+            });
+        }
+
+        res.json({
+            quiz: lesson.quiz.toAuthorJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create or replace a lesson's quiz
+ * Body: { title, instructions, questions, pass_percent, max_attempts, time_limit_seconds,
+ *         shuffle_questions, shuffle_options } - see models/Quiz for the question format
+ */
+exports.saveQuiz = async (req, res, next) => {
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        const lesson = await findModuleLesson(learningModule, req, res);
+        if (!lesson) return;
+
+        const fields = pickFields(req.body, QUIZ_FIELDS);
+        if (req.body.questions !== undefined) {
+            fields.questions = Quiz.normalizeQuestions(req.body.questions);
+        }
+
+        const quiz = lesson.quiz || Quiz.build({ lesson_id: lesson.id, title: lesson.title });
+        quiz.set(fields);
+        await quiz.save();
+
+        res.status(lesson.quiz ? 200 : 201).json({
+            message: lesson.quiz ? 'Quiz updated.' : 'Quiz added.',
+            quiz: quiz.toAuthorJSON()
+        });
+    } catch (error) {
+        if (validationFailed(res, error)) return;
+        next(error);
+    }
+};
+
+/**
+ * Remove a lesson's quiz (and its attempts)
+ */
+exports.deleteQuiz = async (req, res, next) => {
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        const lesson = await findModuleLesson(learningModule, req, res);
+        if (!lesson) return;
+
+        if (!lesson.quiz) {
+            return res.status(404).json({
+                message: 'This lesson has no quiz'
+            });
+        }
+
+        await lesson.quiz.destroy();
+
+        res.json({
+            message: 'Quiz removed.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==================== FILES ====================
+
+/**
+ * Attach a file to a draft module
+ * Form fields: file, file_type (thumbnail | resource | content)
+ * The thumbnail replaces the previous one; content files are used from lesson media blocks.
+ */
+exports.uploadFile = async (req, res, next) => {
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        if (!req.file) {
+            return res.status(400).json({
+                message: 'No file uploaded'
+            });
+        }
+
+        const fileType = req.body.file_type || 'content';
+        if (!FILE_TYPES.includes(fileType)) {
+            return res.status(422).json({
+                message: 'Invalid file type.',
+                errors: { file_type: [`File type must be one of: ${FILE_TYPES.join(', ')}`] }
+            });
+        }
+
+        const validation = fileStorageService.validateFile({
+            buffer: req.file.buffer,
+            size: req.file.size,
+            mimetype: req.file.mimetype,
+            originalFilename: req.file.originalname
+        }, sizeLimitFor(fileType, req.file.mimetype));
+
+        if (!validation.valid) {
+            return res.status(400).json({
+                message: 'File validation failed',
+                errors: validation.errors
+            });
+        }
+
+        let result;
+        try {
+            result = await fileStorageService.uploadModuleFile(
+                req.file.buffer,
+                learningModule.id,
+                fileType,
+                req.file.mimetype,
+                req.file.originalname
+            );
+        } catch (error) {
+            return res.status(400).json({
+                message: error.message,
+                code: 'UPLOAD_REJECTED'
+            });
+        }
+
+        const previousThumbnails = fileType === 'thumbnail'
+            ? await File.findAll({ where: { entity_type: 'module', entity_id: learningModule.id, file_category: 'thumbnail' } })
+            : [];
+
+        const transaction = await sequelize.transaction();
+        let file;
+
+        try {
+            file = await File.create({
+                entity_type: 'module',
+                entity_id: learningModule.id,
+                file_category: fileType,
+                file_key: result.key,
+                original_name: req.file.originalname,
+                mime_type: result.contentType,
+                file_size: result.size,
+                uploaded_by: req.user.id
+            }, { transaction });
+
+            if (fileType === 'thumbnail') {
+                await File.destroy({
+                    where: { id: previousThumbnails.map(previous => previous.id) },
+                    force: true,
+                    transaction
+                });
+
+                learningModule.thumbnail_key = result.key;
+                await learningModule.save({ fields: ['thumbnail_key'], transaction });
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            await fileStorageService.deleteFile(result.key).catch(() => {});
+            throw error;
+        }
+
+        if (previousThumbnails.length > 0) {
+            await fileStorageService.deleteMultipleFiles(previousThumbnails.map(previous => previous.file_key));
+        }
+
+        res.status(201).json({
+            message: 'File uploaded.',
+            file: file.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove a file from a draft module (not while a lesson still uses it)
+ */
+exports.deleteFile = async (req, res, next) => {
+    try {
+        const learningModule = await findDraftModule(req, res);
+        if (!learningModule) return;
+
+        const file = await File.findOne({
+            where: { id: req.params.fileId, entity_type: 'module', entity_id: learningModule.id }
+        });
+
+        if (!file) {
+            return res.status(404).json({
+                message: 'File not found'
+            });
+        }
+
+        const lessons = await Lesson.findByModule(learningModule.id);
+        const usedIn = lessons.filter(lesson => lesson.getFileIds().includes(file.id));
+
+        if (usedIn.length > 0) {
+            return res.status(409).json({
+                message: `This file is used in: ${usedIn.map(lesson => lesson.title).join(', ')}. Remove it from those lessons first.`,
+                code: 'FILE_IN_USE'
+            });
+        }
+
+        if (learningModule.thumbnail_key === file.file_key) {
+            learningModule.thumbnail_key = null;
+            await learningModule.save({ fields: ['thumbnail_key'] });
+        }
+
+        await file.destroy({ force: true });
+        await fileStorageService.deleteFile(file.file_key);
+
+        res.json({
+            message: 'File deleted.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,121 @@
+// controllers/ModuleController.js
+const { Module, Quiz, File } = require('../model');
+
+/**
+ * Module files keyed by id, for resolving lesson media blocks
+ */
+const loadModuleFiles = async (moduleId) => {
+    const files = await File.findByEntity('module', moduleId);
+    return new Map(files.map(file => [file.id, file]));
+};
+
+/**
+ * Public catalog of published modules
+ * Filters: topic, age_band, q (title/summary search)
+ */
+exports.getCatalog = async (req, res, next) => {
+    try {
+        const { topic, age_band: ageBand, q } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const errors = {};
+        if (topic && !Module.TOPICS.includes(topic)) {
+            errors.topic = [`Topic must be one of: ${Module.TOPICS.join(', ')}`];
+        }
+        if (ageBand && !Module.AGE_BANDS.includes(ageBand)) {
+            errors.age_band = [`Age band must be one of: ${Module.AGE_BANDS.join(', ')}`];
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({
+                message: 'Invalid catalog filter.',
+                errors
+            });
+        }
+
+        const { rows, count } = await Module.findPublished(
+            { topic, ageBand, search: q ? String(q).trim().slice(0, 100) : null },
+            { page, limit }
+        );
+
+        res.json({
+            modules: rows.map(learningModule => learningModule.toCatalogJSON()),
+            filters: {
+                topics: Module.TOPICS,
+                age_bands: Module.AGE_BANDS
+            },
+            pagination: {
+                page,
+                limit,
+                total: count,
+                total_pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Published module (by id or slug) with its lesson outline and resources
+ */
+exports.getModule = async (req, res, next) => {
+    try {
+        const learningModule = await Module.findPublishedWithLessons(req.params.id);
+
+        if (!learningModule) {
+            return res.status(404).json({
+                message: 'Module not found'
+            });
+        }
+
+        const files = await File.findByEntity('module', learningModule.id);
+        const resources = files.filter(file => file.file_category === 'resource');
+
+        res.json({
+            module: {
+                ...learningModule.toCatalogJSON(),
+                description: learningModule.description,
+                lessons: learningModule.lessons.map(lesson => lesson.toSummaryJSON()),
+                resources: resources.map(file => file.toJSON())
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * One lesson of a published module, with its media resolved and its quiz (summary only)
+ */
+exports.getLesson = async (req, res, next) => {
+    try {
+        const learningModule = await Module.findPublishedWithLessons(req.params.id);
+        const index = learningModule ? learningModule.lessons.findIndex(lesson => String(lesson.id) === req.params.lessonId) : -1;
+
+        if (index === -1) {
+            return res.status(404).json({
+                message: 'Lesson not found'
+            });
+        }
+
+        const lesson = learningModule.lessons[index];
+        const [files, quiz] = await Promise.all([
+            loadModuleFiles(learningModule.id),
+            Quiz.findOne({ where: { lesson_id: lesson.id } })
+        ]);
+
+        res.json({
+            lesson: lesson.toDetailJSON(files),
+            quiz: quiz ? quiz.toSummaryJSON() : null,
+            module: { id: learningModule.id, slug: learningModule.slug, title: learningModule.title },
+            previous_lesson_id: index > 0 ? learningModule.lessons[index - 1].id : null,
+            next_lesson_id: index < learningModule.lessons.length - 1 ? learningModule.lessons[index + 1].id : null
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,148 @@
+// controllers/NotificationController.js
+const { User, Notification, UserNotificationPreferences } = require('../model');
+const notificationService = require('../services/NotificationService');
+const jwtService = require('../services/JwtService');
+const auditService = require('../services/AuditService');
+
+/**
+ * List the signed-in user's notifications, newest first
+ */
+exports.getNotifications = async (req, res, next) => {
+    try {
+        const { category } = req.query;
+        const unreadOnly = req.query.unread_only === 'true';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        if (category && !Notification.CATEGORIES.includes(category)) {
+            return res.status(422).json({
+                message: 'Invalid category filter.',
+                errors: { category: [`Category must be one of: ${Notification.CATEGORIES.join(', ')}`] }
+            });
+        }
+
+        const [{ rows, count }, unread] = await Promise.all([
+            notificationService.list(req.user.id, { unreadOnly, category, page, limit }),
+            notificationService.unreadCount(req.user.id)
+        ]);
+
+        res.json({
+            notifications: rows.map(notification => notification.toJSON()),
+            unread_count: unread,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                total_pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unread badge count
+ */
+exports.getUnreadCount = async (req, res, next) => {
+    try {
+        res.json({
+            unread_count: await notificationService.unreadCount(req.user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Mark one notification as read
+ */
+exports.markRead = async (req, res, next) => {
+    try {
+        const notification = await Notification.findOne({
+            where: { id: req.params.id, user_id: req.user.id }
+        });
+
+        if (!notification) {
+            return res.status(404).json({
+                message: 'Notification not found'
+            });
+        }
+
+        await notificationService.markRead(req.user.id, [notification.id]);
+
+        res.json({
+            message: 'Notification marked as read.',
+            unread_count: await notificationService.unreadCount(req.user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Mark every notification as read
+ */
+exports.markAllRead = async (req, res, next) => {
+    try {
+        const updated = await notificationService.markRead(req.user.id);
+
+        res.json({
+            message: 'All notifications marked as read.',
+            updated,
+            unread_count: 0
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * One-click unsubscribe from a digest email (public, token-based)
+ * Accepts the token in the query (List-Unsubscribe POST from mail clients)
+ * or in the body (the frontend unsubscribe page).
+ */
+exports.unsubscribe = async (req, res, next) => {
+    try {
+        const token = req.query.token || (req.body && req.body.token);
+
+        let decoded;
+        try {
+            decoded = jwtService.verifyActionToken(token, 'unsubscribe');
+        } catch (error) {
+            decoded = null;
+        }
+
+        const user = decoded && await User.findByPk(decoded.id);
+
+        if (!user || user.account_status === 'deleted' || !UserNotificationPreferences.UNSUBSCRIBE_SCOPES[decoded.scope]) {
+            return res.status(400).json({
+                message: 'This unsubscribe link is invalid or has expired.',
+                code: 'INVALID_UNSUBSCRIBE_TOKEN'
+            });
+        }
+
+        const preferences = await UserNotificationPreferences.findOrCreateForUser(user.id);
+        await preferences.unsubscribe(decoded.scope);
+
+        await auditService.log(req, 'notifications.unsubscribed', {
+            actor: user,
+            target: user,
+            metadata: { scope: decoded.scope }
+        });
+
+        res.json({
+            message: 'You have been unsubscribed.',
+            scope: decoded.scope,
+            preferences: {
+                email_notifications: preferences.email_notifications,
+                module_reminders: preferences.module_reminders,
+                platform_updates: preferences.platform_updates
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
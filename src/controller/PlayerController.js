@@ -0,0 +1,230 @@
+// controllers/PlayerController.js
+const { User, XpEntry } = require('../model');
+const playerService = require('../services/PlayerService');
+const auditService = require('../services/AuditService');
+
+const MAX_ADJUSTMENT = 10000;
+
+/**
+ * Paginated XP history for a player
+ * Filters: reason
+ */
+const historyResponse = async (req, res, userId) => {
+    const { reason } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (reason && !XpEntry.REASONS.includes(reason)) {
+        return res.status(422).json({
+            message: 'Invalid reason filter.',
+            errors: { reason: [`Reason must be one of: ${XpEntry.REASONS.join(', ')}`] }
+        });
+    }
+
+    const { rows, count } = await playerService.getHistory(userId, { reason }, { page, limit });
+
+    res.json({
+        entries: rows.map(entry => entry.toJSON()),
+        pagination: {
+            page,
+            limit,
+            total: count,
+            total_pages: Math.ceil(count / limit)
+        }
+    });
+};
+
+/**
+ * Client-chosen key that makes a retried admin request a no-op
+ */
+const readIdempotencyKey = (req, res) => {
+    const key = typeof req.body.idempotency_key === 'string' ? req.body.idempotency_key.trim() : '';
+
+    if (!key || key.length > 64) {
+        res.status(422).json({
+            message: 'An idempotency key is required.',
+            errors: { idempotency_key: ['Send a unique string of at most 64 characters, and reuse it when retrying'] }
+        });
+        return null;
+    }
+
+    return key;
+};
+
+const findPlayer = async (req, res) => {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user || user.account_status === 'deleted') {
+        res.status(404).json({
+            message: 'User not found'
+        });
+        return null;
+    }
+
+    return user;
+};
+
+// ==================== PLAYERS ====================
+
+/**
+ * XP, level, streak and freezes for the signed-in player
+ */
+exports.getMyStats = async (req, res, next) => {
+    try {
+        res.json({
+            stats: await playerService.getStats(req.user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * The signed-in player's XP history
+ */
+exports.getMyHistory = async (req, res, next) => {
+    try {
+        await historyResponse(req, res, req.user.id);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ==================== ADMIN ====================
+
+exports.getPlayerStats = async (req, res, next) => {
+    try {
+        const user = await findPlayer(req, res);
+        if (!user) return;
+
+        res.json({
+            user: { id: user.id, name: user.name, role: user.role },
+            stats: await playerService.getStats(user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.getPlayerHistory = async (req, res, next) => {
+    try {
+        const user = await findPlayer(req, res);
+        if (!user) return;
+
+        await historyResponse(req, res, user.id);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add or remove XP by hand (a new ledger entry; past entries never change)
+ * Body: { amount, note, idempotency_key }
+ */
+exports.adjustXp = async (req, res, next) => {
+    try {
+        const user = await findPlayer(req, res);
+        if (!user) return;
+
+        const key = readIdempotencyKey(req, res);
+        if (!key) return;
+
+        const { amount } = req.body;
+        const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+        const errors = {};
+        if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_ADJUSTMENT) {
+            errors.amount = [`Amount must be a whole number between -${MAX_ADJUSTMENT} and ${MAX_ADJUSTMENT}, other than 0`];
+        }
+        if (!note || note.length > 500) {
+            errors.note = ['Explain the adjustment in at most 500 characters'];
+        }
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({
+                message: 'Invalid adjustment.',
+                errors
+            });
+        }
+
+        let entry;
+        try {
+            entry = await playerService.awardXp(user.id, {
+                reason: 'adjustment',
+                sourceType: 'admin',
+                sourceId: req.user.id,
+                amount,
+                note,
+                createdBy: req.user.id,
+                key: `adjustment:${key}`
+            });
+        } catch (error) {
+            if (error.message === 'XP total cannot go below zero') {
+                return res.status(409).json({
+                    message: 'This adjustment would take the player below zero XP.',
+                    code: 'XP_BELOW_ZERO'
+                });
+            }
+            throw error;
+        }
+
+        if (!entry) {
+            return res.json({
+                message: 'This adjustment was already applied.',
+                stats: await playerService.getStats(user.id)
+            });
+        }
+
+        await auditService.log(req, 'admin.player.xp_adjusted', {
+            target: user,
+            reason: note,
+            changes: { xp_total: { before: entry.balance_after - amount, after: entry.balance_after } },
+            metadata: { xp_entry_id: entry.id, amount }
+        });
+
+        res.status(201).json({
+            message: 'XP adjusted.',
+            entry: entry.toJSON(),
+            stats: await playerService.getStats(user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Give a player a streak freeze
+ * Body: { idempotency_key, note }
+ */
+exports.grantStreakFreeze = async (req, res, next) => {
+    try {
+        const user = await findPlayer(req, res);
+        if (!user) return;
+
+        const key = readIdempotencyKey(req, res);
+        if (!key) return;
+
+        const freeze = await playerService.grantFreeze(user.id, key, req.user.id);
+
+        if (!freeze) {
+            return res.json({
+                message: 'This streak freeze was already granted.',
+                stats: await playerService.getStats(user.id)
+            });
+        }
+
+        await auditService.log(req, 'admin.player.streak_freeze_granted', {
+            target: user,
+            reason: req.body.note || null,
+            metadata: { streak_freeze_id: freeze.id }
+        });
+
+        res.status(201).json({
+            message: 'Streak freeze granted.',
+            stats: await playerService.getStats(user.id)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
@@ -1,6 +1,8 @@
 // controllers/ProfileController.js
 const { User, UserProfile, UserGuardian, UserPrivacySettings, sequelize } = require('../model');
 const fileStorageService = require('../services/FileStorageService');
+const guardianConsentService = require('../services/GuardianConsentService');
+const badgeService = require('../services/BadgeService');
 
 /**
  * Get user profile (public or own)
@@ -30,8 +32,9 @@ exports.getProfile = async (req, res, next) => {
             });
         }
 
-        // Check if user is deactivated or deleted
-        if (targetUser.account_status !== 'active') {
+        // Check if user is deactivated or deleted (minors awaiting consent only see their own)
+        const isOwnPendingProfile = targetUserId == requesterId && targetUser.isPendingGuardianConsent();
+        if (targetUser.account_status !== 'active' && !isOwnPendingProfile) {
             return res.status(403).json({
                 message: 'This account is no longer available'
             });
@@ -83,6 +86,8 @@ exports.getProfile = async (req, res, next) => {
                     email: g.email,
                     address: g.address,
                     is_primary: g.is_primary,
+                    email_verified: g.isEmailVerified(),
+                    phone_verified: g.isPhoneVerified(),
                     created_at: g.created_at
                 })),
                 privacy_settings: targetUser.privacySettings || null
@@ -97,6 +102,9 @@ exports.getProfile = async (req, res, next) => {
             });
         }
 
+        // Earned badges, unless the user hid them (shown by default)
+        const showAchievements = targetUser.privacySettings ? targetUser.privacySettings.show_achievements : true;
+
         // Return public profile info only
         return res.json({
             id: targetUser.id,
@@ -105,7 +113,7 @@ exports.getProfile = async (req, res, next) => {
             sex: targetUser.profile?.sex || null,
             avatar_url: targetUser.getAvatarUrl(),
             is_profile_public: true,
-            achievements: [] // TODO: Load from achievements table
+            achievements: showAchievements ? await badgeService.getUserBadges(targetUser.id) : []
         });
 
     } catch (error) {
@@ -137,6 +145,16 @@ exports.updateProfile = async (req, res, next) => {
             profile = await UserProfile.create({ user_id: userId });
         }
 
+        // Coming of age is handled by the consent service, not by editing the date
+        if (date_of_birth !== undefined && guardianConsentService.wouldBypassConsent(req.user, date_of_birth)) {
+            return res.status(422).json({
+                message: 'Your date of birth cannot be changed while guardian consent is pending. Please contact support.',
+                errors: {
+                    date_of_birth: ['Date of birth cannot be changed while guardian consent is pending']
+                }
+            });
+        }
+
         // Update profile fields
         if (display_name !== undefined) profile.display_name = display_name;
         if (bio !== undefined) profile.bio = bio;
@@ -168,10 +186,22 @@ exports.updateProfile = async (req, res, next) => {
             }
         }
 
+        const dateOfBirthChanged = profile.changed('date_of_birth');
+
         await profile.save();
 
+        const consent = dateOfBirthChanged
+            ? await guardianConsentService.evaluate(req.user, profile.date_of_birth)
+            : null;
+
         res.json({
             message: 'Profile updated successfully',
+            ...(consent && {
+                guardian_consent: {
+                    required: req.user.needsGuardianConsent(),
+                    request_sent: consent.requestSent
+                }
+            }),
             profile: {
                 display_name: profile.display_name,
                 bio: profile.bio,
@@ -0,0 +1,81 @@
+// controllers/ProgressController.js
+const progressService = require('../services/ProgressService');
+
+/**
+ * Record lesson progress events (batched; safe to send again)
+ * Body: { events: [{ id, lesson_id, type: start|progress|complete, occurred_at, seconds, position }] }
+ */
+exports.recordEvents = async (req, res, next) => {
+    try {
+        const { events } = req.body;
+        const { maxBatchSize } = progressService.config;
+
+        if (!Array.isArray(events) || events.length === 0 || events.length > maxBatchSize) {
+            return res.status(422).json({
+                message: 'Send a list of progress events.',
+                errors: { events: [`Send between 1 and ${maxBatchSize} events`] }
+            });
+        }
+
+        const { results, modules, badges } = await progressService.recordEvents(req.user, events);
+
+        res.json({
+            results,
+            modules,
+            badges
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Modules the signed-in user has started, with completion
+ */
+exports.getProgress = async (req, res, next) => {
+    try {
+        const modules = await progressService.getUserProgress(req.user.id);
+
+        res.json({
+            modules
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Where to pick up learning
+ */
+exports.getResume = async (req, res, next) => {
+    try {
+        const resume = await progressService.getResume(req.user.id);
+
+        res.json({
+            resume
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Per-lesson progress in one module (by id or slug)
+ */
+exports.getModuleProgress = async (req, res, next) => {
+    try {
+        const detail = await progressService.getModuleDetail(req.user.id, req.params.id);
+
+        if (!detail) {
+            return res.status(404).json({
+                message: 'Module not found'
+            });
+        }
+
+        res.json(detail);
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,204 @@
+// controllers/QuizController.js
+const { Quiz, Lesson, Module } = require('../model');
+const quizService = require('../services/QuizService');
+
+/**
+ * Load a quiz on a published module, with its lesson
+ */
+const findAvailableQuiz = async (req, res) => {
+    const quiz = await Quiz.findByPk(req.params.id, {
+        include: [{
+            model: Lesson,
+            as: 'lesson',
+            attributes: ['id', 'module_id', 'title'],
+            include: [{ model: Module, as: 'module', attributes: ['id', 'slug', 'title', 'status'] }]
+        }]
+    });
+
+    if (!quiz || !quiz.lesson || !quiz.lesson.module || !quiz.lesson.module.isPublished()) {
+        res.status(404).json({
+            message: 'Quiz not found'
+        });
+        return null;
+    }
+
+    return quiz;
+};
+
+const overview = (quiz, attempts) => {
+    const submitted = attempts.filter(attempt => attempt.percent !== null);
+    const inProgress = attempts.find(attempt => attempt.isInProgress());
+
+    return {
+        quiz: {
+            ...quiz.toSummaryJSON(),
+            lesson: { id: quiz.lesson.id, title: quiz.lesson.title },
+            module: { id: quiz.lesson.module.id, slug: quiz.lesson.module.slug, title: quiz.lesson.module.title }
+        },
+        attempts: attempts.map(attempt => attempt.toSummaryJSON()),
+        attempts_remaining: quizService.getAttemptsRemaining(quiz, attempts),
+        best_percent: submitted.length > 0 ? Math.max(...submitted.map(attempt => attempt.percent)) : null,
+        passed: attempts.some(attempt => attempt.passed),
+        in_progress_attempt_id: inProgress ? inProgress.id : null
+    };
+};
+
+/**
+ * Quiz details and the signed-in user's attempt history
+ */
+exports.getQuiz = async (req, res, next) => {
+    try {
+        const quiz = await findAvailableQuiz(req, res);
+        if (!quiz) return;
+
+        const attempts = await quizService.getAttempts(req.user, quiz, quiz.lesson);
+
+        res.json(overview(quiz, attempts));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start an attempt (or pick up the one in progress)
+ */
+exports.startAttempt = async (req, res, next) => {
+    try {
+        const quiz = await findAvailableQuiz(req, res);
+        if (!quiz) return;
+
+        const attempts = await quizService.getAttempts(req.user, quiz, quiz.lesson);
+
+        const inProgress = attempts.find(attempt => attempt.isInProgress());
+        if (inProgress) {
+            return res.json({
+                message: 'Continuing your current attempt.',
+                ...quizService.presentAttempt(quiz, inProgress)
+            });
+        }
+
+        if (quizService.getAttemptsRemaining(quiz, attempts) === 0) {
+            return res.status(409).json({
+                message: 'You have used all your attempts at this quiz.',
+                code: 'QUIZ_ATTEMPTS_EXHAUSTED'
+            });
+        }
+
+        let attempt;
+        try {
+            attempt = await quizService.startAttempt(req.user, quiz, attempts);
+        } catch (error) {
+            // Another request started an attempt at the same moment
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                return res.status(409).json({
+                    message: 'An attempt was just started. Reload the quiz to continue it.',
+                    code: 'QUIZ_ATTEMPT_IN_PROGRESS'
+                });
+            }
+            throw error;
+        }
+
+        res.status(201).json({
+            message: 'Attempt started.',
+            ...quizService.presentAttempt(quiz, attempt)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * The signed-in user's attempts at a quiz
+ */
+exports.getAttempts = async (req, res, next) => {
+    try {
+        const quiz = await findAvailableQuiz(req, res);
+        if (!quiz) return;
+
+        const attempts = await quizService.getAttempts(req.user, quiz, quiz.lesson);
+
+        res.json({
+            attempts: attempts.map(attempt => attempt.toSummaryJSON())
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * One attempt: questions while in progress, results once closed
+ */
+exports.getAttempt = async (req, res, next) => {
+    try {
+        const quiz = await findAvailableQuiz(req, res);
+        if (!quiz) return;
+
+        const attempts = await quizService.getAttempts(req.user, quiz, quiz.lesson);
+        const attempt = attempts.find(item => String(item.id) === req.params.attemptId);
+
+        if (!attempt) {
+            return res.status(404).json({
+                message: 'Attempt not found'
+            });
+        }
+
+        res.json(quizService.presentAttempt(quiz, attempt, {
+            reveal: quizService.canRevealAnswers(quiz, attempts)
+        }));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Submit answers for scoring
+ * Body: { answers: { [question_id]: answer } }
+ *   multiple_choice: option id, multi_select / ordering: [ids], true_false: boolean, short_answer: text
+ */
+exports.submitAttempt = async (req, res, next) => {
+    try {
+        const quiz = await findAvailableQuiz(req, res);
+        if (!quiz) return;
+
+        const attempts = await quizService.getAttempts(req.user, quiz, quiz.lesson);
+        const attempt = attempts.find(item => String(item.id) === req.params.attemptId);
+
+        if (!attempt) {
+            return res.status(404).json({
+                message: 'Attempt not found'
+            });
+        }
+
+        if (!attempt.isInProgress()) {
+            return res.status(409).json({
+                message: attempt.status === 'expired'
+                    ? 'Time ran out for this attempt.'
+                    : 'This attempt was already submitted.',
+                code: 'QUIZ_ATTEMPT_CLOSED'
+            });
+        }
+
+        const answers = req.body.answers;
+        if (answers !== undefined && (answers === null || typeof answers !== 'object' || Array.isArray(answers))) {
+            return res.status(422).json({
+                message: 'Answers must be an object keyed by question id.',
+                errors: { answers: ['Answers must be an object keyed by question id'] }
+            });
+        }
+
+        await quizService.submitAttempt(attempt, quiz, quiz.lesson, answers || {});
+
+        res.json({
+            message: attempt.status === 'expired'
+                ? 'Time ran out before the answers arrived, so this attempt was not scored.'
+                : attempt.passed ? 'Well done - you passed!' : 'Not quite - review the lesson and try again.',
+            ...quizService.presentAttempt(quiz, attempt, {
+                reveal: quizService.canRevealAnswers(quiz, attempts)
+            })
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
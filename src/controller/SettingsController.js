@@ -1,6 +1,9 @@
 // controllers/SettingsController.js
-const { User, UserPrivacySettings, UserNotificationPreferences, AccountDeletionRequest, Session } = require('../model');
+const { User, UserPrivacySettings, UserNotificationPreferences, AccountDeletionRequest, Session, DataExport } = require('../model');
 const jwtService = require('../services/JwtService');
+const auditService = require('../services/AuditService');
+const emailService = require('../services/EmailService');
+const dataExportService = require('../services/DataExportService');
 
 /**
  * Get privacy settings
@@ -35,6 +38,14 @@ exports.updatePrivacySettings = async (req, res, next) => {
             allow_messages
         } = req.body;
 
+        // Minors awaiting consent can only make their settings more private
+        if (req.user.isPendingGuardianConsent() && (profile_visibility === 'public' || allow_messages === true)) {
+            return res.status(403).json({
+                message: 'A parent or guardian needs to give consent before you can make your profile public or receive messages.',
+                code: 'GUARDIAN_CONSENT_REQUIRED'
+            });
+        }
+
         const settings = await UserPrivacySettings.findOrCreateForUser(userId);
 
         // Update fields
@@ -80,7 +91,13 @@ exports.getNotificationPreferences = async (req, res, next) => {
             module_reminders: preferences.module_reminders,
             achievement_alerts: preferences.achievement_alerts,
             safety_alerts: preferences.safety_alerts,
-            platform_updates: preferences.platform_updates
+            platform_updates: preferences.platform_updates,
+            digest_frequency: preferences.digest_frequency,
+            timezone: preferences.timezone,
+            quiet_hours_start: preferences.quiet_hours_start,
+            quiet_hours_end: preferences.quiet_hours_end,
+            locale: req.user.locale,
+            available_locales: emailService.locales
         });
     } catch (error) {
         next(error);
@@ -98,9 +115,44 @@ exports.updateNotificationPreferences = async (req, res, next) => {
             module_reminders,
             achievement_alerts,
             safety_alerts,
-            platform_updates
+            platform_updates,
+            digest_frequency,
+            timezone,
+            quiet_hours_start,
+            quiet_hours_end,
+            locale
         } = req.body;
 
+        if (locale !== undefined && !emailService.locales.includes(locale)) {
+            return res.status(422).json({
+                message: 'Unsupported language.',
+                errors: {
+                    locale: [`Language must be one of: ${emailService.locales.join(', ')}`]
+                }
+            });
+        }
+
+        const errors = {};
+
+        if (digest_frequency !== undefined && !['daily', 'weekly'].includes(digest_frequency)) {
+            errors.digest_frequency = ['Digest frequency must be daily or weekly'];
+        }
+        if (timezone !== undefined && !UserNotificationPreferences.isValidTimeZone(timezone)) {
+            errors.timezone = ['Time zone must be an IANA name, e.g. Asia/Manila'];
+        }
+        for (const [field, value] of Object.entries({ quiet_hours_start, quiet_hours_end })) {
+            if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0 && value <= 23)) {
+                errors[field] = ['Quiet hours must be a whole hour from 0 to 23, or null'];
+            }
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({
+                message: 'Invalid digest settings.',
+                errors
+            });
+        }
+
         const preferences = await UserNotificationPreferences.findOrCreateForUser(userId);
 
         // Update fields
@@ -119,9 +171,27 @@ exports.updateNotificationPreferences = async (req, res, next) => {
         if (platform_updates !== undefined) {
             preferences.platform_updates = platform_updates;
         }
+        if (digest_frequency !== undefined) {
+            preferences.digest_frequency = digest_frequency;
+        }
+        if (timezone !== undefined) {
+            preferences.timezone = timezone;
+        }
+        if (quiet_hours_start !== undefined) {
+            preferences.quiet_hours_start = quiet_hours_start;
+        }
+        if (quiet_hours_end !== undefined) {
+            preferences.quiet_hours_end = quiet_hours_end;
+        }
 
         await preferences.save();
 
+        // Email language lives on the user
+        if (locale !== undefined && locale !== req.user.locale) {
+            req.user.locale = locale;
+            await req.user.save({ fields: ['locale'] });
+        }
+
         res.json({
             message: 'Notification preferences updated successfully',
             preferences: {
@@ -129,7 +199,12 @@ exports.updateNotificationPreferences = async (req, res, next) => {
                 module_reminders: preferences.module_reminders,
                 achievement_alerts: preferences.achievement_alerts,
                 safety_alerts: preferences.safety_alerts,
-                platform_updates: preferences.platform_updates
+                platform_updates: preferences.platform_updates,
+                digest_frequency: preferences.digest_frequency,
+                timezone: preferences.timezone,
+                quiet_hours_start: preferences.quiet_hours_start,
+                quiet_hours_end: preferences.quiet_hours_end,
+                locale: req.user.locale
             }
         });
     } catch (error) {
@@ -178,6 +253,7 @@ exports.deactivateAccount = async (req, res, next) => {
         }
 
         // Deactivate account
+        const previousStatus = user.account_status;
         user.account_status = 'deactivated';
         user.deactivated_at = new Date();
         user.is_profile_public = false;
@@ -186,6 +262,12 @@ exports.deactivateAccount = async (req, res, next) => {
         // Revoke all sessions (logout everywhere)
         await jwtService.logoutAll(userId);
 
+        await auditService.log(req, 'account.deactivated', {
+            target: user,
+            reason: reason || null,
+            changes: { account_status: { from: previousStatus, to: 'deactivated' } }
+        });
+
         // TODO: Send deactivation confirmation email
 
         res.json({
@@ -247,14 +329,20 @@ exports.reactivateAccount = async (req, res, next) => {
             });
         }
 
-        // Reactivate account
-        user.account_status = 'active';
+        // Reactivate account (minors go back to waiting for consent)
+        user.account_status = user.getRestoredStatus();
         user.deactivated_at = null;
         await user.save();
 
+        await auditService.log(req, 'account.reactivated', {
+            actor: user,
+            target: user,
+            changes: { account_status: { from: 'deactivated', to: user.account_status } }
+        });
+
         // Generate new tokens
         const { getDeviceInfo } = require('../middleware/AuthMiddleware');
-        const tokens = await jwtService.issueTokens(user, getDeviceInfo(req));
+        const tokens = await jwtService.issueTokens(user, { ...getDeviceInfo(req), auth_method: 'password' });
 
         res.json({
             message: 'Account reactivated successfully',
@@ -321,6 +409,12 @@ exports.requestAccountDeletion = async (req, res, next) => {
         // Revoke all sessions
         await jwtService.logoutAll(userId);
 
+        await auditService.log(req, 'account.deletion_requested', {
+            target: user,
+            reason: reason || null,
+            metadata: { scheduled_deletion_date: deletionRequest.scheduled_deletion_date }
+        });
+
         // TODO: Send deletion confirmation email with cancellation link
 
         res.json({
@@ -359,10 +453,12 @@ exports.cancelAccountDeletion = async (req, res, next) => {
 
         // Reactivate account
         const user = await User.findByPk(userId);
-        user.account_status = 'active';
+        user.account_status = user.getRestoredStatus();
         user.deactivated_at = null;
         await user.save();
 
+        await auditService.log(req, 'account.deletion_cancelled', { target: user });
+
         res.json({
             message: 'Account deletion cancelled successfully'
         });
@@ -398,4 +494,93 @@ exports.getDeletionStatus = async (req, res, next) => {
     }
 };
 
+/**
+ * Request a copy of personal data (built in the background, link emailed)
+ */
+exports.requestDataExport = async (req, res, next) => {
+    try {
+        const dataExport = await dataExportService.request(req.user);
+
+        await auditService.log(req, 'account.data_export_requested', {
+            target: req.user,
+            metadata: { export_id: dataExport.id }
+        });
+
+        res.status(202).json({
+            message: 'We are preparing your data. We will email you a download link when it is ready.',
+            export: dataExport.toJSON()
+        });
+    } catch (error) {
+        if (error.code === 'DATA_EXPORT_LIMITED') {
+            return res.status(error.statusCode).json({
+                message: error.message,
+                code: 'DATA_EXPORT_LIMITED'
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Latest data export, with a fresh download link while it is available
+ */
+exports.getDataExportStatus = async (req, res, next) => {
+    try {
+        const dataExport = await DataExport.findLatestForUser(req.user.id);
+
+        if (!dataExport) {
+            return res.json({
+                export: null
+            });
+        }
+
+        const response = { export: dataExport.toJSON() };
+
+        if (dataExport.isReady()) {
+            const token = jwtService.generateDataExportToken(dataExport);
+            response.download_url = `${req.protocol}://${req.get('host')}${req.baseUrl}/account/export/download?token=${token}`;
+        }
+
+        res.json(response);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download a data export (public, token-based - the link is emailed)
+ */
+exports.downloadDataExport = async (req, res, next) => {
+    try {
+        const dataExport = await dataExportService.resolveDownload(req.query.token);
+
+        if (!dataExport) {
+            return res.status(400).json({
+                message: 'This download link is invalid or has expired. Request a new link from your account settings.',
+                code: 'INVALID_DATA_EXPORT_LINK'
+            });
+        }
+
+        const { body, contentLength, filename } = await dataExportService.openDownload(dataExport);
+
+        await auditService.log(req, 'account.data_export_downloaded', {
+            actor: await User.findByPk(dataExport.user_id),
+            target: { id: dataExport.user_id },
+            metadata: { export_id: dataExport.id }
+        });
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store'
+        });
+        if (contentLength) res.set('Content-Length', String(contentLength));
+
+        body.on('error', next);
+        body.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,132 @@
+// controllers/WebAuthnController.js
+const { WebAuthnCredential } = require('../model');
+const webAuthnService = require('../services/WebAuthnService');
+const auditService = require('../services/AuditService');
+
+/**
+ * Get registration options for a new passkey
+ */
+exports.registrationOptions = async (req, res, next) => {
+    try {
+        const options = await webAuthnService.getRegistrationOptions(req.user);
+
+        res.json(options);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Verify registration and store the passkey
+ */
+exports.verifyRegistration = async (req, res, next) => {
+    try {
+        const { response, name } = req.body;
+
+        if (!response) {
+            return res.status(422).json({
+                message: 'Passkey response is required.',
+                errors: {
+                    response: ['Passkey response is required']
+                }
+            });
+        }
+
+        const credential = await webAuthnService.verifyRegistration(req.user, response, name);
+
+        await auditService.log(req, 'auth.passkey_added', {
+            target: req.user,
+            metadata: { credential_id: credential.id, name: credential.name }
+        });
+
+        res.status(201).json({
+            message: 'Passkey registered successfully',
+            credential: credential.toJSON()
+        });
+    } catch (error) {
+        if (error.message.includes('Passkey')) {
+            return res.status(400).json({
+                message: error.message,
+                code: 'PASSKEY_REGISTRATION_FAILED'
+            });
+        }
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).json({
+                message: 'This passkey is already registered.',
+                code: 'PASSKEY_ALREADY_REGISTERED'
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * List current user's passkeys
+ */
+exports.getCredentials = async (req, res, next) => {
+    try {
+        const credentials = await WebAuthnCredential.findUserCredentials(req.user.id);
+
+        res.json({
+            credentials: credentials.map(c => c.toJSON())
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Rename a passkey
+ */
+exports.updateCredential = async (req, res, next) => {
+    try {
+        const { name } = req.body;
+        const credential = await WebAuthnCredential.findByPk(req.params.id);
+
+        if (!credential || credential.user_id !== req.user.id) {
+            return res.status(404).json({
+                message: 'Passkey not found'
+            });
+        }
+
+        credential.name = name;
+        await credential.save();
+
+        res.json({
+            message: 'Passkey updated successfully',
+            credential: credential.toJSON()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove a passkey
+ */
+exports.deleteCredential = async (req, res, next) => {
+    try {
+        const credential = await WebAuthnCredential.findByPk(req.params.id);
+
+        if (!credential || credential.user_id !== req.user.id) {
+            return res.status(404).json({
+                message: 'Passkey not found'
+            });
+        }
+
+        await credential.destroy();
+
+        await auditService.log(req, 'auth.passkey_removed', {
+            target: req.user,
+            metadata: { credential_id: credential.id, name: credential.name }
+        });
+
+        res.json({
+            message: 'Passkey removed successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = exports;
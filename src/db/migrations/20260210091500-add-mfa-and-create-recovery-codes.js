@@ -0,0 +1,76 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. TOTP columns on Users
+    await queryInterface.addColumn('Users', 'mfa_enabled', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      comment: 'Whether TOTP two-factor authentication is active'
+    });
+
+    await queryInterface.addColumn('Users', 'mfa_secret', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Encrypted TOTP secret (pending until mfa_enabled)'
+    });
+
+    await queryInterface.addColumn('Users', 'mfa_enabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Users', 'mfa_last_used_step', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Last accepted TOTP time step (prevents code replay)'
+    });
+
+    // 2. Create MfaRecoveryCodes table
+    await queryInterface.createTable('MfaRecoveryCodes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      code_hash: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Hashed single-use recovery code'
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('MfaRecoveryCodes', ['user_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('MfaRecoveryCodes');
+
+    await queryInterface.removeColumn('Users', 'mfa_last_used_step');
+    await queryInterface.removeColumn('Users', 'mfa_enabled_at');
+    await queryInterface.removeColumn('Users', 'mfa_secret');
+    await queryInterface.removeColumn('Users', 'mfa_enabled');
+  }
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Create WebAuthnCredentials table (passkeys)
+    await queryInterface.createTable('WebAuthnCredentials', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      credential_id: {
+        type: Sequelize.STRING(512),
+        allowNull: false,
+        unique: true,
+        comment: 'Base64URL credential ID from the authenticator'
+      },
+      public_key: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'Base64URL COSE public key'
+      },
+      counter: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Signature counter (clone detection)'
+      },
+      transports: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      device_type: {
+        type: Sequelize.STRING(32),
+        allowNull: true,
+        comment: 'singleDevice or multiDevice'
+      },
+      backed_up: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'User-provided label (e.g., "Work laptop")'
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // 2. Create WebAuthnChallenges table (single-use ceremony challenges)
+    await queryInterface.createTable('WebAuthnChallenges', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      challenge: {
+        type: Sequelize.STRING(128),
+        allowNull: false,
+        unique: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Null for usernameless (discoverable) sign-in'
+      },
+      purpose: {
+        type: Sequelize.ENUM('registration', 'authentication'),
+        allowNull: false
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // 3. How each session was created
+    await queryInterface.addColumn('Sessions', 'auth_method', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      comment: 'password, oauth or passkey'
+    });
+
+    await queryInterface.addIndex('WebAuthnCredentials', ['user_id']);
+    await queryInterface.addIndex('WebAuthnChallenges', ['expires_at']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Sessions', 'auth_method');
+    await queryInterface.dropTable('WebAuthnChallenges');
+    await queryInterface.dropTable('WebAuthnCredentials');
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('MagicLinkTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      jti: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'JWT ID of the emailed link'
+      },
+      device_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of the requesting device secret (cookie)'
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+        comment: 'IP that requested the link'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      consumed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the link was used (single use)'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('MagicLinkTokens', ['user_id']);
+    await queryInterface.addIndex('MagicLinkTokens', ['expires_at']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('MagicLinkTokens');
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Lockout columns on Users
+    await queryInterface.addColumn('Users', 'failed_login_count', {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: 'Consecutive failed logins since last success/unlock'
+    });
+
+    await queryInterface.addColumn('Users', 'last_failed_login_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Users', 'locked_until', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Temporary lock after too many failed logins'
+    });
+
+    // 2. Create LoginAttempts table
+    await queryInterface.createTable('LoginAttempts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Null when the email did not match an account'
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      auth_method: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'password'
+      },
+      success: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      failure_reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      device_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('LoginAttempts', ['user_id', 'created_at']);
+    await queryInterface.addIndex('LoginAttempts', ['ip_address', 'created_at']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('LoginAttempts');
+
+    await queryInterface.removeColumn('Users', 'locked_until');
+    await queryInterface.removeColumn('Users', 'last_failed_login_at');
+    await queryInterface.removeColumn('Users', 'failed_login_count');
+  }
+};
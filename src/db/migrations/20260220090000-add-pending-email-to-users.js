@@ -0,0 +1,23 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Users', 'pending_email', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'New address awaiting confirmation (email change)'
+    });
+
+    await queryInterface.addColumn('Users', 'pending_email_requested_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Ties confirm/cancel links to the latest change request'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Users', 'pending_email_requested_at');
+    await queryInterface.removeColumn('Users', 'pending_email');
+  }
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Refresh-token family lineage on Sessions
+    await queryInterface.addColumn('Sessions', 'family_id', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'Shared by every session rotated from the same login'
+    });
+
+    await queryInterface.addColumn('Sessions', 'parent_jti', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'Session this one was rotated from (null for the first in a family)'
+    });
+
+    await queryInterface.addColumn('Sessions', 'rotated_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Set when the refresh token was exchanged - presenting it again is reuse'
+    });
+
+    // Existing sessions each start their own family
+    await queryInterface.sequelize.query('UPDATE Sessions SET family_id = jti WHERE family_id IS NULL');
+
+    await queryInterface.changeColumn('Sessions', 'family_id', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      comment: 'Shared by every session rotated from the same login'
+    });
+
+    await queryInterface.addIndex('Sessions', ['family_id']);
+
+    // 2. Create SecurityEvents table
+    await queryInterface.createTable('SecurityEvents', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'e.g. refresh_token_reuse'
+      },
+      severity: {
+        type: Sequelize.ENUM('info', 'warning', 'critical'),
+        allowNull: false,
+        defaultValue: 'info'
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('SecurityEvents', ['user_id', 'created_at']);
+    await queryInterface.addIndex('SecurityEvents', ['type', 'created_at']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('SecurityEvents');
+    await queryInterface.removeIndex('Sessions', ['family_id']);
+    await queryInterface.removeColumn('Sessions', 'rotated_at');
+    await queryInterface.removeColumn('Sessions', 'parent_jti');
+    await queryInterface.removeColumn('Sessions', 'family_id');
+  }
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Suspension and forced reset on Users
+    await queryInterface.changeColumn('Users', 'account_status', {
+      type: Sequelize.ENUM('active', 'deactivated', 'pending_deletion', 'suspended', 'deleted'),
+      defaultValue: 'active',
+      allowNull: false,
+      comment: 'Current status of the user account'
+    });
+
+    await queryInterface.addColumn('Users', 'suspended_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Users', 'suspension_reason', {
+      type: Sequelize.STRING(500),
+      allowNull: true,
+      comment: 'Shown to the user when they try to sign in'
+    });
+
+    await queryInterface.addColumn('Users', 'password_reset_required', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      comment: 'Set by an admin - password login is refused until the password is reset'
+    });
+
+    // 2. Create AuditLogs table
+    await queryInterface.createTable('AuditLogs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Who performed the action (null for system)'
+      },
+      actor_role: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      target_user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      action: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'e.g. admin.user.suspended'
+      },
+      reason: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: '{ field: { from, to } }'
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('AuditLogs', ['target_user_id', 'created_at']);
+    await queryInterface.addIndex('AuditLogs', ['actor_id', 'created_at']);
+    await queryInterface.addIndex('AuditLogs', ['action', 'created_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('AuditLogs');
+    await queryInterface.removeColumn('Users', 'password_reset_required');
+    await queryInterface.removeColumn('Users', 'suspension_reason');
+    await queryInterface.removeColumn('Users', 'suspended_at');
+
+    await queryInterface.changeColumn('Users', 'account_status', {
+      type: Sequelize.ENUM('active', 'deactivated', 'pending_deletion', 'deleted'),
+      defaultValue: 'active',
+      allowNull: false,
+      comment: 'Current status of the user account'
+    });
+  }
+};
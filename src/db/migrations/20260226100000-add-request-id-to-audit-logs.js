@@ -0,0 +1,19 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('AuditLogs', 'request_id', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'X-Request-Id of the request that produced the entry'
+    });
+
+    await queryInterface.addIndex('AuditLogs', ['request_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('AuditLogs', ['request_id']);
+    await queryInterface.removeColumn('AuditLogs', 'request_id');
+  }
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+// Initial catalog. Afterwards the database is the source of truth (admin API).
+const PERMISSIONS = [
+  ['users.read', 'View and search user accounts'],
+  ['users.update_role', 'Change a user\'s role'],
+  ['users.suspend', 'Suspend and unsuspend accounts'],
+  ['users.reset_password', 'Force a password reset'],
+  ['users.resend_verification', 'Resend the email verification link'],
+  ['users.revoke_sessions', 'Sign a user out of every device'],
+  ['permissions.manage', 'Edit role permissions and per-user grants'],
+  ['security_events.read', 'View security events'],
+  ['audit_logs.read', 'View the audit log'],
+  ['audit_logs.export', 'Export the audit log as CSV'],
+  ['modules.create', 'Create learning modules'],
+  ['modules.update', 'Edit learning modules'],
+  ['modules.publish', 'Publish and unpublish learning modules'],
+  ['modules.delete', 'Delete learning modules'],
+  ['announcements.create', 'Post announcements'],
+  ['uploads.bypass_rate_limit', 'Upload without the per-user rate limit']
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS.map(([name]) => name),
+  moderator: ['users.read', 'users.suspend', 'audit_logs.read', 'announcements.create'],
+  educator: ['modules.create', 'modules.update', 'modules.publish', 'announcements.create'],
+  player: []
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Permission version on Users (carried in access tokens as `pv`)
+    await queryInterface.addColumn('Users', 'permission_version', {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: 'Bumped when role or grants change - older access tokens are rejected'
+    });
+
+    // 2. Create Permissions table
+    await queryInterface.createTable('Permissions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'e.g. users.read'
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // 3. Create RolePermissions table
+    await queryInterface.createTable('RolePermissions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      role: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      permission_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Permissions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('RolePermissions', ['role', 'permission_id'], { unique: true });
+
+    // 4. Create UserPermissions table (per-user grants)
+    await queryInterface.createTable('UserPermissions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      permission_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Permissions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      granted_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Temporary grant (null = permanent)'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('UserPermissions', ['user_id', 'permission_id'], { unique: true });
+
+    // 5. Seed catalog and default role mappings
+    const now = new Date();
+    await queryInterface.bulkInsert('Permissions', PERMISSIONS.map(([name, description]) => ({
+      name,
+      description,
+      created_at: now,
+      updated_at: now
+    })));
+
+    const [rows] = await queryInterface.sequelize.query('SELECT id, name FROM Permissions');
+    const idByName = Object.fromEntries(rows.map(row => [row.name, row.id]));
+
+    const mappings = [];
+    for (const [role, names] of Object.entries(ROLE_PERMISSIONS)) {
+      for (const name of names) {
+        mappings.push({ role, permission_id: idByName[name], created_at: now });
+      }
+    }
+    await queryInterface.bulkInsert('RolePermissions', mappings);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('UserPermissions');
+    await queryInterface.dropTable('RolePermissions');
+    await queryInterface.dropTable('Permissions');
+    await queryInterface.removeColumn('Users', 'permission_version');
+  }
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Consent state on Users
+    await queryInterface.changeColumn('Users', 'account_status', {
+      type: Sequelize.ENUM('active', 'pending_guardian_consent', 'deactivated', 'pending_deletion', 'suspended', 'deleted'),
+      defaultValue: 'active',
+      allowNull: false,
+      comment: 'Current status of the user account'
+    });
+
+    await queryInterface.addColumn('Users', 'guardian_consent_required', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      comment: 'Under the consent age according to the profile date of birth'
+    });
+
+    await queryInterface.addColumn('Users', 'guardian_consent_requested_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Last consent email - newer requests invalidate older links'
+    });
+
+    await queryInterface.addColumn('Users', 'guardian_consent_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the current consent was given (null = none or withdrawn)'
+    });
+
+    // 2. Create GuardianConsents table (append-only decision history)
+    await queryInterface.createTable('GuardianConsents', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      guardian_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'UserGuardians',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      decision: {
+        type: Sequelize.ENUM('granted', 'declined', 'withdrawn'),
+        allowNull: false
+      },
+      // Copied so the record survives guardian edits and removal
+      guardian_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      guardian_email: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('GuardianConsents', ['user_id', 'created_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('GuardianConsents');
+
+    await queryInterface.removeColumn('Users', 'guardian_consent_at');
+    await queryInterface.removeColumn('Users', 'guardian_consent_requested_at');
+    await queryInterface.removeColumn('Users', 'guardian_consent_required');
+
+    await queryInterface.bulkUpdate('Users',
+      { account_status: 'active' },
+      { account_status: 'pending_guardian_consent' }
+    );
+
+    await queryInterface.changeColumn('Users', 'account_status', {
+      type: Sequelize.ENUM('active', 'deactivated', 'pending_deletion', 'suspended', 'deleted'),
+      defaultValue: 'active',
+      allowNull: false,
+      comment: 'Current status of the user account'
+    });
+  }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Guardian records can be claimed by a User account via an email invite
+    await queryInterface.addColumn('UserGuardians', 'guardian_user_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Guardian portal account linked to this record'
+    });
+
+    await queryInterface.addColumn('UserGuardians', 'invited_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Last invite email - newer invites invalidate older links'
+    });
+
+    await queryInterface.addColumn('UserGuardians', 'linked_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // One account per ward, but one account may be linked to several wards
+    await queryInterface.addIndex('UserGuardians', ['user_id', 'guardian_user_id'], {
+      unique: true,
+      name: 'user_guardians_user_id_guardian_user_id_unique'
+    });
+    await queryInterface.addIndex('UserGuardians', ['guardian_user_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('UserGuardians', ['guardian_user_id']);
+    await queryInterface.removeIndex('UserGuardians', 'user_guardians_user_id_guardian_user_id_unique');
+
+    await queryInterface.removeColumn('UserGuardians', 'linked_at');
+    await queryInterface.removeColumn('UserGuardians', 'invited_at');
+    await queryInterface.removeColumn('UserGuardians', 'guardian_user_id');
+  }
+};
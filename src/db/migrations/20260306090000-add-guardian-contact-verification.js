@@ -0,0 +1,79 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Per-channel verification on UserGuardians
+    await queryInterface.addColumn('UserGuardians', 'email_verified_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Reset when the email changes'
+    });
+
+    await queryInterface.addColumn('UserGuardians', 'phone_verified_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Reset when the phone number changes'
+    });
+
+    // 2. Create GuardianContactCodes table
+    await queryInterface.createTable('GuardianContactCodes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      guardian_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'UserGuardians',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      channel: {
+        type: Sequelize.ENUM('email', 'sms'),
+        allowNull: false
+      },
+      destination: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Email or phone the code was sent to - must still match when confirming'
+      },
+      code_hash: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      consumed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('GuardianContactCodes', ['guardian_id', 'channel']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('GuardianContactCodes');
+
+    await queryInterface.removeColumn('UserGuardians', 'phone_verified_at');
+    await queryInterface.removeColumn('UserGuardians', 'email_verified_at');
+  }
+};
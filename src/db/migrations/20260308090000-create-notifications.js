@@ -0,0 +1,71 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('Notifications', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      category: {
+        type: Sequelize.ENUM('module_reminder', 'achievement', 'safety', 'platform_update'),
+        allowNull: false,
+        comment: 'Maps to a UserNotificationPreferences flag'
+      },
+      type: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Specific event, e.g. security.token_reuse'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      data: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      action_url: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      read_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      emailed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('Notifications', ['user_id', 'created_at']);
+    await queryInterface.addIndex('Notifications', ['user_id', 'read_at']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('Notifications');
+  }
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Email language
+    await queryInterface.addColumn('Users', 'locale', {
+      type: Sequelize.STRING(10),
+      allowNull: false,
+      defaultValue: 'en',
+      comment: 'Language for emails'
+    });
+
+    // 2. Outbox - written with the action that sends the email, delivered by a worker
+    await queryInterface.createTable('EmailOutbox', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      template: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      locale: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      to_address: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      subject: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      html: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      text: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sending', 'sent', 'dead'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      locked_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Set while a worker is sending - stale locks are released'
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      message_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Provider message ID once sent'
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('EmailOutbox', ['status', 'next_attempt_at']);
+    await queryInterface.addIndex('EmailOutbox', ['user_id']);
+
+    // 3. Admin access to dead letters
+    const now = new Date();
+    await queryInterface.bulkInsert('Permissions', [{
+      name: 'emails.manage',
+      description: 'View the email outbox and retry failed emails',
+      created_at: now,
+      updated_at: now
+    }]);
+
+    const [[permission]] = await queryInterface.sequelize.query(
+      "SELECT id FROM Permissions WHERE name = 'emails.manage'"
+    );
+    await queryInterface.bulkInsert('RolePermissions', [{
+      role: 'admin',
+      permission_id: permission.id,
+      created_at: now
+    }]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.bulkDelete('Permissions', { name: 'emails.manage' });
+    await queryInterface.dropTable('EmailOutbox');
+    await queryInterface.removeColumn('Users', 'locale');
+  }
+};
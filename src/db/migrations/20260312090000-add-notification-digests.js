@@ -0,0 +1,56 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Digest schedule on notification preferences
+    await queryInterface.addColumn('UserNotificationPreferences', 'digest_frequency', {
+      type: Sequelize.ENUM('daily', 'weekly'),
+      allowNull: false,
+      defaultValue: 'daily',
+      comment: 'How often module reminders and platform updates are emailed'
+    });
+
+    await queryInterface.addColumn('UserNotificationPreferences', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC',
+      comment: 'IANA time zone, e.g. Asia/Manila'
+    });
+
+    await queryInterface.addColumn('UserNotificationPreferences', 'quiet_hours_start', {
+      type: Sequelize.SMALLINT,
+      allowNull: true,
+      comment: 'Local hour (0-23) from which no digest is sent'
+    });
+
+    await queryInterface.addColumn('UserNotificationPreferences', 'quiet_hours_end', {
+      type: Sequelize.SMALLINT,
+      allowNull: true,
+      comment: 'Local hour (0-23) at which digests may be sent again'
+    });
+
+    await queryInterface.addColumn('UserNotificationPreferences', 'digest_last_sent_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // 2. Extra headers on outbox emails (List-Unsubscribe)
+    await queryInterface.addColumn('EmailOutbox', 'headers', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('Notifications', ['category', 'emailed_at']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Notifications', ['category', 'emailed_at']);
+    await queryInterface.removeColumn('EmailOutbox', 'headers');
+    await queryInterface.removeColumn('UserNotificationPreferences', 'digest_last_sent_at');
+    await queryInterface.removeColumn('UserNotificationPreferences', 'quiet_hours_end');
+    await queryInterface.removeColumn('UserNotificationPreferences', 'quiet_hours_start');
+    await queryInterface.removeColumn('UserNotificationPreferences', 'timezone');
+    await queryInterface.removeColumn('UserNotificationPreferences', 'digest_frequency');
+  }
+};
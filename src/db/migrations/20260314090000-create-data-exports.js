@@ -0,0 +1,83 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('DataExports', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'ready', 'failed', 'expired'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      file_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'R2 key under the private exports/ prefix - never served publicly'
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Set while a worker builds the archive - stale runs are retried'
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Archive is deleted after this'
+      },
+      downloaded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('DataExports', ['user_id', 'created_at']);
+    await queryInterface.addIndex('DataExports', ['status']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('DataExports');
+  }
+};
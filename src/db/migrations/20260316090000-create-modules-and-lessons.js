@@ -0,0 +1,234 @@
+'use strict';
+
+const TOPICS = [
+  'online_safety',
+  'body_safety',
+  'consent',
+  'healthy_relationships',
+  'bullying',
+  'gender_equality',
+  'reporting_abuse',
+  'digital_citizenship'
+];
+
+const AGE_BANDS = ['6-8', '9-12', '13-15', '16-17', '18+'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Bring `files` in line with the File model (module attachments are its first writer)
+    await queryInterface.changeColumn('files', 'entity_type', {
+      type: Sequelize.ENUM('user', 'announcement', 'module', 'badge', 'submission'),
+      allowNull: false
+    });
+
+    await queryInterface.changeColumn('files', 'file_url', {
+      type: Sequelize.STRING(500),
+      allowNull: true,
+      comment: 'DEPRECATED: Full URL. Use file_key instead.'
+    });
+
+    await queryInterface.addColumn('files', 'file_category', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Category: avatar, thumbnail, resource, content, etc.'
+    });
+
+    await queryInterface.addColumn('files', 'original_name', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('files', 'mime_type', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('files', 'file_size', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('files', 'file_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 hash for duplicate detection'
+    });
+
+    await queryInterface.addColumn('files', 'deleted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('files', ['file_key'], { unique: true });
+    await queryInterface.addIndex('files', ['uploaded_by']);
+
+    // 2. Modules
+    await queryInterface.createTable('Modules', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      title: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      slug: {
+        type: Sequelize.STRING(220),
+        allowNull: false,
+        unique: true
+      },
+      summary: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Shown in the catalog'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      topic: {
+        type: Sequelize.ENUM(...TOPICS),
+        allowNull: false
+      },
+      age_band: {
+        type: Sequelize.ENUM(...AGE_BANDS),
+        allowNull: false
+      },
+      estimated_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      thumbnail_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'R2 key of the catalog thumbnail (also a File row)'
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'review', 'published'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      author_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Why the last review sent it back to draft'
+      },
+      published_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('Modules', ['status', 'topic', 'age_band']);
+    await queryInterface.addIndex('Modules', ['author_id']);
+
+    // 3. Lessons (ordered within a module)
+    await queryInterface.createTable('Lessons', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      title: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '1-based order within the module'
+      },
+      content: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Content blocks - media blocks reference module files by file_id'
+      },
+      estimated_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('Lessons', ['module_id', 'position']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('Lessons');
+    await queryInterface.dropTable('Modules');
+
+    await queryInterface.removeIndex('files', ['uploaded_by']);
+    await queryInterface.removeIndex('files', ['file_key']);
+    await queryInterface.removeColumn('files', 'deleted_at');
+    await queryInterface.removeColumn('files', 'file_hash');
+    await queryInterface.removeColumn('files', 'file_size');
+    await queryInterface.removeColumn('files', 'mime_type');
+    await queryInterface.removeColumn('files', 'original_name');
+    await queryInterface.removeColumn('files', 'file_category');
+    await queryInterface.changeColumn('files', 'file_url', {
+      type: Sequelize.STRING(500),
+      allowNull: false
+    });
+    await queryInterface.changeColumn('files', 'entity_type', {
+      type: Sequelize.ENUM('user', 'announcement', 'module'),
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Classrooms (an educator's group of learners)
+    await queryInterface.createTable('Classrooms', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      educator_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      join_code: {
+        type: Sequelize.STRING(12),
+        allowNull: false,
+        unique: true,
+        comment: 'Shared with learners to join the class'
+      },
+      archived_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('Classrooms', ['educator_id']);
+
+    // 2. Classroom members
+    await queryInterface.createTable('ClassroomMembers', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      classroom_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Classrooms',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      joined_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ClassroomMembers', ['classroom_id', 'user_id'], {
+      unique: true,
+      name: 'classroom_members_classroom_user_unique'
+    });
+    await queryInterface.addIndex('ClassroomMembers', ['user_id']);
+
+    // 3. Lesson progress (one row per user and lesson)
+    await queryInterface.createTable('LessonProgress', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      lesson_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Lessons',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      time_spent_seconds: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_position: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Client resume point, e.g. { "block": 3, "media_seconds": 41 }'
+      },
+      last_activity_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'Client time of the newest applied event'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('LessonProgress', ['user_id', 'lesson_id'], {
+      unique: true,
+      name: 'lesson_progress_user_lesson_unique'
+    });
+    await queryInterface.addIndex('LessonProgress', ['user_id', 'module_id']);
+    await queryInterface.addIndex('LessonProgress', ['user_id', 'last_activity_at']);
+
+    // 4. Applied progress events (replay protection for offline clients)
+    await queryInterface.createTable('ProgressEvents', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      client_event_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      lesson_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.ENUM('start', 'progress', 'complete'),
+        allowNull: false
+      },
+      occurred_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ProgressEvents', ['user_id', 'client_event_id'], {
+      unique: true,
+      name: 'progress_events_user_event_unique'
+    });
+    await queryInterface.addIndex('ProgressEvents', ['created_at']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('ProgressEvents');
+    await queryInterface.dropTable('LessonProgress');
+    await queryInterface.dropTable('ClassroomMembers');
+    await queryInterface.dropTable('Classrooms');
+  }
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Quizzes (at most one per lesson)
+    await queryInterface.createTable('Quizzes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      lesson_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'Lessons',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      title: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      instructions: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      questions: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Question definitions including answers - never sent to learners as stored'
+      },
+      pass_percent: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 70
+      },
+      max_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'NULL = unlimited'
+      },
+      time_limit_seconds: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'NULL = untimed'
+      },
+      shuffle_questions: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      shuffle_options: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // 2. Attempts
+    await queryInterface.createTable('QuizAttempts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      quiz_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Quizzes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      attempt_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('in_progress', 'submitted', 'expired'),
+        allowNull: false,
+        defaultValue: 'in_progress'
+      },
+      layout: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Question and option order shown in this attempt'
+      },
+      answers: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      results: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Per-question scoring'
+      },
+      score: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true
+      },
+      max_score: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true
+      },
+      percent: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      passed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: true
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      deadline_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('QuizAttempts', ['quiz_id', 'user_id', 'attempt_number'], {
+      unique: true,
+      name: 'quiz_attempts_quiz_user_number_unique'
+    });
+    await queryInterface.addIndex('QuizAttempts', ['user_id', 'created_at']);
+
+    // 3. Best quiz result on the lesson's progress row
+    await queryInterface.addColumn('LessonProgress', 'best_quiz_percent', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'time_spent_seconds'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('LessonProgress', 'best_quiz_percent');
+    await queryInterface.dropTable('QuizAttempts');
+    await queryInterface.dropTable('Quizzes');
+  }
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Badge definitions
+    await queryInterface.createTable('Badges', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      slug: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      image_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      criteria: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Award rule, e.g. { "type": "perfect_quizzes", "count": 5 }'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      is_secret: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Hidden from the catalog until earned'
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // 2. Awards (one per user and badge)
+    await queryInterface.createTable('UserBadges', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      badge_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Badges',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      awarded_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('UserBadges', ['user_id', 'badge_id'], {
+      unique: true,
+      name: 'user_badges_user_badge_unique'
+    });
+
+    // 3. Days with learning activity, in the user's time zone (streaks)
+    await queryInterface.createTable('UserActivityDays', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      activity_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('UserActivityDays', ['user_id', 'activity_date'], {
+      unique: true,
+      name: 'user_activity_days_user_date_unique'
+    });
+
+    // 4. Admin access to badge definitions
+    const now = new Date();
+    await queryInterface.bulkInsert('Permissions', [{
+      name: 'badges.manage',
+      description: 'Create and edit badges',
+      created_at: now,
+      updated_at: now
+    }]);
+
+    const [[permission]] = await queryInterface.sequelize.query(
+      "SELECT id FROM Permissions WHERE name = 'badges.manage'"
+    );
+    await queryInterface.bulkInsert('RolePermissions', [{
+      role: 'admin',
+      permission_id: permission.id,
+      created_at: now
+    }]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.bulkDelete('Permissions', { name: 'badges.manage' });
+    await queryInterface.dropTable('UserActivityDays');
+    await queryInterface.dropTable('UserBadges');
+    await queryInterface.dropTable('Badges');
+  }
+};
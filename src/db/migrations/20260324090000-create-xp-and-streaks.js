@@ -0,0 +1,205 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Running totals per player (also the per-player lock for ledger writes)
+    await queryInterface.createTable('PlayerStats', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      xp_total: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      level: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // 2. XP ledger (append-only)
+    await queryInterface.createTable('XpEntries', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      amount: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      source_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      source_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      idempotency_key: {
+        type: Sequelize.STRING(150),
+        allowNull: false,
+        comment: 'One entry per key and user, e.g. lesson_completed:lesson:12'
+      },
+      balance_after: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      note: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Admin who made a manual adjustment',
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('XpEntries', ['user_id', 'idempotency_key'], {
+      unique: true,
+      name: 'xp_entries_user_key_unique'
+    });
+    await queryInterface.addIndex('XpEntries', ['user_id', 'created_at']);
+
+    // 3. Streak freezes (one row per item; used_for_date is the day it covered)
+    await queryInterface.createTable('StreakFreezes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      source: {
+        type: Sequelize.ENUM('streak', 'admin'),
+        allowNull: false
+      },
+      source_key: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      granted_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      used_for_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('StreakFreezes', ['user_id', 'source_key'], {
+      unique: true,
+      name: 'streak_freezes_user_source_unique'
+    });
+    await queryInterface.addIndex('StreakFreezes', ['user_id', 'used_for_date']);
+
+    // 4. Admin access to player stats, XP adjustments and freeze grants
+    const now = new Date();
+    await queryInterface.bulkInsert('Permissions', [{
+      name: 'players.manage',
+      description: 'View player stats and adjust XP and streak freezes',
+      created_at: now,
+      updated_at: now
+    }]);
+
+    const [[permission]] = await queryInterface.sequelize.query(
+      "SELECT id FROM Permissions WHERE name = 'players.manage'"
+    );
+    await queryInterface.bulkInsert('RolePermissions', [{
+      role: 'admin',
+      permission_id: permission.id,
+      created_at: now
+    }]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.bulkDelete('Permissions', { name: 'players.manage' });
+    await queryInterface.dropTable('StreakFreezes');
+    await queryInterface.dropTable('XpEntries');
+    await queryInterface.dropTable('PlayerStats');
+  }
+};
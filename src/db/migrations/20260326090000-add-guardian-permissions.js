@@ -0,0 +1,38 @@
+'use strict';
+
+const PERMISSIONS = [
+  ['wards.read', 'View linked wards, their progress and safety alerts'],
+  ['wards.manage', 'Give or withdraw consent for linked wards and unlink them']
+];
+
+// Accounts of other roles reach the portal through their claimed ward links
+const ROLES = ['guardian', 'educator', 'moderator', 'admin'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface) => {
+    const now = new Date();
+    await queryInterface.bulkInsert('Permissions', PERMISSIONS.map(([name, description]) => ({
+      name,
+      description,
+      created_at: now,
+      updated_at: now
+    })));
+
+    const [rows] = await queryInterface.sequelize.query(
+      "SELECT id FROM Permissions WHERE name IN ('wards.read', 'wards.manage')"
+    );
+
+    const mappings = [];
+    for (const role of ROLES) {
+      for (const row of rows) {
+        mappings.push({ role, permission_id: row.id, created_at: now });
+      }
+    }
+    await queryInterface.bulkInsert('RolePermissions', mappings);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.bulkDelete('Permissions', { name: PERMISSIONS.map(([name]) => name) });
+  }
+};
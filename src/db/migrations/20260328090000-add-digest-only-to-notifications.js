@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Notifications', 'digest_only', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Kept only for the email digest (in-app turned off) - never shown in the notification center'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Notifications', 'digest_only');
+  }
+};
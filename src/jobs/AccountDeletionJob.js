@@ -1,8 +1,9 @@
 // jobs/AccountDeletionJob.js
 const cron = require('node-cron');
-const { User, UserProfile, UserGuardian, UserPrivacySettings, UserNotificationPreferences, AccountDeletionRequest, Session, TokenBlacklist } = require('../model');
+const { User, UserProfile, UserGuardian, GuardianConsent, GuardianContactCode, UserPrivacySettings, UserNotificationPreferences, AccountDeletionRequest, Session, TokenBlacklist, MfaRecoveryCode, WebAuthnCredential, WebAuthnChallenge, MagicLinkToken, LoginAttempt, PasswordHistory, Notification, EmailOutbox, DataExport, LessonProgress, ProgressEvent, QuizAttempt, Classroom, ClassroomMember, UserBadge, UserActivityDay, PlayerStats, StreakFreeze } = require('../model');
 const sequelize = require('../config/db');
 const AvatarService = require('../services/AvatarService');
+const fileStorageService = require('../services/FileStorageService');
 
 class AccountDeletionJob {
     /**
@@ -48,6 +49,7 @@ class AccountDeletionJob {
      * @param {AccountDeletionRequest} deletionRequest
      */
     static async deleteAccount(deletionRequest) {
+        const { Op } = sequelize.Sequelize;
         const transaction = await sequelize.transaction();
 
         try {
@@ -63,12 +65,30 @@ class AccountDeletionJob {
 
             // 2. Delete related records (cascade will handle some, but we do it explicitly for logging)
 
-            // Delete guardians
-            await UserGuardian.destroy({
+            // Delete contact verification codes for the guardian records removed below
+            const guardians = await UserGuardian.findAll({
+                where: { [Op.or]: [{ user_id: userId }, { guardian_user_id: userId }] },
+                attributes: ['id'],
+                transaction
+            });
+
+            await GuardianContactCode.destroy({
+                where: { guardian_id: guardians.map(guardian => guardian.id) },
+                transaction
+            });
+
+            // Delete guardian consent records (bulk destroy skips their append-only hooks)
+            await GuardianConsent.destroy({
                 where: { user_id: userId },
                 transaction
             });
 
+            // Delete guardians, and the guardian records this user claimed for their wards
+            await UserGuardian.destroy({
+                where: { [Op.or]: [{ user_id: userId }, { guardian_user_id: userId }] },
+                transaction
+            });
+
             // Delete profile
             await UserProfile.destroy({
                 where: { user_id: userId },
@@ -99,9 +119,116 @@ class AccountDeletionJob {
                 transaction
             });
 
+            // Delete two-factor recovery codes
+            await MfaRecoveryCode.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            // Delete passkeys and their pending challenges
+            await WebAuthnCredential.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            await WebAuthnChallenge.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            // Delete sign-in links
+            await MagicLinkToken.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            // Delete login history (failed attempts may only carry the email)
+            await LoginAttempt.destroy({
+                where: { [Op.or]: [{ user_id: userId }, { email: user.email.toLowerCase() }] },
+                transaction
+            });
+
+            // Delete previous password hashes
+            await PasswordHistory.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            // Delete notifications
+            await Notification.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            // Delete queued and sent emails (rendered bodies hold personal data)
+            await EmailOutbox.destroy({
+                where: { [Op.or]: [{ user_id: userId }, { to_address: user.email }] },
+                transaction
+            });
+
+            // Delete data exports; their archives are removed once this commits
+            const dataExports = await DataExport.findAll({
+                where: { user_id: userId },
+                attributes: ['id', 'file_key'],
+                transaction
+            });
+            const archiveKeys = dataExports.map(dataExport => dataExport.file_key).filter(Boolean);
+
+            await DataExport.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            // Delete learning progress and quiz attempts
+            await LessonProgress.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            await ProgressEvent.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            await QuizAttempt.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            // Leave classes, and close the ones this user ran
+            await ClassroomMember.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            await Classroom.destroy({
+                where: { educator_id: userId },
+                transaction
+            });
+
+            // Badges and activity days (streaks)
+            await UserBadge.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            await UserActivityDay.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            // XP totals and freezes; XpEntries stay (append-only ledger, like audit logs)
+            await PlayerStats.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            await StreakFreeze.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
             // TODO: Delete other related records
-            // - Progress records
-            // - Achievement records
             // - Risk assessments
             // - Module logs
             // - etc.
@@ -116,6 +243,12 @@ class AccountDeletionJob {
                 provider_id: null,
                 email_verified_at: null,
                 password: null,
+                mfa_enabled: false,
+                mfa_secret: null,
+                mfa_enabled_at: null,
+                mfa_last_used_step: null,
+                pending_email: null,
+                pending_email_requested_at: null,
                 is_profile_public: false
             }, {
                 where: { id: userId },
@@ -123,9 +256,18 @@ class AccountDeletionJob {
             });
 
             // 4. Mark deletion request as completed
-            await request.complete();
+            await deletionRequest.complete();
             await transaction.commit();
 
+            // 5. Remove export archives from storage (the rows are gone either way)
+            for (const key of archiveKeys) {
+                try {
+                    await fileStorageService.deleteFile(key);
+                } catch (error) {
+                    console.error(`[AccountDeletionJob] Failed to remove export archive ${key}:`, error.message);
+                }
+            }
+
             console.log(`[AccountDeletionJob] Successfully deleted account for user ${userId}`);
 
             // TODO: Send final deletion confirmation email
@@ -1,4 +1,10 @@
 const jwtService = require('../services/JwtService');
+const loginThrottleService = require('../services/LoginThrottleService');
+const guardianConsentService = require('../services/GuardianConsentService');
+const notificationService = require('../services/NotificationService');
+const emailService = require('../services/EmailService');
+const dataExportService = require('../services/DataExportService');
+const progressService = require('../services/ProgressService');
 
 /**
  * Cleanup expired sessions and tokens
@@ -9,6 +15,20 @@ async function cleanupExpiredTokens() {
         console.log('[Cleanup] Starting cleanup of expired tokens and sessions...');
 
         await jwtService.cleanupExpired();
+        await loginThrottleService.cleanupHistory();
+        await notificationService.cleanup();
+        await emailService.cleanupOutbox();
+        await progressService.cleanup();
+
+        const expiredExports = await dataExportService.cleanup();
+        if (expiredExports > 0) {
+            console.log(`[Cleanup] Removed ${expiredExports} expired data export(s)`);
+        }
+
+        const released = await guardianConsentService.releaseAdults();
+        if (released > 0) {
+            console.log(`[Cleanup] ${released} user(s) reached the guardian consent age`);
+        }
 
         console.log('[Cleanup] Cleanup completed successfully');
     } catch (error) {
@@ -0,0 +1,34 @@
+const dataExportService = require('../services/DataExportService');
+
+/**
+ * Build pending personal data exports
+ * Exports also start right after they are requested - this picks up the rest
+ * (retries, and requests made while the server was down).
+ */
+async function processDataExports() {
+    try {
+        const built = await dataExportService.processPending();
+        if (built > 0) {
+            console.log(`[DataExport] Built ${built} data export(s)`);
+        }
+    } catch (error) {
+        console.error('[DataExport] Error building data exports:', error.message);
+    }
+}
+
+/**
+ * Schedule the data export worker
+ */
+function scheduleDataExports() {
+    const FIVE_MINUTES = 5 * 60 * 1000;
+
+    setInterval(processDataExports, FIVE_MINUTES);
+
+    // Run immediately on startup
+    processDataExports();
+}
+
+module.exports = {
+    processDataExports,
+    scheduleDataExports
+};
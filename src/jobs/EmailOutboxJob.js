@@ -0,0 +1,33 @@
+const emailService = require('../services/EmailService');
+
+/**
+ * Send due emails from the outbox (new emails, and retries whose backoff has passed)
+ * Emails are also sent right after they are queued - this picks up the rest.
+ */
+async function processEmailOutbox() {
+    try {
+        const sent = await emailService.processOutbox();
+        if (sent > 0) {
+            console.log(`[EmailOutbox] Sent ${sent} queued email(s)`);
+        }
+    } catch (error) {
+        console.error('[EmailOutbox] Error sending queued emails:', error.message);
+    }
+}
+
+/**
+ * Schedule the outbox worker
+ */
+function scheduleEmailOutbox() {
+    const THIRTY_SECONDS = 30 * 1000;
+
+    setInterval(processEmailOutbox, THIRTY_SECONDS);
+
+    // Catch up on anything queued while the server was down
+    processEmailOutbox();
+}
+
+module.exports = {
+    processEmailOutbox,
+    scheduleEmailOutbox
+};
@@ -0,0 +1,33 @@
+const digestService = require('../services/DigestService');
+
+/**
+ * Email due notification digests (module reminders, platform updates)
+ * Runs hourly - each user's digest goes out at their local send hour.
+ */
+async function sendNotificationDigests() {
+    try {
+        const sent = await digestService.run();
+        if (sent > 0) {
+            console.log(`[Digest] Queued ${sent} notification digest(s)`);
+        }
+    } catch (error) {
+        console.error('[Digest] Error sending notification digests:', error.message);
+    }
+}
+
+/**
+ * Schedule the digest job
+ */
+function scheduleNotificationDigests() {
+    const ONE_HOUR = 60 * 60 * 1000;
+
+    setInterval(sendNotificationDigests, ONE_HOUR);
+
+    // Run immediately on startup
+    sendNotificationDigests();
+}
+
+module.exports = {
+    sendNotificationDigests,
+    scheduleNotificationDigests
+};
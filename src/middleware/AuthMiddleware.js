@@ -1,5 +1,6 @@
 const jwtService = require('../services/JwtService');
-const { User } = require('../model');
+const permissionService = require('../services/PermissionService');
+const { User, UserGuardian } = require('../model');
 
 /**
  * Extract device information from request
@@ -26,6 +27,14 @@ function getDeviceInfo(req) {
     };
 }
 
+/**
+ * Whether the token predates the user's current permission version
+ * (tokens issued before versioning carry no `pv` and count as version 0)
+ */
+function tokenPermissionsOutdated(user, decoded) {
+    return (decoded.pv ?? 0) !== (user.permission_version || 0);
+}
+
 /**
  * Main authentication middleware
  */
@@ -87,10 +96,26 @@ exports.authenticate = async (req, res, next) => {
             });
         }
 
+        // Role or grants changed since the token was issued - client should refresh
+        if (tokenPermissionsOutdated(user, decoded)) {
+            return res.status(401).json({
+                message: 'Permissions have changed. Please refresh your token.',
+                code: 'PERMISSIONS_CHANGED'
+            });
+        }
+
+        if (user.isSuspended()) {
+            return res.status(403).json({
+                message: 'This account has been suspended.',
+                code: 'ACCOUNT_SUSPENDED'
+            });
+        }
+
         // Attach user and token info to request
         req.user = user;
         req.userId = user.id;
         req.jti = decoded.jti;
+        req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
 
         next();
     } catch (error) {
@@ -98,6 +123,17 @@ exports.authenticate = async (req, res, next) => {
     }
 };
 
+/**
+ * Accept the access token as `?access_token=` (EventSource cannot send headers).
+ * Only for streaming routes - URLs end up in logs. Use before `authenticate`.
+ */
+exports.allowQueryToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
 /**
  * Require email verification
  */
@@ -112,6 +148,19 @@ exports.requireEmailVerified = (req, res, next) => {
     next();
 };
 
+/**
+ * Lock features for minors until a guardian has consented
+ */
+exports.requireGuardianConsent = (req, res, next) => {
+    if (req.user && req.user.isPendingGuardianConsent()) {
+        return res.status(403).json({
+            message: 'A parent or guardian needs to give consent before you can use this feature.',
+            code: 'GUARDIAN_CONSENT_REQUIRED'
+        });
+    }
+    next();
+};
+
 /**
  * Require specific role(s)
  */
@@ -137,6 +186,70 @@ exports.requireRole = (...roles) => {
     };
 };
 
+/**
+ * Require permission(s) - all listed permissions must be granted
+ */
+exports.requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({
+                    message: 'Authentication required.',
+                    code: 'AUTH_REQUIRED'
+                });
+            }
+
+            const granted = await permissionService.getPermissionsForUser(req.user);
+            const missing = permissions.filter(name => !granted.includes(name));
+
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    message: 'Insufficient permissions.',
+                    code: 'INSUFFICIENT_PERMISSIONS',
+                    required_permissions: missing
+                });
+            }
+
+            req.permissions = granted;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/**
+ * Guardian portal access: the permission (guardian and staff roles), or a
+ * claimed ward link - accounts of any role can be a guardian without changing role
+ */
+exports.requireWardAccess = (permission) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({
+                    message: 'Authentication required.',
+                    code: 'AUTH_REQUIRED'
+                });
+            }
+
+            const granted = await permissionService.getPermissionsForUser(req.user);
+
+            if (!granted.includes(permission) && await UserGuardian.count({ where: { guardian_user_id: req.user.id } }) === 0) {
+                return res.status(403).json({
+                    message: 'Insufficient permissions.',
+                    code: 'INSUFFICIENT_PERMISSIONS',
+                    required_permissions: [permission]
+                });
+            }
+
+            req.permissions = granted;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
 /**
  * Optional authentication (doesn't fail if no token)
  */
@@ -154,7 +267,10 @@ exports.optionalAuth = async (req, res, next) => {
             const decoded = await jwtService.validateAccessToken(token);
             const user = await User.findByPk(decoded.id);
 
-            if (user && !user.tokenIssuedBeforePasswordChange(decoded.iat)) {
+            if (user
+                && !user.tokenIssuedBeforePasswordChange(decoded.iat)
+                && !tokenPermissionsOutdated(user, decoded)
+                && !user.isSuspended()) {
                 req.user = user;
                 req.userId = user.id;
                 req.jti = decoded.jti;
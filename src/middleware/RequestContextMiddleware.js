@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Accept a caller-supplied ID (e.g. from a load balancer) only if it looks sane
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{8,64}$/;
+
+/**
+ * Assign a request ID and make the request reachable from code that has no `req`
+ * (model hooks, services) for the rest of the request.
+ */
+exports.requestContext = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+    res.set('X-Request-Id', req.id);
+
+    storage.run({ req }, () => next());
+};
+
+/**
+ * Current request, or null outside a request (jobs, scripts)
+ */
+exports.getCurrentRequest = () => {
+    const context = storage.getStore();
+    return context ? context.req : null;
+};
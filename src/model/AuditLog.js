@@ -0,0 +1,162 @@
+module.exports = (sequelize, DataTypes) => {
+    const AuditLog = sequelize.define('AuditLog', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        actor_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        actor_role: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        target_user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        action: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        reason: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        changes: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        metadata: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        ip_address: {
+            type: DataTypes.STRING(45),
+            allowNull: true
+        },
+        user_agent: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        request_id: {
+            type: DataTypes.STRING(64),
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'AuditLogs',
+        createdAt: 'created_at',
+        updatedAt: false,
+        hooks: {
+            // Append-only: entries are never edited or removed through the app
+            beforeUpdate: () => {
+                throw new Error('Audit log entries are append-only');
+            },
+            beforeBulkUpdate: () => {
+                throw new Error('Audit log entries are append-only');
+            },
+            beforeDestroy: () => {
+                throw new Error('Audit log entries are append-only');
+            },
+            beforeBulkDestroy: () => {
+                throw new Error('Audit log entries are append-only');
+            }
+        }
+    });
+
+    // Associations
+    AuditLog.associate = function (models) {
+        AuditLog.belongsTo(models.User, {
+            foreignKey: 'actor_id',
+            as: 'actor'
+        });
+
+        AuditLog.belongsTo(models.User, {
+            foreignKey: 'target_user_id',
+            as: 'target'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Filtered, paginated listing (admin)
+     */
+    AuditLog.search = async function (filters = {}, { page = 1, limit = 50 } = {}) {
+        return await this.findAndCountAll({
+            where: AuditLog.buildWhere(filters),
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            limit,
+            offset: (page - 1) * limit
+        });
+    };
+
+    /**
+     * @param {Object} filters - { actorId, targetUserId, action, requestId, ipAddress, from, to }
+     * `action` ending in ".*" matches a prefix, e.g. "admin.*"
+     */
+    AuditLog.buildWhere = function ({ actorId, targetUserId, action, requestId, ipAddress, from, to } = {}) {
+        const { Op } = sequelize.Sequelize;
+        const where = {};
+
+        if (actorId) where.actor_id = actorId;
+        if (targetUserId) where.target_user_id = targetUserId;
+        if (requestId) where.request_id = requestId;
+        if (ipAddress) where.ip_address = ipAddress;
+        if (action) {
+            where.action = action.endsWith('.*')
+                ? { [Op.like]: `${action.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%` }
+                : action;
+        }
+        if (from || to) {
+            where.created_at = {
+                ...(from && { [Op.gte]: from }),
+                ...(to && { [Op.lte]: to })
+            };
+        }
+
+        return where;
+    };
+
+    // Instance methods
+
+    /**
+     * What the account owner sees in their activity feed
+     */
+    AuditLog.prototype.toActivityJSON = function (viewerId) {
+        const byOwner = this.actor_id === viewerId;
+
+        return {
+            id: this.id,
+            action: this.action,
+            performed_by: byOwner ? 'you' : (this.actor_id ? 'administrator' : 'system'),
+            changes: this.changes,
+            ip_address: byOwner ? this.ip_address : null,
+            user_agent: byOwner ? this.user_agent : null,
+            created_at: this.created_at
+        };
+    };
+
+    AuditLog.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            action: this.action,
+            actor_id: this.actor_id,
+            actor_role: this.actor_role,
+            target_user_id: this.target_user_id,
+            reason: this.reason,
+            changes: this.changes,
+            metadata: this.metadata,
+            ip_address: this.ip_address,
+            user_agent: this.user_agent,
+            request_id: this.request_id,
+            created_at: this.created_at
+        };
+    };
+
+    return AuditLog;
+};
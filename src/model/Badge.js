@@ -0,0 +1,176 @@
+// models/Badge.js
+module.exports = (sequelize, DataTypes) => {
+    // Award rules and the settings each one needs
+    const CRITERIA = {
+        module_completed: ['module_id'], // Every lesson of one module completed
+        modules_completed: ['count'], // Any N modules completed
+        lessons_completed: ['count'],
+        perfect_quizzes: ['count'], // N different quizzes scored 100%
+        streak_days: ['days'] // Learning on N days in a row
+    };
+
+    const CRITERIA_TYPES = Object.keys(CRITERIA);
+
+    const Badge = sequelize.define('Badge', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        slug: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            unique: true,
+            validate: {
+                is: { args: /^[a-z0-9]+(-[a-z0-9]+)*$/, msg: 'Slug may only contain lowercase letters, numbers and dashes' }
+            }
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Name is required' },
+                len: { args: [2, 100], msg: 'Name must be between 2 and 100 characters' }
+            }
+        },
+        description: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        image_key: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        // { type, ...settings } - see CRITERIA
+        criteria: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            validate: {
+                isCriteria(value) {
+                    const error = Badge.validateCriteria(value);
+                    if (error) throw new Error(error);
+                }
+            }
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true,
+            allowNull: false
+        },
+        is_secret: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            allowNull: false
+        },
+        created_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'Badges',
+        hooks: {
+            beforeValidate: (badge) => {
+                if (!badge.slug && badge.name) {
+                    badge.slug = String(badge.name)
+                        .toLowerCase()
+                        .normalize('NFKD')
+                        .replace(/[\u0300-\u036f]/g, '')
+                        .replace(/[^a-z0-9]+/g, '-')
+                        .replace(/^-+|-+$/g, '')
+                        .slice(0, 100);
+                }
+            }
+        }
+    });
+
+    Badge.CRITERIA_TYPES = CRITERIA_TYPES;
+
+    // Associations
+    Badge.associate = function (models) {
+        Badge.belongsTo(models.User, {
+            foreignKey: 'created_by',
+            as: 'creator'
+        });
+
+        Badge.hasMany(models.UserBadge, {
+            foreignKey: 'badge_id',
+            as: 'awards',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Error message for invalid award criteria, or null
+     */
+    Badge.validateCriteria = function (criteria) {
+        if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+            return 'Criteria must be an object';
+        }
+        if (!CRITERIA_TYPES.includes(criteria.type)) {
+            return `Criteria type must be one of: ${CRITERIA_TYPES.join(', ')}`;
+        }
+
+        for (const setting of CRITERIA[criteria.type]) {
+            const value = criteria[setting];
+            if (!Number.isInteger(value) || value < 1) {
+                return `${criteria.type} criteria need ${setting} as a positive whole number`;
+            }
+        }
+
+        const unknown = Object.keys(criteria).filter(key => key !== 'type' && !CRITERIA[criteria.type].includes(key));
+        if (unknown.length > 0) return `Unknown criteria setting(s): ${unknown.join(', ')}`;
+
+        return null;
+    };
+
+    /**
+     * Badges that can still be awarded
+     */
+    Badge.findActive = async function (options = {}) {
+        return await this.findAll({
+            where: { is_active: true },
+            order: [['id', 'ASC']],
+            ...options
+        });
+    };
+
+    // Instance methods
+
+    Badge.prototype.getImageUrl = function () {
+        if (!this.image_key) return null;
+
+        const fileStorageService = require('../services/FileStorageService');
+        return fileStorageService.constructUrl(this.image_key);
+    };
+
+    /**
+     * Public view - the rule itself stays internal
+     */
+    Badge.prototype.toSummaryJSON = function () {
+        return {
+            id: this.id,
+            slug: this.slug,
+            name: this.name,
+            description: this.description,
+            image_url: this.getImageUrl()
+        };
+    };
+
+    Badge.prototype.toJSON = function () {
+        return {
+            ...this.toSummaryJSON(),
+            criteria: this.criteria,
+            is_active: this.is_active,
+            is_secret: this.is_secret,
+            created_by: this.created_by,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    };
+
+    return Badge;
+};
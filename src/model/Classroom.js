@@ -0,0 +1,146 @@
+// models/Classroom.js
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+    // No 0/O or 1/I/L - codes are read out loud in class
+    const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+    const JOIN_CODE_LENGTH = 8;
+
+    const Classroom = sequelize.define('Classroom', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(120),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Name is required' },
+                len: { args: [1, 120], msg: 'Name must be at most 120 characters' }
+            }
+        },
+        educator_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        join_code: {
+            type: DataTypes.STRING(12),
+            allowNull: false,
+            unique: true
+        },
+        archived_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'Classrooms',
+        indexes: [
+            { fields: ['educator_id'] }
+        ],
+        hooks: {
+            beforeValidate: (classroom) => {
+                if (!classroom.join_code) {
+                    classroom.join_code = Classroom.generateJoinCode();
+                }
+            }
+        }
+    });
+
+    // Associations
+    Classroom.associate = function (models) {
+        Classroom.belongsTo(models.User, {
+            foreignKey: 'educator_id',
+            as: 'educator'
+        });
+
+        Classroom.hasMany(models.ClassroomMember, {
+            foreignKey: 'classroom_id',
+            as: 'members',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    // Static methods
+
+    Classroom.generateJoinCode = function () {
+        return Array.from(
+            { length: JOIN_CODE_LENGTH },
+            () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+        ).join('');
+    };
+
+    /**
+     * Active class by join code (case and spacing forgiven)
+     */
+    Classroom.findByJoinCode = async function (code) {
+        const normalized = String(code || '').replace(/[\s-]/g, '').toUpperCase();
+        if (!normalized) return null;
+
+        return await this.findOne({
+            where: { join_code: normalized, archived_at: null }
+        });
+    };
+
+    /**
+     * Classes the user has joined as a learner
+     */
+    Classroom.findJoinedBy = async function (userId) {
+        return await this.findAll({
+            where: { archived_at: null },
+            include: [
+                {
+                    model: sequelize.models.ClassroomMember,
+                    as: 'members',
+                    where: { user_id: userId },
+                    attributes: ['joined_at']
+                },
+                {
+                    model: sequelize.models.User,
+                    as: 'educator',
+                    attributes: ['id', 'name']
+                }
+            ],
+            order: [['name', 'ASC']]
+        });
+    };
+
+    // Instance methods
+
+    /**
+     * The educator who runs the class; admins manage any class
+     */
+    Classroom.prototype.isManagedBy = function (user) {
+        return user.role === 'admin' || this.educator_id === user.id;
+    };
+
+    Classroom.prototype.isArchived = function () {
+        return this.archived_at !== null;
+    };
+
+    /**
+     * Issue a new join code (the old one stops working)
+     */
+    Classroom.prototype.regenerateJoinCode = async function () {
+        this.join_code = Classroom.generateJoinCode();
+        await this.save({ fields: ['join_code'] });
+    };
+
+    Classroom.prototype.toJSON = function () {
+        const memberCount = this.get('member_count');
+
+        return {
+            id: this.id,
+            name: this.name,
+            educator_id: this.educator_id,
+            join_code: this.join_code,
+            member_count: memberCount !== undefined ? parseInt(memberCount) : undefined,
+            archived_at: this.archived_at,
+            created_at: this.created_at
+        };
+    };
+
+    return Classroom;
+};
@@ -0,0 +1,63 @@
+// models/ClassroomMember.js
+module.exports = (sequelize, DataTypes) => {
+    const ClassroomMember = sequelize.define('ClassroomMember', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        classroom_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        joined_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ClassroomMembers',
+        indexes: [
+            { unique: true, fields: ['classroom_id', 'user_id'] },
+            { fields: ['user_id'] }
+        ]
+    });
+
+    // Associations
+    ClassroomMember.associate = function (models) {
+        ClassroomMember.belongsTo(models.Classroom, {
+            foreignKey: 'classroom_id',
+            as: 'classroom'
+        });
+
+        ClassroomMember.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Members with their account, in name order
+     */
+    ClassroomMember.findByClassroom = async function (classroomId) {
+        return await this.findAll({
+            where: { classroom_id: classroomId },
+            include: [{
+                model: sequelize.models.User,
+                as: 'user',
+                attributes: ['id', 'name', 'email', 'avatar_key', 'avatar_url', 'account_status']
+            }],
+            order: [[{ model: sequelize.models.User, as: 'user' }, 'name', 'ASC']]
+        });
+    };
+
+    return ClassroomMember;
+};
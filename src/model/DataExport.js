@@ -0,0 +1,214 @@
+// models/DataExport.js
+module.exports = (sequelize, DataTypes) => {
+    const STATUSES = ['pending', 'processing', 'ready', 'failed', 'expired'];
+
+    const DataExport = sequelize.define('DataExport', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM(...STATUSES),
+            defaultValue: 'pending',
+            allowNull: false
+        },
+        file_key: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        file_size: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        attempts: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            allowNull: false
+        },
+        last_error: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        completed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        downloaded_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'DataExports',
+        indexes: [
+            { fields: ['user_id', 'created_at'] },
+            { fields: ['status'] }
+        ]
+    });
+
+    DataExport.STATUSES = STATUSES;
+
+    // Associations
+    DataExport.associate = function (models) {
+        DataExport.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    const limitError = (message) => {
+        const error = new Error(message);
+        error.code = 'DATA_EXPORT_LIMITED';
+        error.statusCode = 429;
+        return error;
+    };
+
+    /**
+     * Queue an export. One at a time per user, and not more often than `cooldownHours`.
+     * @throws {Error} - code DATA_EXPORT_LIMITED (429) when either limit applies
+     */
+    DataExport.createRequest = async function (userId, { cooldownHours }) {
+        const { Op } = sequelize.Sequelize;
+
+        const inProgress = await this.findOne({
+            where: { user_id: userId, status: ['pending', 'processing'] }
+        });
+        if (inProgress) {
+            throw limitError('A data export is already being prepared for this account');
+        }
+
+        const recent = await this.findOne({
+            where: {
+                user_id: userId,
+                status: 'ready',
+                created_at: { [Op.gt]: new Date(Date.now() - cooldownHours * 60 * 60 * 1000) }
+            }
+        });
+        if (recent) {
+            throw limitError(`A data export was already created in the last ${cooldownHours} hours`);
+        }
+
+        return await this.create({ user_id: userId, status: 'pending' });
+    };
+
+    DataExport.findLatestForUser = async function (userId) {
+        return await this.findOne({
+            where: { user_id: userId },
+            order: [['created_at', 'DESC'], ['id', 'DESC']]
+        });
+    };
+
+    /**
+     * Claim the oldest pending export (conditional update, so two workers
+     * never build the same one)
+     * @returns {Promise<DataExport|null>}
+     */
+    DataExport.claimNext = async function () {
+        const pending = await this.findAll({
+            where: { status: 'pending' },
+            order: [['created_at', 'ASC'], ['id', 'ASC']],
+            limit: 5
+        });
+
+        for (const dataExport of pending) {
+            const now = new Date();
+            const [affected] = await this.update(
+                { status: 'processing', started_at: now, attempts: dataExport.attempts + 1 },
+                { where: { id: dataExport.id, status: 'pending' } }
+            );
+
+            if (affected === 1) {
+                return await dataExport.reload();
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Put back exports whose worker died mid-build
+     * @returns {Promise<number>}
+     */
+    DataExport.releaseStale = async function (olderThanMs) {
+        const { Op } = sequelize.Sequelize;
+
+        const [affected] = await this.update(
+            { status: 'pending', started_at: null },
+            { where: { status: 'processing', started_at: { [Op.lt]: new Date(Date.now() - olderThanMs) } } }
+        );
+        return affected;
+    };
+
+    /**
+     * Ready exports past their expiry (archive still in storage)
+     */
+    DataExport.findExpired = async function () {
+        const { Op } = sequelize.Sequelize;
+
+        return await this.findAll({
+            where: { status: 'ready', expires_at: { [Op.lte]: new Date() } }
+        });
+    };
+
+    // Instance methods
+
+    DataExport.prototype.markReady = async function (fileKey, fileSize, expiresAt) {
+        this.status = 'ready';
+        this.file_key = fileKey;
+        this.file_size = fileSize;
+        this.completed_at = new Date();
+        this.expires_at = expiresAt;
+        this.last_error = null;
+        await this.save();
+    };
+
+    /**
+     * Record a failed build: retry later, or give up after `maxAttempts`
+     */
+    DataExport.prototype.markFailed = async function (error, { maxAttempts }) {
+        this.started_at = null;
+        this.last_error = String(error && error.message ? error.message : error).slice(0, 2000);
+        this.status = this.attempts >= maxAttempts ? 'failed' : 'pending';
+        await this.save();
+    };
+
+    DataExport.prototype.markExpired = async function () {
+        this.status = 'expired';
+        this.file_key = null;
+        await this.save();
+    };
+
+    DataExport.prototype.isReady = function () {
+        return this.status === 'ready' && this.expires_at && new Date(this.expires_at) > new Date();
+    };
+
+    DataExport.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            status: this.status,
+            file_size: this.file_size,
+            requested_at: this.created_at,
+            completed_at: this.completed_at,
+            expires_at: this.expires_at,
+            downloaded_at: this.downloaded_at
+        };
+    };
+
+    return DataExport;
+};
@@ -0,0 +1,240 @@
+// models/EmailOutbox.js
+module.exports = (sequelize, DataTypes) => {
+    const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+    const EmailOutbox = sequelize.define('EmailOutbox', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        template: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        locale: {
+            type: DataTypes.STRING(10),
+            allowNull: false
+        },
+        to_address: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        subject: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        html: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        text: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        headers: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        status: {
+            type: DataTypes.ENUM(...STATUSES),
+            defaultValue: 'pending',
+            allowNull: false
+        },
+        attempts: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            allowNull: false
+        },
+        next_attempt_at: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW,
+            allowNull: false
+        },
+        locked_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        last_error: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        message_id: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        sent_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'EmailOutbox',
+        indexes: [
+            { fields: ['status', 'next_attempt_at'] },
+            { fields: ['user_id'] }
+        ]
+    });
+
+    EmailOutbox.STATUSES = STATUSES;
+
+    // Associations
+    EmailOutbox.associate = function (models) {
+        EmailOutbox.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Claim due emails for sending. Each row is claimed with a conditional
+     * update, so two workers never send the same email.
+     */
+    EmailOutbox.claimDue = async function (limit) {
+        const { Op } = sequelize.Sequelize;
+        const now = new Date();
+
+        const due = await this.findAll({
+            where: { status: 'pending', next_attempt_at: { [Op.lte]: now } },
+            order: [['next_attempt_at', 'ASC'], ['id', 'ASC']],
+            limit
+        });
+
+        const claimed = [];
+        for (const email of due) {
+            const [affected] = await this.update(
+                { status: 'sending', locked_at: now },
+                { where: { id: email.id, status: 'pending' } }
+            );
+
+            if (affected === 1) {
+                email.status = 'sending';
+                email.locked_at = now;
+                claimed.push(email);
+            }
+        }
+
+        return claimed;
+    };
+
+    /**
+     * Put back emails whose worker died mid-send (they may go out twice)
+     * @returns {Promise<number>}
+     */
+    EmailOutbox.releaseStale = async function (olderThanMs) {
+        const { Op } = sequelize.Sequelize;
+
+        const [affected] = await this.update(
+            { status: 'pending', locked_at: null },
+            { where: { status: 'sending', locked_at: { [Op.lt]: new Date(Date.now() - olderThanMs) } } }
+        );
+        return affected;
+    };
+
+    /**
+     * Admin listing (metadata only - bodies can contain sign-in links)
+     */
+    EmailOutbox.search = async function ({ status = null, userId = null } = {}, { page = 1, limit = 50 } = {}) {
+        const where = {};
+        if (status) where.status = status;
+        if (userId) where.user_id = userId;
+
+        return await this.findAndCountAll({
+            where,
+            attributes: { exclude: ['html', 'text', 'headers'] },
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            limit,
+            offset: (page - 1) * limit
+        });
+    };
+
+    /**
+     * Remove sent emails and old dead letters (run from cleanup job)
+     */
+    EmailOutbox.cleanup = async function ({ sentDays, deadDays }) {
+        const { Op } = sequelize.Sequelize;
+        const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        await this.destroy({
+            where: {
+                [Op.or]: [
+                    { status: 'sent', sent_at: { [Op.lt]: daysAgo(sentDays) } },
+                    { status: 'dead', updated_at: { [Op.lt]: daysAgo(deadDays) } }
+                ]
+            }
+        });
+    };
+
+    // Instance methods
+
+    EmailOutbox.prototype.markSent = async function (messageId = null) {
+        this.status = 'sent';
+        this.attempts += 1;
+        this.sent_at = new Date();
+        this.locked_at = null;
+        this.last_error = null;
+        this.message_id = messageId;
+        await this.save();
+    };
+
+    /**
+     * Record a failed attempt: retry after `retryInMs`, or dead-letter when
+     * there are no attempts left
+     */
+    EmailOutbox.prototype.markFailed = async function (error, { maxAttempts, retryInMs }) {
+        this.attempts += 1;
+        this.locked_at = null;
+        this.last_error = String(error && error.message ? error.message : error).slice(0, 2000);
+
+        if (this.attempts >= maxAttempts) {
+            this.status = 'dead';
+        } else {
+            this.status = 'pending';
+            this.next_attempt_at = new Date(Date.now() + retryInMs);
+        }
+
+        await this.save();
+    };
+
+    /**
+     * Send a dead letter again (admin)
+     */
+    EmailOutbox.prototype.retry = async function () {
+        this.status = 'pending';
+        this.attempts = 0;
+        this.next_attempt_at = new Date();
+        this.last_error = null;
+        await this.save();
+    };
+
+    EmailOutbox.prototype.isDead = function () {
+        return this.status === 'dead';
+    };
+
+    EmailOutbox.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            user_id: this.user_id,
+            template: this.template,
+            locale: this.locale,
+            to_address: this.to_address,
+            subject: this.subject,
+            status: this.status,
+            attempts: this.attempts,
+            next_attempt_at: this.next_attempt_at,
+            last_error: this.last_error,
+            message_id: this.message_id,
+            sent_at: this.sent_at,
+            created_at: this.created_at
+        };
+    };
+
+    return EmailOutbox;
+};
@@ -0,0 +1,105 @@
+// models/GuardianConsent.js
+module.exports = (sequelize, DataTypes) => {
+    const GuardianConsent = sequelize.define('GuardianConsent', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        guardian_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        decision: {
+            type: DataTypes.ENUM('granted', 'declined', 'withdrawn'),
+            allowNull: false
+        },
+        guardian_name: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        guardian_email: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        ip_address: {
+            type: DataTypes.STRING(45),
+            allowNull: true
+        },
+        user_agent: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'GuardianConsents',
+        createdAt: 'created_at',
+        updatedAt: false,
+        hooks: {
+            // Compliance record - decisions are never edited or removed
+            beforeUpdate: () => {
+                throw new Error('Guardian consent records are append-only');
+            },
+            beforeDestroy: () => {
+                throw new Error('Guardian consent records are append-only');
+            }
+        }
+    });
+
+    // Associations
+    GuardianConsent.associate = function (models) {
+        GuardianConsent.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+
+        GuardianConsent.belongsTo(models.UserGuardian, {
+            foreignKey: 'guardian_id',
+            as: 'guardian'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Record a guardian's decision with where it came from
+     */
+    GuardianConsent.record = async function (user, guardian, decision, deviceInfo = {}, options = {}) {
+        return await this.create({
+            user_id: user.id,
+            guardian_id: guardian.id,
+            decision,
+            guardian_name: guardian.full_name,
+            guardian_email: guardian.email,
+            ip_address: deviceInfo.ip_address || null,
+            user_agent: deviceInfo.user_agent || null
+        }, options);
+    };
+
+    GuardianConsent.findHistory = async function (userId) {
+        return await this.findAll({
+            where: { user_id: userId },
+            order: [['created_at', 'DESC'], ['id', 'DESC']]
+        });
+    };
+
+    // Instance methods
+    GuardianConsent.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            decision: this.decision,
+            guardian_id: this.guardian_id,
+            guardian_name: this.guardian_name,
+            guardian_email: this.guardian_email,
+            ip_address: this.ip_address,
+            created_at: this.created_at
+        };
+    };
+
+    return GuardianConsent;
+};
@@ -0,0 +1,118 @@
+// models/GuardianContactCode.js
+const bcrypt = require('bcryptjs');
+
+module.exports = (sequelize, DataTypes) => {
+    const GuardianContactCode = sequelize.define('GuardianContactCode', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        guardian_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        channel: {
+            type: DataTypes.ENUM('email', 'sms'),
+            allowNull: false
+        },
+        destination: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        code_hash: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        attempts: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            allowNull: false
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        consumed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'GuardianContactCodes',
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+
+    // Associations
+    GuardianContactCode.associate = function (models) {
+        GuardianContactCode.belongsTo(models.UserGuardian, {
+            foreignKey: 'guardian_id',
+            as: 'guardian'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Store a new code for a channel, replacing any outstanding one
+     */
+    GuardianContactCode.issue = async function (guardianId, channel, destination, code, ttlMs) {
+        await this.destroy({ where: { guardian_id: guardianId, channel } });
+
+        return await this.create({
+            guardian_id: guardianId,
+            channel,
+            destination,
+            code_hash: await bcrypt.hash(code, 10),
+            expires_at: new Date(Date.now() + ttlMs)
+        });
+    };
+
+    GuardianContactCode.findOutstanding = async function (guardianId, channel) {
+        return await this.findOne({
+            where: { guardian_id: guardianId, channel, consumed_at: null },
+            order: [['created_at', 'DESC']]
+        });
+    };
+
+    /**
+     * Drop outstanding codes (contact edited or verified another way)
+     */
+    GuardianContactCode.discard = async function (guardianId, channel, options = {}) {
+        await this.destroy({ where: { guardian_id: guardianId, channel }, ...options });
+    };
+
+    // Instance methods
+    GuardianContactCode.prototype.isExpired = function () {
+        return new Date() > new Date(this.expires_at);
+    };
+
+    GuardianContactCode.prototype.matches = async function (code) {
+        return await bcrypt.compare(String(code), this.code_hash);
+    };
+
+    /**
+     * Count an attempt atomically
+     * @returns {Promise<number>} - Attempts including this one
+     */
+    GuardianContactCode.prototype.recordAttempt = async function () {
+        await GuardianContactCode.increment('attempts', { by: 1, where: { id: this.id } });
+        await this.reload({ attributes: ['id', 'attempts'] });
+        return this.attempts;
+    };
+
+    /**
+     * Conditional update so a code can only be used once
+     */
+    GuardianContactCode.prototype.consume = async function (options = {}) {
+        const [affected] = await GuardianContactCode.update(
+            { consumed_at: new Date() },
+            { where: { id: this.id, consumed_at: null }, ...options }
+        );
+        return affected === 1;
+    };
+
+    return GuardianContactCode;
+};
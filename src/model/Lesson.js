@@ -0,0 +1,204 @@
+// models/Lesson.js
+module.exports = (sequelize, DataTypes) => {
+    /**
+     * Content block types and their required fields.
+     * Media blocks point at a File attached to the lesson's module (entity_type 'module').
+     */
+    const BLOCK_TYPES = {
+        heading: ['text'],
+        text: ['text'],
+        list: ['items'],
+        callout: ['text'],
+        image: ['file_id'],
+        video: ['file_id'],
+        attachment: ['file_id']
+    };
+
+    const MEDIA_BLOCKS = ['image', 'video', 'attachment'];
+
+    const Lesson = sequelize.define('Lesson', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        title: {
+            type: DataTypes.STRING(200),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Title is required' },
+                len: { args: [1, 200], msg: 'Title must be at most 200 characters' }
+            }
+        },
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        content: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: [],
+            validate: {
+                isContent(value) {
+                    const error = Lesson.validateContent(value);
+                    if (error) throw new Error(error);
+                }
+            }
+        },
+        estimated_minutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: { min: 1, max: 240 }
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'Lessons',
+        indexes: [
+            { fields: ['module_id', 'position'] }
+        ]
+    });
+
+    Lesson.BLOCK_TYPES = Object.keys(BLOCK_TYPES);
+
+    // Associations
+    Lesson.associate = function (models) {
+        Lesson.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        Lesson.hasOne(models.Quiz, {
+            foreignKey: 'lesson_id',
+            as: 'quiz',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Check lesson content blocks
+     * @returns {string|null} - First problem found, or null when valid
+     */
+    Lesson.validateContent = function (content) {
+        if (!Array.isArray(content)) return 'Content must be a list of blocks';
+
+        for (const [index, block] of content.entries()) {
+            if (!block || typeof block !== 'object') return `Block ${index + 1} must be an object`;
+
+            const required = BLOCK_TYPES[block.type];
+            if (!required) {
+                return `Block ${index + 1} has an unknown type. Use one of: ${Lesson.BLOCK_TYPES.join(', ')}`;
+            }
+
+            for (const field of required) {
+                if (block[field] === undefined || block[field] === null || block[field] === '') {
+                    return `Block ${index + 1} (${block.type}) needs ${field}`;
+                }
+            }
+
+            if (block.type === 'list' && (!Array.isArray(block.items) || block.items.some(item => typeof item !== 'string'))) {
+                return `Block ${index + 1} (list) items must be text`;
+            }
+            if (MEDIA_BLOCKS.includes(block.type) && !Number.isInteger(block.file_id)) {
+                return `Block ${index + 1} (${block.type}) file_id must be a file id`;
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Ordered lessons of a module
+     */
+    Lesson.findByModule = async function (moduleId, options = {}) {
+        return await this.findAll({
+            where: { module_id: moduleId },
+            order: [['position', 'ASC'], ['id', 'ASC']],
+            ...options
+        });
+    };
+
+    /**
+     * Position for a lesson added at the end of a module
+     */
+    Lesson.nextPosition = async function (moduleId, options = {}) {
+        const max = await this.max('position', { where: { module_id: moduleId }, ...options });
+        return (max || 0) + 1;
+    };
+
+    /**
+     * Renumber a module's lessons 1..n in the given order
+     * @param {number[]} lessonIds - Every lesson id of the module, in the new order
+     */
+    Lesson.reorder = async function (moduleId, lessonIds, { transaction } = {}) {
+        for (const [index, id] of lessonIds.entries()) {
+            await this.update(
+                { position: index + 1 },
+                { where: { id, module_id: moduleId }, transaction }
+            );
+        }
+    };
+
+    // Instance methods
+
+    /**
+     * Files referenced by media blocks
+     */
+    Lesson.prototype.getFileIds = function () {
+        return [...new Set(
+            (this.content || [])
+                .filter(block => MEDIA_BLOCKS.includes(block.type))
+                .map(block => block.file_id)
+        )];
+    };
+
+    /**
+     * Outline entry (module page)
+     */
+    Lesson.prototype.toSummaryJSON = function () {
+        return {
+            id: this.id,
+            title: this.title,
+            position: this.position,
+            estimated_minutes: this.estimated_minutes
+        };
+    };
+
+    /**
+     * Full lesson; media blocks get the file's url and details
+     * @param {Map<number, File>} files - Module files by id
+     */
+    Lesson.prototype.toDetailJSON = function (files = new Map()) {
+        return {
+            ...this.toSummaryJSON(),
+            module_id: this.module_id,
+            content: (this.content || []).map(block => {
+                if (!MEDIA_BLOCKS.includes(block.type)) return block;
+
+                const file = files.get(block.file_id);
+                return {
+                    ...block,
+                    file: file ? {
+                        url: file.getUrl(),
+                        original_name: file.original_name,
+                        mime_type: file.mime_type,
+                        file_size: file.file_size
+                    } : null
+                };
+            }),
+            updated_at: this.updated_at
+        };
+    };
+
+    Lesson.prototype.toJSON = function () {
+        return this.toDetailJSON();
+    };
+
+    return Lesson;
+};
@@ -0,0 +1,171 @@
+// models/LessonProgress.js
+module.exports = (sequelize, DataTypes) => {
+    const LessonProgress = sequelize.define('LessonProgress', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        lesson_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        completed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        time_spent_seconds: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            allowNull: false
+        },
+        best_quiz_percent: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        last_position: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        last_activity_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'LessonProgress',
+        indexes: [
+            { unique: true, fields: ['user_id', 'lesson_id'] },
+            { fields: ['user_id', 'module_id'] },
+            { fields: ['user_id', 'last_activity_at'] }
+        ]
+    });
+
+    // Associations
+    LessonProgress.associate = function (models) {
+        LessonProgress.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+
+        LessonProgress.belongsTo(models.Lesson, {
+            foreignKey: 'lesson_id',
+            as: 'lesson'
+        });
+
+        LessonProgress.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Progress rows for users (one or many) in the given modules, or all modules
+     */
+    LessonProgress.findForUsers = async function (userIds, moduleIds = null) {
+        const where = { user_id: userIds };
+        if (moduleIds) where.module_id = moduleIds;
+
+        return await this.findAll({ where });
+    };
+
+    /**
+     * Most recently active rows first (resume candidates)
+     */
+    LessonProgress.findRecent = async function (userId, limit = 20) {
+        return await this.findAll({
+            where: { user_id: userId },
+            order: [['last_activity_at', 'DESC'], ['id', 'DESC']],
+            limit
+        });
+    };
+
+    /**
+     * The user's row for a lesson, created if missing and locked for the rest of the transaction.
+     * INSERT IGNORE waits out a concurrent first event instead of failing on the unique index,
+     * and the locking read sees its committed row (a plain read would use the older snapshot).
+     */
+    LessonProgress.lockForLesson = async function (userId, lesson, startedAt, transaction) {
+        await this.bulkCreate([{
+            user_id: userId,
+            lesson_id: lesson.id,
+            module_id: lesson.module_id,
+            started_at: startedAt,
+            last_activity_at: startedAt
+        }], { ignoreDuplicates: true, transaction });
+
+        return await this.findOne({
+            where: { user_id: userId, lesson_id: lesson.id },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+    };
+
+    // Instance methods
+
+    LessonProgress.prototype.isCompleted = function () {
+        return this.completed_at !== null;
+    };
+
+    /**
+     * Fold one client event into the row.
+     * Events may arrive late and out of order (offline clients), so:
+     * - started_at / completed_at keep the earliest time seen
+     * - completion never goes back
+     * - the resume position comes from the newest event by client time
+     * - the quiz result keeps the best score
+     * @param {Object} event - { type, occurred_at, seconds, position, quiz_percent }
+     */
+    LessonProgress.prototype.applyEvent = function ({ type, occurred_at: occurredAt, seconds = 0, position, quiz_percent: quizPercent }) {
+        if (!this.started_at || occurredAt < this.started_at) {
+            this.started_at = occurredAt;
+        }
+
+        if (type === 'complete' && (!this.completed_at || occurredAt < this.completed_at)) {
+            this.completed_at = occurredAt;
+        }
+
+        this.time_spent_seconds = (this.time_spent_seconds || 0) + seconds;
+
+        if (quizPercent !== undefined) {
+            const best = this.best_quiz_percent;
+            this.best_quiz_percent = best === null || best === undefined ? quizPercent : Math.max(best, quizPercent);
+        }
+
+        if (!this.last_activity_at || occurredAt >= this.last_activity_at) {
+            this.last_activity_at = occurredAt;
+            if (position !== undefined) this.last_position = position;
+        }
+    };
+
+    LessonProgress.prototype.toJSON = function () {
+        return {
+            lesson_id: this.lesson_id,
+            module_id: this.module_id,
+            status: this.isCompleted() ? 'completed' : 'in_progress',
+            started_at: this.started_at,
+            completed_at: this.completed_at,
+            time_spent_seconds: this.time_spent_seconds,
+            best_quiz_percent: this.best_quiz_percent,
+            last_position: this.last_position,
+            last_activity_at: this.last_activity_at
+        };
+    };
+
+    return LessonProgress;
+};
@@ -0,0 +1,107 @@
+// models/LoginAttempt.js
+module.exports = (sequelize, DataTypes) => {
+    const LoginAttempt = sequelize.define('LoginAttempt', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        email: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        auth_method: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            defaultValue: 'password'
+        },
+        success: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false
+        },
+        failure_reason: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        ip_address: {
+            type: DataTypes.STRING(45),
+            allowNull: true
+        },
+        user_agent: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        device_name: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'LoginAttempts',
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { fields: ['user_id', 'created_at'] },
+            { fields: ['ip_address', 'created_at'] }
+        ]
+    });
+
+    // Associations
+    LoginAttempt.associate = function (models) {
+        LoginAttempt.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+    LoginAttempt.countRecentFailuresByIp = async function (ipAddress, windowMs) {
+        if (!ipAddress) return 0;
+
+        return await this.count({
+            where: {
+                ip_address: ipAddress,
+                success: false,
+                created_at: { [sequelize.Sequelize.Op.gte]: new Date(Date.now() - windowMs) }
+            }
+        });
+    };
+
+    LoginAttempt.findRecentForUser = async function (userId, limit = 20) {
+        return await this.findAll({
+            where: { user_id: userId },
+            order: [['created_at', 'DESC']],
+            limit
+        });
+    };
+
+    LoginAttempt.cleanupOlderThan = async function (days) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - days);
+        await this.destroy({
+            where: {
+                created_at: { [sequelize.Sequelize.Op.lt]: cutoff }
+            }
+        });
+    };
+
+    // Instance methods
+    LoginAttempt.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            success: this.success,
+            auth_method: this.auth_method,
+            failure_reason: this.failure_reason,
+            ip_address: this.ip_address,
+            device_name: this.device_name,
+            created_at: this.created_at
+        };
+    };
+
+    return LoginAttempt;
+};
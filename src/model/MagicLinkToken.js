@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+    const MagicLinkToken = sequelize.define('MagicLinkToken', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        jti: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true
+        },
+        device_hash: {
+            type: DataTypes.STRING(64),
+            allowNull: false
+        },
+        ip_address: {
+            type: DataTypes.STRING(45),
+            allowNull: true
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        consumed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'MagicLinkTokens',
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+
+    // Associations
+    MagicLinkToken.associate = function (models) {
+        MagicLinkToken.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+    MagicLinkToken.hashDeviceSecret = function (deviceSecret) {
+        return crypto.createHash('sha256').update(String(deviceSecret)).digest('hex');
+    };
+
+    /**
+     * Mark link as used. Returns false if it was already consumed (or raced).
+     */
+    MagicLinkToken.consume = async function (id) {
+        const [affected] = await this.update(
+            { consumed_at: new Date() },
+            { where: { id, consumed_at: null } }
+        );
+        return affected === 1;
+    };
+
+    MagicLinkToken.cleanupExpired = async function () {
+        const now = new Date();
+        await this.destroy({
+            where: {
+                expires_at: { [sequelize.Sequelize.Op.lt]: now }
+            }
+        });
+    };
+
+    // Instance methods
+    MagicLinkToken.prototype.isUsable = function () {
+        if (this.consumed_at) return false;
+        if (this.expires_at < new Date()) return false;
+        return true;
+    };
+
+    MagicLinkToken.prototype.matchesDevice = function (deviceSecret) {
+        if (!deviceSecret) return false;
+        const expected = Buffer.from(this.device_hash, 'hex');
+        const actual = Buffer.from(MagicLinkToken.hashDeviceSecret(deviceSecret), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    };
+
+    return MagicLinkToken;
+};
@@ -0,0 +1,86 @@
+const bcrypt = require('bcryptjs');
+
+module.exports = (sequelize, DataTypes) => {
+    const MfaRecoveryCode = sequelize.define('MfaRecoveryCode', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        code_hash: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        used_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'MfaRecoveryCodes',
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+
+    // Associations
+    MfaRecoveryCode.associate = function (models) {
+        MfaRecoveryCode.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Replace all recovery codes for a user with freshly hashed ones
+     */
+    MfaRecoveryCode.replaceForUser = async function (userId, codes, options = {}) {
+        await this.destroy({ where: { user_id: userId }, transaction: options.transaction });
+
+        const rows = await Promise.all(codes.map(async (code) => ({
+            user_id: userId,
+            code_hash: await bcrypt.hash(MfaRecoveryCode.normalize(code), 10)
+        })));
+
+        await this.bulkCreate(rows, { transaction: options.transaction });
+    };
+
+    /**
+     * Consume a recovery code. Returns true if a matching unused code was found.
+     */
+    MfaRecoveryCode.consume = async function (userId, code) {
+        const candidates = await this.findAll({
+            where: { user_id: userId, used_at: null }
+        });
+
+        const normalized = MfaRecoveryCode.normalize(code);
+        for (const candidate of candidates) {
+            if (await bcrypt.compare(normalized, candidate.code_hash)) {
+                // Conditional update so two concurrent requests cannot both use it
+                const [affected] = await this.update(
+                    { used_at: new Date() },
+                    { where: { id: candidate.id, used_at: null } }
+                );
+                return affected === 1;
+            }
+        }
+
+        return false;
+    };
+
+    MfaRecoveryCode.countRemaining = async function (userId) {
+        return await this.count({ where: { user_id: userId, used_at: null } });
+    };
+
+    MfaRecoveryCode.normalize = function (code) {
+        return String(code).replace(/[\s-]/g, '').toLowerCase();
+    };
+
+    return MfaRecoveryCode;
+};
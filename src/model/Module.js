@@ -0,0 +1,328 @@
+// models/Module.js
+module.exports = (sequelize, DataTypes) => {
+    const STATUSES = ['draft', 'review', 'published'];
+
+    const TOPICS = [
+        'online_safety',
+        'body_safety',
+        'consent',
+        'healthy_relationships',
+        'bullying',
+        'gender_equality',
+        'reporting_abuse',
+        'digital_citizenship'
+    ];
+
+    const AGE_BANDS = ['6-8', '9-12', '13-15', '16-17', '18+'];
+
+    const Module = sequelize.define('Module', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        title: {
+            type: DataTypes.STRING(200),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Title is required' },
+                len: { args: [3, 200], msg: 'Title must be between 3 and 200 characters' }
+            }
+        },
+        slug: {
+            type: DataTypes.STRING(220),
+            allowNull: false,
+            unique: true
+        },
+        summary: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        topic: {
+            type: DataTypes.ENUM(...TOPICS),
+            allowNull: false,
+            validate: {
+                isIn: { args: [TOPICS], msg: `Topic must be one of: ${TOPICS.join(', ')}` }
+            }
+        },
+        age_band: {
+            type: DataTypes.ENUM(...AGE_BANDS),
+            allowNull: false,
+            validate: {
+                isIn: { args: [AGE_BANDS], msg: `Age band must be one of: ${AGE_BANDS.join(', ')}` }
+            }
+        },
+        estimated_minutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: { min: 1, max: 600 }
+        },
+        thumbnail_key: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        status: {
+            type: DataTypes.ENUM(...STATUSES),
+            defaultValue: 'draft',
+            allowNull: false
+        },
+        author_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        submitted_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        reviewed_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        review_notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        published_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'Modules',
+        indexes: [
+            { fields: ['status', 'topic', 'age_band'] },
+            { fields: ['author_id'] }
+        ],
+        hooks: {
+            beforeValidate: async (learningModule) => {
+                if (!learningModule.slug && learningModule.title) {
+                    learningModule.slug = await Module.generateSlug(learningModule.title);
+                }
+            }
+        }
+    });
+
+    Module.STATUSES = STATUSES;
+    Module.TOPICS = TOPICS;
+    Module.AGE_BANDS = AGE_BANDS;
+
+    // Associations
+    Module.associate = function (models) {
+        Module.belongsTo(models.User, {
+            foreignKey: 'author_id',
+            as: 'author'
+        });
+
+        Module.belongsTo(models.User, {
+            foreignKey: 'reviewed_by',
+            as: 'reviewer'
+        });
+
+        Module.hasMany(models.Lesson, {
+            foreignKey: 'module_id',
+            as: 'lessons',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * URL slug from a title, unique across modules ('Online Safety' -> 'online-safety-2')
+     */
+    Module.generateSlug = async function (title) {
+        const { Op } = sequelize.Sequelize;
+        const base = String(title)
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 200) || 'module';
+
+        const taken = await this.findAll({
+            where: { slug: { [Op.or]: [base, { [Op.like]: `${base}-%` }] } },
+            attributes: ['slug'],
+            raw: true
+        });
+        const slugs = new Set(taken.map(row => row.slug));
+
+        if (!slugs.has(base)) return base;
+
+        let n = 2;
+        while (slugs.has(`${base}-${n}`)) n++;
+        return `${base}-${n}`;
+    };
+
+    /**
+     * Public catalog: published modules, newest first
+     */
+    Module.findPublished = async function ({ topic = null, ageBand = null, search = null } = {}, { page = 1, limit = 20 } = {}) {
+        const { Op } = sequelize.Sequelize;
+        const where = { status: 'published' };
+
+        if (topic) where.topic = topic;
+        if (ageBand) where.age_band = ageBand;
+        if (search) {
+            where[Op.or] = [
+                { title: { [Op.like]: `%${search}%` } },
+                { summary: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        return await this.findAndCountAll({
+            where,
+            attributes: {
+                include: [[
+                    sequelize.literal('(SELECT COUNT(*) FROM Lessons WHERE Lessons.module_id = Module.id)'),
+                    'lesson_count'
+                ]]
+            },
+            order: [['published_at', 'DESC'], ['id', 'DESC']],
+            limit,
+            offset: (page - 1) * limit
+        });
+    };
+
+    /**
+     * Published module by id or slug, with its lessons in order
+     */
+    Module.findPublishedWithLessons = async function (idOrSlug) {
+        const where = /^\d+$/.test(String(idOrSlug)) ? { id: idOrSlug } : { slug: idOrSlug };
+
+        return await this.findOne({
+            where: { ...where, status: 'published' },
+            include: [{ model: sequelize.models.Lesson, as: 'lessons' }],
+            order: [[{ model: sequelize.models.Lesson, as: 'lessons' }, 'position', 'ASC']]
+        });
+    };
+
+    // Instance methods
+
+    Module.prototype.isDraft = function () {
+        return this.status === 'draft';
+    };
+
+    Module.prototype.isInReview = function () {
+        return this.status === 'review';
+    };
+
+    Module.prototype.isPublished = function () {
+        return this.status === 'published';
+    };
+
+    /**
+     * Authors edit their own modules; admins edit any
+     */
+    Module.prototype.isEditableBy = function (user) {
+        return user.role === 'admin' || this.author_id === user.id;
+    };
+
+    /**
+     * draft -> review
+     */
+    Module.prototype.submitForReview = async function (options = {}) {
+        if (!this.isDraft()) {
+            throw new Error('Only draft modules can be submitted for review');
+        }
+
+        this.status = 'review';
+        this.submitted_at = new Date();
+        await this.save(options);
+    };
+
+    /**
+     * review -> published
+     */
+    Module.prototype.publish = async function (reviewer, options = {}) {
+        if (!this.isInReview()) {
+            throw new Error('Only modules in review can be published');
+        }
+
+        this.status = 'published';
+        this.reviewed_by = reviewer.id;
+        this.review_notes = null;
+        this.published_at = new Date();
+        await this.save(options);
+    };
+
+    /**
+     * review -> draft, with notes for the author
+     */
+    Module.prototype.reject = async function (reviewer, notes, options = {}) {
+        if (!this.isInReview()) {
+            throw new Error('Only modules in review can be sent back');
+        }
+
+        this.status = 'draft';
+        this.reviewed_by = reviewer.id;
+        this.review_notes = notes;
+        await this.save(options);
+    };
+
+    /**
+     * published -> draft (taken out of the catalog for changes)
+     */
+    Module.prototype.unpublish = async function (options = {}) {
+        if (!this.isPublished()) {
+            throw new Error('Only published modules can be unpublished');
+        }
+
+        this.status = 'draft';
+        this.published_at = null;
+        await this.save(options);
+    };
+
+    Module.prototype.getThumbnailUrl = function () {
+        if (!this.thumbnail_key) return null;
+
+        const fileStorageService = require('../services/FileStorageService');
+        return fileStorageService.constructUrl(this.thumbnail_key);
+    };
+
+    /**
+     * Catalog card
+     */
+    Module.prototype.toCatalogJSON = function () {
+        const lessonCount = this.get('lesson_count');
+
+        return {
+            id: this.id,
+            slug: this.slug,
+            title: this.title,
+            summary: this.summary,
+            topic: this.topic,
+            age_band: this.age_band,
+            estimated_minutes: this.estimated_minutes,
+            thumbnail_url: this.getThumbnailUrl(),
+            lesson_count: lessonCount !== undefined
+                ? parseInt(lessonCount)
+                : (this.lessons ? this.lessons.length : undefined),
+            published_at: this.published_at
+        };
+    };
+
+    /**
+     * Full view for authors and reviewers
+     */
+    Module.prototype.toJSON = function () {
+        return {
+            ...this.toCatalogJSON(),
+            description: this.description,
+            status: this.status,
+            author_id: this.author_id,
+            submitted_at: this.submitted_at,
+            reviewed_by: this.reviewed_by,
+            review_notes: this.review_notes,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    };
+
+    return Module;
+};
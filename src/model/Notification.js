@@ -0,0 +1,194 @@
+// models/Notification.js
+module.exports = (sequelize, DataTypes) => {
+    const CATEGORIES = ['module_reminder', 'achievement', 'safety', 'platform_update'];
+
+    const Notification = sequelize.define('Notification', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        category: {
+            type: DataTypes.ENUM(...CATEGORIES),
+            allowNull: false
+        },
+        type: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        title: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        body: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        data: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        action_url: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        read_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        emailed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // Stored for the email digest only; hidden from the notification center
+        digest_only: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'Notifications',
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { fields: ['user_id', 'created_at'] },
+            { fields: ['user_id', 'read_at'] },
+            { fields: ['category', 'emailed_at'] }
+        ]
+    });
+
+    Notification.CATEGORIES = CATEGORIES;
+
+    // Associations
+    Notification.associate = function (models) {
+        Notification.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Paginated listing for one user, newest first
+     */
+    Notification.findForUser = async function (userId, { unreadOnly = false, category = null, page = 1, limit = 20 } = {}) {
+        const where = { user_id: userId, digest_only: false };
+
+        if (unreadOnly) where.read_at = null;
+        if (category) where.category = category;
+
+        return await this.findAndCountAll({
+            where,
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            limit,
+            offset: (page - 1) * limit
+        });
+    };
+
+    Notification.countUnread = async function (userId) {
+        return await this.count({ where: { user_id: userId, read_at: null, digest_only: false } });
+    };
+
+    /**
+     * Mark some (ids) or all of a user's notifications as read
+     * @returns {Promise<number>} - Rows updated
+     */
+    Notification.markRead = async function (userId, ids = null) {
+        const where = { user_id: userId, read_at: null, digest_only: false };
+        if (ids) where.id = ids;
+
+        const [affected] = await this.update({ read_at: new Date() }, { where });
+        return affected;
+    };
+
+    /**
+     * Unread notifications not yet emailed, for a digest (newest first)
+     * @param {Object} options - { since, until, limit }
+     */
+    Notification.findPendingDigest = async function (userId, categories, { since, until, limit }) {
+        return await this.findAndCountAll({
+            where: pendingDigestWhere(userId, categories, since, until),
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            limit
+        });
+    };
+
+    /**
+     * Users with notifications waiting for a digest
+     * @returns {Promise<number[]>}
+     */
+    Notification.findUsersWithPendingDigest = async function (categories, { since, until }) {
+        const rows = await this.findAll({
+            attributes: ['user_id'],
+            where: pendingDigestWhere(null, categories, since, until),
+            group: ['user_id'],
+            raw: true
+        });
+        return rows.map(row => row.user_id);
+    };
+
+    /**
+     * Mark everything a digest covered as emailed, including items left out
+     * of the email (counted in its "and N more")
+     */
+    Notification.markDigestEmailed = async function (userId, categories, { since, until, transaction }) {
+        const [affected] = await this.update(
+            { emailed_at: new Date() },
+            { where: pendingDigestWhere(userId, categories, since, until), transaction }
+        );
+        return affected;
+    };
+
+    function pendingDigestWhere(userId, categories, since, until) {
+        const { Op } = sequelize.Sequelize;
+        const where = {
+            category: categories,
+            read_at: null,
+            emailed_at: null,
+            created_at: { [Op.gte]: since, [Op.lte]: until }
+        };
+        if (userId) where.user_id = userId;
+        return where;
+    }
+
+    /**
+     * Remove read and digest-only notifications older than the retention period (run from cleanup job)
+     */
+    Notification.cleanupOlderThan = async function (days) {
+        const { Op } = sequelize.Sequelize;
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - days);
+
+        await this.destroy({
+            where: {
+                [Op.or]: [{ read_at: { [Op.ne]: null } }, { digest_only: true }],
+                created_at: { [Op.lt]: cutoff }
+            }
+        });
+    };
+
+    // Instance methods
+    Notification.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            category: this.category,
+            type: this.type,
+            title: this.title,
+            body: this.body,
+            data: this.data,
+            action_url: this.action_url,
+            read: !!this.read_at,
+            read_at: this.read_at,
+            created_at: this.created_at
+        };
+    };
+
+    return Notification;
+};
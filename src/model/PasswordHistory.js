@@ -0,0 +1,81 @@
+const bcrypt = require('bcryptjs');
+
+module.exports = (sequelize, DataTypes) => {
+    const PasswordHistory = sequelize.define('PasswordHistory', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        password_hash: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'PasswordHistories',
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+
+    // Associations
+    PasswordHistory.associate = function (models) {
+        PasswordHistory.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Store a newly set password and keep only the most recent `keep` entries
+     */
+    PasswordHistory.record = async function (userId, password, keep = 5, options = {}) {
+        await this.create({
+            user_id: userId,
+            password_hash: await bcrypt.hash(password, 10)
+        }, { transaction: options.transaction });
+
+        const stale = await this.findAll({
+            where: { user_id: userId },
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            offset: keep,
+            attributes: ['id'],
+            transaction: options.transaction
+        });
+
+        if (stale.length > 0) {
+            await this.destroy({
+                where: { id: stale.map(h => h.id) },
+                transaction: options.transaction
+            });
+        }
+    };
+
+    /**
+     * Check a plaintext password against the last `limit` entries
+     */
+    PasswordHistory.wasUsedRecently = async function (userId, password, limit = 5) {
+        const entries = await this.findAll({
+            where: { user_id: userId },
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            limit
+        });
+
+        for (const entry of entries) {
+            if (await bcrypt.compare(password, entry.password_hash)) {
+                return true;
+            }
+        }
+
+        return false;
+    };
+
+    return PasswordHistory;
+};
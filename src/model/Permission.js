@@ -0,0 +1,64 @@
+module.exports = (sequelize, DataTypes) => {
+    const Permission = sequelize.define('Permission', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            unique: true,
+            validate: {
+                is: /^[a-z_]+(\.[a-z_]+)+$/
+            }
+        },
+        description: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'Permissions'
+    });
+
+    // Associations
+    Permission.associate = function (models) {
+        Permission.hasMany(models.RolePermission, {
+            foreignKey: 'permission_id',
+            as: 'rolePermissions'
+        });
+
+        Permission.hasMany(models.UserPermission, {
+            foreignKey: 'permission_id',
+            as: 'userPermissions'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Look up permissions by name
+     * @returns {Promise<Permission[]>} - Only the names that exist
+     */
+    Permission.findByNames = async function (names, options = {}) {
+        if (!names || names.length === 0) return [];
+
+        return await this.findAll({
+            where: { name: [...new Set(names)] },
+            ...options
+        });
+    };
+
+    // Instance methods
+    Permission.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description
+        };
+    };
+
+    return Permission;
+};
@@ -0,0 +1,60 @@
+// models/PlayerStats.js
+module.exports = (sequelize, DataTypes) => {
+    const PlayerStats = sequelize.define('PlayerStats', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: true
+        },
+        // Sum of the player's XpEntries
+        xp_total: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            allowNull: false
+        },
+        level: {
+            type: DataTypes.INTEGER,
+            defaultValue: 1,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'PlayerStats'
+    });
+
+    // Associations
+    PlayerStats.associate = function (models) {
+        PlayerStats.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * The player's row, locked for the rest of the transaction.
+     * Ledger writes take this lock so one player's entries are added one at a time.
+     */
+    PlayerStats.lockForUser = async function (userId, transaction) {
+        await this.findOrCreate({
+            where: { user_id: userId },
+            defaults: { user_id: userId, xp_total: 0, level: 1 },
+            transaction
+        });
+
+        return await this.findOne({
+            where: { user_id: userId },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+    };
+
+    return PlayerStats;
+};
@@ -0,0 +1,90 @@
+// models/ProgressEvent.js
+module.exports = (sequelize, DataTypes) => {
+    const TYPES = ['start', 'progress', 'complete'];
+
+    /**
+     * Progress events already applied, keyed by the client's event id.
+     * A replayed event hits the unique index and is skipped.
+     */
+    const ProgressEvent = sequelize.define('ProgressEvent', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        client_event_id: {
+            type: DataTypes.STRING(64),
+            allowNull: false
+        },
+        lesson_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        type: {
+            type: DataTypes.ENUM(...TYPES),
+            allowNull: false
+        },
+        occurred_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ProgressEvents',
+        indexes: [
+            { unique: true, fields: ['user_id', 'client_event_id'] },
+            { fields: ['created_at'] }
+        ]
+    });
+
+    ProgressEvent.TYPES = TYPES;
+
+    // Associations
+    ProgressEvent.associate = function (models) {
+        ProgressEvent.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Record an event as applied
+     * @returns {Promise<boolean>} - false when the event was already applied
+     */
+    ProgressEvent.claim = async function (userId, event, { transaction } = {}) {
+        try {
+            await this.create({
+                user_id: userId,
+                client_event_id: event.id,
+                lesson_id: event.lesson_id,
+                type: event.type,
+                occurred_at: event.occurred_at
+            }, { transaction });
+            return true;
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') return false;
+            throw error;
+        }
+    };
+
+    /**
+     * Forget events older than the replay window
+     * @returns {Promise<number>}
+     */
+    ProgressEvent.pruneOlderThan = async function (date) {
+        const { Op } = sequelize.Sequelize;
+
+        return await this.destroy({
+            where: { created_at: { [Op.lt]: date } }
+        });
+    };
+
+    return ProgressEvent;
+};
@@ -0,0 +1,263 @@
+// models/Quiz.js
+module.exports = (sequelize, DataTypes) => {
+    /**
+     * Question types. What the author stores as the answer:
+     * - multiple_choice: options [{ id, text }], answer: option id
+     * - multi_select:    options [{ id, text }], answer: [option ids]
+     * - true_false:      answer: true | false
+     * - ordering:        items [{ id, text }] listed in the correct order
+     * - short_answer:    keywords: ['phrase', ['either', 'or']], match: 'all' | 'any'
+     */
+    const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'ordering', 'short_answer'];
+    const MAX_QUESTIONS = 50;
+
+    const Quiz = sequelize.define('Quiz', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        lesson_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: true
+        },
+        title: {
+            type: DataTypes.STRING(200),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Title is required' },
+                len: { args: [1, 200], msg: 'Title must be at most 200 characters' }
+            }
+        },
+        instructions: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        questions: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            validate: {
+                isQuestions(value) {
+                    const error = Quiz.validateQuestions(value);
+                    if (error) throw new Error(error);
+                }
+            }
+        },
+        pass_percent: {
+            type: DataTypes.INTEGER,
+            defaultValue: 70,
+            allowNull: false,
+            validate: {
+                min: { args: [0], msg: 'Pass mark must be between 0 and 100' },
+                max: { args: [100], msg: 'Pass mark must be between 0 and 100' }
+            }
+        },
+        max_attempts: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: { args: [1], msg: 'Allow at least one attempt' }
+            }
+        },
+        time_limit_seconds: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: { args: [30], msg: 'Time limit must be at least 30 seconds' },
+                max: { args: [4 * 60 * 60], msg: 'Time limit must be at most 4 hours' }
+            }
+        },
+        shuffle_questions: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true,
+            allowNull: false
+        },
+        shuffle_options: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'Quizzes'
+    });
+
+    Quiz.QUESTION_TYPES = QUESTION_TYPES;
+
+    // Associations
+    Quiz.associate = function (models) {
+        Quiz.belongsTo(models.Lesson, {
+            foreignKey: 'lesson_id',
+            as: 'lesson'
+        });
+
+        Quiz.hasMany(models.QuizAttempt, {
+            foreignKey: 'quiz_id',
+            as: 'attempts',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Fill in missing question and option ids (q1, q2... / a, b...) and points
+     */
+    Quiz.normalizeQuestions = function (questions) {
+        if (!Array.isArray(questions)) return questions;
+
+        const withIds = (choices) => Array.isArray(choices)
+            ? choices.map((choice, index) => (choice && typeof choice === 'object'
+                ? { ...choice, id: choice.id !== undefined ? String(choice.id) : String.fromCharCode(97 + index) }
+                : choice))
+            : choices;
+
+        return questions.map((question, index) => {
+            if (!question || typeof question !== 'object') return question;
+
+            return {
+                ...question,
+                id: question.id !== undefined ? String(question.id) : `q${index + 1}`,
+                points: question.points === undefined ? 1 : question.points,
+                ...(question.options !== undefined && { options: withIds(question.options) }),
+                ...(question.items !== undefined && { items: withIds(question.items) }),
+                ...(question.type === 'multiple_choice' && question.answer !== undefined && question.answer !== null
+                    && { answer: String(question.answer) }),
+                ...(question.type === 'multi_select' && Array.isArray(question.answer)
+                    && { answer: question.answer.map(String) })
+            };
+        });
+    };
+
+    /**
+     * Check question definitions
+     * @returns {string|null} - First problem found, or null when valid
+     */
+    Quiz.validateQuestions = function (questions) {
+        if (!Array.isArray(questions) || questions.length === 0) return 'Add at least one question';
+        if (questions.length > MAX_QUESTIONS) return `A quiz can have at most ${MAX_QUESTIONS} questions`;
+
+        const ids = new Set();
+
+        for (const [index, question] of questions.entries()) {
+            const name = `Question ${index + 1}`;
+
+            if (!question || typeof question !== 'object') return `${name} must be an object`;
+            if (!QUESTION_TYPES.includes(question.type)) {
+                return `${name} has an unknown type. Use one of: ${QUESTION_TYPES.join(', ')}`;
+            }
+            if (typeof question.prompt !== 'string' || !question.prompt.trim()) return `${name} needs a prompt`;
+            if (typeof question.points !== 'number' || !(question.points > 0) || question.points > 100) {
+                return `${name} points must be between 0 and 100`;
+            }
+            if (ids.has(question.id)) return `${name} repeats the id "${question.id}"`;
+            ids.add(question.id);
+
+            const error = validateAnswerKey(question);
+            if (error) return `${name} ${error}`;
+        }
+
+        return null;
+    };
+
+    /**
+     * Answer key checks per question type
+     * @returns {string|null}
+     */
+    function validateAnswerKey(question) {
+        const choiceError = (choices, field, min) => {
+            if (!Array.isArray(choices) || choices.length < min) return `needs at least ${min} ${field}`;
+            if (choices.some(choice => !choice || typeof choice.text !== 'string' || !choice.text.trim())) {
+                return `${field} need text`;
+            }
+            if (new Set(choices.map(choice => choice.id)).size !== choices.length) return `${field} ids must be unique`;
+            return null;
+        };
+
+        switch (question.type) {
+            case 'multiple_choice': {
+                const error = choiceError(question.options, 'options', 2);
+                if (error) return error;
+                if (!question.options.some(option => option.id === question.answer)) {
+                    return 'answer must be one of the option ids';
+                }
+                return null;
+            }
+            case 'multi_select': {
+                const error = choiceError(question.options, 'options', 2);
+                if (error) return error;
+                if (!Array.isArray(question.answer) || question.answer.length === 0) {
+                    return 'answer must list the correct option ids';
+                }
+                const optionIds = question.options.map(option => option.id);
+                if (question.answer.some(id => !optionIds.includes(id))) return 'answer must only list option ids';
+                return null;
+            }
+            case 'true_false':
+                return typeof question.answer === 'boolean' ? null : 'answer must be true or false';
+            case 'ordering':
+                return choiceError(question.items, 'items', 2);
+            case 'short_answer': {
+                const { keywords, match = 'all' } = question;
+                if (!Array.isArray(keywords) || keywords.length === 0) return 'needs keywords';
+                const valid = keywords.every(keyword => (Array.isArray(keyword) ? keyword : [keyword])
+                    .every(alternative => typeof alternative === 'string' && alternative.trim()));
+                if (!valid || keywords.some(keyword => Array.isArray(keyword) && keyword.length === 0)) {
+                    return 'keywords must be text (or lists of alternatives)';
+                }
+                if (!['all', 'any'].includes(match)) return 'match must be "all" or "any"';
+                return null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Instance methods
+
+    Quiz.prototype.getQuestion = function (id) {
+        return (this.questions || []).find(question => question.id === id) || null;
+    };
+
+    Quiz.prototype.getMaxScore = function () {
+        return (this.questions || []).reduce((sum, question) => sum + question.points, 0);
+    };
+
+    /**
+     * What learners see before starting - no questions, no answers
+     */
+    Quiz.prototype.toSummaryJSON = function () {
+        return {
+            id: this.id,
+            lesson_id: this.lesson_id,
+            title: this.title,
+            instructions: this.instructions,
+            question_count: (this.questions || []).length,
+            pass_percent: this.pass_percent,
+            max_attempts: this.max_attempts,
+            time_limit_seconds: this.time_limit_seconds
+        };
+    };
+
+    /**
+     * Full definition with the answer key (authors and reviewers only)
+     */
+    Quiz.prototype.toAuthorJSON = function () {
+        return {
+            ...this.toSummaryJSON(),
+            shuffle_questions: this.shuffle_questions,
+            shuffle_options: this.shuffle_options,
+            questions: this.questions,
+            updated_at: this.updated_at
+        };
+    };
+
+    // Serialising a quiz never includes the answer key unless asked for
+    Quiz.prototype.toJSON = function () {
+        return this.toSummaryJSON();
+    };
+
+    return Quiz;
+};
@@ -0,0 +1,143 @@
+// models/QuizAttempt.js
+module.exports = (sequelize, DataTypes) => {
+    const STATUSES = ['in_progress', 'submitted', 'expired'];
+
+    const QuizAttempt = sequelize.define('QuizAttempt', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        quiz_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        attempt_number: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM(...STATUSES),
+            defaultValue: 'in_progress',
+            allowNull: false
+        },
+        // [{ question_id, choices: [ids] | null }] in the order shown
+        layout: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        answers: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        results: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        score: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true
+        },
+        max_score: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true
+        },
+        percent: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        passed: {
+            type: DataTypes.BOOLEAN,
+            allowNull: true
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        deadline_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        submitted_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'QuizAttempts',
+        indexes: [
+            { unique: true, fields: ['quiz_id', 'user_id', 'attempt_number'] },
+            { fields: ['user_id', 'created_at'] }
+        ]
+    });
+
+    QuizAttempt.STATUSES = STATUSES;
+
+    // Associations
+    QuizAttempt.associate = function (models) {
+        QuizAttempt.belongsTo(models.Quiz, {
+            foreignKey: 'quiz_id',
+            as: 'quiz'
+        });
+
+        QuizAttempt.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * A user's attempts at a quiz, newest first
+     */
+    QuizAttempt.findForUser = async function (quizId, userId) {
+        return await this.findAll({
+            where: { quiz_id: quizId, user_id: userId },
+            order: [['attempt_number', 'DESC']]
+        });
+    };
+
+    // Instance methods
+
+    QuizAttempt.prototype.isInProgress = function () {
+        return this.status === 'in_progress';
+    };
+
+    /**
+     * Past the deadline (plus grace for the request in flight)
+     */
+    QuizAttempt.prototype.isOverdue = function (graceMs = 0, now = new Date()) {
+        return !!this.deadline_at && now.getTime() > new Date(this.deadline_at).getTime() + graceMs;
+    };
+
+    /**
+     * History entry - scores only, no answers
+     */
+    QuizAttempt.prototype.toSummaryJSON = function () {
+        return {
+            id: this.id,
+            quiz_id: this.quiz_id,
+            attempt_number: this.attempt_number,
+            status: this.status,
+            score: this.score !== null ? parseFloat(this.score) : null,
+            max_score: this.max_score !== null ? parseFloat(this.max_score) : null,
+            percent: this.percent,
+            passed: this.passed,
+            started_at: this.started_at,
+            deadline_at: this.deadline_at,
+            submitted_at: this.submitted_at
+        };
+    };
+
+    QuizAttempt.prototype.toJSON = function () {
+        return this.toSummaryJSON();
+    };
+
+    return QuizAttempt;
+};
@@ -0,0 +1,93 @@
+module.exports = (sequelize, DataTypes) => {
+    const RolePermission = sequelize.define('RolePermission', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        role: {
+            type: DataTypes.STRING(50),
+            allowNull: false
+        },
+        permission_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'RolePermissions',
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { unique: true, fields: ['role', 'permission_id'] }
+        ]
+    });
+
+    // Associations
+    RolePermission.associate = function (models) {
+        RolePermission.belongsTo(models.Permission, {
+            foreignKey: 'permission_id',
+            as: 'permission'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Permission names mapped to a role
+     * @returns {Promise<string[]>}
+     */
+    RolePermission.getPermissionNames = async function (role, options = {}) {
+        const rows = await this.findAll({
+            where: { role },
+            include: [{
+                model: sequelize.models.Permission,
+                as: 'permission',
+                attributes: ['name']
+            }],
+            ...options
+        });
+
+        return rows.map(row => row.permission.name).sort();
+    };
+
+    /**
+     * Replace a role's mapping with the given permissions
+     */
+    RolePermission.replaceForRole = async function (role, permissionIds, options = {}) {
+        await this.destroy({ where: { role }, ...options });
+
+        await this.bulkCreate(
+            permissionIds.map(permission_id => ({ role, permission_id })),
+            options
+        );
+    };
+
+    /**
+     * Every role with its permission names (admin overview)
+     * @returns {Promise<Object>} - { role: [names] }
+     */
+    RolePermission.getMatrix = async function () {
+        const rows = await this.findAll({
+            include: [{
+                model: sequelize.models.Permission,
+                as: 'permission',
+                attributes: ['name']
+            }],
+            order: [['role', 'ASC']]
+        });
+
+        const matrix = {};
+        for (const row of rows) {
+            (matrix[row.role] = matrix[row.role] || []).push(row.permission.name);
+        }
+        for (const role of Object.keys(matrix)) {
+            matrix[role].sort();
+        }
+
+        return matrix;
+    };
+
+    return RolePermission;
+};
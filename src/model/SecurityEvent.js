@@ -0,0 +1,116 @@
+module.exports = (sequelize, DataTypes) => {
+    const SecurityEvent = sequelize.define('SecurityEvent', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        type: {
+            type: DataTypes.STRING(50),
+            allowNull: false
+        },
+        severity: {
+            type: DataTypes.ENUM('info', 'warning', 'critical'),
+            allowNull: false,
+            defaultValue: 'info'
+        },
+        ip_address: {
+            type: DataTypes.STRING(45),
+            allowNull: true
+        },
+        user_agent: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        metadata: {
+            type: DataTypes.JSON,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'SecurityEvents',
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+
+    // Associations
+    SecurityEvent.associate = function (models) {
+        SecurityEvent.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Write an event. Never throws - a failed write must not break the request.
+     */
+    SecurityEvent.record = async function (type, { userId = null, severity = 'info', deviceInfo = {}, metadata = null } = {}) {
+        try {
+            return await this.create({
+                user_id: userId,
+                type,
+                severity,
+                ip_address: deviceInfo.ip_address || null,
+                user_agent: deviceInfo.user_agent || null,
+                metadata
+            });
+        } catch (error) {
+            console.error(`[SecurityEvent] Failed to record ${type}:`, error.message);
+            return null;
+        }
+    };
+
+    /**
+     * Filtered, paginated listing (admin)
+     */
+    SecurityEvent.search = async function ({ userId, type, severity, from, to, page = 1, limit = 50 } = {}) {
+        const { Op } = sequelize.Sequelize;
+        const where = {};
+
+        if (userId) where.user_id = userId;
+        if (type) where.type = type;
+        if (severity) where.severity = severity;
+        if (from || to) {
+            where.created_at = {
+                ...(from && { [Op.gte]: from }),
+                ...(to && { [Op.lte]: to })
+            };
+        }
+
+        return await this.findAndCountAll({
+            where,
+            include: [{
+                model: sequelize.models.User,
+                as: 'user',
+                attributes: ['id', 'email', 'name']
+            }],
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            limit,
+            offset: (page - 1) * limit
+        });
+    };
+
+    // Instance methods
+    SecurityEvent.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            type: this.type,
+            severity: this.severity,
+            user: this.user ? { id: this.user.id, email: this.user.email, name: this.user.name } : null,
+            user_id: this.user_id,
+            ip_address: this.ip_address,
+            user_agent: this.user_agent,
+            metadata: this.metadata,
+            created_at: this.created_at
+        };
+    };
+
+    return SecurityEvent;
+};
@@ -44,6 +44,25 @@ module.exports = (sequelize, DataTypes) => {
         revoked_at: {
             type: DataTypes.DATE,
             allowNull: true
+        },
+        auth_method: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            comment: 'password, oauth, passkey or magic_link'
+        },
+        family_id: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: 'Shared by every session rotated from the same login'
+        },
+        parent_jti: {
+            type: DataTypes.STRING(64),
+            allowNull: true
+        },
+        rotated_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Refresh token already exchanged - presenting it again is reuse'
         }
     }, {
         timestamps: true,
@@ -97,6 +116,44 @@ module.exports = (sequelize, DataTypes) => {
         return session;
     };
 
+    /**
+     * Find a session by JTI in any state (rotated, revoked or expired)
+     */
+    Session.findByJti = async function (jti) {
+        return await this.findOne({
+            where: { jti },
+            include: [{
+                model: sequelize.models.User,
+                as: 'user'
+            }]
+        });
+    };
+
+    /**
+     * Mark a session as rotated. Conditional so only one concurrent refresh can win.
+     * @returns {Promise<boolean>} - False if it was already rotated or revoked
+     */
+    Session.markRotated = async function (id) {
+        const now = new Date();
+        const [affected] = await this.update(
+            { rotated_at: now, revoked_at: now },
+            { where: { id, rotated_at: null, revoked_at: null } }
+        );
+        return affected === 1;
+    };
+
+    /**
+     * Revoke every session in a refresh-token family
+     * @returns {Promise<number>} - Sessions revoked
+     */
+    Session.revokeFamily = async function (familyId) {
+        const [affected] = await this.update(
+            { revoked_at: new Date() },
+            { where: { family_id: familyId, revoked_at: null } }
+        );
+        return affected;
+    };
+
     Session.revokeAllUserSessions = async function (userId) {
         await this.update(
             { revoked_at: new Date() },
@@ -104,6 +161,19 @@ module.exports = (sequelize, DataTypes) => {
         );
     };
 
+    Session.revokeOtherUserSessions = async function (userId, exceptJti) {
+        await this.update(
+            { revoked_at: new Date() },
+            {
+                where: {
+                    user_id: userId,
+                    revoked_at: null,
+                    jti: { [sequelize.Sequelize.Op.ne]: exceptJti }
+                }
+            }
+        );
+    };
+
     Session.cleanupExpired = async function () {
         const now = new Date();
         await this.destroy({
@@ -0,0 +1,138 @@
+// models/StreakFreeze.js
+module.exports = (sequelize, DataTypes) => {
+    const SOURCES = ['streak', 'admin'];
+
+    const StreakFreeze = sequelize.define('StreakFreeze', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        source: {
+            type: DataTypes.ENUM(...SOURCES),
+            allowNull: false
+        },
+        // One freeze per key and user (e.g. streak:2026-03-24), so retries grant nothing twice
+        source_key: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        granted_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // The missed day this freeze covered (YYYY-MM-DD, player's time zone)
+        used_for_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        },
+        used_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'StreakFreezes',
+        indexes: [
+            { unique: true, fields: ['user_id', 'source_key'] },
+            { fields: ['user_id', 'used_for_date'] }
+        ]
+    });
+
+    StreakFreeze.SOURCES = SOURCES;
+
+    // Associations
+    StreakFreeze.associate = function (models) {
+        StreakFreeze.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+
+        StreakFreeze.belongsTo(models.User, {
+            foreignKey: 'granted_by',
+            as: 'granter'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Give a player a freeze once per key
+     * @returns {Promise<StreakFreeze|null>} - null when the key was used before
+     */
+    StreakFreeze.grant = async function (userId, source, key, { grantedBy = null, transaction } = {}) {
+        try {
+            return await this.create({
+                user_id: userId,
+                source,
+                source_key: key,
+                granted_by: grantedBy
+            }, { transaction });
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') return null;
+            throw error;
+        }
+    };
+
+    /**
+     * Unused freezes, oldest first
+     */
+    StreakFreeze.findAvailable = async function (userId, { transaction } = {}) {
+        return await this.findAll({
+            where: { user_id: userId, used_for_date: null },
+            order: [['created_at', 'ASC'], ['id', 'ASC']],
+            transaction
+        });
+    };
+
+    /**
+     * Days covered by freezes
+     * @returns {Promise<string[]>}
+     */
+    StreakFreeze.findUsedDates = async function (userId, { transaction } = {}) {
+        const { Op } = sequelize.Sequelize;
+
+        const rows = await this.findAll({
+            where: { user_id: userId, used_for_date: { [Op.ne]: null } },
+            attributes: ['used_for_date'],
+            raw: true,
+            transaction
+        });
+
+        return rows.map(row => row.used_for_date);
+    };
+
+    /**
+     * Hand back freezes that covered days which turned out to have activity
+     * (progress recorded offline and sent later)
+     * @returns {Promise<number>}
+     */
+    StreakFreeze.release = async function (userId, dates, { transaction } = {}) {
+        if (dates.length === 0) return 0;
+
+        const [count] = await this.update(
+            { used_for_date: null, used_at: null },
+            { where: { user_id: userId, used_for_date: dates }, transaction }
+        );
+        return count;
+    };
+
+    // Instance methods
+
+    StreakFreeze.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            source: this.source,
+            used_for_date: this.used_for_date,
+            used_at: this.used_at,
+            created_at: this.created_at
+        };
+    };
+
+    return StreakFreeze;
+};
@@ -31,7 +31,7 @@ module.exports = (sequelize, DataTypes) => {
             allowNull: false,
             validate: {
                 isIn: {
-                    args: [['player', 'admin', 'moderator', 'educator']],
+                    args: [['player', 'guardian', 'admin', 'moderator', 'educator']],
                     msg: 'Invalid role'
                 }
             }
@@ -79,18 +79,123 @@ module.exports = (sequelize, DataTypes) => {
             comment: 'Whether profile is visible to other users'
         },
         account_status: {
-            type: DataTypes.ENUM('active', 'deactivated', 'pending_deletion', 'deleted'),
+            type: DataTypes.ENUM('active', 'pending_guardian_consent', 'deactivated', 'pending_deletion', 'suspended', 'deleted'),
             defaultValue: 'active',
             allowNull: false
         },
         last_login_at: {
             type: DataTypes.DATE,
             allowNull: true
+        },
+        // === Two-factor authentication (TOTP) ===
+        mfa_enabled: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            allowNull: false
+        },
+        mfa_secret: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            comment: 'Encrypted TOTP secret (pending until mfa_enabled)'
+        },
+        mfa_enabled_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        mfa_last_used_step: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Last accepted TOTP time step (prevents code replay)'
+        },
+        // === Brute-force protection ===
+        failed_login_count: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            allowNull: false
+        },
+        last_failed_login_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        locked_until: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Temporary lock after too many failed logins'
+        },
+        pending_email: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            validate: {
+                isEmail: true
+            },
+            comment: 'New address awaiting confirmation (email change)'
+        },
+        pending_email_requested_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        suspended_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        suspension_reason: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        password_reset_required: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            allowNull: false,
+            comment: 'Set by an admin - password login is refused until the password is reset'
+        },
+        permission_version: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            allowNull: false,
+            comment: 'Bumped when role or grants change - older access tokens are rejected'
+        },
+        locale: {
+            type: DataTypes.STRING(10),
+            defaultValue: 'en',
+            allowNull: false,
+            validate: {
+                is: {
+                    args: /^[a-z]{2}(-[A-Z]{2})?$/,
+                    msg: 'Locale must look like "en" or "es-MX"'
+                }
+            },
+            comment: 'Language for emails'
+        },
+        // === Guardian consent (minors) ===
+        guardian_consent_required: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            allowNull: false,
+            comment: 'Under the consent age according to the profile date of birth'
+        },
+        guardian_consent_requested_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        guardian_consent_at: {
+            type: DataTypes.DATE,
+            allowNull: true
         }
     }, {
         timestamps: true,
         underscored: true,
         tableName: 'Users',
+        defaultScope: {
+            attributes: { exclude: ['password', 'mfa_secret'] }
+        },
+        scopes: {
+            withPassword: {
+                attributes: { exclude: ['mfa_secret'] }
+            },
+            withMfaSecret: {
+                attributes: { exclude: ['password'] }
+            }
+        },
         indexes: [
             { fields: ['email'] },
             { fields: ['provider_id'] },
@@ -142,6 +247,138 @@ module.exports = (sequelize, DataTypes) => {
             onDelete: 'CASCADE'
         });
 
+        // MFA Recovery Codes
+        User.hasMany(models.MfaRecoveryCode, {
+            foreignKey: 'user_id',
+            as: 'recoveryCodes',
+            onDelete: 'CASCADE'
+        });
+
+        // Login history
+        User.hasMany(models.LoginAttempt, {
+            foreignKey: 'user_id',
+            as: 'loginAttempts',
+            onDelete: 'CASCADE'
+        });
+
+        User.hasMany(models.PasswordHistory, {
+            foreignKey: 'user_id',
+            as: 'passwordHistory',
+            onDelete: 'CASCADE'
+        });
+
+        User.hasMany(models.SecurityEvent, {
+            foreignKey: 'user_id',
+            as: 'securityEvents'
+        });
+
+        // Audit trail (actions on this account)
+        User.hasMany(models.AuditLog, {
+            foreignKey: 'target_user_id',
+            as: 'auditLogs'
+        });
+
+        // Wards (guardian portal accounts)
+        User.hasMany(models.UserGuardian, {
+            foreignKey: 'guardian_user_id',
+            as: 'wardLinks'
+        });
+
+        // In-app notifications
+        User.hasMany(models.Notification, {
+            foreignKey: 'user_id',
+            as: 'notifications',
+            onDelete: 'CASCADE'
+        });
+
+        // Guardian consent decisions
+        User.hasMany(models.GuardianConsent, {
+            foreignKey: 'user_id',
+            as: 'guardianConsents',
+            onDelete: 'CASCADE'
+        });
+
+        // Per-user permission grants (on top of the role's permissions)
+        User.hasMany(models.UserPermission, {
+            foreignKey: 'user_id',
+            as: 'permissionGrants',
+            onDelete: 'CASCADE'
+        });
+
+        // Passkeys
+        User.hasMany(models.WebAuthnCredential, {
+            foreignKey: 'user_id',
+            as: 'webauthnCredentials',
+            onDelete: 'CASCADE'
+        });
+
+        // Personal data exports
+        User.hasMany(models.DataExport, {
+            foreignKey: 'user_id',
+            as: 'dataExports',
+            onDelete: 'CASCADE'
+        });
+
+        // Learning modules written by this user (educators)
+        User.hasMany(models.Module, {
+            foreignKey: 'author_id',
+            as: 'authoredModules'
+        });
+
+        // Classes run by this user (educators) and classes joined as a learner
+        User.hasMany(models.Classroom, {
+            foreignKey: 'educator_id',
+            as: 'classrooms',
+            onDelete: 'CASCADE'
+        });
+
+        User.hasMany(models.ClassroomMember, {
+            foreignKey: 'user_id',
+            as: 'classroomMemberships',
+            onDelete: 'CASCADE'
+        });
+
+        User.hasMany(models.LessonProgress, {
+            foreignKey: 'user_id',
+            as: 'lessonProgress',
+            onDelete: 'CASCADE'
+        });
+
+        User.hasMany(models.QuizAttempt, {
+            foreignKey: 'user_id',
+            as: 'quizAttempts',
+            onDelete: 'CASCADE'
+        });
+
+        User.hasMany(models.UserBadge, {
+            foreignKey: 'user_id',
+            as: 'badges',
+            onDelete: 'CASCADE'
+        });
+
+        User.hasMany(models.UserActivityDay, {
+            foreignKey: 'user_id',
+            as: 'activityDays',
+            onDelete: 'CASCADE'
+        });
+
+        User.hasOne(models.PlayerStats, {
+            foreignKey: 'user_id',
+            as: 'playerStats',
+            onDelete: 'CASCADE'
+        });
+
+        User.hasMany(models.XpEntry, {
+            foreignKey: 'user_id',
+            as: 'xpEntries'
+        });
+
+        User.hasMany(models.StreakFreeze, {
+            foreignKey: 'user_id',
+            as: 'streakFreezes',
+            onDelete: 'CASCADE'
+        });
+
         // Account Deletion Request (One-to-One)
         User.hasOne(models.AccountDeletionRequest, {
             foreignKey: 'user_id',
@@ -206,6 +443,13 @@ module.exports = (sequelize, DataTypes) => {
         return this.role === 'educator' || this.role === 'admin';
     };
 
+    /**
+     * Check if user is a guardian portal account
+     */
+    User.prototype.isGuardian = function () {
+        return this.role === 'guardian';
+    };
+
     /**
      * Check if account is active
      */
@@ -214,10 +458,60 @@ module.exports = (sequelize, DataTypes) => {
     };
 
     /**
-     * Check if password can be changed (not OAuth user)
+     * Check if the account is waiting for a guardian's consent
+     */
+    User.prototype.isPendingGuardianConsent = function () {
+        return this.account_status === 'pending_guardian_consent';
+    };
+
+    /**
+     * Whether a minor still needs (or no longer has) guardian consent
+     */
+    User.prototype.needsGuardianConsent = function () {
+        return !!this.guardian_consent_required && !this.guardian_consent_at;
+    };
+
+    /**
+     * Status to return to when a deactivation / suspension is lifted
+     */
+    User.prototype.getRestoredStatus = function () {
+        return this.needsGuardianConsent() ? 'pending_guardian_consent' : 'active';
+    };
+
+    /**
+     * Whether the account may sign in (minors awaiting consent can, with restrictions)
+     */
+    User.prototype.canSignIn = function () {
+        return this.isActive() || this.isPendingGuardianConsent();
+    };
+
+    /**
+     * Check if an admin has suspended the account
+     */
+    User.prototype.isSuspended = function () {
+        return this.account_status === 'suspended';
+    };
+
+    /**
+     * Check if password can be changed (not an OAuth-only user)
+     * Local accounts linked to a provider keep their password.
      */
     User.prototype.canChangePassword = function () {
-        return !this.isOAuthUser();
+        return !this.isOAuthUser() || !!this.password;
+    };
+
+    /**
+     * Check if account is temporarily locked after failed logins
+     */
+    User.prototype.isLocked = function () {
+        return !!this.locked_until && new Date(this.locked_until).getTime() > Date.now();
+    };
+
+    /**
+     * Check if TOTP two-factor authentication is active
+     */
+    User.prototype.hasMfaEnabled = function () {
+        return !!this.mfa_enabled;
     };
 
     /**
@@ -242,10 +536,30 @@ module.exports = (sequelize, DataTypes) => {
             account_status: this.account_status,
             provider: this.provider,
             email_verified: !!this.email_verified_at,
+            pending_email: this.pending_email || null,
+            mfa_enabled: !!this.mfa_enabled,
+            locale: this.locale,
+            guardian_consent_required: this.needsGuardianConsent(),
             created_at: this.created_at
         };
     };
 
+    /**
+     * Admin JSON (account state for user management)
+     */
+    User.prototype.toAdminJSON = function () {
+        return {
+            ...this.toSafeJSON(),
+            last_login_at: this.last_login_at,
+            suspended_at: this.suspended_at,
+            suspension_reason: this.suspension_reason,
+            password_reset_required: !!this.password_reset_required,
+            failed_login_count: this.failed_login_count,
+            locked_until: this.isLocked() ? this.locked_until : null,
+            updated_at: this.updated_at
+        };
+    };
+
     /**
      * Public JSON (for other users viewing this profile)
      */
@@ -290,6 +604,24 @@ module.exports = (sequelize, DataTypes) => {
         });
     };
 
+    /**
+     * Accept a TOTP time step once: the update only moves past the last used
+     * step, so a code replayed by a concurrent request changes no row
+     */
+    User.claimMfaStep = async function (userId, step) {
+        const { Op } = sequelize.Sequelize;
+        const [affected] = await this.update({ mfa_last_used_step: step }, {
+            where: {
+                id: userId,
+                [Op.or]: [
+                    { mfa_last_used_step: null },
+                    { mfa_last_used_step: { [Op.lt]: step } }
+                ]
+            }
+        });
+        return affected > 0;
+    };
+
     // ==================== HOOKS ====================
 
     /**
@@ -299,6 +631,29 @@ module.exports = (sequelize, DataTypes) => {
         if (user.changed('email')) {
             user.email = user.email.toLowerCase().trim();
         }
+        if (user.changed('pending_email') && user.pending_email) {
+            user.pending_email = user.pending_email.toLowerCase().trim();
+        }
+    });
+
+    /**
+     * After update: push account status changes to open event streams
+     * (once the transaction commits, so a rollback is never announced)
+     */
+    User.afterUpdate((user, options) => {
+        if (!user.changed('account_status')) return;
+
+        const previousStatus = user.previous('account_status');
+        const push = () => {
+            const realtimeService = require('../services/RealtimeService');
+            realtimeService.accountStatusChanged(user, previousStatus);
+        };
+
+        if (options.transaction) {
+            options.transaction.afterCommit(push);
+        } else {
+            push();
+        }
     });
 
     /**
@@ -338,6 +693,23 @@ module.exports = (sequelize, DataTypes) => {
         } catch (error) {
             console.error(`Error during user file cleanup for user ${user.id}:`, error);
         }
+
+        // Delete data export archives (rows cascade, the archives would be orphaned)
+        try {
+            const { DataExport } = require('./index');
+            const { Op } = sequelize.Sequelize;
+            const dataExports = await DataExport.findAll({
+                where: { user_id: user.id, file_key: { [Op.ne]: null } },
+                transaction: options.transaction
+            });
+
+            if (dataExports.length > 0) {
+                const fileStorageService = require('../services/FileStorageService');
+                await fileStorageService.deleteMultipleFiles(dataExports.map(dataExport => dataExport.file_key));
+            }
+        } catch (error) {
+            console.error(`Error during data export cleanup for user ${user.id}:`, error);
+        }
     });
 
     return User;
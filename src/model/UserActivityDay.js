@@ -0,0 +1,124 @@
+// models/UserActivityDay.js
+module.exports = (sequelize, DataTypes) => {
+    const UserActivityDay = sequelize.define('UserActivityDay', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Calendar date in the user's time zone (YYYY-MM-DD)
+        activity_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'UserActivityDays',
+        indexes: [
+            { unique: true, fields: ['user_id', 'activity_date'] }
+        ]
+    });
+
+    // Associations
+    UserActivityDay.associate = function (models) {
+        UserActivityDay.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * 'YYYY-MM-DD' moved by a number of days
+     */
+    UserActivityDay.shiftDate = function (date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    };
+
+    /**
+     * Mark days as active (days already marked are left alone)
+     * @param {string[]} dates - 'YYYY-MM-DD' in the user's time zone
+     */
+    UserActivityDay.record = async function (userId, dates) {
+        const unique = [...new Set(dates)];
+        if (unique.length === 0) return;
+
+        await this.bulkCreate(
+            unique.map(date => ({ user_id: userId, activity_date: date })),
+            { ignoreDuplicates: true }
+        );
+    };
+
+    /**
+     * A user's active days, oldest first
+     * @returns {Promise<string[]>}
+     */
+    UserActivityDay.findDates = async function (userId) {
+        const rows = await this.findAll({
+            where: { user_id: userId },
+            attributes: ['activity_date'],
+            order: [['activity_date', 'ASC']],
+            raw: true
+        });
+
+        return rows.map(row => row.activity_date);
+    };
+
+    /**
+     * Whole days from one 'YYYY-MM-DD' to another
+     */
+    UserActivityDay.daysBetween = function (from, to) {
+        return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+    };
+
+    /**
+     * Runs of consecutive active days
+     * @param {string} today - 'YYYY-MM-DD' in the user's time zone
+     * @param {Object} options
+     * @param {string[]} options.frozenDates - missed days covered by a streak freeze:
+     *   they keep a run going without adding to it
+     * @param {number} options.freezesAvailable - unused freezes; a run stays current
+     *   while they can cover the days missed since
+     * @returns {Promise<Object>} - { current, longest, last_active_date, freezes_needed }
+     *   current still counts a run that ended yesterday (today is not over yet)
+     */
+    UserActivityDay.getStreaks = async function (userId, today, { frozenDates = [], freezesAvailable = 0 } = {}) {
+        const active = new Set(await this.findDates(userId));
+        const covered = [...new Set([...active, ...frozenDates])].sort();
+
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        let lastActive = null;
+
+        for (const date of covered) {
+            if (!previous || this.shiftDate(previous, 1) !== date) run = 0;
+            if (active.has(date)) {
+                run++;
+                lastActive = date;
+            }
+            longest = Math.max(longest, run);
+            previous = date;
+        }
+
+        // Missed days between the run and today (yesterday still counts as not missed)
+        const missed = previous ? Math.max(this.daysBetween(previous, today) - 1, 0) : 0;
+        const alive = !!previous && missed <= freezesAvailable;
+
+        return {
+            current: alive ? run : 0,
+            longest,
+            last_active_date: lastActive,
+            freezes_needed: alive ? missed : 0
+        };
+    };
+
+    return UserActivityDay;
+};
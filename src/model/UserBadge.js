@@ -0,0 +1,84 @@
+// models/UserBadge.js
+module.exports = (sequelize, DataTypes) => {
+    const UserBadge = sequelize.define('UserBadge', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        badge_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        awarded_at: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'UserBadges',
+        indexes: [
+            { unique: true, fields: ['user_id', 'badge_id'] }
+        ]
+    });
+
+    // Associations
+    UserBadge.associate = function (models) {
+        UserBadge.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+
+        UserBadge.belongsTo(models.Badge, {
+            foreignKey: 'badge_id',
+            as: 'badge'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Award a badge once
+     * @returns {Promise<UserBadge|null>} - null when the user already has it
+     */
+    UserBadge.award = async function (userId, badgeId, { transaction } = {}) {
+        try {
+            return await this.create({
+                user_id: userId,
+                badge_id: badgeId,
+                awarded_at: new Date()
+            }, { transaction });
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') return null;
+            throw error;
+        }
+    };
+
+    /**
+     * A user's badges with their definitions, newest first
+     */
+    UserBadge.findForUser = async function (userId) {
+        return await this.findAll({
+            where: { user_id: userId },
+            include: [{ model: sequelize.models.Badge, as: 'badge' }],
+            order: [['awarded_at', 'DESC']]
+        });
+    };
+
+    // Instance methods
+
+    UserBadge.prototype.toJSON = function () {
+        return {
+            ...(this.badge ? this.badge.toSummaryJSON() : { id: this.badge_id }),
+            awarded_at: this.awarded_at
+        };
+    };
+
+    return UserBadge;
+};
@@ -56,6 +56,28 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.BOOLEAN,
             defaultValue: false,
             allowNull: false
+        },
+        // === Guardian portal account ===
+        guardian_user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        invited_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        linked_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // === Contact verification ===
+        email_verified_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        phone_verified_at: {
+            type: DataTypes.DATE,
+            allowNull: true
         }
     }, {
         timestamps: true,
@@ -71,10 +93,32 @@ module.exports = (sequelize, DataTypes) => {
                 if (guardian.changed('is_primary') && guardian.is_primary) {
                     await checkPrimaryGuardian(guardian.user_id, guardian.id);
                 }
-            }
+
+                // A changed contact has to be verified again
+                if (guardian.changed('email')) guardian.email_verified_at = null;
+                if (guardian.changed('phone_number')) guardian.phone_verified_at = null;
+            },
+            afterCreate: (guardian, options) => auditGuardian('guardian.added', guardian, 'create', options),
+            afterUpdate: (guardian, options) => auditGuardian('guardian.updated', guardian, 'update', options),
+            afterDestroy: (guardian, options) => auditGuardian('guardian.removed', guardian, 'destroy', options)
         }
     });
 
+    const AUDITED_FIELDS = [
+        'guardian_type', 'full_name', 'relationship', 'phone_number', 'email', 'address', 'is_primary'
+    ];
+
+    // Audit trail for guardian edits (actor comes from the current request)
+    async function auditGuardian(action, guardian, event, options) {
+        const auditService = require('../services/AuditService');
+        await auditService.logModelChange(action, guardian, {
+            target: { id: guardian.user_id },
+            fields: AUDITED_FIELDS,
+            event,
+            transaction: options.transaction
+        });
+    }
+
     // Helper function to check for existing primary guardian
     async function checkPrimaryGuardian(userId, excludeId = null) {
         const where = { user_id: userId, is_primary: true };
@@ -94,6 +138,11 @@ module.exports = (sequelize, DataTypes) => {
             foreignKey: 'user_id',
             as: 'user'
         });
+
+        UserGuardian.belongsTo(models.User, {
+            foreignKey: 'guardian_user_id',
+            as: 'guardianUser'
+        });
     };
 
     // Static methods
@@ -113,7 +162,46 @@ module.exports = (sequelize, DataTypes) => {
         });
     };
 
+    /**
+     * Records linked to a guardian account, with the ward (one per ward)
+     */
+    UserGuardian.findWardLinks = async function (guardianUserId) {
+        return await this.findAll({
+            where: { guardian_user_id: guardianUserId },
+            include: [{
+                model: sequelize.models.User,
+                as: 'user'
+            }],
+            order: [['linked_at', 'ASC']]
+        });
+    };
+
+    /**
+     * The record linking a guardian account to one ward
+     */
+    UserGuardian.findWardLink = async function (guardianUserId, wardId) {
+        return await this.findOne({
+            where: { guardian_user_id: guardianUserId, user_id: wardId },
+            include: [{
+                model: sequelize.models.User,
+                as: 'user'
+            }]
+        });
+    };
+
     // Instance methods
+    UserGuardian.prototype.isLinked = function () {
+        return !!this.guardian_user_id;
+    };
+
+    UserGuardian.prototype.isEmailVerified = function () {
+        return !!this.email && !!this.email_verified_at;
+    };
+
+    UserGuardian.prototype.isPhoneVerified = function () {
+        return !!this.phone_number && !!this.phone_verified_at;
+    };
+
     UserGuardian.prototype.toJSON = function () {
         const values = { ...this.get() };
         return values;
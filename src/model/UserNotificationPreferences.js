@@ -36,6 +36,38 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.BOOLEAN,
             defaultValue: false,
             allowNull: false
+        },
+        // === Email digests (module reminders, platform updates) ===
+        digest_frequency: {
+            type: DataTypes.ENUM('daily', 'weekly'),
+            defaultValue: 'daily',
+            allowNull: false
+        },
+        timezone: {
+            type: DataTypes.STRING(64),
+            defaultValue: 'UTC',
+            allowNull: false,
+            validate: {
+                isTimeZone(value) {
+                    if (!UserNotificationPreferences.isValidTimeZone(value)) {
+                        throw new Error('Unknown time zone');
+                    }
+                }
+            }
+        },
+        quiet_hours_start: {
+            type: DataTypes.SMALLINT,
+            allowNull: true,
+            validate: { min: 0, max: 23 }
+        },
+        quiet_hours_end: {
+            type: DataTypes.SMALLINT,
+            allowNull: true,
+            validate: { min: 0, max: 23 }
+        },
+        digest_last_sent_at: {
+            type: DataTypes.DATE,
+            allowNull: true
         }
     }, {
         timestamps: true,
@@ -75,7 +107,53 @@ module.exports = (sequelize, DataTypes) => {
         return preferences;
     };
 
+    /**
+     * Whether a string is an IANA time zone the runtime knows
+     */
+    UserNotificationPreferences.isValidTimeZone = function (value) {
+        if (typeof value !== 'string' || !value) return false;
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    };
+
+    // Categories emailed in digests rather than one email each
+    UserNotificationPreferences.DIGEST_CATEGORIES = ['module_reminder', 'platform_update'];
+
+    // Unsubscribe link scope -> preference flag it turns off
+    UserNotificationPreferences.UNSUBSCRIBE_SCOPES = {
+        module_reminders: 'module_reminders',
+        platform_updates: 'platform_updates',
+        all: 'email_notifications'
+    };
+
+    // Notification category -> preference flag
+    const CATEGORY_FLAGS = {
+        module_reminder: 'module_reminders',
+        achievement: 'achievement_alerts',
+        safety: 'safety_alerts',
+        platform_update: 'platform_updates'
+    };
+
     // Instance methods
+
+    /**
+     * Whether a notification category may be delivered on a channel
+     * @param {string} channel - 'in_app' | 'email'
+     */
+    UserNotificationPreferences.prototype.allows = function (category, channel) {
+        if (category === 'safety') return this.shouldSendSafetyAlert();
+
+        const flag = CATEGORY_FLAGS[category];
+        if (!flag || !this[flag]) return false;
+
+        return channel === 'in_app' || this.canSendEmail();
+    };
+
     UserNotificationPreferences.prototype.canSendEmail = function () {
         return this.email_notifications;
     };
@@ -88,6 +166,76 @@ module.exports = (sequelize, DataTypes) => {
         return this.achievement_alerts && this.email_notifications;
     };
 
+    UserNotificationPreferences.prototype.shouldSendPlatformUpdate = function () {
+        return this.platform_updates && this.email_notifications;
+    };
+
+    /**
+     * Digest categories the user still wants emailed
+     */
+    UserNotificationPreferences.prototype.getDigestCategories = function () {
+        return UserNotificationPreferences.DIGEST_CATEGORIES.filter(category => this.allows(category, 'email'));
+    };
+
+    /**
+     * Local hour (0-23) and weekday (0 = Sunday) in the user's time zone
+     */
+    UserNotificationPreferences.prototype.getLocalTime = function (date = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone || 'UTC',
+            hour: 'numeric',
+            hourCycle: 'h23',
+            weekday: 'short'
+        }).formatToParts(date);
+
+        const part = (type) => parts.find(p => p.type === type).value;
+
+        return {
+            hour: parseInt(part('hour')),
+            weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday'))
+        };
+    };
+
+    /**
+     * Calendar date (YYYY-MM-DD) in the user's time zone
+     */
+    UserNotificationPreferences.prototype.getLocalDate = function (date = new Date()) {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.timezone || 'UTC',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(date);
+    };
+
+    /**
+     * Whether a local hour falls in quiet hours (the range may wrap past midnight)
+     */
+    UserNotificationPreferences.prototype.isQuietHour = function (hour) {
+        const start = this.quiet_hours_start;
+        const end = this.quiet_hours_end;
+
+        if (start === null || start === undefined || end === null || end === undefined || start === end) {
+            return false;
+        }
+
+        return start < end
+            ? hour >= start && hour < end
+            : hour >= start || hour < end;
+    };
+
+    /**
+     * Turn off what an unsubscribe link covers
+     * @param {string} scope - Key of UNSUBSCRIBE_SCOPES
+     */
+    UserNotificationPreferences.prototype.unsubscribe = async function (scope) {
+        const flag = UserNotificationPreferences.UNSUBSCRIBE_SCOPES[scope];
+        if (!flag) throw new Error(`Unknown unsubscribe scope: ${scope}`);
+
+        this[flag] = false;
+        await this.save({ fields: [flag] });
+    };
+
     UserNotificationPreferences.prototype.shouldSendSafetyAlert = function () {
         // Safety alerts should always be sent regardless of other settings
         return true;
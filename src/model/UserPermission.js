@@ -0,0 +1,107 @@
+module.exports = (sequelize, DataTypes) => {
+    const UserPermission = sequelize.define('UserPermission', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        permission_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        granted_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'UserPermissions',
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { unique: true, fields: ['user_id', 'permission_id'] }
+        ]
+    });
+
+    // Associations
+    UserPermission.associate = function (models) {
+        UserPermission.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+
+        UserPermission.belongsTo(models.User, {
+            foreignKey: 'granted_by',
+            as: 'grantor'
+        });
+
+        UserPermission.belongsTo(models.Permission, {
+            foreignKey: 'permission_id',
+            as: 'permission'
+        });
+    };
+
+    // Static methods
+
+    /**
+     * Grants for a user, including the permission and grantor
+     * @param {boolean} activeOnly - Skip expired grants
+     */
+    UserPermission.findForUser = async function (userId, { activeOnly = false } = {}) {
+        const { Op } = sequelize.Sequelize;
+        const where = { user_id: userId };
+
+        if (activeOnly) {
+            where[Op.or] = [
+                { expires_at: null },
+                { expires_at: { [Op.gt]: new Date() } }
+            ];
+        }
+
+        return await this.findAll({
+            where,
+            include: [
+                {
+                    model: sequelize.models.Permission,
+                    as: 'permission',
+                    attributes: ['id', 'name', 'description']
+                },
+                {
+                    model: sequelize.models.User,
+                    as: 'grantor',
+                    attributes: ['id', 'email', 'name']
+                }
+            ],
+            order: [['created_at', 'DESC']]
+        });
+    };
+
+    // Instance methods
+    UserPermission.prototype.isExpired = function () {
+        return !!this.expires_at && new Date(this.expires_at) <= new Date();
+    };
+
+    UserPermission.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            permission: this.permission ? this.permission.name : null,
+            granted_by: this.grantor
+                ? { id: this.grantor.id, email: this.grantor.email, name: this.grantor.name }
+                : this.granted_by,
+            expires_at: this.expires_at,
+            expired: this.isExpired(),
+            created_at: this.created_at
+        };
+    };
+
+    return UserPermission;
+};
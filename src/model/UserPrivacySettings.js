@@ -34,7 +34,19 @@ module.exports = (sequelize, DataTypes) => {
     }, {
         timestamps: true,
         underscored: true,
-        tableName: 'UserPrivacySettings'
+        tableName: 'UserPrivacySettings',
+        hooks: {
+            // Audit trail (actor comes from the current request)
+            afterUpdate: async (settings, options) => {
+                const auditService = require('../services/AuditService');
+                await auditService.logModelChange('account.privacy_updated', settings, {
+                    target: { id: settings.user_id },
+                    fields: ['profile_visibility', 'show_achievements', 'show_progress', 'allow_messages'],
+                    event: 'update',
+                    transaction: options.transaction
+                });
+            }
+        }
     });
 
     // Associations
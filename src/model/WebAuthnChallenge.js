@@ -0,0 +1,76 @@
+module.exports = (sequelize, DataTypes) => {
+    const WebAuthnChallenge = sequelize.define('WebAuthnChallenge', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        challenge: {
+            type: DataTypes.STRING(128),
+            allowNull: false,
+            unique: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        purpose: {
+            type: DataTypes.ENUM('registration', 'authentication'),
+            allowNull: false
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'WebAuthnChallenges',
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+
+    // Associations
+    WebAuthnChallenge.associate = function (models) {
+        WebAuthnChallenge.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+    WebAuthnChallenge.store = async function (challenge, purpose, userId = null, ttlMs = 5 * 60 * 1000) {
+        return await this.create({
+            challenge,
+            purpose,
+            user_id: userId,
+            expires_at: new Date(Date.now() + ttlMs)
+        });
+    };
+
+    /**
+     * Consume a challenge (single use). Returns the record or null if unknown/expired.
+     */
+    WebAuthnChallenge.consume = async function (challenge, purpose) {
+        const record = await this.findOne({ where: { challenge, purpose } });
+        if (!record) return null;
+
+        const deleted = await this.destroy({ where: { id: record.id } });
+        if (deleted !== 1) return null; // Consumed by a concurrent request
+
+        if (record.expires_at < new Date()) return null;
+
+        return record;
+    };
+
+    WebAuthnChallenge.cleanupExpired = async function () {
+        const now = new Date();
+        await this.destroy({
+            where: {
+                expires_at: { [sequelize.Sequelize.Op.lt]: now }
+            }
+        });
+    };
+
+    return WebAuthnChallenge;
+};
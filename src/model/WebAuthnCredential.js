@@ -0,0 +1,114 @@
+// models/WebAuthnCredential.js
+module.exports = (sequelize, DataTypes) => {
+    const WebAuthnCredential = sequelize.define('WebAuthnCredential', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        credential_id: {
+            type: DataTypes.STRING(512),
+            allowNull: false,
+            unique: true,
+            comment: 'Base64URL credential ID from the authenticator'
+        },
+        public_key: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            comment: 'Base64URL COSE public key'
+        },
+        counter: {
+            type: DataTypes.BIGINT,
+            allowNull: false,
+            defaultValue: 0
+        },
+        transports: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        device_type: {
+            type: DataTypes.STRING(32),
+            allowNull: true
+        },
+        backed_up: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            allowNull: false
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            validate: {
+                len: {
+                    args: [1, 100],
+                    msg: 'Passkey name must be between 1 and 100 characters'
+                }
+            }
+        },
+        last_used_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'WebAuthnCredentials'
+    });
+
+    // Associations
+    WebAuthnCredential.associate = function (models) {
+        WebAuthnCredential.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+    WebAuthnCredential.findByCredentialId = async function (credentialId) {
+        return await this.findOne({
+            where: { credential_id: credentialId },
+            include: [{
+                model: sequelize.models.User,
+                as: 'user'
+            }]
+        });
+    };
+
+    WebAuthnCredential.findUserCredentials = async function (userId) {
+        return await this.findAll({
+            where: { user_id: userId },
+            order: [['created_at', 'ASC']]
+        });
+    };
+
+    // Instance methods
+
+    /**
+     * Shape expected by @simplewebauthn/server
+     */
+    WebAuthnCredential.prototype.toWebAuthnCredential = function () {
+        return {
+            id: this.credential_id,
+            publicKey: Buffer.from(this.public_key, 'base64url'),
+            counter: Number(this.counter),
+            transports: this.transports || undefined
+        };
+    };
+
+    WebAuthnCredential.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            name: this.name,
+            device_type: this.device_type,
+            backed_up: this.backed_up,
+            last_used_at: this.last_used_at,
+            created_at: this.created_at
+        };
+    };
+
+    return WebAuthnCredential;
+};
@@ -0,0 +1,142 @@
+// models/XpEntry.js
+module.exports = (sequelize, DataTypes) => {
+    const REASONS = [
+        'daily_activity',
+        'lesson_completed',
+        'quiz_passed',
+        'quiz_perfect',
+        'module_completed',
+        'badge_awarded',
+        'adjustment'
+    ];
+
+    const XpEntry = sequelize.define('XpEntry', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        amount: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        reason: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            validate: {
+                isIn: { args: [REASONS], msg: `Reason must be one of: ${REASONS.join(', ')}` }
+            }
+        },
+        // What earned the XP: lesson, quiz, module, badge, day (YYYY-MM-DD) or admin
+        source_type: {
+            type: DataTypes.STRING(50),
+            allowNull: false
+        },
+        source_id: {
+            type: DataTypes.STRING(64),
+            allowNull: false
+        },
+        // Retrying the same award finds this key and adds nothing
+        idempotency_key: {
+            type: DataTypes.STRING(150),
+            allowNull: false
+        },
+        balance_after: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        note: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        created_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'XpEntries',
+        createdAt: 'created_at',
+        updatedAt: false,
+        indexes: [
+            { unique: true, fields: ['user_id', 'idempotency_key'] },
+            { fields: ['user_id', 'created_at'] }
+        ],
+        hooks: {
+            // Append-only: corrections are new 'adjustment' entries
+            beforeUpdate: () => {
+                throw new Error('XP entries are append-only');
+            },
+            beforeBulkUpdate: () => {
+                throw new Error('XP entries are append-only');
+            },
+            beforeDestroy: () => {
+                throw new Error('XP entries are append-only');
+            },
+            beforeBulkDestroy: () => {
+                throw new Error('XP entries are append-only');
+            }
+        }
+    });
+
+    XpEntry.REASONS = REASONS;
+
+    // Associations
+    XpEntry.associate = function (models) {
+        XpEntry.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+
+        XpEntry.belongsTo(models.User, {
+            foreignKey: 'created_by',
+            as: 'creator'
+        });
+    };
+
+    // Static methods
+
+    XpEntry.findByKey = async function (userId, key, { transaction } = {}) {
+        return await this.findOne({
+            where: { user_id: userId, idempotency_key: key },
+            transaction
+        });
+    };
+
+    /**
+     * A player's ledger, newest first
+     */
+    XpEntry.findForUser = async function (userId, { reason = null } = {}, { page = 1, limit = 20 } = {}) {
+        const where = { user_id: userId };
+        if (reason) where.reason = reason;
+
+        return await this.findAndCountAll({
+            where,
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            limit,
+            offset: (page - 1) * limit
+        });
+    };
+
+    // Instance methods
+
+    XpEntry.prototype.toJSON = function () {
+        return {
+            id: this.id,
+            amount: this.amount,
+            reason: this.reason,
+            source: { type: this.source_type, id: this.source_id },
+            balance_after: this.balance_after,
+            note: this.note,
+            created_by: this.created_by,
+            created_at: this.created_at
+        };
+    };
+
+    return XpEntry;
+};
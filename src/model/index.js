@@ -43,6 +43,36 @@ const UserPrivacySettings = require('./UserPrivacySettings')(sequelize, Sequeliz
 const UserNotificationPreferences = require('./UserNotificationPreferences')(sequelize, Sequelize.DataTypes);
 const AccountDeletionRequest = require('./AccountDeletionrequest')(sequelize, Sequelize.DataTypes);
 const File = require('./File')(sequelize, Sequelize.DataTypes);
+const MfaRecoveryCode = require('./MfaRecoveryCode')(sequelize, Sequelize.DataTypes);
+const WebAuthnCredential = require('./WebAuthnCredential')(sequelize, Sequelize.DataTypes);
+const WebAuthnChallenge = require('./WebAuthnChallenge')(sequelize, Sequelize.DataTypes);
+const MagicLinkToken = require('./MagicLinkToken')(sequelize, Sequelize.DataTypes);
+const LoginAttempt = require('./LoginAttempt')(sequelize, Sequelize.DataTypes);
+const PasswordHistory = require('./PasswordHistory')(sequelize, Sequelize.DataTypes);
+const SecurityEvent = require('./SecurityEvent')(sequelize, Sequelize.DataTypes);
+const AuditLog = require('./AuditLog')(sequelize, Sequelize.DataTypes);
+const Permission = require('./Permission')(sequelize, Sequelize.DataTypes);
+const RolePermission = require('./RolePermission')(sequelize, Sequelize.DataTypes);
+const UserPermission = require('./UserPermission')(sequelize, Sequelize.DataTypes);
+const GuardianConsent = require('./GuardianConsent')(sequelize, Sequelize.DataTypes);
+const GuardianContactCode = require('./GuardianContactCode')(sequelize, Sequelize.DataTypes);
+const Notification = require('./Notification')(sequelize, Sequelize.DataTypes);
+const EmailOutbox = require('./EmailOutbox')(sequelize, Sequelize.DataTypes);
+const DataExport = require('./DataExport')(sequelize, Sequelize.DataTypes);
+const Module = require('./Module')(sequelize, Sequelize.DataTypes);
+const Lesson = require('./Lesson')(sequelize, Sequelize.DataTypes);
+const Classroom = require('./Classroom')(sequelize, Sequelize.DataTypes);
+const ClassroomMember = require('./ClassroomMember')(sequelize, Sequelize.DataTypes);
+const LessonProgress = require('./LessonProgress')(sequelize, Sequelize.DataTypes);
+const ProgressEvent = require('./ProgressEvent')(sequelize, Sequelize.DataTypes);
+const Quiz = require('./Quiz')(sequelize, Sequelize.DataTypes);
+const QuizAttempt = require('./QuizAttempt')(sequelize, Sequelize.DataTypes);
+const Badge = require('./Badge')(sequelize, Sequelize.DataTypes);
+const UserBadge = require('./UserBadge')(sequelize, Sequelize.DataTypes);
+const UserActivityDay = require('./UserActivityDay')(sequelize, Sequelize.DataTypes);
+const PlayerStats = require('./PlayerStats')(sequelize, Sequelize.DataTypes);
+const XpEntry = require('./XpEntry')(sequelize, Sequelize.DataTypes);
+const StreakFreeze = require('./StreakFreeze')(sequelize, Sequelize.DataTypes);
 // 2. Add them to the models object so associations can find them
 const models = { 
     User, 
@@ -53,7 +83,37 @@ const models = {
     UserPrivacySettings, 
     UserNotificationPreferences, 
     AccountDeletionRequest,
-    File 
+    File,
+    MfaRecoveryCode,
+    WebAuthnCredential,
+    WebAuthnChallenge,
+    MagicLinkToken,
+    LoginAttempt,
+    PasswordHistory,
+    SecurityEvent,
+    AuditLog,
+    Permission,
+    RolePermission,
+    UserPermission,
+    GuardianConsent,
+    GuardianContactCode,
+    Notification,
+    EmailOutbox,
+    DataExport,
+    Module,
+    Lesson,
+    Classroom,
+    ClassroomMember,
+    LessonProgress,
+    ProgressEvent,
+    Quiz,
+    QuizAttempt,
+    Badge,
+    UserBadge,
+    UserActivityDay,
+    PlayerStats,
+    XpEntry,
+    StreakFreeze
 };
 
 // 3. Execute associations
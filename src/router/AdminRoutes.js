@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controller/AdminController');
+const { authenticate, requirePermission } = require('../middleware/AuthMiddleware');
+
+// ===== Admin Routes (authenticated, per-route permissions) =====
+router.use(authenticate);
+
+// User management
+router.get('/users', requirePermission('users.read'), adminController.getUsers);
+router.get('/users/:id', requirePermission('users.read'), adminController.getUser);
+router.patch('/users/:id/role', requirePermission('users.update_role'), adminController.updateRole);
+router.post('/users/:id/suspend', requirePermission('users.suspend'), adminController.suspendUser);
+router.post('/users/:id/unsuspend', requirePermission('users.suspend'), adminController.unsuspendUser);
+router.post('/users/:id/force-password-reset', requirePermission('users.reset_password'), adminController.forcePasswordReset);
+router.post('/users/:id/resend-verification', requirePermission('users.resend_verification'), adminController.resendVerification);
+router.post('/users/:id/revoke-sessions', requirePermission('users.revoke_sessions'), adminController.revokeSessions);
+
+// Permissions
+router.get('/permissions', requirePermission('permissions.manage'), adminController.getPermissions);
+router.put('/roles/:role/permissions', requirePermission('permissions.manage'), adminController.updateRolePermissions);
+router.get('/users/:id/permissions', requirePermission('permissions.manage'), adminController.getUserPermissions);
+router.post('/users/:id/permissions', requirePermission('permissions.manage'), adminController.grantUserPermission);
+router.delete('/users/:id/permissions/:permission', requirePermission('permissions.manage'), adminController.revokeUserPermission);
+
+// Security
+router.get('/security-events', requirePermission('security_events.read'), adminController.getSecurityEvents);
+
+// Audit log
+router.get('/audit-logs', requirePermission('audit_logs.read'), adminController.getAuditLogs);
+router.get('/audit-logs/export', requirePermission('audit_logs.export'), adminController.exportAuditLogs);
+
+// Email outbox
+router.get('/email-outbox', requirePermission('emails.manage'), adminController.getEmailOutbox);
+router.post('/email-outbox/:id/retry', requirePermission('emails.manage'), adminController.retryEmail);
+
+module.exports = router;
@@ -1,16 +1,40 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const authController = require('../controller/AuthController');
-const { authenticate, requireEmailVerified } = require('../middleware/AuthMiddleware');
+const mfaController = require('../controller/MfaController');
+const webAuthnController = require('../controller/WebAuthnController');
+const { authenticate, requireEmailVerified, createRateLimiter } = require('../middleware/AuthMiddleware');
+
+// ===== Rate Limiting =====
+// Coarse per-IP limits. Per-account lockout is handled in LoginThrottleService.
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const loginLimiter = rateLimit(createRateLimiter(FIFTEEN_MINUTES, 20));
+const registerLimiter = rateLimit(createRateLimiter(FIFTEEN_MINUTES, 10));
+const emailLimiter = rateLimit(createRateLimiter(FIFTEEN_MINUTES, 5)); // Endpoints that send mail
 
 // ===== Public Routes =====
-router.post('/register', authController.register);
+router.post('/register', registerLimiter, authController.register);
 router.get('/verify-email', authController.verifyEmail); // NEW
-router.post('/forgot-password', authController.forgotPassword); // NEW
-router.post('/reset-password', authController.resetPassword); // NEW
-router.post('/login', authController.login);
+router.post('/forgot-password', emailLimiter, authController.forgotPassword); // NEW
+router.post('/reset-password', loginLimiter, authController.resetPassword); // NEW
+router.get('/password-policy', authController.getPasswordPolicy);
+router.post('/login', loginLimiter, authController.login);
 router.post('/refresh', authController.refresh);
-router.post('/email/verification-notification', authController.resendVerification);
+router.post('/mfa/verify', loginLimiter, authController.verifyMfa);
+router.post('/unlock', loginLimiter, authController.unlockAccount);
+router.post('/webauthn/login/options', authController.passkeyLoginOptions);
+router.post('/webauthn/login/verify', loginLimiter, authController.passkeyLogin);
+router.post('/magic-link', emailLimiter, authController.requestMagicLink);
+router.post('/magic-link/consume', loginLimiter, authController.consumeMagicLink);
+router.post('/email/verification-notification', emailLimiter, authController.resendVerification);
+router.post('/email/change/cancel', loginLimiter, authController.cancelEmailChange);
+
+// OAuth (Google / Facebook)
+router.post('/oauth/link', loginLimiter, authController.oauthLink);
+router.get('/oauth/:provider', authController.oauthStart);
+router.get('/oauth/:provider/callback', authController.oauthCallback);
+router.post('/oauth/:provider', loginLimiter, authController.oauthToken);
 
 // ===== Protected Routes (require authentication) =====
 router.use(authenticate); // All routes below require valid JWT
@@ -21,6 +45,8 @@ router.get('/me', authController.me);
 // Session management
 router.get('/sessions', authController.getSessions);
 router.delete('/sessions/:session_id', authController.revokeSession);
+router.get('/login-activity', authController.getLoginActivity);
+router.get('/activity', authController.getAccountActivity);
 
 // Logout
 router.post('/logout', authController.logout);
@@ -29,4 +55,22 @@ router.post('/logout-all', authController.logoutAll);
 // Password management
 router.post('/change-password', authController.changePassword);
 
+// Email change
+router.post('/email/change', emailLimiter, authController.requestEmailChange);
+router.post('/email/change/confirm', authController.confirmEmailChange);
+
+// Two-factor authentication (TOTP)
+router.get('/mfa', mfaController.getStatus);
+router.post('/mfa/setup', mfaController.setup);
+router.post('/mfa/enable', mfaController.enable);
+router.post('/mfa/recovery-codes', mfaController.regenerateRecoveryCodes);
+router.post('/mfa/disable', mfaController.disable);
+
+// Passkeys (WebAuthn)
+router.post('/webauthn/register/options', webAuthnController.registrationOptions);
+router.post('/webauthn/register/verify', webAuthnController.verifyRegistration);
+router.get('/webauthn/credentials', webAuthnController.getCredentials);
+router.patch('/webauthn/credentials/:id', webAuthnController.updateCredential);
+router.delete('/webauthn/credentials/:id', webAuthnController.deleteCredential);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const badgeController = require('../controller/BadgeController');
+const { authenticate, requirePermission } = require('../middleware/AuthMiddleware');
+
+// Type and size are checked by FileStorageService
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB
+        files: 1
+    }
+});
+
+const handleMulterErrors = (err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                message: 'File too large',
+                error: 'File size cannot exceed 10MB',
+                code: 'FILE_TOO_LARGE'
+            });
+        }
+
+        return res.status(400).json({
+            message: 'Upload error',
+            error: err.message,
+            code: 'MULTER_ERROR'
+        });
+    }
+
+    next(err);
+};
+
+router.use(authenticate);
+
+// ===== Management =====
+const manage = express.Router();
+manage.use(requirePermission('badges.manage'));
+
+manage.get('/', badgeController.getBadges);
+manage.post('/', badgeController.createBadge);
+manage.patch('/:id', badgeController.updateBadge);
+manage.delete('/:id', badgeController.deleteBadge);
+manage.post('/:id/image', upload.single('file'), handleMulterErrors, badgeController.uploadImage);
+
+router.use('/manage', manage);
+
+// ===== Learners =====
+router.get('/', badgeController.getCatalog);
+router.get('/mine', badgeController.getMyBadges);
+
+module.exports = router;
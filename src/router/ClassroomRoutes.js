@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const classroomController = require('../controller/ClassroomController');
+const { authenticate, requireRole, requireGuardianConsent, createRateLimiter } = require('../middleware/AuthMiddleware');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+// Join codes are short - slow down guessing
+const joinLimiter = rateLimit(createRateLimiter(FIFTEEN_MINUTES, 10));
+
+router.use(authenticate);
+
+// ===== Learners =====
+router.get('/joined', classroomController.getJoinedClassrooms);
+router.post('/join', requireGuardianConsent, joinLimiter, classroomController.joinClassroom);
+router.delete('/joined/:id', classroomController.leaveClassroom);
+
+// ===== Educators =====
+const educatorOnly = requireRole('educator', 'admin');
+
+router.get('/', educatorOnly, classroomController.getClassrooms);
+router.post('/', educatorOnly, classroomController.createClassroom);
+router.get('/:id', educatorOnly, classroomController.getClassroom);
+router.patch('/:id', educatorOnly, classroomController.updateClassroom);
+router.delete('/:id', educatorOnly, classroomController.deleteClassroom);
+router.post('/:id/join-code', educatorOnly, classroomController.regenerateJoinCode);
+router.delete('/:id/members/:userId', educatorOnly, classroomController.removeMember);
+router.get('/:id/progress', educatorOnly, classroomController.getClassroomProgress);
+
+module.exports = router;
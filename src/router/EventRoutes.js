@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controller/EventController');
+const { authenticate, allowQueryToken } = require('../middleware/AuthMiddleware');
+
+// ===== Realtime Events (authenticated, Server-Sent Events) =====
+router.get('/stream', allowQueryToken, authenticate, eventController.stream);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const guardianPortalController = require('../controller/GuardianPortalController');
+const { authenticate, requireWardAccess, createRateLimiter } = require('../middleware/AuthMiddleware');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const inviteLimiter = rateLimit(createRateLimiter(FIFTEEN_MINUTES, 10));
+
+// ===== Public Routes (invite link) =====
+router.get('/invite', guardianPortalController.getInvite);
+router.post('/invite/accept', inviteLimiter, guardianPortalController.acceptInvite);
+
+// ===== Guardian Portal (authenticated) =====
+router.use(authenticate);
+
+router.post('/invite/claim', inviteLimiter, guardianPortalController.claimInvite);
+
+// Wards
+router.get('/wards', requireWardAccess('wards.read'), guardianPortalController.getWards);
+router.get('/wards/:id', requireWardAccess('wards.read'), guardianPortalController.getWard);
+router.post('/wards/:id/consent', requireWardAccess('wards.manage'), guardianPortalController.updateWardConsent);
+router.delete('/wards/:id', requireWardAccess('wards.manage'), guardianPortalController.unlinkWard);
+
+module.exports = router;
@@ -0,0 +1,98 @@
+// routes/ModuleRoutes.js
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
+const moduleController = require('../controller/ModuleController');
+const authoringController = require('../controller/ModuleAuthoringController');
+const { authenticate, requireRole, requirePermission, createRateLimiter } = require('../middleware/AuthMiddleware');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+// ==================== MULTER CONFIG ====================
+
+// Type and size per file_type are checked by FileStorageService
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 100 * 1024 * 1024, // 100MB (videos)
+        files: 1
+    }
+});
+
+const handleMulterErrors = (err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                message: 'File too large',
+                error: 'File size cannot exceed 100MB',
+                code: 'FILE_TOO_LARGE'
+            });
+        }
+
+        return res.status(400).json({
+            message: 'Upload error',
+            error: err.message,
+            code: 'MULTER_ERROR'
+        });
+    }
+
+    next(err);
+};
+
+// ==================== RATE LIMITING ====================
+
+const uploadLimiter = rateLimit(createRateLimiter(FIFTEEN_MINUTES, 30));
+
+// ==================== AUTHORING (educators) ====================
+
+// Defined before the public /:id routes so 'manage' is not read as a slug
+const manage = express.Router();
+manage.use(authenticate, requireRole('educator', 'admin'));
+
+manage.get('/', authoringController.getMyModules);
+manage.post('/', requirePermission('modules.create'), authoringController.createModule);
+
+// Review queue
+manage.get('/review', requirePermission('modules.publish'), authoringController.getReviewQueue);
+manage.get('/review/:id', requirePermission('modules.publish'), authoringController.getModuleForReview);
+manage.post('/review/:id/approve', requirePermission('modules.publish'), authoringController.approveModule);
+manage.post('/review/:id/reject', requirePermission('modules.publish'), authoringController.rejectModule);
+
+manage.get('/:id', authoringController.getModule);
+manage.patch('/:id', requirePermission('modules.update'), authoringController.updateModule);
+manage.delete('/:id', requirePermission('modules.delete'), authoringController.deleteModule);
+manage.post('/:id/submit', requirePermission('modules.update'), authoringController.submitForReview);
+manage.post('/:id/unpublish', requirePermission('modules.publish'), authoringController.unpublishModule);
+
+// Lessons
+manage.post('/:id/lessons', requirePermission('modules.update'), authoringController.createLesson);
+manage.put('/:id/lessons/order', requirePermission('modules.update'), authoringController.reorderLessons);
+manage.patch('/:id/lessons/:lessonId', requirePermission('modules.update'), authoringController.updateLesson);
+manage.delete('/:id/lessons/:lessonId', requirePermission('modules.update'), authoringController.deleteLesson);
+
+// Lesson quizzes
+manage.get('/:id/lessons/:lessonId/quiz', authoringController.getQuiz);
+manage.put('/:id/lessons/:lessonId/quiz', requirePermission('modules.update'), authoringController.saveQuiz);
+manage.delete('/:id/lessons/:lessonId/quiz', requirePermission('modules.update'), authoringController.deleteQuiz);
+
+// Files (thumbnail, resources, lesson media)
+manage.post(
+    '/:id/files',
+    requirePermission('modules.update'),
+    uploadLimiter,
+    upload.single('file'),
+    handleMulterErrors,
+    authoringController.uploadFile
+);
+manage.delete('/:id/files/:fileId', requirePermission('modules.update'), authoringController.deleteFile);
+
+router.use('/manage', manage);
+
+// ==================== PUBLIC CATALOG ====================
+
+router.get('/', moduleController.getCatalog);
+router.get('/:id', moduleController.getModule);
+router.get('/:id/lessons/:lessonId', moduleController.getLesson);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const notificationController = require('../controller/NotificationController');
+const { authenticate, createRateLimiter } = require('../middleware/AuthMiddleware');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const unsubscribeLimiter = rateLimit(createRateLimiter(FIFTEEN_MINUTES, 20));
+
+// ===== Public Routes (unsubscribe link) =====
+router.post('/unsubscribe', unsubscribeLimiter, notificationController.unsubscribe);
+
+// ===== Notification Center (authenticated) =====
+router.use(authenticate);
+
+router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.post('/read-all', notificationController.markAllRead);
+router.post('/:id/read', notificationController.markRead);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const playerController = require('../controller/PlayerController');
+const { authenticate, requirePermission } = require('../middleware/AuthMiddleware');
+
+router.use(authenticate);
+
+// ===== Signed-in player =====
+router.get('/me', playerController.getMyStats);
+router.get('/me/history', playerController.getMyHistory);
+
+// ===== Admin =====
+router.get('/:id', requirePermission('players.manage'), playerController.getPlayerStats);
+router.get('/:id/history', requirePermission('players.manage'), playerController.getPlayerHistory);
+router.post('/:id/xp-adjustments', requirePermission('players.manage'), playerController.adjustXp);
+router.post('/:id/streak-freezes', requirePermission('players.manage'), playerController.grantStreakFreeze);
+
+module.exports = router;
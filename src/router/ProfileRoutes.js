@@ -4,7 +4,8 @@ const router = express.Router();
 const profileController = require('../controller/ProfileController');
 const guardianController = require('../controller/GuardianController');
 const settingsController = require('../controller/SettingsController');
-const { authenticate } = require('../middleware/AuthMiddleware');
+const { authenticate, optionalAuth, requireGuardianConsent, createRateLimiter } = require('../middleware/AuthMiddleware');
+const permissionService = require('../services/PermissionService');
 const multer = require('multer');
 const rateLimit = require('express-rate-limit');
 
@@ -115,8 +116,8 @@ const avatarUploadLimiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
-    // Skip rate limiting for admins
-    skip: (req) => req.user && req.user.role === 'admin'
+    // Skip rate limiting for users granted the bypass
+    skip: (req) => permissionService.userHas(req.user, 'uploads.bypass_rate_limit')
 });
 
 // Rate limit for profile updates
@@ -130,10 +131,25 @@ const profileUpdateLimiter = rateLimit({
     }
 });
 
+// Guardian messages (consent links, portal invites, contact verification)
+const consentLimiter = rateLimit(createRateLimiter(15 * 60 * 1000, 5));
+
+// Data export requests and downloads (exports themselves are limited to one a day)
+const exportLimiter = rateLimit(createRateLimiter(15 * 60 * 1000, 10));
+
 // ==================== PUBLIC ROUTES ====================
 
 // GET /api/v1/users/:id/profile - View profile (public or own)
-router.get('/:id/profile', profileController.getProfile);
+router.get('/:id/profile', optionalAuth, profileController.getProfile);
+
+// ===== Guardian Consent (guardian follows the emailed link) =====
+router.get('/guardian-consent', guardianController.getConsentRequest);
+router.post('/guardian-consent', consentLimiter, guardianController.respondToConsent);
+router.post('/guardian-consent/withdraw', consentLimiter, guardianController.withdrawConsent);
+router.post('/guardian-contact/verify', consentLimiter, guardianController.verifyContactEmail);
+
+// ===== Data Export Download (user follows the emailed link) =====
+router.get('/account/export/download', exportLimiter, settingsController.downloadDataExport);
 
 // ==================== PROTECTED ROUTES ====================
 
@@ -148,6 +164,7 @@ router.put(
 
 router.post(
     '/avatar',
+    requireGuardianConsent,
     avatarUploadLimiter,
     upload.single('avatar'),
     handleMulterErrors, // Handle Multer errors BEFORE controller
@@ -164,6 +181,11 @@ router.get('/guardians', guardianController.getGuardians);
 router.post('/guardians', guardianController.addGuardian);
 router.put('/guardians/:id', guardianController.updateGuardian);
 router.delete('/guardians/:id', guardianController.deleteGuardian);
+router.post('/guardians/:id/invite', consentLimiter, guardianController.inviteGuardian);
+router.post('/guardians/:id/verify/:channel', consentLimiter, guardianController.sendContactVerification);
+router.post('/guardians/:id/verify/:channel/confirm', guardianController.confirmContactVerification);
+router.get('/guardians/consent', guardianController.getConsentStatus);
+router.post('/guardians/consent/resend', consentLimiter, guardianController.resendConsentRequest);
 
 // ===== Privacy Settings =====
 router.get('/settings/privacy', settingsController.getPrivacySettings);
@@ -179,6 +201,8 @@ router.post('/account/reactivate', settingsController.reactivateAccount);
 router.post('/account/delete', settingsController.requestAccountDeletion);
 router.post('/account/cancel-deletion', settingsController.cancelAccountDeletion);
 router.get('/account/deletion-status', settingsController.getDeletionStatus);
+router.post('/account/export', exportLimiter, settingsController.requestDataExport);
+router.get('/account/export', settingsController.getDataExportStatus);
 
 // ==================== GLOBAL ERROR HANDLER ====================
 
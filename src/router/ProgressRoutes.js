@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const progressController = require('../controller/ProgressController');
+const { authenticate, requireGuardianConsent, createRateLimiter } = require('../middleware/AuthMiddleware');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+// Clients flush a batch every few seconds while a lesson is open
+const eventsLimiter = rateLimit(createRateLimiter(FIFTEEN_MINUTES, 600));
+
+router.use(authenticate);
+
+router.post('/events', requireGuardianConsent, eventsLimiter, progressController.recordEvents);
+router.get('/', progressController.getProgress);
+router.get('/resume', progressController.getResume);
+router.get('/modules/:id', progressController.getModuleProgress);
+
+module.exports = router;
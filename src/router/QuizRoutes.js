@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const quizController = require('../controller/QuizController');
+const { authenticate, requireGuardianConsent } = require('../middleware/AuthMiddleware');
+
+router.use(authenticate);
+
+router.get('/:id', quizController.getQuiz);
+router.get('/:id/attempts', quizController.getAttempts);
+router.post('/:id/attempts', requireGuardianConsent, quizController.startAttempt);
+router.get('/:id/attempts/:attemptId', quizController.getAttempt);
+router.post('/:id/attempts/:attemptId/submit', requireGuardianConsent, quizController.submitAttempt);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Generate a new JWT signing key
+ *
+ * Usage: npm run jwt:keygen -- [--alg EdDSA|RS256] [--kid <kid>]
+ *
+ * Rotation:
+ *   1. Generate a key and deploy it. It is published in the JWKS but does not sign yet
+ *      (unless it is the only key), so other services can cache it first.
+ *   2. Set JWT_SIGNING_KID to the new kid and restart.
+ *   3. Once the old key's tokens have expired (JWT_EXPIRES_IN), delete its .pem,
+ *      or keep only the public half as <kid>.pub.pem until then.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const arg = (name) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const alg = arg('alg') || 'EdDSA';
+const kid = arg('kid') || `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+const dir = process.env.JWT_KEYS_DIR || path.join(__dirname, '../../keys');
+
+if (!['EdDSA', 'RS256'].includes(alg)) {
+    console.error(`Unsupported algorithm "${alg}" (use EdDSA or RS256)`);
+    process.exit(1);
+}
+
+if (!/^[A-Za-z0-9_-]+$/.test(kid)) {
+    console.error('kid may only contain letters, numbers, "-" and "_"');
+    process.exit(1);
+}
+
+const { privateKey } = alg === 'EdDSA'
+    ? crypto.generateKeyPairSync('ed25519')
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 3072 });
+
+const file = path.join(dir, `${kid}.pem`);
+fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+
+console.log(`✅ ${alg} key written to ${file}`);
+console.log(`   Set JWT_SIGNING_KID=${kid} to start signing with it.`);
@@ -3,6 +3,10 @@ const http = require('http');
 const app = require('./app');
 const sequelize = require('./config/db');
 const { scheduleCleanup } = require('./jobs/CleanupJob');
+const { scheduleEmailOutbox } = require('./jobs/EmailOutboxJob');
+const { scheduleNotificationDigests } = require('./jobs/NotificationDigestJob');
+const { scheduleDataExports } = require('./jobs/DataExportJob');
+const realtimeService = require('./services/RealtimeService');
 
 const PORT = process.env.PORT || 3000;
 const server = http.createServer(app);
@@ -17,6 +21,18 @@ const startServer = async () => {
         scheduleCleanup();
         console.log('✅ Cleanup job scheduled');
 
+        // Start email outbox worker
+        scheduleEmailOutbox();
+        console.log('✅ Email outbox worker scheduled');
+
+        // Start notification digest job
+        scheduleNotificationDigests();
+        console.log('✅ Notification digest job scheduled');
+
+        // Start data export worker
+        scheduleDataExports();
+        console.log('✅ Data export worker scheduled');
+
         // Start server
         server.listen(PORT, () => {
             console.log(`🚀 Server: http://localhost:${PORT}`);
@@ -30,6 +46,7 @@ const startServer = async () => {
 
 const shutdown = async (signal) => {
     console.log(`\nShutting down (${signal})...`);
+    realtimeService.closeAll(); // Open event streams would keep the server from closing
     server.close(async () => {
         try {
             await sequelize.close();
@@ -0,0 +1,139 @@
+// services/AuditService.js
+const { AuditLog } = require('../model');
+const { getDeviceInfo } = require('../middleware/AuthMiddleware');
+const { getCurrentRequest } = require('../middleware/RequestContextMiddleware');
+
+const CSV_COLUMNS = [
+    'id', 'created_at', 'action', 'actor_id', 'actor_role', 'target_user_id',
+    'reason', 'changes', 'metadata', 'ip_address', 'user_agent', 'request_id'
+];
+
+/**
+ * Audit Service
+ * - Records who did what to whom, and why
+ * - Field-level before/after diffs
+ * - Actor, IP/user agent and request ID taken from the current request
+ * - CSV export for admins
+ */
+class AuditService {
+    /**
+     * Record an action
+     * @param {Object|null} req - Express request; defaults to the current request (hooks, services)
+     * @param {string} action - e.g. 'admin.user.suspended'
+     * @param {Object} details - { actor, target, reason, changes, metadata, transaction }
+     *   `actor` overrides req.user for unauthenticated flows (reset links, unlock links)
+     *
+     * Inside a transaction a failed write throws so the action rolls back with it.
+     * Otherwise it is logged and swallowed - the action has already happened.
+     */
+    async log(req, action, { actor, target = null, reason = null, changes = null, metadata = null, transaction } = {}) {
+        req = req || getCurrentRequest();
+        actor = actor !== undefined ? actor : (req?.user || null);
+        const deviceInfo = req ? getDeviceInfo(req) : {};
+
+        try {
+            return await AuditLog.create({
+                actor_id: actor ? actor.id : null,
+                actor_role: actor ? actor.role : null,
+                target_user_id: target ? target.id : null,
+                action,
+                reason: reason ? String(reason).slice(0, 500) : null,
+                changes,
+                metadata,
+                ip_address: deviceInfo.ip_address || null,
+                user_agent: deviceInfo.user_agent || null,
+                request_id: req?.id || null
+            }, { transaction });
+        } catch (error) {
+            if (transaction) throw error;
+
+            console.error(`[Audit] Failed to record ${action}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Record a change from a model hook (create / update / destroy)
+     * @param {Model} instance - Instance passed to the hook
+     * @param {string[]} fields - Fields worth diffing
+     */
+    async logModelChange(action, instance, { target, fields, event, transaction } = {}) {
+        let changes;
+
+        if (event === 'create') {
+            changes = this.diff({}, instance.get(), fields);
+        } else if (event === 'destroy') {
+            changes = this.diff(instance.get(), {}, fields);
+        } else {
+            const before = {};
+            for (const field of fields) before[field] = instance.previous(field);
+            changes = this.diff(before, instance.get(), fields);
+
+            if (!changes) return null; // Nothing audited changed
+        }
+
+        return await this.log(null, action, {
+            target,
+            changes,
+            metadata: { record_id: instance.id },
+            transaction
+        });
+    }
+
+    /**
+     * Build a { field: { from, to } } diff for the given fields
+     */
+    diff(before, after, fields) {
+        const changes = {};
+
+        for (const field of fields) {
+            const from = before[field] ?? null;
+            const to = after[field] ?? null;
+
+            if (String(from) !== String(to)) {
+                changes[field] = { from, to };
+            }
+        }
+
+        return Object.keys(changes).length > 0 ? changes : null;
+    }
+
+    /**
+     * CSV header line
+     */
+    csvHeader() {
+        return CSV_COLUMNS.join(',') + '\r\n';
+    }
+
+    /**
+     * One CSV line per entry
+     */
+    toCsvRows(entries) {
+        return entries.map(entry => {
+            const row = entry.toJSON();
+            return CSV_COLUMNS.map(column => this._csvCell(row[column])).join(',');
+        }).join('\r\n') + (entries.length > 0 ? '\r\n' : '');
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Quote a value and neutralise spreadsheet formulas (=, +, -, @)
+     * @private
+     */
+    _csvCell(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = value instanceof Date
+            ? value.toISOString()
+            : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,216 @@
+// services/BadgeService.js
+const {
+    Badge,
+    UserBadge,
+    LessonProgress,
+    QuizAttempt,
+    User,
+    sequelize
+} = require('../model');
+const progressService = require('./ProgressService');
+const playerService = require('./PlayerService');
+const notificationService = require('./NotificationService');
+
+/**
+ * Badge Service
+ * - Badges are admin-defined with one award rule each (Badge.CRITERIA_TYPES)
+ * - Rules are checked after progress is recorded (ProgressService), only for
+ *   badges the user does not have yet, so the work shrinks as badges are earned
+ * - A badge is awarded once per user (unique user + badge); re-running the
+ *   check after a replayed event or a concurrent request awards nothing twice
+ * - Awards are kept when a badge is retired or the rule would no longer hold
+ * - Each award earns XP (PlayerService), written with the award
+ * - New awards raise an 'achievement' notification (achievement_alerts)
+ */
+class BadgeService {
+    constructor() {
+        this.config = {
+            actionUrl: '/achievements'
+        };
+    }
+
+    /**
+     * Award every active badge whose rule the user now meets
+     * @returns {Promise<UserBadge[]>} - new awards, with their badge
+     */
+    async evaluate(userId) {
+        const [badges, earned] = await Promise.all([
+            Badge.findActive(),
+            UserBadge.findAll({ where: { user_id: userId }, attributes: ['badge_id'], raw: true })
+        ]);
+
+        const earnedIds = new Set(earned.map(row => row.badge_id));
+        const pending = badges.filter(badge => !earnedIds.has(badge.id));
+        if (pending.length === 0) return [];
+
+        const stats = await this._collectStats(userId, pending);
+        const awarded = [];
+
+        for (const badge of pending) {
+            if (!this._meets(badge.criteria, stats)) continue;
+
+            const award = await this._award(userId, badge);
+            if (!award) continue; // Awarded by a concurrent check
+
+            award.badge = badge;
+            awarded.push(award);
+        }
+
+        if (awarded.length > 0) {
+            await this._notify(userId, awarded);
+        }
+
+        return awarded;
+    }
+
+    /**
+     * Active badges with the user's awards; secret badges appear once earned
+     * (badges retired after being earned are still listed for their holders)
+     */
+    async getCatalog(userId) {
+        const { Op } = sequelize.Sequelize;
+
+        const awards = await UserBadge.findAll({ where: { user_id: userId }, raw: true });
+        const awardsByBadge = new Map(awards.map(award => [award.badge_id, award]));
+
+        const badges = await Badge.findAll({
+            where: {
+                [Op.or]: [
+                    { is_active: true, is_secret: false },
+                    { id: [...awardsByBadge.keys()] }
+                ]
+            },
+            order: [['id', 'ASC']]
+        });
+
+        return badges.map(badge => {
+            const award = awardsByBadge.get(badge.id);
+            return {
+                ...badge.toSummaryJSON(),
+                earned: !!award,
+                awarded_at: award ? award.awarded_at : null
+            };
+        });
+    }
+
+    /**
+     * Badges a user has earned, newest first
+     */
+    async getUserBadges(userId) {
+        const awards = await UserBadge.findForUser(userId);
+        return awards.map(award => award.toJSON());
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * The numbers the pending badges' rules need (and nothing more)
+     * @private
+     */
+    async _collectStats(userId, badges) {
+        const { Op } = sequelize.Sequelize;
+        const types = new Set(badges.map(badge => badge.criteria.type));
+        const stats = {};
+
+        if (types.has('module_completed') || types.has('modules_completed')) {
+            const modules = await progressService.getUserProgress(userId);
+            stats.completedModuleIds = new Set(
+                modules.filter(item => item.progress.completed_at).map(item => item.module.id)
+            );
+        }
+
+        if (types.has('lessons_completed')) {
+            stats.lessonsCompleted = await LessonProgress.count({
+                where: { user_id: userId, completed_at: { [Op.ne]: null } }
+            });
+        }
+
+        if (types.has('perfect_quizzes')) {
+            // Different quizzes, so retaking one quiz does not count again
+            stats.perfectQuizzes = await QuizAttempt.count({
+                where: { user_id: userId, status: 'submitted', percent: 100 },
+                distinct: true,
+                col: 'quiz_id'
+            });
+        }
+
+        if (types.has('streak_days')) {
+            stats.longestStreak = (await playerService.getStreak(userId)).longest;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Award a badge and its XP together
+     * @returns {Promise<UserBadge|null>} - null when the user already has it
+     * @private
+     */
+    async _award(userId, badge) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const award = await UserBadge.award(userId, badge.id, { transaction });
+
+            if (award) {
+                await playerService.awardXp(userId, {
+                    reason: 'badge_awarded',
+                    sourceType: 'badge',
+                    sourceId: badge.id
+                }, { transaction });
+            }
+
+            await transaction.commit();
+            return award;
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _meets(criteria, stats) {
+        switch (criteria.type) {
+            case 'module_completed':
+                return stats.completedModuleIds.has(criteria.module_id);
+            case 'modules_completed':
+                return stats.completedModuleIds.size >= criteria.count;
+            case 'lessons_completed':
+                return stats.lessonsCompleted >= criteria.count;
+            case 'perfect_quizzes':
+                return stats.perfectQuizzes >= criteria.count;
+            case 'streak_days':
+                return stats.longestStreak >= criteria.days;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * One notification per new badge
+     * @private
+     */
+    async _notify(userId, awards) {
+        const user = await User.findByPk(userId);
+        if (!user) return;
+
+        for (const award of awards) {
+            try {
+                await notificationService.notify(user, 'achievement', {
+                    type: 'badge_awarded',
+                    title: `You earned the ${award.badge.name} badge`,
+                    body: award.badge.description,
+                    data: { badge_id: award.badge.id, slug: award.badge.slug },
+                    action_url: this.config.actionUrl
+                });
+            } catch (error) {
+                // The award stands without the notification
+                console.error(`[Badges] Failed to notify user ${userId} of badge ${award.badge.id}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = new BadgeService();
@@ -0,0 +1,298 @@
+// services/DataExportService.js
+const {
+    User,
+    UserProfile,
+    UserGuardian,
+    UserPrivacySettings,
+    UserNotificationPreferences,
+    Session,
+    File,
+    DataExport,
+    LessonProgress,
+    QuizAttempt,
+    ClassroomMember,
+    Classroom,
+    UserBadge,
+    UserActivityDay,
+    XpEntry,
+    StreakFreeze
+} = require('../model');
+const fileStorageService = require('./FileStorageService');
+const jwtService = require('./JwtService');
+const emailService = require('./EmailService');
+const ZipWriter = require('./export/ZipWriter');
+const { renderReport } = require('./export/DataExportReport');
+
+// Never leave the database in an export
+const USER_SECRET_FIELDS = ['password', 'mfa_secret', 'mfa_last_used_step', 'permission_version'];
+const SESSION_FIELDS = ['device_name', 'ip_address', 'user_agent', 'auth_method', 'created_at', 'last_activity', 'expires_at', 'revoked_at'];
+const FILE_FIELDS = ['id', 'entity_type', 'file_category', 'original_name', 'mime_type', 'file_size', 'created_at', 'deleted_at'];
+
+const omit = (record, fields) => Object.fromEntries(
+    Object.entries(record).filter(([key]) => !fields.includes(key))
+);
+const pick = (record, fields) => Object.fromEntries(fields.map(field => [field, record[field]]));
+
+/**
+ * Data Export Service
+ * - Personal data exports ("download my data")
+ * - Requests are queued; a worker (jobs/DataExportJob) builds a ZIP with
+ *   data.json and a human-readable index.html, plus the avatar
+ * - Archives are stored under the private exports/ prefix and downloaded
+ *   through the API with a short-lived signed link, emailed when ready
+ * - Archives are deleted when they expire (cleanup job)
+ */
+class DataExportService {
+    constructor() {
+        this.config = {
+            cooldownHours: 24, // One export per day
+            retentionHours: 72, // Archive kept this long after it is built
+            maxAttempts: 3,
+            staleMs: 30 * 60 * 1000 // Worker died mid-build
+        };
+
+        this.processing = false;
+        this.rerun = false;
+    }
+
+    /**
+     * Queue an export for a user and start building it
+     * @returns {Promise<DataExport>}
+     * @throws {Error} - code DATA_EXPORT_LIMITED (429) while one is in progress or within the cooldown
+     */
+    async request(user) {
+        const dataExport = await DataExport.createRequest(user.id, {
+            cooldownHours: this.config.cooldownHours
+        });
+
+        setImmediate(() => {
+            this.processPending().catch(error => {
+                console.error('[DataExport] Export run failed:', error.message);
+            });
+        });
+
+        return dataExport;
+    }
+
+    /**
+     * Build every pending export
+     * @returns {Promise<number>} - Exports built in this run
+     */
+    async processPending() {
+        // One run at a time; a request during a run triggers another pass
+        if (this.processing) {
+            this.rerun = true;
+            return 0;
+        }
+
+        this.processing = true;
+        let built = 0;
+
+        try {
+            await DataExport.releaseStale(this.config.staleMs);
+
+            do {
+                this.rerun = false;
+
+                let dataExport;
+                while ((dataExport = await DataExport.claimNext())) {
+                    if (await this._process(dataExport)) built++;
+                }
+            } while (this.rerun);
+        } finally {
+            this.processing = false;
+        }
+
+        return built;
+    }
+
+    /**
+     * Resolve a download link to a ready export
+     * @returns {Promise<DataExport|null>}
+     */
+    async resolveDownload(token) {
+        if (!token) return null;
+
+        let decoded;
+        try {
+            decoded = jwtService.verifyActionToken(token, 'data_export');
+        } catch (error) {
+            return null;
+        }
+
+        const dataExport = await DataExport.findOne({
+            where: { id: decoded.export_id, user_id: decoded.id }
+        });
+
+        return dataExport && dataExport.isReady() ? dataExport : null;
+    }
+
+    /**
+     * Open the archive for streaming and record the download
+     * @returns {Promise<Object>} - { body, contentLength, filename }
+     */
+    async openDownload(dataExport) {
+        const file = await fileStorageService.getFile(dataExport.file_key);
+
+        dataExport.downloaded_at = new Date();
+        await dataExport.save({ fields: ['downloaded_at'] });
+
+        const date = new Date(dataExport.completed_at).toISOString().split('T')[0];
+
+        return {
+            body: file.body,
+            contentLength: file.contentLength,
+            filename: `protected-data-${date}.zip`
+        };
+    }
+
+    /**
+     * Delete expired archives (run from cleanup job)
+     * @returns {Promise<number>}
+     */
+    async cleanup() {
+        const expired = await DataExport.findExpired();
+
+        for (const dataExport of expired) {
+            try {
+                await fileStorageService.deleteFile(dataExport.file_key);
+                await dataExport.markExpired();
+            } catch (error) {
+                console.error(`[DataExport] Failed to remove export ${dataExport.id}:`, error.message);
+            }
+        }
+
+        return expired.length;
+    }
+
+    /**
+     * Everything we hold about a user, as plain objects
+     */
+    async collect(user) {
+        const [profile, guardians, guardianOf, privacySettings, notificationPreferences, sessions, files, progress, quizAttempts, memberships, badges, activityDays, xpEntries, streakFreezes] = await Promise.all([
+            UserProfile.findOne({ where: { user_id: user.id } }),
+            UserGuardian.findAll({ where: { user_id: user.id }, order: [['id', 'ASC']] }),
+            UserGuardian.findAll({
+                where: { guardian_user_id: user.id },
+                include: [{ model: User, as: 'user', attributes: ['id', 'name'] }],
+                order: [['id', 'ASC']]
+            }),
+            UserPrivacySettings.findOne({ where: { user_id: user.id } }),
+            UserNotificationPreferences.findOne({ where: { user_id: user.id } }),
+            Session.findAll({ where: { user_id: user.id }, order: [['created_at', 'DESC']] }),
+            File.findAll({ where: { uploaded_by: user.id }, paranoid: false, order: [['created_at', 'ASC']] }),
+            LessonProgress.findAll({ where: { user_id: user.id }, order: [['started_at', 'ASC']] }),
+            QuizAttempt.findAll({ where: { user_id: user.id }, order: [['started_at', 'ASC']] }),
+            ClassroomMember.findAll({
+                where: { user_id: user.id },
+                include: [{ model: Classroom, as: 'classroom', attributes: ['id', 'name'] }],
+                order: [['joined_at', 'ASC']]
+            }),
+            UserBadge.findForUser(user.id),
+            UserActivityDay.findDates(user.id),
+            XpEntry.findAll({ where: { user_id: user.id }, order: [['created_at', 'ASC'], ['id', 'ASC']] }),
+            StreakFreeze.findAll({ where: { user_id: user.id }, order: [['created_at', 'ASC']] })
+        ]);
+
+        return {
+            account: {
+                ...omit(user.get({ plain: true }), USER_SECRET_FIELDS),
+                avatar_url: user.avatar_key || user.avatar_url ? user.getAvatarUrl() : null
+            },
+            profile: profile ? profile.get({ plain: true }) : null,
+            guardians: guardians.map(guardian => guardian.get({ plain: true })),
+            guardian_of: guardianOf.map(link => ({
+                ward_id: link.user ? link.user.id : link.user_id,
+                ward_name: link.user ? link.user.name : null,
+                relationship: link.relationship,
+                linked_at: link.linked_at
+            })),
+            privacy_settings: privacySettings ? privacySettings.get({ plain: true }) : null,
+            notification_preferences: notificationPreferences ? notificationPreferences.get({ plain: true }) : null,
+            sessions: sessions.map(session => pick(session, SESSION_FIELDS)),
+            files: files.map(file => ({
+                ...pick(file, FILE_FIELDS),
+                url: file.deleted_at ? null : fileStorageService.constructUrl(file.file_key)
+            })),
+            lesson_progress: progress.map(row => row.toJSON()),
+            quiz_attempts: quizAttempts.map(attempt => ({ ...attempt.toSummaryJSON(), answers: attempt.answers })),
+            classes: memberships.map(membership => ({
+                class_id: membership.classroom_id,
+                name: membership.classroom ? membership.classroom.name : null,
+                joined_at: membership.joined_at
+            })),
+            badges: badges.map(award => award.toJSON()),
+            activity_days: activityDays.map(date => ({ date })),
+            xp_history: xpEntries.map(entry => {
+                const { source, ...fields } = entry.toJSON();
+                return { ...fields, source_type: source.type, source_id: source.id };
+            }),
+            streak_freezes: streakFreezes.map(freeze => freeze.toJSON())
+        };
+    }
+
+    /**
+     * Build the ZIP for a user
+     * @returns {Promise<Buffer>}
+     */
+    async build(user) {
+        const generatedAt = new Date();
+        const data = await this.collect(user);
+        const zip = new ZipWriter();
+
+        let avatarPath = null;
+        if (user.avatar_key) {
+            try {
+                zip.add('avatar.jpg', await fileStorageService.getFileBuffer(user.avatar_key));
+                avatarPath = 'avatar.jpg';
+            } catch (error) {
+                // The rest of the export is still useful
+                console.warn(`[DataExport] Could not include avatar for user ${user.id}:`, error.message);
+            }
+        }
+
+        zip.add('data.json', JSON.stringify({ generated_at: generatedAt, ...data }, null, 2));
+        zip.add('index.html', renderReport(data, { generatedAt, avatarPath }));
+
+        return zip.toBuffer();
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Build, store and announce one claimed export
+     * @returns {Promise<boolean>} - Whether the export is ready
+     * @private
+     */
+    async _process(dataExport) {
+        let user;
+
+        try {
+            user = await User.findByPk(dataExport.user_id);
+            if (!user || user.account_status === 'deleted') {
+                throw new Error('User no longer exists');
+            }
+
+            const archive = await this.build(user);
+            const { key, size } = await fileStorageService.uploadDataExport(archive, user.id);
+
+            const expiresAt = new Date(Date.now() + this.config.retentionHours * 60 * 60 * 1000);
+            await dataExport.markReady(key, size, expiresAt);
+        } catch (error) {
+            await dataExport.markFailed(error, { maxAttempts: this.config.maxAttempts });
+            console.error(`[DataExport] Export ${dataExport.id} failed (attempt ${dataExport.attempts}):`, error.message);
+            return false;
+        }
+
+        // The archive is ready either way - the status endpoint also links to it
+        try {
+            await emailService.sendDataExportReadyEmail(user, jwtService.generateDataExportToken(dataExport), dataExport.expires_at);
+        } catch (error) {
+            console.error(`[DataExport] Failed to email export ${dataExport.id} to user ${user.id}:`, error.message);
+        }
+
+        return true;
+    }
+}
+
+module.exports = new DataExportService();
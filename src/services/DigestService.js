@@ -0,0 +1,131 @@
+// services/DigestService.js
+const { User, Notification, UserNotificationPreferences, sequelize } = require('../model');
+const jwtService = require('./JwtService');
+const emailService = require('./EmailService');
+
+const HOUR = 60 * 60 * 1000;
+
+// parseInt with a default that still allows 0 (midnight, Sunday)
+const intFromEnv = (value, fallback) => Number.isNaN(parseInt(value)) ? fallback : parseInt(value);
+
+/**
+ * Notification Digest Service
+ * - Batches unread module reminders and platform updates into one email per user
+ * - Daily or weekly per user, sent at a local hour in the user's time zone
+ * - Holds the digest during quiet hours and skips users who turned the emails off
+ * - Every digest carries one-click unsubscribe links (see NotificationController.unsubscribe)
+ *
+ * Notifications read in-app before the digest goes out are left out of it.
+ */
+class DigestService {
+    constructor() {
+        this.config = {
+            sendHour: intFromEnv(process.env.DIGEST_HOUR, 17), // Local time
+            weeklyDay: intFromEnv(process.env.DIGEST_WEEKDAY, 1), // 0 = Sunday
+            maxItems: 10,
+            maxAgeDays: 14, // Older pending notifications are no longer news
+            minGapHours: { daily: 20, weekly: 6 * 24 } // Guards against DST and time zone changes
+        };
+    }
+
+    /**
+     * Send every digest that is due (run hourly from the digest job)
+     * @returns {Promise<number>} - Digests queued
+     */
+    async run(now = new Date()) {
+        const categories = UserNotificationPreferences.DIGEST_CATEGORIES;
+        const window = {
+            since: new Date(now.getTime() - this.config.maxAgeDays * 24 * HOUR),
+            until: now
+        };
+
+        const userIds = await Notification.findUsersWithPendingDigest(categories, window);
+        let sent = 0;
+
+        for (const userId of userIds) {
+            try {
+                if (await this._sendDigest(userId, now, window)) sent++;
+            } catch (error) {
+                console.error(`[Digest] Failed to send digest to user ${userId}:`, error.message);
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Whether a user's digest is due at `now`
+     * The local send hour moves to the end of quiet hours when they cover it.
+     */
+    isDue(preferences, now = new Date()) {
+        const { hour, weekday } = preferences.getLocalTime(now);
+        const frequency = preferences.digest_frequency;
+
+        if (preferences.isQuietHour(hour)) return false;
+
+        const sendHour = preferences.isQuietHour(this.config.sendHour)
+            ? preferences.quiet_hours_end
+            : this.config.sendHour;
+        if (hour < sendHour) return false;
+
+        if (frequency === 'weekly' && weekday !== this.config.weeklyDay) return false;
+
+        const lastSent = preferences.digest_last_sent_at;
+        return !lastSent || now - new Date(lastSent) >= this.config.minGapHours[frequency] * HOUR;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Queue one user's digest and mark its notifications emailed, together
+     * @returns {Promise<boolean>} - Whether a digest was queued
+     * @private
+     */
+    async _sendDigest(userId, now, window) {
+        const user = await User.findByPk(userId);
+        if (!user || !user.isActive() || !user.email_verified_at) return false;
+
+        const preferences = await UserNotificationPreferences.findOrCreateForUser(userId);
+        const categories = preferences.getDigestCategories();
+
+        // email_notifications off, or both digest categories off
+        if (categories.length === 0) return false;
+        if (!this.isDue(preferences, now)) return false;
+
+        const { rows, count } = await Notification.findPendingDigest(userId, categories, {
+            ...window,
+            limit: this.config.maxItems
+        });
+        if (count === 0) return false;
+
+        const unsubscribe = {};
+        for (const scope of Object.keys(UserNotificationPreferences.UNSUBSCRIBE_SCOPES)) {
+            unsubscribe[scope] = jwtService.generateUnsubscribeToken(user, scope);
+        }
+
+        const transaction = await sequelize.transaction();
+
+        try {
+            await emailService.sendNotificationDigestEmail(user, {
+                frequency: preferences.digest_frequency,
+                items: rows,
+                more: count - rows.length,
+                unsubscribe
+            }, { transaction });
+
+            await Notification.markDigestEmailed(userId, categories, { ...window, transaction });
+
+            preferences.digest_last_sent_at = now;
+            await preferences.save({ fields: ['digest_last_sent_at'], transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        return true;
+    }
+}
+
+module.exports = new DigestService();
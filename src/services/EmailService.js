@@ -1,6 +1,22 @@
 // src/services/EmailService.js
 const nodemailer = require('nodemailer');
+const { EmailOutbox } = require('../model');
+const emailTemplates = require('./email/EmailTemplates');
 
+const frontendUrl = (path) => `${process.env.FRONTEND_URL}${path}`;
+const apiUrl = (path) => `${process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`}${path}`;
+
+/**
+ * Email Service
+ * - Every email comes from a named template (services/email) in the reader's locale
+ * - Emails are written to the outbox, inside the caller's transaction when given,
+ *   so they are sent only if the action commits and survive SMTP outages
+ * - The outbox worker (jobs/EmailOutboxJob) retries failures with exponential
+ *   backoff and dead-letters emails that run out of attempts
+ *
+ * The send*Email methods only queue; pass { transaction } as the last argument
+ * to tie the email to the action that triggers it.
+ */
 class EmailService {
     constructor() {
         this.transporter = nodemailer.createTransport({
@@ -12,49 +28,371 @@ class EmailService {
                 pass: process.env.MAIL_PASSWORD,
             },
         });
+
+        this.config = {
+            batchSize: 20,
+            maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 8,
+            retryBaseMs: 60 * 1000, // 1m, 2m, 4m ... capped below
+            retryMaxMs: 6 * 60 * 60 * 1000,
+            staleLockMs: 10 * 60 * 1000, // Worker died mid-send
+            sentRetentionDays: 7, // Bodies contain sign-in links
+            deadRetentionDays: 30
+        };
+
+        this.processing = false;
+        this.rerun = false;
+    }
+
+    /**
+     * Languages emails can be sent in
+     */
+    get locales() {
+        return emailTemplates.locales;
+    }
+
+    /**
+     * Best supported email language for a requested one ('es-MX' -> 'es', unknown -> 'en')
+     */
+    resolveLocale(value) {
+        return emailTemplates.resolveLocale(value);
+    }
+
+    /**
+     * Render a template and add it to the outbox
+     * @param {Object} options - { locale, userId, headers, transaction }
+     * @returns {Promise<EmailOutbox>}
+     */
+    async queue(template, to, vars, { locale = null, userId = null, headers = null, transaction } = {}) {
+        const rendered = emailTemplates.render(template, locale, vars);
+
+        const email = await EmailOutbox.create({
+            user_id: userId,
+            template,
+            locale: rendered.locale,
+            to_address: to,
+            subject: rendered.subject.slice(0, 255),
+            html: rendered.html,
+            text: rendered.text,
+            headers
+        }, { transaction });
+
+        // Send straight away once the action is committed (the worker is the fallback)
+        const kick = () => setImmediate(() => {
+            this.processOutbox().catch(error => {
+                console.error('[Email] Outbox run failed:', error.message);
+            });
+        });
+
+        if (transaction) {
+            transaction.afterCommit(kick);
+        } else {
+            kick();
+        }
+
+        return email;
+    }
+
+    /**
+     * Send every due email in the outbox
+     * @returns {Promise<number>} - Emails sent in this run
+     */
+    async processOutbox() {
+        // One run at a time; a request during a run triggers another pass
+        if (this.processing) {
+            this.rerun = true;
+            return 0;
+        }
+
+        this.processing = true;
+        let sent = 0;
+
+        try {
+            await EmailOutbox.releaseStale(this.config.staleLockMs);
+
+            do {
+                this.rerun = false;
+
+                let batch;
+                while ((batch = await EmailOutbox.claimDue(this.config.batchSize)).length > 0) {
+                    for (const email of batch) {
+                        if (await this._deliver(email)) sent++;
+                    }
+                }
+            } while (this.rerun);
+        } finally {
+            this.processing = false;
+        }
+
+        return sent;
+    }
+
+    /**
+     * Remove sent emails and old dead letters (run from cleanup job)
+     */
+    async cleanupOutbox() {
+        await EmailOutbox.cleanup({
+            sentDays: this.config.sentRetentionDays,
+            deadDays: this.config.deadRetentionDays
+        });
     }
 
     /**
-     * Generic sender
+     * Generic sender (SMTP) - used by the outbox worker
      */
-    async sendEmail({ to, subject, html }) {
+    async sendEmail({ to, subject, html, text, headers = null }) {
         const mailOptions = {
             from: `"${process.env.MAIL_FROM_NAME}" <${process.env.MAIL_FROM_ADDRESS}>`,
             to,
             subject,
             html,
+            text,
         };
 
+        if (headers) {
+            mailOptions.headers = headers;
+        }
+
         return await this.transporter.sendMail(mailOptions);
     }
 
     /**
      * Feature: Email Verification
      */
-    async sendVerificationEmail(user, token) {
-        const url = `${process.env.FRONTEND_URL}/verify-email?token=${token}&email=${user.email}`;
-        return await this.sendEmail({
-            to: user.email,
-            subject: 'Verify your email - Maestro',
-            html: `<h1>Welcome ${user.name || ''}!</h1>
-                   <p>Please verify your email by clicking the link below:</p>
-                   <a href="${url}">Verify Email</a>`
-        });
+    async sendVerificationEmail(user, token, options = {}) {
+        return await this.queue('verify_email', user.email, {
+            name: user.name,
+            url: frontendUrl(`/verify-email?token=${token}&email=${encodeURIComponent(user.email)}`)
+        }, { locale: user.locale, userId: user.id, ...options });
     }
 
     /**
      * Feature: Password Reset
      */
-    async sendPasswordResetEmail(user, token) {
-        const url = `${process.env.FRONTEND_URL}/reset-password?token=${token}&email=${user.email}`;
-        return await this.sendEmail({
-            to: user.email,
-            subject: 'Reset your password - Maestro',
-            html: `<p>You requested a password reset. Click the link below to proceed:</p>
-                   <a href="${url}">Reset Password</a>
-                   <p>This link expires in 1 hour.</p>`
+    async sendPasswordResetEmail(user, token, options = {}) {
+        return await this.queue('password_reset', user.email, {
+            url: frontendUrl(`/reset-password?token=${token}&email=${encodeURIComponent(user.email)}`)
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Account Locked (too many failed logins)
+     */
+    async sendAccountLockedEmail(user, token, options = {}) {
+        return await this.queue('account_locked', user.email, {
+            locked_until: user.locked_until,
+            url: frontendUrl(`/unlock-account?token=${token}`)
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Passwordless Login (Magic Link)
+     */
+    async sendMagicLinkEmail(user, token, options = {}) {
+        return await this.queue('magic_link', user.email, {
+            url: frontendUrl(`/magic-link?token=${token}`)
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Security Alert (refresh token reuse)
+     */
+    async sendTokenReuseAlertEmail(user, deviceInfo = {}, options = {}) {
+        return await this.queue('token_reuse_alert', user.email, {
+            ip_address: deviceInfo.ip_address || null,
+            url: frontendUrl('/settings/security')
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Email Change (confirmation to the new address)
+     */
+    async sendEmailChangeConfirmationEmail(user, token, options = {}) {
+        return await this.queue('email_change_confirm', user.pending_email, {
+            name: user.name,
+            url: frontendUrl(`/confirm-email-change?token=${token}`)
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Email Change (alert to the old address)
+     */
+    async sendEmailChangeRequestedEmail(user, token, options = {}) {
+        return await this.queue('email_change_requested', user.email, {
+            new_email: user.pending_email,
+            url: frontendUrl(`/cancel-email-change?token=${token}`)
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Email Change (notice to the old address once it's done)
+     */
+    async sendEmailChangedEmail(user, oldEmail, options = {}) {
+        return await this.queue('email_changed', oldEmail, {
+            new_email: user.email
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Guardian Consent (request to the primary guardian)
+     */
+    async sendGuardianConsentRequestEmail(guardian, user, token, consentAge, options = {}) {
+        return await this.queue('guardian_consent_request', guardian.email, {
+            guardian_name: guardian.full_name,
+            ward_name: user.name || user.email,
+            consent_age: consentAge,
+            url: frontendUrl(`/guardian-consent?token=${token}`)
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Guardian Consent (confirmation with a withdrawal link)
+     */
+    async sendGuardianConsentGrantedEmail(guardian, user, token, options = {}) {
+        return await this.queue('guardian_consent_granted', guardian.email, {
+            ward_name: user.name || user.email,
+            granted_at: user.guardian_consent_at,
+            url: frontendUrl(`/guardian-consent/withdraw?token=${token}`)
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Guardian Portal (invite to claim a guardian record)
+     */
+    async sendGuardianInviteEmail(guardian, ward, token, options = {}) {
+        return await this.queue('guardian_invite', guardian.email, {
+            guardian_name: guardian.full_name,
+            ward_name: ward.name || ward.email,
+            url: frontendUrl(`/guardian/invite?token=${token}`)
+        }, { locale: ward.locale, userId: ward.id, ...options });
+    }
+
+    /**
+     * Feature: Guardian Contact Verification (code and link)
+     */
+    async sendGuardianContactVerificationEmail(guardian, ward, code, token, expiresMinutes, options = {}) {
+        return await this.queue('guardian_contact_verification', guardian.email, {
+            guardian_name: guardian.full_name,
+            ward_name: ward.name || ward.email,
+            code,
+            expires_minutes: expiresMinutes,
+            url: frontendUrl(`/guardian/verify-email?token=${token}`)
+        }, { locale: ward.locale, userId: ward.id, ...options });
+    }
+
+    /**
+     * Feature: Guardian Safety Alert (verified guardian contacts only)
+     */
+    async sendGuardianAlertEmail(guardian, ward, message, options = {}) {
+        return await this.queue('guardian_alert', guardian.email, {
+            guardian_name: guardian.full_name,
+            ward_name: ward.name || ward.email,
+            message
+        }, { locale: ward.locale, userId: ward.id, ...options });
+    }
+
+    /**
+     * Feature: Notifications (email copy of an in-app notification)
+     */
+    async sendNotificationEmail(user, notification, options = {}) {
+        return await this.queue('notification', user.email, {
+            name: user.name,
+            title: notification.title,
+            body: notification.body,
+            url: frontendUrl(notification.action_url || '/notifications')
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    /**
+     * Feature: Notification Digest (module reminders and platform updates)
+     * @param {Object[]} items - Notifications in the digest, newest first
+     * @param {number} more - Pending notifications left out of the email
+     * @param {Object} unsubscribe - { module_reminders, platform_updates, all } tokens
+     */
+    async sendNotificationDigestEmail(user, { frequency, items, more, unsubscribe }, options = {}) {
+        const unsubscribeUrl = (token) => frontendUrl(`/unsubscribe?token=${token}`);
+        const oneClickUrl = apiUrl(`/api/v1/notifications/unsubscribe?token=${unsubscribe.all}`);
+
+        return await this.queue('notification_digest', user.email, {
+            name: user.name,
+            frequency,
+            items: items.map(notification => ({
+                title: notification.title,
+                body: notification.body,
+                url: frontendUrl(notification.action_url || '/notifications')
+            })),
+            more,
+            url: frontendUrl('/notifications'),
+            settings_url: frontendUrl('/settings/notifications'),
+            unsubscribe_urls: {
+                module_reminders: unsubscribeUrl(unsubscribe.module_reminders),
+                platform_updates: unsubscribeUrl(unsubscribe.platform_updates),
+                all: unsubscribeUrl(unsubscribe.all)
+            }
+        }, {
+            locale: user.locale,
+            userId: user.id,
+            // RFC 8058 one-click unsubscribe from the mail client
+            headers: {
+                'List-Unsubscribe': `<${oneClickUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            },
+            ...options
         });
     }
+
+    /**
+     * Feature: Personal Data Export (download link)
+     */
+    async sendDataExportReadyEmail(user, token, expiresAt, options = {}) {
+        return await this.queue('data_export_ready', user.email, {
+            name: user.name,
+            expires_at: expiresAt,
+            url: apiUrl(`/api/v1/users/account/export/download?token=${token}`)
+        }, { locale: user.locale, userId: user.id, ...options });
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Send one claimed email and record the outcome
+     * @private
+     */
+    async _deliver(email) {
+        try {
+            const info = await this.sendEmail({
+                to: email.to_address,
+                subject: email.subject,
+                html: email.html,
+                text: email.text,
+                headers: email.headers
+            });
+
+            await email.markSent(info && info.messageId ? info.messageId : null);
+            return true;
+        } catch (error) {
+            await email.markFailed(error, {
+                maxAttempts: this.config.maxAttempts,
+                retryInMs: this._retryDelay(email.attempts + 1)
+            });
+
+            if (email.isDead()) {
+                console.error(`[Email] Gave up on outbox email ${email.id} (${email.template}) after ${email.attempts} attempts:`, error.message);
+            } else {
+                console.warn(`[Email] Outbox email ${email.id} failed, retrying at ${email.next_attempt_at.toISOString()}:`, error.message);
+            }
+
+            return false;
+        }
+    }
+
+    /**
+     * Exponential backoff with a little jitter so retries do not arrive in bursts
+     * @private
+     */
+    _retryDelay(attempt) {
+        const delay = Math.min(this.config.retryBaseMs * 2 ** (attempt - 1), this.config.retryMaxMs);
+        return Math.round(delay * (0.9 + Math.random() * 0.2));
+    }
 }
 
-module.exports = new EmailService();
\ No newline at end of file
+module.exports = new EmailService();
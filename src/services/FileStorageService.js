@@ -18,6 +18,7 @@ const path = require('path');
  * /modules/{moduleId}/{type}/{timestamp}-{hash}.{ext}
  * /badges/{badgeId}/{timestamp}-{hash}.png
  * /uploads/{userId}/{category}/{timestamp}-{hash}.{ext}
+ * /exports/{userId}/{timestamp}-{hash}.zip (PRIVATE - never served by the Worker)
  */
 class FileStorageService {
     constructor() {
@@ -85,6 +86,7 @@ class FileStorageService {
             cacheControl: {
                 immutable: 'public, max-age=31536000, immutable', // 1 year for hashed files
                 avatar: 'public, max-age=86400',  // 24 hours for avatars (may change)
+                private: 'private, no-store',     // Personal data - downloaded through the API only
                 default: 'public, max-age=3600'   // 1 hour default
             },
 
@@ -296,6 +298,75 @@ class FileStorageService {
         }
     }
 
+    /**
+     * Upload Personal Data Export (ZIP)
+     * Stored under the private exports/ prefix: no public URL is returned,
+     * the archive is streamed to the user through the API (see getFile)
+     */
+    async uploadDataExport(buffer, userId) {
+        try {
+            const key = this._generateKey(`exports/${userId}`, null, 'zip');
+
+            await this._uploadToR2(
+                buffer,
+                key,
+                'application/zip',
+                this.config.cacheControl.private,
+                {
+                    userId: String(userId),
+                    type: 'data_export'
+                }
+            );
+
+            return {
+                key: key,
+                size: buffer.length,
+                uploadedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('Data export upload error:', error);
+            throw new Error(`Failed to upload data export: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a File Server-Side (private files, or copying into exports)
+     * @param {string} keyOrUrl - File key OR full URL (will extract key)
+     * @returns {Promise<Object>} - { key, body (readable stream), contentType, contentLength }
+     */
+    async getFile(keyOrUrl) {
+        try {
+            const key = this._extractKeyFromUrlOrKey(keyOrUrl);
+
+            const command = new GetObjectCommand({
+                Bucket: this.config.bucketName,
+                Key: key
+            });
+
+            const response = await this.r2Client.send(command);
+
+            return {
+                key,
+                body: response.Body,
+                contentType: response.ContentType,
+                contentLength: response.ContentLength
+            };
+
+        } catch (error) {
+            console.error('Get file error:', error);
+            throw new Error(`Failed to get file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a File into Memory (small files only, e.g. avatars)
+     */
+    async getFileBuffer(keyOrUrl) {
+        const file = await this.getFile(keyOrUrl);
+        return Buffer.from(await file.body.transformToByteArray());
+    }
+
     /**
      * Delete File by KEY (not URL)
      * @param {string} keyOrUrl - File key OR full URL (will extract key)
@@ -0,0 +1,312 @@
+// services/GuardianConsentService.js
+const { User, UserGuardian, GuardianConsent, sequelize } = require('../model');
+const jwtService = require('./JwtService');
+const emailService = require('./EmailService');
+const auditService = require('./AuditService');
+const guardianContactService = require('./GuardianContactService');
+
+/**
+ * Guardian Consent Service
+ * - Works out from the profile date of birth whether a player is a minor
+ * - Minors without consent are held in `pending_guardian_consent`
+ * - Emails the primary guardian a signed consent link
+ * - Records every decision (grant / decline / withdrawal) with timestamp and IP
+ */
+class GuardianConsentService {
+    constructor() {
+        this.config = {
+            consentAge: parseInt(process.env.GUARDIAN_CONSENT_AGE) || 18
+        };
+    }
+
+    /**
+     * Age in whole years on a given day
+     * @param {string} dateOfBirth - 'YYYY-MM-DD' (DATEONLY); read as a calendar
+     *   date, since new Date() would take it as UTC midnight
+     */
+    calculateAge(dateOfBirth, today = new Date()) {
+        const [year, month, day] = String(dateOfBirth).slice(0, 10).split('-').map(Number);
+        let age = today.getFullYear() - year;
+        const monthDiff = (today.getMonth() + 1) - month;
+
+        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < day)) {
+            age--;
+        }
+
+        return age;
+    }
+
+    /**
+     * Whether a date of birth puts the user under the consent age
+     */
+    requiresConsent(dateOfBirth) {
+        if (!dateOfBirth) return false;
+
+        return this.calculateAge(dateOfBirth) < this.config.consentAge;
+    }
+
+    /**
+     * Re-evaluate consent after the date of birth is set or changed
+     * (registration, profile update). Emails the guardian when the account
+     * has just become pending.
+     * @returns {Promise<Object>} - { required, status, requestSent }
+     */
+    async evaluate(user, dateOfBirth) {
+        const required = this.requiresConsent(dateOfBirth);
+        const previousStatus = user.account_status;
+
+        user.guardian_consent_required = required;
+
+        if (user.isActive() && user.needsGuardianConsent()) {
+            user.account_status = 'pending_guardian_consent';
+        } else if (user.isPendingGuardianConsent() && !user.needsGuardianConsent()) {
+            user.account_status = 'active';
+        }
+
+        await user.save({ fields: ['guardian_consent_required', 'account_status'] });
+
+        let requestSent = false;
+
+        if (user.account_status !== previousStatus) {
+            await auditService.log(null, user.isPendingGuardianConsent()
+                ? 'account.guardian_consent_required'
+                : 'account.guardian_consent_no_longer_required', {
+                target: user,
+                changes: { account_status: { from: previousStatus, to: user.account_status } }
+            });
+
+            if (user.isPendingGuardianConsent()) {
+                ({ sent: requestSent } = await this.requestConsent(user));
+            }
+        }
+
+        return { required, status: user.account_status, requestSent };
+    }
+
+    /**
+     * Whether changing the date of birth would release a minor from consent
+     * before they actually come of age (blocks trivially editing it away)
+     */
+    wouldBypassConsent(user, newDateOfBirth) {
+        return !!user.guardian_consent_required
+            && !user.guardian_consent_at
+            && !this.requiresConsent(newDateOfBirth);
+    }
+
+    /**
+     * Email the primary guardian a consent link
+     * @returns {Promise<Object>} - { sent, reason } (reason when not sent)
+     */
+    async requestConsent(user) {
+        if (!user.needsGuardianConsent()) {
+            return { sent: false, reason: 'not_required' };
+        }
+
+        const guardian = await UserGuardian.findPrimaryGuardian(user.id);
+
+        if (!guardian) {
+            return { sent: false, reason: 'no_primary_guardian' };
+        }
+        if (!guardian.email) {
+            return { sent: false, reason: 'no_guardian_email' };
+        }
+
+        const transaction = await sequelize.transaction();
+
+        try {
+            // Newer request invalidates older links
+            user.guardian_consent_requested_at = new Date();
+            await user.save({ fields: ['guardian_consent_requested_at'], transaction });
+
+            const token = jwtService.generateGuardianConsentToken(user, guardian);
+            await emailService.sendGuardianConsentRequestEmail(guardian, user, token, this.config.consentAge, { transaction });
+
+            await auditService.log(null, 'guardian.consent_requested', {
+                target: user,
+                metadata: { guardian_id: guardian.id },
+                transaction
+            });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        return { sent: true, reason: null };
+    }
+
+    /**
+     * Resolve a consent or withdrawal link to the user and guardian it was issued for
+     * @param {string} type - 'guardian_consent' | 'guardian_consent_withdraw'
+     * @returns {Promise<Object|null>} - { user, guardian } or null when the link is no longer valid
+     */
+    async resolveToken(token, type) {
+        let decoded;
+        try {
+            decoded = jwtService.verifyActionToken(token, type);
+        } catch (error) {
+            return null;
+        }
+
+        const [user, guardian] = await Promise.all([
+            User.findByPk(decoded.id),
+            UserGuardian.findByPk(decoded.guardian_id)
+        ]);
+
+        if (!user || !guardian || guardian.user_id !== user.id) return null;
+
+        // Guardian email changed since the link was sent
+        if (!guardian.email || guardian.email.toLowerCase() !== String(decoded.email).toLowerCase()) {
+            return null;
+        }
+
+        const current = type === 'guardian_consent'
+            ? user.guardian_consent_requested_at
+            : user.guardian_consent_at;
+
+        if (!jwtService.isCurrentLink(decoded.version, current)) return null;
+
+        return { user, guardian };
+    }
+
+    /**
+     * Record the guardian's answer to a consent request
+     * @param {string} decision - 'granted' | 'declined'
+     * @param {Object} options - { actor } when the guardian is signed in to the portal
+     */
+    async respond(req, user, guardian, decision, deviceInfo, { actor = null } = {}) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            await GuardianConsent.record(user, guardian, decision, deviceInfo, { transaction });
+
+            // Answering the emailed link proves the guardian owns the address
+            if (!actor) {
+                await guardianContactService.markEmailVerified(guardian, { transaction });
+            }
+
+            const previousStatus = user.account_status;
+
+            if (decision === 'granted') {
+                user.guardian_consent_at = new Date();
+                if (user.isPendingGuardianConsent()) user.account_status = 'active';
+            }
+
+            // Either way the link has been used
+            user.guardian_consent_requested_at = null;
+            await user.save({
+                fields: ['guardian_consent_at', 'guardian_consent_requested_at', 'account_status'],
+                transaction
+            });
+
+            await auditService.log(req, `guardian.consent_${decision}`, {
+                actor, // Null for the emailed link - the guardian has no session
+                target: user,
+                changes: auditService.diff(
+                    { account_status: previousStatus },
+                    { account_status: user.account_status },
+                    ['account_status']
+                ),
+                metadata: { guardian_id: guardian.id },
+                transaction
+            });
+
+            if (decision === 'granted') {
+                const withdrawToken = jwtService.generateGuardianConsentWithdrawToken(user, guardian);
+                await emailService.sendGuardianConsentGrantedEmail(guardian, user, withdrawToken, { transaction });
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Withdraw a previously given consent - restricted features lock again
+     */
+    async withdraw(req, user, guardian, deviceInfo, { actor = null } = {}) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            await GuardianConsent.record(user, guardian, 'withdrawn', deviceInfo, { transaction });
+
+            const previousStatus = user.account_status;
+
+            user.guardian_consent_at = null;
+            if (user.isActive() && user.needsGuardianConsent()) {
+                user.account_status = 'pending_guardian_consent';
+            }
+            await user.save({ fields: ['guardian_consent_at', 'account_status'], transaction });
+
+            await auditService.log(req, 'guardian.consent_withdrawn', {
+                actor,
+                target: user,
+                changes: auditService.diff(
+                    { account_status: previousStatus },
+                    { account_status: user.account_status },
+                    ['account_status']
+                ),
+                metadata: { guardian_id: guardian.id },
+                transaction
+            });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Consent state for the user's own settings screen
+     */
+    async getStatus(user) {
+        const [guardian, history] = await Promise.all([
+            UserGuardian.findPrimaryGuardian(user.id),
+            GuardianConsent.findHistory(user.id)
+        ]);
+
+        return {
+            consent_age: this.config.consentAge,
+            required: !!user.guardian_consent_required,
+            granted: !!user.guardian_consent_at,
+            granted_at: user.guardian_consent_at,
+            requested_at: user.guardian_consent_requested_at,
+            account_status: user.account_status,
+            primary_guardian: guardian
+                ? { id: guardian.id, full_name: guardian.full_name, has_email: !!guardian.email }
+                : null,
+            history: history.map(entry => entry.toJSON())
+        };
+    }
+
+    /**
+     * Release users who have come of age while waiting for consent (run from cleanup job)
+     */
+    async releaseAdults() {
+        const { Op } = sequelize.Sequelize;
+        const cutoff = new Date();
+        cutoff.setFullYear(cutoff.getFullYear() - this.config.consentAge);
+
+        const users = await User.findAll({
+            where: { guardian_consent_required: true },
+            include: [{
+                model: sequelize.models.UserProfile,
+                as: 'profile',
+                attributes: ['date_of_birth'],
+                where: { date_of_birth: { [Op.lte]: cutoff.toISOString().slice(0, 10) } }
+            }]
+        });
+
+        for (const user of users) {
+            await this.evaluate(user, user.profile.date_of_birth);
+        }
+
+        return users.length;
+    }
+}
+
+module.exports = new GuardianConsentService();
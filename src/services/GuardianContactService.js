@@ -0,0 +1,188 @@
+// services/GuardianContactService.js
+const crypto = require('crypto');
+const { UserGuardian, GuardianContactCode } = require('../model');
+const jwtService = require('./JwtService');
+const emailService = require('./EmailService');
+const smsService = require('./SmsService');
+const auditService = require('./AuditService');
+
+const CHANNEL_FIELDS = {
+    email: { destination: 'email', verifiedAt: 'email_verified_at' },
+    sms: { destination: 'phone_number', verifiedAt: 'phone_verified_at' }
+};
+
+/**
+ * Guardian Contact Service
+ * - Verifies each guardian contact channel (email code/link, SMS code)
+ * - Safety alerts go to verified channels only
+ */
+class GuardianContactService {
+    constructor() {
+        this.config = {
+            codeTtlMinutes: 15,
+            maxAttempts: 5
+        };
+    }
+
+    /**
+     * Send a verification code on one channel
+     * @param {User} ward - The player who owns the guardian record
+     * @returns {Promise<Object>} - { sent, reason } (reason when not sent)
+     */
+    async sendCode(guardian, channel, ward) {
+        const { destination: field, verifiedAt } = CHANNEL_FIELDS[channel];
+        const destination = guardian[field];
+
+        if (!destination) return { sent: false, reason: 'no_destination' };
+        if (guardian[verifiedAt]) return { sent: false, reason: 'already_verified' };
+
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const record = await GuardianContactCode.issue(
+            guardian.id,
+            channel,
+            destination,
+            code,
+            this.config.codeTtlMinutes * 60 * 1000
+        );
+
+        if (channel === 'email') {
+            const token = jwtService.generateGuardianContactToken(guardian, record);
+            await emailService.sendGuardianContactVerificationEmail(guardian, ward, code, token, this.config.codeTtlMinutes);
+        } else {
+            await smsService.send(
+                destination,
+                `ProtectEd: ${code} is the code to confirm you as ${ward.name || 'a player'}'s guardian. It expires in ${this.config.codeTtlMinutes} minutes.`
+            );
+        }
+
+        return { sent: true, reason: null };
+    }
+
+    /**
+     * Check a code entered by the player
+     * @returns {Promise<Object>} - { verified, reason } - reason: invalid | expired | too_many_attempts
+     */
+    async confirmCode(guardian, channel, code) {
+        const { destination: field } = CHANNEL_FIELDS[channel];
+        const record = await GuardianContactCode.findOutstanding(guardian.id, channel);
+
+        // Contact edited since the code was sent
+        if (!record || record.destination !== guardian[field]) {
+            return { verified: false, reason: 'invalid' };
+        }
+
+        if (record.isExpired()) {
+            return { verified: false, reason: 'expired' };
+        }
+
+        if (await record.recordAttempt() > this.config.maxAttempts) {
+            await GuardianContactCode.discard(guardian.id, channel);
+            return { verified: false, reason: 'too_many_attempts' };
+        }
+
+        if (!code || !(await record.matches(code)) || !(await record.consume())) {
+            return { verified: false, reason: 'invalid' };
+        }
+
+        await this._markVerified(guardian, channel, 'code');
+
+        return { verified: true, reason: null };
+    }
+
+    /**
+     * Verify an email from the link (clicked by the guardian)
+     * @returns {Promise<UserGuardian|null>} - Null when the link is no longer valid
+     */
+    async confirmEmailLink(token) {
+        let decoded;
+        try {
+            decoded = jwtService.verifyActionToken(token, 'guardian_contact');
+        } catch (error) {
+            return null;
+        }
+
+        const [guardian, record] = await Promise.all([
+            UserGuardian.findByPk(decoded.guardian_id),
+            GuardianContactCode.findByPk(decoded.code_id)
+        ]);
+
+        if (!guardian || !record || record.guardian_id !== guardian.id || record.channel !== 'email') return null;
+        if (record.destination !== guardian.email || record.isExpired()) return null;
+        if (!(await record.consume())) return null;
+
+        await this._markVerified(guardian, 'email', 'link');
+
+        return guardian;
+    }
+
+    /**
+     * Mark an email as verified when the guardian proved ownership another way
+     * (responding to a consent email, accepting a portal invite)
+     */
+    async markEmailVerified(guardian, options = {}) {
+        if (guardian.email_verified_at || !guardian.email) return;
+
+        guardian.email_verified_at = new Date();
+        await guardian.save({ fields: ['email_verified_at'], ...options });
+        await GuardianContactCode.discard(guardian.id, 'email', options);
+    }
+
+    /**
+     * Send a safety alert to a player's guardians on verified channels only
+     * @returns {Promise<Object>} - { email, sms } - messages sent per channel
+     */
+    async alertGuardians(ward, message) {
+        const guardians = await UserGuardian.findUserGuardians(ward.id);
+        const sent = { email: 0, sms: 0 };
+
+        for (const guardian of guardians) {
+            try {
+                if (guardian.isEmailVerified()) {
+                    await emailService.sendGuardianAlertEmail(guardian, ward, message);
+                    sent.email++;
+                }
+                if (guardian.isPhoneVerified()) {
+                    await smsService.send(guardian.phone_number, `ProtectEd alert about ${ward.name || 'your ward'}: ${message}`);
+                    sent.sms++;
+                }
+            } catch (error) {
+                // One failing contact must not stop the others
+                console.error(`[GuardianAlert] Failed to alert guardian ${guardian.id}:`, error.message);
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Verification state for API responses
+     */
+    toVerificationJSON(guardian) {
+        return {
+            email_verified: guardian.isEmailVerified(),
+            email_verified_at: guardian.email_verified_at,
+            phone_verified: guardian.isPhoneVerified(),
+            phone_verified_at: guardian.phone_verified_at
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    async _markVerified(guardian, channel, method) {
+        const { verifiedAt } = CHANNEL_FIELDS[channel];
+
+        guardian[verifiedAt] = new Date();
+        await guardian.save({ fields: [verifiedAt] });
+        await GuardianContactCode.discard(guardian.id, channel);
+
+        await auditService.log(null, 'guardian.contact_verified', {
+            target: { id: guardian.user_id },
+            metadata: { guardian_id: guardian.id, channel, method }
+        });
+    }
+}
+
+module.exports = new GuardianContactService();
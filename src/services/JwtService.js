@@ -1,15 +1,30 @@
 const jwt = require('jsonwebtoken');
+const { SignJWT, jwtVerify, errors: joseErrors } = require('jose');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const bcrypt = require('bcryptjs');
-const { Session, TokenBlacklist } = require('../model');
+const { User, Session, TokenBlacklist, WebAuthnChallenge, MagicLinkToken, SecurityEvent } = require('../model');
+const emailService = require('./EmailService');
+const realtimeService = require('./RealtimeService');
+
+// Issuer/audience used before they were configurable - still accepted on refresh tokens
+const LEGACY_ISSUER = 'your-app-name';
+const LEGACY_AUDIENCE = 'your-app-users';
 
 /**
  * Comprehensive JWT Service with Security Features
  * - Access & Refresh token generation
+ * - Asymmetric access tokens (RS256 / EdDSA) with `kid` and a JWKS for offline verification
  * - Token rotation
  * - Session management
  * - Replay attack detection
  * - Token blacklisting
+ *
+ * Signing keys live in JWT_KEYS_DIR as `<kid>.pem` (private) or `<kid>.pub.pem`
+ * (verify-only, for retired keys). JWT_SIGNING_KID picks the signing key; every
+ * other key stays valid for verification, so rotating does not log anyone out.
+ * Refresh and action tokens are only read by this service and stay HMAC-signed.
  */
 class JWTService {
     constructor() {
@@ -17,10 +32,15 @@ class JWTService {
         this.refreshSecret = process.env.JWT_REFRESH_SECRET;
         this.accessExpiry = process.env.JWT_EXPIRES_IN || '15m';
         this.refreshExpiry = '7d';
+        this.issuer = process.env.JWT_ISSUER || 'protected-api';
+        this.audience = process.env.JWT_AUDIENCE || 'protected-clients';
 
         if (!this.accessSecret || !this.refreshSecret) {
             throw new Error('JWT secrets must be configured');
         }
+
+        this.keys = this._loadKeys(process.env.JWT_KEYS_DIR || path.join(__dirname, '../../keys'));
+        this.signingKey = this._selectSigningKey(process.env.JWT_SIGNING_KID);
     }
 
     /**
@@ -33,20 +53,26 @@ class JWTService {
     /**
      * Generate access token with JTI
      */
-    generateAccessToken(user, jti) {
+    async generateAccessToken(user, jti) {
         const payload = {
             jti,
             id: user.id,
             email: user.email,
             role: user.role,
-            email_verified: !!user.email_verified_at
+            email_verified: !!user.email_verified_at,
+            pv: user.permission_version || 0 // Permission version - see AuthMiddleware.authenticate
         };
 
-        return jwt.sign(payload, this.accessSecret, {
-            expiresIn: this.accessExpiry,
-            issuer: 'your-app-name',
-            audience: 'your-app-users'
-        });
+        const { kid, alg, privateKey } = this.signingKey;
+
+        return await new SignJWT(payload)
+            .setProtectedHeader({ alg, kid, typ: 'JWT' })
+            .setSubject(String(user.id))
+            .setIssuedAt()
+            .setIssuer(this.issuer)
+            .setAudience(this.audience)
+            .setExpirationTime(this.accessExpiry)
+            .sign(privateKey);
     }
 
     /**
@@ -61,18 +87,27 @@ class JWTService {
 
         return jwt.sign(payload, this.refreshSecret, {
             expiresIn: this.refreshExpiry,
-            issuer: 'your-app-name',
-            audience: 'your-app-users'
+            issuer: this.issuer,
+            audience: this.audience
         });
     }
 
     /**
      * Issue complete token pair with session
+     * @param {Object} lineage - { familyId, parentJti } when rotating; omit for a new login
      */
     // src/services/JwtService.js (Partial Update)
-    async issueTokens(user, deviceInfo = {}) {
+    async issueTokens(user, deviceInfo = {}, lineage = {}) {
+        // Every sign-in path ends here: an admin-forced reset blocks them all until the password is reset
+        if (user.password_reset_required) {
+            const error = new Error('You need to reset your password before logging in. Check your email for a reset link.');
+            error.code = 'PASSWORD_RESET_REQUIRED';
+            error.statusCode = 403;
+            throw error;
+        }
+
         const jti = this.generateJTI();
-        const accessToken = this.generateAccessToken(user, jti);
+        const accessToken = await this.generateAccessToken(user, jti);
         const refreshToken = this.generateRefreshToken(user.id, jti);
 
         const refreshTokenHash = await bcrypt.hash(refreshToken, 10);
@@ -86,6 +121,9 @@ class JWTService {
             device_name: deviceInfo.device_name || null,
             ip_address: deviceInfo.ip_address || null,
             user_agent: deviceInfo.user_agent || null,
+            auth_method: deviceInfo.auth_method || null,
+            family_id: lineage.familyId || jti, // A new login starts its own family
+            parent_jti: lineage.parentJti || null,
             last_activity: new Date(),
             expires_at: expiresAt
         });
@@ -98,16 +136,24 @@ class JWTService {
     }
 
     /**
-     * Verify access token
+     * Verify access token against the key named in its `kid` header.
+     * Errors are rethrown as jsonwebtoken errors so callers can keep checking `error.name`.
      */
-    verifyAccessToken(token) {
+    async verifyAccessToken(token) {
         try {
-            const decoded = jwt.verify(token, this.accessSecret, {
-                issuer: 'your-app-name',
-                audience: 'your-app-users'
+            const { payload } = await jwtVerify(token, (header) => this._getVerificationKey(header), {
+                issuer: this.issuer,
+                audience: this.audience,
+                algorithms: ['RS256', 'EdDSA']
             });
-            return decoded;
+            return payload;
         } catch (error) {
+            if (error instanceof joseErrors.JWTExpired) {
+                throw new jwt.TokenExpiredError('jwt expired', new Date(error.payload.exp * 1000));
+            }
+            if (error instanceof joseErrors.JOSEError) {
+                throw new jwt.JsonWebTokenError(error.message);
+            }
             throw error;
         }
     }
@@ -118,8 +164,8 @@ class JWTService {
     verifyRefreshToken(token) {
         try {
             const decoded = jwt.verify(token, this.refreshSecret, {
-                issuer: 'your-app-name',
-                audience: 'your-app-users'
+                issuer: [this.issuer, LEGACY_ISSUER],
+                audience: [this.audience, LEGACY_AUDIENCE]
             });
 
             if (decoded.type !== 'refresh') {
@@ -144,20 +190,27 @@ class JWTService {
             throw new Error('Invalid or expired refresh token');
         }
 
-        // Find active session
-        const session = await Session.findActiveSession(decoded.jti);
+        const session = await Session.findByJti(decoded.jti);
 
-        if (!session) {
-            // Token reuse detected - revoke all user sessions
-            await this.detectTokenReuse(decoded.id);
-            throw new Error('Token reuse detected. All sessions revoked for security.');
+        if (!session || session.user_id !== decoded.id) {
+            throw new Error('Invalid or expired refresh token');
         }
 
         // Validate refresh token hash
         const isValid = await session.validateRefreshToken(refreshToken);
         if (!isValid) {
-            await this.detectTokenReuse(decoded.id);
-            throw new Error('Invalid refresh token. All sessions revoked for security.');
+            await this.detectTokenReuse(decoded.id, { session, deviceInfo });
+            throw new Error('Token reuse detected. This session has been revoked for security.');
+        }
+
+        // Already exchanged for a newer token - someone is replaying it
+        if (session.rotated_at) {
+            await this.detectTokenReuse(decoded.id, { session, deviceInfo });
+            throw new Error('Token reuse detected. This session has been revoked for security.');
+        }
+
+        if (!session.isActive()) {
+            throw new Error('Invalid or expired refresh token');
         }
 
         // Check if user's password changed after token issue
@@ -166,11 +219,21 @@ class JWTService {
             throw new Error('Token invalidated due to password change');
         }
 
-        // Revoke old session
-        await session.revoke();
+        // Rotate. Only one concurrent refresh with the same token can win; the loser is reuse.
+        const rotated = await Session.markRotated(session.id);
+        if (!rotated) {
+            await this.detectTokenReuse(decoded.id, { session, deviceInfo });
+            throw new Error('Token reuse detected. This session has been revoked for security.');
+        }
 
-        // Issue new tokens (rotation)
-        const newTokens = await this.issueTokens(session.user, deviceInfo);
+        // Issue new tokens in the same family - keep how the session was originally created
+        const newTokens = await this.issueTokens(session.user, {
+            ...deviceInfo,
+            auth_method: session.auth_method
+        }, {
+            familyId: session.family_id,
+            parentJti: session.jti
+        });
 
         return {
             ...newTokens,
@@ -183,7 +246,7 @@ class JWTService {
      */
     async validateAccessToken(token) {
         // Verify signature
-        const decoded = this.verifyAccessToken(token);
+        const decoded = await this.verifyAccessToken(token);
 
         // Check blacklist (for emergency invalidation)
         const isBlacklisted = await TokenBlacklist.isBlacklisted(decoded.jti);
@@ -207,6 +270,7 @@ class JWTService {
 
             if (session) {
                 await session.revoke();
+                realtimeService.revokeSessions(session.user_id, { familyIds: [session.family_id], reason: 'logged_out' });
             }
 
             return true;
@@ -221,6 +285,7 @@ class JWTService {
      */
     async logoutAll(userId) {
         await Session.revokeAllUserSessions(userId);
+        realtimeService.revokeSessions(userId, { reason: 'logged_out_everywhere' });
 
         // Optionally blacklist all active access tokens
         // (expensive - usually not needed since sessions are revoked)
@@ -228,17 +293,81 @@ class JWTService {
         return true;
     }
 
+    /**
+     * Logout from all devices except the current session
+     */
+    async logoutOthers(userId, currentJti) {
+        await Session.revokeOtherUserSessions(userId, currentJti);
+
+        const current = await Session.findOne({ where: { jti: currentJti }, attributes: ['family_id'] });
+        realtimeService.revokeSessions(userId, {
+            exceptFamilyId: current ? current.family_id : null,
+            reason: 'logged_out_elsewhere'
+        });
+
+        return true;
+    }
+
     /**
      * Detect token reuse (replay attack)
+     * Revokes the token's whole family (or every session if unknown), records a
+     * security event and alerts the user.
      */
-    async detectTokenReuse(userId) {
+    async detectTokenReuse(userId, { session = null, deviceInfo = {} } = {}) {
         console.warn(`[SECURITY] Token reuse detected for user ${userId}`);
 
-        // Revoke all sessions immediately
-        await Session.revokeAllUserSessions(userId);
+        let sessionsRevoked = null;
+        if (session) {
+            sessionsRevoked = await Session.revokeFamily(session.family_id);
+            realtimeService.revokeSessions(userId, { familyIds: [session.family_id], reason: 'token_reuse' });
+        } else {
+            await Session.revokeAllUserSessions(userId);
+            realtimeService.revokeSessions(userId, { reason: 'token_reuse' });
+        }
+
+        await SecurityEvent.record('refresh_token_reuse', {
+            userId,
+            severity: 'critical',
+            deviceInfo,
+            metadata: session ? {
+                family_id: session.family_id,
+                jti: session.jti,
+                rotated_at: session.rotated_at,
+                original_device: session.device_name,
+                original_ip: session.ip_address,
+                sessions_revoked: sessionsRevoked
+            } : null
+        });
+
+        // Alert the user without holding up the response
+        const user = session?.user || await User.findByPk(userId);
+        if (user) {
+            emailService.sendTokenReuseAlertEmail(user, deviceInfo).catch(error => {
+                console.error(`[SECURITY] Failed to send reuse alert to user ${userId}:`, error.message);
+            });
+
+            // In-app copy only - the alert email above already went out
+            const notificationService = require('./NotificationService');
+            notificationService.notify(user, 'safety', {
+                type: 'refresh_token_reuse',
+                title: 'Suspicious sign-in activity',
+                body: 'We signed out a device that reused an old session. If this was not you, change your password.',
+                action_url: '/settings/security'
+            }, { channels: ['in_app'] }).catch(error => {
+                console.error(`[SECURITY] Failed to record reuse notification for user ${userId}:`, error.message);
+            });
 
-        // Log security event
-        // TODO: Send security alert email/notification
+            // Minors: their verified guardian contacts are told as well
+            if (user.guardian_consent_required) {
+                const guardianContactService = require('./GuardianContactService');
+                guardianContactService.alertGuardians(
+                    user,
+                    'We detected suspicious sign-in activity on this account and signed the affected device out.'
+                ).catch(error => {
+                    console.error(`[SECURITY] Failed to alert guardians of user ${userId}:`, error.message);
+                });
+            }
+        }
 
         return true;
     }
@@ -250,6 +379,7 @@ class JWTService {
         const session = await Session.findOne({ where: { jti } });
         if (session) {
             await session.revoke();
+            realtimeService.revokeSessions(session.user_id, { familyIds: [session.family_id] });
         }
         return true;
     }
@@ -270,6 +400,7 @@ class JWTService {
             id: s.id,
             device_name: s.device_name,
             ip_address: s.ip_address,
+            auth_method: s.auth_method,
             last_activity: s.last_activity,
             created_at: s.created_at
         }));
@@ -300,7 +431,9 @@ class JWTService {
     async cleanupExpired() {
         await Promise.all([
             Session.cleanupExpired(),
-            TokenBlacklist.cleanupExpired()
+            TokenBlacklist.cleanupExpired(),
+            WebAuthnChallenge.cleanupExpired(),
+            MagicLinkToken.cleanupExpired()
         ]);
 
         console.log('[Cleanup] Expired sessions and tokens removed');
@@ -314,6 +447,20 @@ class JWTService {
         return jwt.decode(token);
     }
 
+    /**
+     * Public keys for offline access-token verification (/.well-known/jwks.json)
+     */
+    getJwks() {
+        return {
+            keys: [...this.keys.values()].map(key => ({
+                ...key.publicKey.export({ format: 'jwk' }),
+                kid: key.kid,
+                alg: key.alg,
+                use: 'sig'
+            }))
+        };
+    }
+
     /**
      * Get access token TTL in seconds
      */
@@ -405,7 +552,345 @@ class JWTService {
         return decoded;
     }
 
+    /**
+     * Version claim for links tied to a timestamp column (lock, pending request, invite)
+     * @returns {number} - Whole seconds; DATETIME columns drop the milliseconds
+     */
+    linkVersion(value) {
+        return Math.floor(new Date(value).getTime() / 1000);
+    }
+
+    /**
+     * Whether a link's version still matches the column it was tied to.
+     * MySQL rounds the milliseconds away when storing, so the value read back
+     * may be one second past the one the link was signed with.
+     */
+    isCurrentLink(version, value) {
+        if (!value || !Number.isInteger(version)) return false;
+
+        const stored = this.linkVersion(value);
+        return stored === version || stored === version + 1;
+    }
+
     //#endregion Email verification
+
+    //#region OAuth
+    /**
+     * Short-lived token carrying OAuth state/nonce/PKCE verifier between start and callback
+     */
+    generateOAuthStateToken(provider, { state, nonce, codeVerifier }) {
+        return jwt.sign(
+            { type: 'oauth_state', provider, state, nonce, code_verifier: codeVerifier },
+            this.accessSecret,
+            { expiresIn: '10m' }
+        );
+    }
+
+    /**
+     * Proof of a verified provider identity, exchanged (with the account password)
+     * to link that identity to an existing local account
+     */
+    generateAccountLinkToken(user, identity) {
+        return jwt.sign(
+            {
+                id: user.id,
+                type: 'oauth_link',
+                provider: identity.provider,
+                provider_id: identity.provider_id
+            },
+            this.accessSecret,
+            { expiresIn: '15m' }
+        );
+    }
+
+    //#endregion OAuth
+
+    //#region MFA
+    /**
+     * Intermediate token returned by login when a second factor is required.
+     * Only accepted by /auth/mfa/verify.
+     */
+    generateMfaPendingToken(user, authMethod = 'password') {
+        return jwt.sign(
+            { id: user.id, type: 'mfa_pending', auth_method: authMethod },
+            this.accessSecret,
+            { expiresIn: '5m' }
+        );
+    }
+
+    //#endregion MFA
+
+    //#region Magic link
+    /**
+     * Passwordless login link. The jti is tracked in MagicLinkTokens so each link works once.
+     */
+    generateMagicLinkToken(user, jti) {
+        return jwt.sign({ id: user.id, type: 'magic_link', jti }, this.accessSecret, { expiresIn: '15m' });
+    }
+
+    //#endregion Magic link
+
+    //#region Account lock
+    /**
+     * Unlock link sent when an account is locked. Tied to the current lock,
+     * so it stops working once the account is unlocked or locked again.
+     */
+    generateUnlockToken(user) {
+        return jwt.sign(
+            {
+                id: user.id,
+                type: 'account_unlock',
+                version: this.linkVersion(user.locked_until)
+            },
+            this.accessSecret,
+            { expiresIn: '24h' }
+        );
+    }
+
+    //#endregion Account lock
+
+    //#region Email change
+
+    /**
+     * Confirmation link sent to the new address.
+     * Tied to the pending request so a newer request invalidates older links.
+     */
+    generateEmailChangeToken(user) {
+        return jwt.sign(
+            {
+                id: user.id,
+                type: 'email_change',
+                email: user.pending_email,
+                version: this.linkVersion(user.pending_email_requested_at)
+            },
+            this.accessSecret,
+            { expiresIn: '24h' }
+        );
+    }
+
+    /**
+     * Cancel link sent to the old address
+     */
+    generateEmailChangeCancelToken(user) {
+        return jwt.sign(
+            {
+                id: user.id,
+                type: 'email_change_cancel',
+                version: this.linkVersion(user.pending_email_requested_at)
+            },
+            this.accessSecret,
+            { expiresIn: '24h' }
+        );
+    }
+
+    //#endregion Email change
+
+    //#region Guardian consent
+
+    /**
+     * Consent link sent to the primary guardian.
+     * Bound to the guardian's email and the latest request, so re-sending or
+     * changing the guardian invalidates older links.
+     */
+    generateGuardianConsentToken(user, guardian) {
+        return jwt.sign(
+            {
+                id: user.id,
+                type: 'guardian_consent',
+                guardian_id: guardian.id,
+                email: guardian.email,
+                version: this.linkVersion(user.guardian_consent_requested_at)
+            },
+            this.accessSecret,
+            { expiresIn: '7d' }
+        );
+    }
+
+    /**
+     * Withdrawal link sent with the consent confirmation.
+     * Long-lived - a guardian may withdraw at any time while this consent stands.
+     */
+    generateGuardianConsentWithdrawToken(user, guardian) {
+        return jwt.sign(
+            {
+                id: user.id,
+                type: 'guardian_consent_withdraw',
+                guardian_id: guardian.id,
+                email: guardian.email,
+                version: this.linkVersion(user.guardian_consent_at)
+            },
+            this.accessSecret,
+            { expiresIn: '365d' }
+        );
+    }
+
+    //#endregion Guardian consent
+
+    //#region Guardian invite
+
+    /**
+     * Invite for a guardian to claim their record with a portal account.
+     * Bound to the record's email and the latest invite.
+     */
+    generateGuardianInviteToken(guardian) {
+        return jwt.sign(
+            {
+                type: 'guardian_invite',
+                guardian_id: guardian.id,
+                email: guardian.email,
+                version: this.linkVersion(guardian.invited_at)
+            },
+            this.accessSecret,
+            { expiresIn: '7d' }
+        );
+    }
+
+    //#endregion Guardian invite
+
+    //#region Guardian contact verification
+
+    /**
+     * Verification link sent alongside the emailed code (tied to that code)
+     */
+    generateGuardianContactToken(guardian, codeRecord) {
+        return jwt.sign(
+            {
+                type: 'guardian_contact',
+                guardian_id: guardian.id,
+                code_id: codeRecord.id,
+                email: codeRecord.destination
+            },
+            this.accessSecret,
+            { expiresIn: '24h' }
+        );
+    }
+
+    //#endregion Guardian contact verification
+
+    //#region Unsubscribe
+
+    /**
+     * One-click unsubscribe link in digest emails.
+     * Long-lived - old emails should keep working.
+     * @param {string} scope - Key of UserNotificationPreferences.UNSUBSCRIBE_SCOPES
+     */
+    generateUnsubscribeToken(user, scope) {
+        return jwt.sign(
+            { id: user.id, type: 'unsubscribe', scope },
+            this.accessSecret,
+            { expiresIn: '365d' }
+        );
+    }
+
+    //#endregion Unsubscribe
+
+    //#region Data export
+
+    /**
+     * Download link for a personal data export (short-lived; the archive
+     * status endpoint issues a fresh one while the archive exists)
+     */
+    generateDataExportToken(dataExport) {
+        return jwt.sign(
+            { id: dataExport.user_id, type: 'data_export', export_id: dataExport.id },
+            this.accessSecret,
+            { expiresIn: '24h' }
+        );
+    }
+
+    //#endregion Data export
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Load every `<kid>.pem` / `<kid>.pub.pem` in the keys directory
+     * @private
+     */
+    _loadKeys(dir) {
+        const keys = new Map();
+
+        if (!fs.existsSync(dir)) return keys;
+
+        for (const file of fs.readdirSync(dir).sort()) {
+            const pem = () => fs.readFileSync(path.join(dir, file), 'utf8');
+            let kid, privateKey = null, publicKey;
+
+            if (file.endsWith('.pub.pem')) {
+                kid = file.slice(0, -'.pub.pem'.length);
+                publicKey = crypto.createPublicKey(pem());
+            } else if (file.endsWith('.pem')) {
+                kid = file.slice(0, -'.pem'.length);
+                privateKey = crypto.createPrivateKey(pem());
+                publicKey = crypto.createPublicKey(privateKey);
+            } else {
+                continue;
+            }
+
+            keys.set(kid, { kid, alg: this._algorithmFor(publicKey, kid), privateKey, publicKey });
+        }
+
+        return keys;
+    }
+
+    /**
+     * @private
+     */
+    _selectSigningKey(kid) {
+        if (kid) {
+            const key = this.keys.get(kid);
+            if (!key || !key.privateKey) {
+                throw new Error(`JWT signing key "${kid}" not found (needs ${kid}.pem in JWT_KEYS_DIR)`);
+            }
+            return key;
+        }
+
+        // Default to the last private key by name (e.g. date-prefixed kids)
+        const candidates = [...this.keys.values()].filter(key => key.privateKey);
+        if (candidates.length > 0) {
+            return candidates[candidates.length - 1];
+        }
+
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('JWT signing keys must be configured (JWT_KEYS_DIR)');
+        }
+
+        // Development only: tokens stop verifying on restart
+        console.warn('[JWT] No signing keys found - using a temporary key. Run "npm run jwt:keygen".');
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+        const key = { kid: `dev-${crypto.randomBytes(4).toString('hex')}`, alg: 'EdDSA', privateKey, publicKey };
+        this.keys.set(key.kid, key);
+
+        return key;
+    }
+
+    /**
+     * @private
+     */
+    _algorithmFor(publicKey, kid) {
+        if (publicKey.asymmetricKeyType === 'ed25519') return 'EdDSA';
+
+        if (publicKey.asymmetricKeyType === 'rsa') {
+            if (publicKey.asymmetricKeyDetails.modulusLength < 2048) {
+                throw new Error(`JWT key "${kid}" is too small (RSA keys must be at least 2048 bits)`);
+            }
+            return 'RS256';
+        }
+
+        throw new Error(`JWT key "${kid}" has unsupported type "${publicKey.asymmetricKeyType}" (use RSA or Ed25519)`);
+    }
+
+    /**
+     * @private
+     */
+    _getVerificationKey(header) {
+        const key = header.kid && this.keys.get(header.kid);
+
+        if (!key || key.alg !== header.alg) {
+            throw new jwt.JsonWebTokenError('Unknown signing key');
+        }
+
+        return key.publicKey;
+    }
 }
 
 module.exports = new JWTService();
\ No newline at end of file
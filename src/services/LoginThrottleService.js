@@ -0,0 +1,182 @@
+// services/LoginThrottleService.js
+const { User, LoginAttempt } = require('../model');
+
+/**
+ * Brute-force protection for login
+ * - Per-IP failure counter (sliding window)
+ * - Per-account failure counter with exponential backoff
+ * - Temporary account lock after too many consecutive failures
+ * - Login attempt history (success and failure)
+ */
+class LoginThrottleService {
+    constructor() {
+        this.config = {
+            // Per-account
+            backoffAfter: parseInt(process.env.LOGIN_BACKOFF_AFTER) || 3,      // failures before delays start
+            backoffBaseSeconds: 2,                                             // 2s, 4s, 8s, ...
+            backoffMaxSeconds: 5 * 60,                                         // cap at 5 minutes
+            lockAfter: parseInt(process.env.LOGIN_LOCK_AFTER) || 10,           // failures before lock
+            lockDurationMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 30,
+
+            // Per-IP
+            ipWindowMs: 15 * 60 * 1000, // 15 minutes
+            ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+
+            // History retention
+            historyDays: 90
+        };
+    }
+
+    /**
+     * Check if an IP has too many recent failures
+     * @returns {Promise<Object>} - { blocked, retryAfter }
+     */
+    async checkIp(ipAddress) {
+        const failures = await LoginAttempt.countRecentFailuresByIp(ipAddress, this.config.ipWindowMs);
+
+        if (failures >= this.config.ipMaxFailures) {
+            return { blocked: true, retryAfter: Math.ceil(this.config.ipWindowMs / 1000) };
+        }
+
+        return { blocked: false, retryAfter: 0 };
+    }
+
+    /**
+     * Check account lock / backoff state before validating credentials
+     * @returns {Object} - { locked, lockedUntil, throttled, retryAfter }
+     */
+    checkAccount(user) {
+        const now = Date.now();
+
+        if (user.isLocked()) {
+            return { locked: true, lockedUntil: user.locked_until, throttled: false, retryAfter: 0 };
+        }
+
+        const delay = this._backoffSeconds(user.failed_login_count);
+        if (delay > 0 && user.last_failed_login_at) {
+            const availableAt = new Date(user.last_failed_login_at).getTime() + delay * 1000;
+            if (availableAt > now) {
+                return {
+                    locked: false,
+                    lockedUntil: null,
+                    throttled: true,
+                    retryAfter: Math.ceil((availableAt - now) / 1000)
+                };
+            }
+        }
+
+        return { locked: false, lockedUntil: null, throttled: false, retryAfter: 0 };
+    }
+
+    /**
+     * Record a failed attempt and update the account counter
+     * @param {User|null} user - Null when the email did not match an account
+     * @returns {Promise<Object>} - { locked, lockedUntil, justLocked }
+     */
+    async recordFailure(user, email, deviceInfo = {}, reason = 'invalid_credentials', authMethod = 'password') {
+        await this._recordAttempt({
+            user_id: user ? user.id : null,
+            email,
+            auth_method: authMethod,
+            success: false,
+            failure_reason: reason
+        }, deviceInfo);
+
+        if (!user) {
+            return { locked: false, lockedUntil: null, justLocked: false };
+        }
+
+        // Atomic increment so parallel attempts are all counted
+        await User.increment('failed_login_count', { by: 1, where: { id: user.id } });
+        await user.reload({ attributes: ['id', 'failed_login_count', 'locked_until'] });
+
+        const updates = { last_failed_login_at: new Date() };
+        let justLocked = false;
+
+        if (user.failed_login_count >= this.config.lockAfter && !user.isLocked()) {
+            updates.locked_until = new Date(Date.now() + this.config.lockDurationMinutes * 60 * 1000);
+            justLocked = true;
+        }
+
+        await User.update(updates, { where: { id: user.id } });
+        Object.assign(user, updates);
+
+        return {
+            locked: user.isLocked(),
+            lockedUntil: user.locked_until,
+            justLocked
+        };
+    }
+
+    /**
+     * Record a successful sign-in and reset the counter
+     */
+    async recordSuccess(user, deviceInfo = {}, authMethod = 'password') {
+        await this._recordAttempt({
+            user_id: user.id,
+            email: user.email,
+            auth_method: authMethod,
+            success: true
+        }, deviceInfo);
+
+        await this.reset(user);
+    }
+
+    /**
+     * Clear lock and counters (successful login or unlock link)
+     */
+    async reset(user) {
+        if (!user.failed_login_count && !user.locked_until) return;
+
+        await User.update(
+            { failed_login_count: 0, last_failed_login_at: null, locked_until: null },
+            { where: { id: user.id } }
+        );
+
+        user.failed_login_count = 0;
+        user.last_failed_login_at = null;
+        user.locked_until = null;
+    }
+
+    /**
+     * Remove old attempt history (run from cleanup job)
+     */
+    async cleanupHistory() {
+        await LoginAttempt.cleanupOlderThan(this.config.historyDays);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    _backoffSeconds(failedCount) {
+        const over = (failedCount || 0) - this.config.backoffAfter;
+        if (over < 0) return 0;
+
+        return Math.min(
+            this.config.backoffBaseSeconds * Math.pow(2, over),
+            this.config.backoffMaxSeconds
+        );
+    }
+
+    /**
+     * @private
+     */
+    async _recordAttempt(attempt, deviceInfo) {
+        try {
+            await LoginAttempt.create({
+                ...attempt,
+                email: attempt.email ? String(attempt.email).toLowerCase().slice(0, 255) : null,
+                ip_address: deviceInfo.ip_address || null,
+                user_agent: deviceInfo.user_agent || null,
+                device_name: deviceInfo.device_name || null
+            });
+        } catch (error) {
+            // History must never block a login
+            console.error('[LoginThrottle] Failed to record login attempt:', error.message);
+        }
+    }
+}
+
+module.exports = new LoginThrottleService();
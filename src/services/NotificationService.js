@@ -0,0 +1,145 @@
+// services/NotificationService.js
+const { Notification, UserNotificationPreferences } = require('../model');
+const emailService = require('./EmailService');
+const realtimeService = require('./RealtimeService');
+
+/**
+ * Notification Service
+ * - One entry point for user-facing notifications
+ * - Checks UserNotificationPreferences per category and channel
+ * - Stores the in-app notification and fans out to email
+ * - Pushes in-app notifications to open event streams
+ *
+ * Categories: module_reminder, achievement, safety (always delivered), platform_update
+ * Module reminders and platform updates are emailed in digests (DigestService), not one by one.
+ * With in-app turned off they are still stored, marked digest_only, for the digest to pick up.
+ */
+class NotificationService {
+    constructor() {
+        this.config = {
+            retentionDays: 90 // Read notifications are removed after this
+        };
+    }
+
+    /**
+     * Notify a user
+     * @param {User} user
+     * @param {string} category - One of Notification.CATEGORIES
+     * @param {Object} payload - { type, title, body, data, action_url }
+     * @param {Object} options - { channels } to restrict delivery, e.g. ['in_app']
+     *   when a dedicated email has already been sent
+     * @returns {Promise<Object>} - { notification, emailed } - notification is the
+     *   in-app one (null when in-app is off); emailed is false for digest
+     *   categories, which are emailed later
+     */
+    async notify(user, category, { type, title, body = null, data = null, action_url = null }, { channels = ['in_app', 'email'] } = {}) {
+        if (!Notification.CATEGORIES.includes(category)) {
+            throw new Error(`Unknown notification category: ${category}`);
+        }
+
+        const preferences = await UserNotificationPreferences.findOrCreateForUser(user.id);
+        const inApp = channels.includes('in_app') && preferences.allows(category, 'in_app');
+        const email = channels.includes('email') && preferences.allows(category, 'email');
+
+        const digested = UserNotificationPreferences.DIGEST_CATEGORIES.includes(category);
+        let notification = null;
+
+        // Digest categories are stored even with in-app off, so the digest can send them
+        if (inApp || (email && digested)) {
+            notification = await Notification.create({
+                user_id: user.id,
+                category,
+                type,
+                title,
+                body,
+                data,
+                action_url,
+                digest_only: !inApp
+            });
+        }
+
+        if (inApp) {
+            await this._push(user.id, 'notification', { notification: notification.toJSON() });
+        }
+
+        let emailed = false;
+
+        // Digest categories wait for the next digest
+        if (email && !digested) {
+            emailed = await this._sendEmail(user, notification || Notification.build({
+                user_id: user.id, category, type, title, body, data, action_url
+            }));
+        }
+
+        return { notification: inApp ? notification : null, emailed };
+    }
+
+    /**
+     * Paginated list for the notification center
+     */
+    async list(userId, options) {
+        return await Notification.findForUser(userId, options);
+    }
+
+    async unreadCount(userId) {
+        return await Notification.countUnread(userId);
+    }
+
+    /**
+     * @param {number[]|null} ids - Null marks everything read
+     * @returns {Promise<number>} - Notifications marked
+     */
+    async markRead(userId, ids = null) {
+        const updated = await Notification.markRead(userId, ids);
+
+        // Other tabs clear their badges too
+        if (updated > 0) {
+            await this._push(userId, 'notifications_read', { ids });
+        }
+
+        return updated;
+    }
+
+    /**
+     * Remove old read notifications (run from cleanup job)
+     */
+    async cleanup() {
+        await Notification.cleanupOlderThan(this.config.retentionDays);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Publish with the current unread count, so clients never have to count
+     * @private
+     */
+    async _push(userId, event, data) {
+        if (!realtimeService.isListening(userId)) return;
+
+        realtimeService.publish(userId, event, {
+            ...data,
+            unread_count: await Notification.countUnread(userId)
+        });
+    }
+
+    /**
+     * Queueing the email must not fail the action that triggered it
+     * @private
+     */
+    async _sendEmail(user, notification) {
+        try {
+            await emailService.sendNotificationEmail(user, notification);
+
+            if (!notification.isNewRecord) {
+                await Notification.update({ emailed_at: new Date() }, { where: { id: notification.id } });
+            }
+
+            return true;
+        } catch (error) {
+            console.error(`[Notification] Failed to email ${notification.type} to user ${user.id}:`, error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,267 @@
+// services/OAuthService.js
+const jwt = require('jsonwebtoken');
+const jwksRsa = require('jwks-rsa');
+const crypto = require('crypto');
+
+/**
+ * Error with the API code and HTTP status the controller responds with
+ */
+const oauthError = (message, code, statusCode) => {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+};
+
+const invalidToken = (reason) => oauthError(
+    reason ? `Invalid identity token: ${reason}` : 'Invalid identity token',
+    'OAUTH_INVALID_TOKEN',
+    401
+);
+
+/**
+ * OAuth / OpenID Connect Service
+ *
+ * Handles the provider side of social sign-in:
+ * - Provider configuration (Google, Facebook) from env
+ * - OIDC discovery (issuer/.well-known/openid-configuration)
+ * - Authorization URL with state, nonce and PKCE
+ * - Authorization code exchange
+ * - ID token verification against the provider JWKS
+ *
+ * Every provider is treated as an OIDC issuer, so a local stand-in issuer
+ * can be used in development/testing by overriding *_OIDC_ISSUER.
+ */
+class OAuthService {
+    constructor() {
+        this.providers = {
+            google: {
+                clientId: process.env.GOOGLE_CLIENT_ID,
+                clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+                issuer: process.env.GOOGLE_OIDC_ISSUER || 'https://accounts.google.com',
+                scope: 'openid email profile'
+            },
+            facebook: {
+                clientId: process.env.FACEBOOK_CLIENT_ID,
+                clientSecret: process.env.FACEBOOK_CLIENT_SECRET,
+                issuer: process.env.FACEBOOK_OIDC_ISSUER || 'https://www.facebook.com',
+                scope: 'openid email public_profile'
+            }
+        };
+
+        // Public base URL of this API, used to build the callback URL
+        this.callbackBaseUrl = process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+        this.discoveryCache = new Map();
+        this.jwksClients = new Map();
+    }
+
+    /**
+     * Check if provider is supported AND configured
+     */
+    isEnabled(provider) {
+        const config = this.providers[provider];
+        return !!(config && config.clientId);
+    }
+
+    /**
+     * Get provider config or throw
+     * @private
+     */
+    _getProvider(provider) {
+        if (!this.isEnabled(provider)) {
+            throw oauthError('Sign-in provider not available.', 'OAUTH_PROVIDER_UNAVAILABLE', 404);
+        }
+        return this.providers[provider];
+    }
+
+    /**
+     * Callback URL registered with the provider
+     */
+    getCallbackUrl(provider) {
+        const base = this.callbackBaseUrl.endsWith('/')
+            ? this.callbackBaseUrl.slice(0, -1)
+            : this.callbackBaseUrl;
+
+        return `${base}/api/v1/auth/oauth/${provider}/callback`;
+    }
+
+    /**
+     * Fetch (and cache) the provider's OIDC discovery document
+     */
+    async getDiscovery(provider) {
+        if (this.discoveryCache.has(provider)) {
+            return this.discoveryCache.get(provider);
+        }
+
+        const { issuer } = this._getProvider(provider);
+        const base = issuer.endsWith('/') ? issuer.slice(0, -1) : issuer;
+
+        const response = await fetch(`${base}/.well-known/openid-configuration`);
+        if (!response.ok) {
+            throw oauthError(`Failed to load OIDC discovery for ${provider} (HTTP ${response.status})`, 'OAUTH_PROVIDER_ERROR', 502);
+        }
+
+        const discovery = await response.json();
+        this.discoveryCache.set(provider, discovery);
+
+        return discovery;
+    }
+
+    /**
+     * Create a state/nonce/PKCE set for a new authorization request
+     */
+    createAuthorizationParams() {
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+        return {
+            state: crypto.randomBytes(16).toString('hex'),
+            nonce: crypto.randomBytes(16).toString('hex'),
+            codeVerifier,
+            codeChallenge
+        };
+    }
+
+    /**
+     * Build the provider authorization URL
+     */
+    async getAuthorizationUrl(provider, { state, nonce, codeChallenge }) {
+        const config = this._getProvider(provider);
+        const discovery = await this.getDiscovery(provider);
+
+        const params = new URLSearchParams({
+            client_id: config.clientId,
+            redirect_uri: this.getCallbackUrl(provider),
+            response_type: 'code',
+            scope: config.scope,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+
+        return `${discovery.authorization_endpoint}?${params.toString()}`;
+    }
+
+    /**
+     * Exchange authorization code for the provider's ID token
+     */
+    async exchangeCode(provider, code, codeVerifier) {
+        const config = this._getProvider(provider);
+        const discovery = await this.getDiscovery(provider);
+
+        const response = await fetch(discovery.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: this.getCallbackUrl(provider),
+                client_id: config.clientId,
+                client_secret: config.clientSecret || '',
+                code_verifier: codeVerifier
+            }).toString()
+        });
+
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok || !body.id_token) {
+            throw oauthError(
+                `OAuth code exchange failed: ${body.error_description || body.error || `HTTP ${response.status}`}`,
+                'OAUTH_EXCHANGE_FAILED',
+                401
+            );
+        }
+
+        return body.id_token;
+    }
+
+    /**
+     * Verify provider ID token and return a normalized identity
+     * @param {string} provider - 'google' | 'facebook'
+     * @param {string} idToken - Provider-issued ID token (JWT)
+     * @param {string|null} nonce - Expected nonce (required for redirect flow)
+     * @returns {Promise<Object>} - { provider, provider_id, email, email_verified, name, picture }
+     */
+    async verifyIdToken(provider, idToken, nonce = null) {
+        const config = this._getProvider(provider);
+        const discovery = await this.getDiscovery(provider);
+
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || !decoded.header) {
+            throw invalidToken();
+        }
+
+        let signingKey;
+        try {
+            signingKey = await this._getJwksClient(provider, discovery.jwks_uri).getSigningKey(decoded.header.kid);
+        } catch (error) {
+            throw invalidToken(error.message);
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, signingKey.getPublicKey(), {
+                algorithms: ['RS256', 'ES256'],
+                issuer: this._acceptedIssuers(config.issuer, discovery.issuer),
+                audience: config.clientId
+            });
+        } catch (error) {
+            throw invalidToken(error.message);
+        }
+
+        if (nonce && claims.nonce !== nonce) {
+            throw invalidToken('nonce mismatch');
+        }
+
+        if (!claims.sub) {
+            throw invalidToken('missing subject');
+        }
+
+        return {
+            provider,
+            provider_id: String(claims.sub),
+            email: claims.email ? String(claims.email).toLowerCase().trim() : null,
+            // Facebook only returns emails it has confirmed, and omits the claim
+            email_verified: claims.email_verified === undefined
+                ? provider === 'facebook' && !!claims.email
+                : claims.email_verified === true || claims.email_verified === 'true',
+            name: claims.name || null,
+            picture: claims.picture || null
+        };
+    }
+
+    /**
+     * Get (cached) JWKS client for a provider
+     * @private
+     */
+    _getJwksClient(provider, jwksUri) {
+        if (!this.jwksClients.has(provider)) {
+            this.jwksClients.set(provider, jwksRsa({
+                jwksUri,
+                cache: true,
+                cacheMaxAge: 60 * 60 * 1000, // 1 hour
+                rateLimit: true,
+                jwksRequestsPerMinute: 10
+            }));
+        }
+        return this.jwksClients.get(provider);
+    }
+
+    /**
+     * Google issues tokens with and without the https:// prefix
+     * @private
+     */
+    _acceptedIssuers(configuredIssuer, discoveredIssuer) {
+        const issuers = new Set([configuredIssuer, discoveredIssuer].filter(Boolean));
+
+        if (issuers.has('https://accounts.google.com')) {
+            issuers.add('accounts.google.com');
+        }
+
+        return [...issuers];
+    }
+}
+
+module.exports = new OAuthService();
@@ -0,0 +1,177 @@
+// services/PasswordPolicyService.js
+const fs = require('fs');
+const path = require('path');
+const { PasswordHistory } = require('../model');
+
+/**
+ * Password Policy Service
+ * - Length and character class rules
+ * - Must not contain the user's email or name
+ * - No reuse of the last N passwords
+ * - Offline check against a bundled list of common / breached passwords
+ */
+class PasswordPolicyService {
+    constructor() {
+        this.config = {
+            minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+            maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+            requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+            requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+            requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+            requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+            historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? 5),
+            blocklistPath: process.env.PASSWORD_BLOCKLIST_PATH
+                || path.join(__dirname, '../config/common-passwords.txt')
+        };
+
+        this.blocklist = null; // Loaded on first use
+    }
+
+    /**
+     * Validate a candidate password
+     * @param {string} password
+     * @param {Object} context - { email, name, user } (user enables the reuse check)
+     * @returns {Promise<string[]>} - One message per failed rule (empty when valid)
+     */
+    async validate(password, { email = null, name = null, user = null } = {}) {
+        if (typeof password !== 'string' || password.length === 0) {
+            return ['Password is required'];
+        }
+
+        const errors = [];
+        const { config } = this;
+
+        if (password.length < config.minLength) {
+            errors.push(`Password must be at least ${config.minLength} characters`);
+        }
+        if (password.length > config.maxLength) {
+            errors.push(`Password must be at most ${config.maxLength} characters`);
+        }
+        if (config.requireLowercase && !/[a-z]/.test(password)) {
+            errors.push('Password must contain a lowercase letter');
+        }
+        if (config.requireUppercase && !/[A-Z]/.test(password)) {
+            errors.push('Password must contain an uppercase letter');
+        }
+        if (config.requireNumber && !/[0-9]/.test(password)) {
+            errors.push('Password must contain a number');
+        }
+        if (config.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+            errors.push('Password must contain a symbol');
+        }
+
+        if (this._containsPersonalInfo(password, email || user?.email, name || user?.name)) {
+            errors.push('Password must not contain your email or name');
+        }
+
+        if (this._isBlocklisted(password)) {
+            errors.push('This password is too common or has appeared in a data breach');
+        }
+
+        // Reuse check is the expensive one (bcrypt) - only when everything else passes
+        if (errors.length === 0 && user && await this.wasUsedRecently(user, password)) {
+            errors.push(`Password must not match any of your last ${config.historyCount} passwords`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Whether the password matches the current or a recent password
+     */
+    async wasUsedRecently(user, password) {
+        if (this.config.historyCount <= 0) return false;
+
+        // Accounts created before history was tracked only have the current hash
+        if (user.password && await user.validatePassword(password)) {
+            return true;
+        }
+
+        return await PasswordHistory.wasUsedRecently(user.id, password, this.config.historyCount);
+    }
+
+    /**
+     * Remember a newly set password for the reuse check
+     */
+    async recordPassword(user, password, options = {}) {
+        if (this.config.historyCount <= 0) return;
+
+        await PasswordHistory.record(user.id, password, this.config.historyCount, options);
+    }
+
+    /**
+     * Public description of the active rules (for client-side hints)
+     */
+    getRequirements() {
+        const { config } = this;
+
+        return {
+            min_length: config.minLength,
+            max_length: config.maxLength,
+            require_lowercase: config.requireLowercase,
+            require_uppercase: config.requireUppercase,
+            require_number: config.requireNumber,
+            require_symbol: config.requireSymbol,
+            history_count: config.historyCount,
+            disallow_personal_info: true,
+            disallow_common: true
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    _containsPersonalInfo(password, email, name) {
+        const lower = password.toLowerCase();
+        const parts = [];
+
+        if (email) {
+            parts.push(String(email).toLowerCase().split('@')[0]);
+        }
+        if (name) {
+            parts.push(...String(name).toLowerCase().split(/\s+/));
+        }
+
+        // Ignore very short fragments ("jo", "a") - they match too much
+        return parts.some(part => part.length >= 3 && lower.includes(part));
+    }
+
+    /**
+     * Matches the password itself and its base with trailing digits/symbols removed
+     * ("Summer2024!" -> "summer")
+     * @private
+     */
+    _isBlocklisted(password) {
+        const blocklist = this._loadBlocklist();
+        const lower = password.toLowerCase();
+        const base = lower.replace(/[^a-z]+$/, '');
+
+        return blocklist.has(lower) || (base.length >= 4 && blocklist.has(base));
+    }
+
+    /**
+     * @private
+     */
+    _loadBlocklist() {
+        if (this.blocklist) return this.blocklist;
+
+        try {
+            const contents = fs.readFileSync(this.config.blocklistPath, 'utf8');
+            this.blocklist = new Set(
+                contents
+                    .split(/\r?\n/)
+                    .map(line => line.trim().toLowerCase())
+                    .filter(line => line && !line.startsWith('#'))
+            );
+        } catch (error) {
+            console.error('[PasswordPolicy] Failed to load password blocklist:', error.message);
+            this.blocklist = new Set();
+        }
+
+        return this.blocklist;
+    }
+}
+
+module.exports = new PasswordPolicyService();
@@ -0,0 +1,135 @@
+// services/PermissionService.js
+const { User, Permission, RolePermission, UserPermission } = require('../model');
+
+/**
+ * Permission Service
+ * - Effective permissions = role mapping + active per-user grants
+ * - Short-lived in-memory cache keyed by user ID and permission_version
+ * - Any change bumps permission_version, which also invalidates issued access tokens
+ * - Role hierarchy for actions on another account: the actor's role must be
+ *   above the target's, whatever permissions the actor holds
+ */
+class PermissionService {
+    constructor() {
+        this.config = {
+            cacheTtlMs: (parseInt(process.env.PERMISSION_CACHE_SECONDS) || 60) * 1000,
+            cacheMaxEntries: 5000,
+            // Higher acts on lower; unknown roles rank lowest
+            roleRanks: {
+                admin: 4,
+                moderator: 3,
+                educator: 2,
+                guardian: 1,
+                player: 1
+            }
+        };
+
+        this.cache = new Map(); // `${userId}:${permissionVersion}` -> { permissions, expiresAt }
+    }
+
+    /**
+     * Effective permission names for a user
+     * @returns {Promise<string[]>} - Sorted, unique
+     */
+    async getPermissionsForUser(user) {
+        const key = `${user.id}:${user.permission_version || 0}`;
+        const cached = this.cache.get(key);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.permissions;
+        }
+
+        const [rolePermissions, grants] = await Promise.all([
+            RolePermission.getPermissionNames(user.role),
+            UserPermission.findForUser(user.id, { activeOnly: true })
+        ]);
+
+        const permissions = [...new Set([
+            ...rolePermissions,
+            ...grants.map(grant => grant.permission.name)
+        ])].sort();
+
+        this._remember(key, permissions);
+
+        return permissions;
+    }
+
+    /**
+     * Whether the user has every one of the given permissions
+     */
+    async userHas(user, ...required) {
+        if (!user) return false;
+
+        const permissions = await this.getPermissionsForUser(user);
+
+        return required.every(name => permissions.includes(name));
+    }
+
+    /**
+     * Whether the actor's role is above the target's (equal roles cannot act on each other)
+     */
+    outranks(actor, target) {
+        return this._rank(actor.role) > this._rank(target.role);
+    }
+
+    /**
+     * Whether the actor may give someone a role (never one above their own)
+     */
+    canAssignRole(actor, role) {
+        return this._rank(role) <= this._rank(actor.role);
+    }
+
+    /**
+     * Invalidate cached permissions and outstanding access tokens for one user
+     */
+    async bumpUser(userId, options = {}) {
+        await User.increment('permission_version', { by: 1, where: { id: userId }, ...options });
+    }
+
+    /**
+     * Invalidate cached permissions and outstanding access tokens for everyone with a role
+     */
+    async bumpRole(role, options = {}) {
+        await User.increment('permission_version', { by: 1, where: { role }, ...options });
+    }
+
+    /**
+     * Resolve permission names, reporting unknown ones
+     * @returns {Promise<Object>} - { permissions, unknown }
+     */
+    async resolve(names, options = {}) {
+        const permissions = await Permission.findByNames(names, options);
+        const found = new Set(permissions.map(permission => permission.name));
+
+        return {
+            permissions,
+            unknown: [...new Set(names)].filter(name => !found.has(name))
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    _rank(role) {
+        return this.config.roleRanks[role] || 0;
+    }
+
+    /**
+     * @private
+     */
+    _remember(key, permissions) {
+        // Oldest entries go first once the cap is reached (Map keeps insertion order)
+        if (this.cache.size >= this.config.cacheMaxEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        this.cache.set(key, {
+            permissions,
+            expiresAt: Date.now() + this.config.cacheTtlMs
+        });
+    }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,286 @@
+// services/PlayerService.js
+const {
+    PlayerStats,
+    XpEntry,
+    StreakFreeze,
+    UserActivityDay,
+    UserNotificationPreferences,
+    UserBadge,
+    User,
+    sequelize
+} = require('../model');
+const gamification = require('../config/gamification');
+const notificationService = require('./NotificationService');
+
+/**
+ * Player Service
+ * - XP ledger: append-only XpEntries with a reason and source; each award has an
+ *   idempotency key (reason + source) so a retried request adds nothing twice
+ * - Entries for a player are written one at a time (PlayerStats row lock), and
+ *   each records the balance after it, so the ledger can be replayed to the total
+ * - Levels from the XP total and the thresholds in config/gamification
+ * - Daily streaks from the days with progress in the player's time zone
+ * - Streak freezes: earned every few streak days, used up automatically to
+ *   cover missed days when the player comes back
+ */
+class PlayerService {
+    constructor() {
+        this.config = {
+            ...gamification,
+            recentDays: 28 // Days shown on the streak calendar
+        };
+    }
+
+    /**
+     * Add XP once per idempotency key
+     * @param {Object} award - { reason, sourceType, sourceId, amount, note, createdBy, key }
+     *   amount defaults to the configured XP for the reason; key defaults to
+     *   reason:sourceType:sourceId
+     * @param {Object} options - { transaction } to write inside a caller's transaction
+     * @returns {Promise<XpEntry|null>} - null when the key was used before
+     */
+    async awardXp(userId, { reason, sourceType, sourceId, amount, note = null, createdBy = null, key }, { transaction = null } = {}) {
+        const points = amount !== undefined ? amount : this.config.xp[reason];
+        if (!Number.isInteger(points) || points === 0) {
+            throw new Error(`No XP configured for ${reason}`);
+        }
+
+        const idempotencyKey = key || `${reason}:${sourceType}:${sourceId}`;
+        const t = transaction || await sequelize.transaction();
+
+        try {
+            const stats = await PlayerStats.lockForUser(userId, t);
+
+            if (await XpEntry.findByKey(userId, idempotencyKey, { transaction: t })) {
+                if (!transaction) await t.commit();
+                return null;
+            }
+
+            const balance = stats.xp_total + points;
+            if (balance < 0) {
+                throw new Error('XP total cannot go below zero');
+            }
+
+            const entry = await XpEntry.create({
+                user_id: userId,
+                amount: points,
+                reason,
+                source_type: sourceType,
+                source_id: String(sourceId),
+                idempotency_key: idempotencyKey,
+                balance_after: balance,
+                note,
+                created_by: createdBy
+            }, { transaction: t });
+
+            const previousLevel = stats.level;
+            stats.xp_total = balance;
+            stats.level = this.getLevel(balance).level;
+            await stats.save({ transaction: t });
+
+            if (stats.level > previousLevel) {
+                t.afterCommit(() => this._notifyLevelUp(userId, stats.level));
+            }
+
+            if (!transaction) await t.commit();
+            return entry;
+        } catch (error) {
+            if (!transaction) await t.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Level for an XP total, with progress towards the next one
+     */
+    getLevel(xpTotal) {
+        const { levels } = this.config;
+        let index = 0;
+        while (index + 1 < levels.length && xpTotal >= levels[index + 1]) index++;
+
+        const floor = levels[index];
+        const next = index + 1 < levels.length ? levels[index + 1] : null;
+
+        return {
+            level: index + 1,
+            level_xp: floor,
+            next_level_xp: next,
+            xp_to_next_level: next !== null ? next - xpTotal : null,
+            progress_percent: next !== null ? Math.floor(((xpTotal - floor) / (next - floor)) * 100) : 100
+        };
+    }
+
+    /**
+     * Count days with progress towards the streak: daily XP, freezes to cover
+     * missed days, and new freezes at streak milestones
+     * @param {Date[]} times - when the progress happened
+     */
+    async recordActivity(userId, times) {
+        const preferences = await UserNotificationPreferences.findOrCreateForUser(userId);
+        const today = preferences.getLocalDate();
+        const days = [...new Set(times.map(time => preferences.getLocalDate(time)))].sort();
+
+        await UserActivityDay.record(userId, days);
+
+        for (const day of days) {
+            await this.awardXp(userId, { reason: 'daily_activity', sourceType: 'day', sourceId: day });
+        }
+
+        const transaction = await sequelize.transaction();
+
+        try {
+            await PlayerStats.lockForUser(userId, transaction);
+
+            // A covered day that had activity after all gives its freeze back
+            await StreakFreeze.release(userId, days, { transaction });
+            await this._coverMissedDays(userId, days[days.length - 1], transaction);
+            await this._earnFreezes(userId, today, transaction);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Current and longest streak in the player's time zone
+     */
+    async getStreak(userId) {
+        const preferences = await UserNotificationPreferences.findOrCreateForUser(userId);
+        const today = preferences.getLocalDate();
+
+        const [frozenDates, available] = await Promise.all([
+            StreakFreeze.findUsedDates(userId),
+            StreakFreeze.findAvailable(userId)
+        ]);
+
+        const streaks = await UserActivityDay.getStreaks(userId, today, {
+            frozenDates,
+            freezesAvailable: available.length
+        });
+
+        return {
+            ...streaks,
+            today,
+            active_today: streaks.last_active_date === today,
+            timezone: preferences.timezone || 'UTC',
+            freezes_available: available.length,
+            frozen_dates: frozenDates.filter(date => UserActivityDay.daysBetween(date, today) < this.config.recentDays).sort()
+        };
+    }
+
+    /**
+     * Stats for a player's dashboard
+     */
+    async getStats(userId) {
+        const [stats, streak, badgeCount, activeDates] = await Promise.all([
+            PlayerStats.findOne({ where: { user_id: userId } }),
+            this.getStreak(userId),
+            UserBadge.count({ where: { user_id: userId } }),
+            UserActivityDay.findDates(userId)
+        ]);
+
+        const xpTotal = stats ? stats.xp_total : 0;
+
+        return {
+            xp_total: xpTotal,
+            ...this.getLevel(xpTotal),
+            streak: {
+                ...streak,
+                active_dates: activeDates.filter(date => UserActivityDay.daysBetween(date, streak.today) < this.config.recentDays)
+            },
+            badge_count: badgeCount
+        };
+    }
+
+    /**
+     * Paginated XP ledger, newest first
+     */
+    async getHistory(userId, filters, pagination) {
+        return await XpEntry.findForUser(userId, filters, pagination);
+    }
+
+    /**
+     * Give a player a streak freeze (admin), once per key
+     * @returns {Promise<StreakFreeze|null>} - null when the key was used before
+     */
+    async grantFreeze(userId, key, grantedBy) {
+        return await StreakFreeze.grant(userId, 'admin', `admin:${key}`, { grantedBy });
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Spend freezes on the days missed before the latest active day, when there
+     * are enough of them; otherwise the streak is broken and freezes are kept
+     * @private
+     */
+    async _coverMissedDays(userId, latestDay, transaction) {
+        const [activeDates, frozenDates, available] = await Promise.all([
+            UserActivityDay.findDates(userId),
+            StreakFreeze.findUsedDates(userId, { transaction }),
+            StreakFreeze.findAvailable(userId, { transaction })
+        ]);
+
+        // Only a return after the gap spends freezes; older days sent late do not
+        const covered = [...new Set([...activeDates, ...frozenDates])].sort();
+        if (covered[covered.length - 1] !== latestDay) return;
+
+        const before = covered.filter(date => date < latestDay).pop();
+        if (!before) return;
+
+        const missed = UserActivityDay.daysBetween(before, latestDay) - 1;
+        if (missed < 1 || missed > available.length) return;
+
+        const now = new Date();
+        for (let i = 0; i < missed; i++) {
+            const freeze = available[i];
+            freeze.used_for_date = UserActivityDay.shiftDate(before, i + 1);
+            freeze.used_at = now;
+            await freeze.save({ transaction });
+        }
+    }
+
+    /**
+     * One freeze per earnEveryDays of the current streak, up to maxHeld
+     * @private
+     */
+    async _earnFreezes(userId, today, transaction) {
+        const { earnEveryDays, maxHeld } = this.config.streakFreezes;
+
+        const [frozenDates, available] = await Promise.all([
+            StreakFreeze.findUsedDates(userId, { transaction }),
+            StreakFreeze.findAvailable(userId, { transaction })
+        ]);
+        if (available.length >= maxHeld) return;
+
+        const streak = await UserActivityDay.getStreaks(userId, today, { frozenDates });
+        if (streak.current === 0 || streak.current % earnEveryDays !== 0) return;
+
+        // Keyed by the day the milestone was reached
+        await StreakFreeze.grant(userId, 'streak', `streak:${streak.last_active_date}`, { transaction });
+    }
+
+    /**
+     * @private
+     */
+    async _notifyLevelUp(userId, level) {
+        try {
+            const user = await User.findByPk(userId);
+            if (!user) return;
+
+            await notificationService.notify(user, 'achievement', {
+                type: 'level_up',
+                title: `You reached level ${level}`,
+                body: 'Keep learning to reach the next level.',
+                data: { level },
+                action_url: '/achievements'
+            });
+        } catch (error) {
+            console.error(`[Player] Failed to notify user ${userId} of level ${level}:`, error.message);
+        }
+    }
+}
+
+module.exports = new PlayerService();
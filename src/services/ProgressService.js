@@ -0,0 +1,511 @@
+// services/ProgressService.js
+const {
+    Module,
+    Lesson,
+    LessonProgress,
+    ProgressEvent,
+    Quiz,
+    ClassroomMember,
+    UserPrivacySettings,
+    sequelize
+} = require('../model');
+const playerService = require('./PlayerService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Ids of events the server records itself (quiz results); clients cannot use them
+const SERVER_EVENT_PREFIX = 'server:';
+
+/**
+ * Progress Service
+ * - Per-user lesson progress: started, completed, time spent, resume position
+ * - Module completion from the lessons a module has now (lessons added
+ *   after a learner finished lower the percentage again)
+ * - Clients send batches of events with their own ids; a replayed event
+ *   (offline client sending the same batch again) is recognised and skipped
+ * - Lessons with a quiz are completed by passing the quiz, not by the client
+ * - Educator rollups per class, for learners whose show_progress is on
+ * - XP for first completions is written with the progress (PlayerService);
+ *   days with new progress count towards streaks, and badge rules are
+ *   checked afterwards (BadgeService)
+ */
+class ProgressService {
+    constructor() {
+        this.config = {
+            maxBatchSize: 100,
+            maxEventSeconds: 30 * 60, // Time credited by one event, at most
+            maxClockSkewMs: 5 * 60 * 1000, // Client clocks running ahead
+            maxPositionBytes: 1024,
+            replayWindowDays: 30, // Event ids are remembered this long; older events are refused
+            maxActivityBackdateMs: 2 * DAY // Offline time an event may claim for streaks and daily XP
+        };
+    }
+
+    /**
+     * Apply a batch of progress events for a user
+     * @param {Object[]} rawEvents - [{ id, lesson_id, type, occurred_at, seconds, position }]
+     * @returns {Promise<Object>} - { results: [{ id, status, error }], modules: [module progress], badges: [new awards] }
+     *   status is 'applied', 'duplicate' or 'rejected', in the order sent
+     */
+    async recordEvents(user, rawEvents) {
+        const now = new Date();
+        const checked = rawEvents.map(raw => this._normalizeEvent(raw, now));
+        const earliestActivity = new Date(now.getTime() - this.config.maxActivityBackdateMs);
+
+        const lessonIds = [...new Set(checked.filter(item => item.event).map(item => item.event.lesson_id))];
+        const lessons = lessonIds.length > 0
+            ? await Lesson.findAll({
+                where: { id: lessonIds },
+                attributes: ['id', 'module_id'],
+                include: [
+                    { model: Module, as: 'module', attributes: ['id', 'status'] },
+                    { model: Quiz, as: 'quiz', attributes: ['id'] }
+                ]
+            })
+            : [];
+        const lessonsById = new Map(lessons.map(lesson => [lesson.id, lesson]));
+
+        const results = [];
+        const touchedModules = new Set();
+        const activeAt = [];
+
+        for (const [index, { event, error }] of checked.entries()) {
+            const id = event ? event.id : (rawEvents[index] && rawEvents[index].id) || null;
+
+            if (error) {
+                results.push({ id, status: 'rejected', error });
+                continue;
+            }
+
+            const lesson = lessonsById.get(event.lesson_id);
+            if (!lesson || !lesson.module || !lesson.module.isPublished()) {
+                results.push({ id, status: 'rejected', error: 'Lesson not available' });
+                continue;
+            }
+
+            // Passing the quiz completes the lesson (recordQuizResult)
+            const applied = await this._applyEvent(
+                user.id,
+                lesson,
+                event.type === 'complete' && lesson.quiz ? { ...event, type: 'progress' } : event
+            );
+            if (applied) {
+                touchedModules.add(lesson.module_id);
+                // Older events count for the day they arrived, so past streak days cannot be filled in
+                activeAt.push(event.occurred_at < earliestActivity ? now : event.occurred_at);
+            }
+            results.push({ id, status: applied ? 'applied' : 'duplicate' });
+        }
+
+        if (activeAt.length === 0) {
+            return { results, modules: [], badges: [] };
+        }
+
+        await this._recordActivity(user.id, activeAt);
+
+        return {
+            results,
+            modules: await this.getModuleProgress(user.id, [...touchedModules]),
+            badges: (await this._evaluateBadges(user.id)).map(award => award.toJSON())
+        };
+    }
+
+    /**
+     * Fold a closed quiz attempt into the lesson's progress (once per attempt)
+     */
+    async recordQuizResult(userId, lesson, attempt) {
+        const startedAt = new Date(attempt.started_at);
+        const submittedAt = new Date(attempt.submitted_at);
+
+        const applied = await this._applyEvent(userId, lesson, {
+            id: `${SERVER_EVENT_PREFIX}quiz-attempt-${attempt.id}`,
+            lesson_id: lesson.id,
+            type: attempt.passed ? 'complete' : 'progress',
+            occurred_at: submittedAt,
+            seconds: Math.min(Math.max(Math.round((submittedAt - startedAt) / 1000), 0), this.config.maxEventSeconds),
+            quiz_id: attempt.quiz_id,
+            quiz_percent: attempt.percent
+        });
+
+        if (applied) {
+            await this._recordActivity(userId, [submittedAt]);
+            await this._evaluateBadges(userId);
+        }
+
+        return applied;
+    }
+
+    /**
+     * Completion summary for each of the given modules
+     * @returns {Promise<Object[]>}
+     */
+    async getModuleProgress(userId, moduleIds) {
+        const [lessons, rows] = await Promise.all([
+            Lesson.findAll({ where: { module_id: moduleIds }, attributes: ['id', 'module_id'] }),
+            LessonProgress.findForUsers(userId, moduleIds)
+        ]);
+
+        return moduleIds.map(moduleId => ({
+            module_id: moduleId,
+            ...this._summarize(
+                lessons.filter(lesson => lesson.module_id === moduleId),
+                rows.filter(row => row.module_id === moduleId)
+            )
+        }));
+    }
+
+    /**
+     * Every published module the user has started, most recent first
+     */
+    async getUserProgress(userId) {
+        const rows = await LessonProgress.findForUsers(userId);
+        if (rows.length === 0) return [];
+
+        const moduleIds = [...new Set(rows.map(row => row.module_id))];
+        const [modules, lessons] = await Promise.all([
+            Module.findAll({ where: { id: moduleIds, status: 'published' } }),
+            Lesson.findAll({ where: { module_id: moduleIds }, attributes: ['id', 'module_id'] })
+        ]);
+
+        return modules
+            .map(learningModule => {
+                const moduleLessons = lessons.filter(lesson => lesson.module_id === learningModule.id);
+                learningModule.setDataValue('lesson_count', moduleLessons.length);
+
+                return {
+                    module: learningModule.toCatalogJSON(),
+                    progress: this._summarize(moduleLessons, rows.filter(row => row.module_id === learningModule.id))
+                };
+            })
+            .sort((a, b) => new Date(b.progress.last_activity_at) - new Date(a.progress.last_activity_at));
+    }
+
+    /**
+     * One published module with per-lesson progress
+     * @returns {Promise<Object|null>} - null when the module is not published
+     */
+    async getModuleDetail(userId, idOrSlug) {
+        const learningModule = await Module.findPublishedWithLessons(idOrSlug);
+        if (!learningModule) return null;
+
+        const rows = await LessonProgress.findForUsers(userId, learningModule.id);
+        const rowsByLesson = new Map(rows.map(row => [row.lesson_id, row]));
+
+        return {
+            module: learningModule.toCatalogJSON(),
+            progress: this._summarize(learningModule.lessons, rows),
+            lessons: learningModule.lessons.map(lesson => {
+                const row = rowsByLesson.get(lesson.id);
+                return {
+                    ...lesson.toSummaryJSON(),
+                    progress: row ? row.toJSON() : null
+                };
+            })
+        };
+    }
+
+    /**
+     * Where to pick up: the most recently active unfinished module, at the
+     * lesson last worked on (or the next unfinished one if that is done)
+     * @returns {Promise<Object|null>} - null when there is nothing to resume
+     */
+    async getResume(userId) {
+        const recent = await LessonProgress.findRecent(userId);
+        const checked = new Set();
+
+        for (const latest of recent) {
+            if (checked.has(latest.module_id)) continue;
+            checked.add(latest.module_id);
+
+            const learningModule = await Module.findPublishedWithLessons(latest.module_id);
+            if (!learningModule || learningModule.lessons.length === 0) continue;
+
+            const lessons = learningModule.lessons;
+            const rows = await LessonProgress.findForUsers(userId, learningModule.id);
+            const completed = new Set(rows.filter(row => row.isCompleted()).map(row => row.lesson_id));
+
+            if (lessons.every(lesson => completed.has(lesson.id))) continue;
+
+            let lesson = lessons.find(item => item.id === latest.lesson_id);
+            if (!lesson || completed.has(lesson.id)) {
+                const after = lesson ? lessons.indexOf(lesson) + 1 : 0;
+                lesson = lessons.slice(after).find(item => !completed.has(item.id))
+                    || lessons.find(item => !completed.has(item.id));
+            }
+
+            const row = rows.find(item => item.lesson_id === lesson.id);
+
+            return {
+                module: learningModule.toCatalogJSON(),
+                lesson: lesson.toSummaryJSON(),
+                last_position: row ? row.last_position : null,
+                progress: this._summarize(lessons, rows)
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Progress of every learner in a class.
+     * Learners who turned show_progress off are listed without their progress.
+     */
+    async getClassroomRollup(classroom) {
+        const members = (await ClassroomMember.findByClassroom(classroom.id))
+            .filter(member => member.user && member.user.account_status !== 'deleted');
+        const memberIds = members.map(member => member.user_id);
+
+        const settings = memberIds.length > 0
+            ? await UserPrivacySettings.findAll({ where: { user_id: memberIds } })
+            : [];
+        const visibleIds = new Set(settings.filter(item => item.show_progress).map(item => item.user_id));
+
+        const rows = visibleIds.size > 0 ? await LessonProgress.findForUsers([...visibleIds]) : [];
+        const moduleIds = [...new Set(rows.map(row => row.module_id))];
+
+        const [modules, lessons] = moduleIds.length > 0
+            ? await Promise.all([
+                Module.findAll({ where: { id: moduleIds, status: 'published' }, attributes: ['id', 'slug', 'title'], order: [['title', 'ASC']] }),
+                Lesson.findAll({ where: { module_id: moduleIds }, attributes: ['id', 'module_id'] })
+            ])
+            : [[], []];
+
+        const lessonsByModule = new Map(modules.map(learningModule => [
+            learningModule.id,
+            lessons.filter(lesson => lesson.module_id === learningModule.id)
+        ]));
+
+        const learners = members.map(member => {
+            const learner = {
+                id: member.user.id,
+                name: member.user.name,
+                avatar_url: member.user.getAvatarUrl(),
+                joined_at: member.joined_at,
+                progress_visible: visibleIds.has(member.user_id)
+            };
+
+            if (!learner.progress_visible) return { ...learner, modules: null };
+
+            const own = rows.filter(row => row.user_id === member.user_id);
+            return {
+                ...learner,
+                modules: modules
+                    .filter(learningModule => own.some(row => row.module_id === learningModule.id))
+                    .map(learningModule => ({
+                        module_id: learningModule.id,
+                        title: learningModule.title,
+                        ...this._summarize(
+                            lessonsByModule.get(learningModule.id),
+                            own.filter(row => row.module_id === learningModule.id)
+                        )
+                    }))
+            };
+        });
+
+        const visibleLearners = learners.filter(learner => learner.progress_visible);
+
+        return {
+            learners,
+            hidden_count: learners.length - visibleLearners.length,
+            modules: modules.map(learningModule => {
+                const entries = visibleLearners
+                    .map(learner => learner.modules.find(item => item.module_id === learningModule.id))
+                    .filter(Boolean);
+
+                return {
+                    id: learningModule.id,
+                    slug: learningModule.slug,
+                    title: learningModule.title,
+                    learners_started: entries.length,
+                    learners_completed: entries.filter(entry => entry.completed_at).length,
+                    average_percent_complete: visibleLearners.length > 0
+                        ? Math.round(entries.reduce((sum, entry) => sum + entry.percent_complete, 0) / visibleLearners.length)
+                        : 0
+                };
+            })
+        };
+    }
+
+    /**
+     * Forget event ids past the replay window (run from cleanup job)
+     * @returns {Promise<number>}
+     */
+    async cleanup() {
+        return await ProgressEvent.pruneOlderThan(new Date(Date.now() - this.config.replayWindowDays * DAY));
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Check and normalise one client event
+     * @returns {Object} - { event } or { error }
+     * @private
+     */
+    _normalizeEvent(raw, now) {
+        if (!raw || typeof raw !== 'object') return { error: 'Event must be an object' };
+
+        const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+        if (!id || id.length > 64) return { error: 'id must be a string of at most 64 characters' };
+        if (id.startsWith(SERVER_EVENT_PREFIX)) return { error: `ids starting with "${SERVER_EVENT_PREFIX}" are reserved` };
+
+        const lessonId = Number(raw.lesson_id);
+        if (!Number.isInteger(lessonId) || lessonId < 1) return { error: 'lesson_id must be a lesson id' };
+
+        if (!ProgressEvent.TYPES.includes(raw.type)) {
+            return { error: `type must be one of: ${ProgressEvent.TYPES.join(', ')}` };
+        }
+
+        const occurredAt = raw.occurred_at ? new Date(raw.occurred_at) : now;
+        if (Number.isNaN(occurredAt.getTime())) return { error: 'occurred_at must be a date' };
+        if (occurredAt.getTime() > now.getTime() + this.config.maxClockSkewMs) {
+            return { error: 'occurred_at is in the future' };
+        }
+        if (occurredAt.getTime() < now.getTime() - this.config.replayWindowDays * DAY) {
+            return { error: `Events older than ${this.config.replayWindowDays} days are not accepted` };
+        }
+
+        const seconds = raw.seconds === undefined ? 0 : Number(raw.seconds);
+        if (!Number.isFinite(seconds) || seconds < 0) return { error: 'seconds must be a positive number' };
+
+        if (raw.position !== undefined && raw.position !== null) {
+            if (typeof raw.position !== 'object' || Array.isArray(raw.position)) {
+                return { error: 'position must be an object' };
+            }
+            if (JSON.stringify(raw.position).length > this.config.maxPositionBytes) {
+                return { error: 'position is too large' };
+            }
+        }
+
+        return {
+            event: {
+                id,
+                lesson_id: lessonId,
+                type: raw.type,
+                occurred_at: occurredAt > now ? now : occurredAt,
+                seconds: Math.min(Math.round(seconds), this.config.maxEventSeconds),
+                position: raw.position
+            }
+        };
+    }
+
+    /**
+     * Apply one event unless it was applied before
+     * @returns {Promise<boolean>} - false for a replayed event
+     * @private
+     */
+    async _applyEvent(userId, lesson, event) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            if (!(await ProgressEvent.claim(userId, event, { transaction }))) {
+                await transaction.rollback();
+                return false;
+            }
+
+            const progress = await LessonProgress.lockForLesson(userId, lesson, event.occurred_at, transaction);
+
+            const wasCompleted = progress.isCompleted();
+            progress.applyEvent(event);
+            await progress.save({ transaction });
+
+            await this._awardXp(userId, lesson, event, !wasCompleted && progress.isCompleted(), transaction);
+
+            await transaction.commit();
+            return true;
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Count the days that had progress towards the streak.
+     * Not retried: a replayed batch finds its events already applied.
+     * @private
+     */
+    async _recordActivity(userId, times) {
+        try {
+            await playerService.recordActivity(userId, times);
+        } catch (error) {
+            console.error(`[Progress] Failed to record activity days for user ${userId}:`, error.message);
+        }
+    }
+
+    /**
+     * Award badges the new progress earned; the progress is saved either way
+     * @returns {Promise<UserBadge[]>}
+     * @private
+     */
+    async _evaluateBadges(userId) {
+        // Required here: BadgeService reads progress through this service
+        const badgeService = require('./BadgeService');
+
+        try {
+            return await badgeService.evaluate(userId);
+        } catch (error) {
+            console.error(`[Progress] Failed to check badges for user ${userId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * XP for a lesson or module completed for the first time, and for quiz
+     * results (each awarded once, whatever the number of attempts)
+     * @private
+     */
+    async _awardXp(userId, lesson, event, completedNow, transaction) {
+        const { Op } = sequelize.Sequelize;
+
+        if (event.quiz_id && event.type === 'complete') {
+            await playerService.awardXp(userId, { reason: 'quiz_passed', sourceType: 'quiz', sourceId: event.quiz_id }, { transaction });
+        }
+        if (event.quiz_id && event.quiz_percent === 100) {
+            await playerService.awardXp(userId, { reason: 'quiz_perfect', sourceType: 'quiz', sourceId: event.quiz_id }, { transaction });
+        }
+
+        if (!completedNow) return;
+
+        await playerService.awardXp(userId, { reason: 'lesson_completed', sourceType: 'lesson', sourceId: lesson.id }, { transaction });
+
+        const lessonIds = (await Lesson.findAll({
+            where: { module_id: lesson.module_id },
+            attributes: ['id'],
+            transaction
+        })).map(item => item.id);
+
+        const completed = await LessonProgress.count({
+            where: { user_id: userId, lesson_id: lessonIds, completed_at: { [Op.ne]: null } },
+            transaction
+        });
+
+        if (completed === lessonIds.length) {
+            await playerService.awardXp(userId, { reason: 'module_completed', sourceType: 'module', sourceId: lesson.module_id }, { transaction });
+        }
+    }
+
+    /**
+     * Module completion from its current lessons and a user's progress rows
+     * @private
+     */
+    _summarize(lessons, rows) {
+        const lessonIds = new Set(lessons.map(lesson => lesson.id));
+        const current = rows.filter(row => lessonIds.has(row.lesson_id));
+        const completed = current.filter(row => row.isCompleted());
+        const done = lessons.length > 0 && completed.length === lessons.length;
+
+        const latest = (values) => values.length > 0 ? new Date(Math.max(...values.map(value => new Date(value)))) : null;
+        const earliest = (values) => values.length > 0 ? new Date(Math.min(...values.map(value => new Date(value)))) : null;
+
+        return {
+            lessons_total: lessons.length,
+            lessons_completed: completed.length,
+            percent_complete: lessons.length > 0 ? Math.round((completed.length / lessons.length) * 100) : 0,
+            time_spent_seconds: rows.reduce((sum, row) => sum + row.time_spent_seconds, 0),
+            started_at: earliest(rows.map(row => row.started_at)),
+            completed_at: done ? latest(completed.map(row => row.completed_at)) : null,
+            last_activity_at: latest(rows.map(row => row.last_activity_at))
+        };
+    }
+}
+
+module.exports = new ProgressService();
@@ -0,0 +1,371 @@
+// services/QuizService.js
+const crypto = require('crypto');
+const { QuizAttempt } = require('../model');
+const progressService = require('./ProgressService');
+
+// Fisher-Yates with a CSPRNG - the order must not be guessable from earlier attempts
+const shuffle = (values) => {
+    const result = [...values];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Lowercase, no accents or punctuation, single spaces
+const normalizeText = (value) => String(value)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const sameIds = (a, b) => a.length === b.length && a.every((id, index) => id === b[index]);
+
+/**
+ * Quiz Service
+ * - Attempts: limits, per-attempt question and option order, time limits
+ * - Scoring happens here only; learners get questions without the answer key
+ * - Correct answers are shown after a passing attempt or the last allowed one,
+ *   before that only whether each answer was right
+ * - Submitted attempts feed lesson progress: passing completes the lesson
+ */
+class QuizService {
+    constructor() {
+        this.config = {
+            submitGraceMs: 30 * 1000, // Request in flight when the timer runs out
+            maxAnswerLength: 1000
+        };
+    }
+
+    /**
+     * A user's attempts at a quiz, newest first (overdue attempts are closed first)
+     * @returns {Promise<QuizAttempt[]>}
+     */
+    async getAttempts(user, quiz, lesson) {
+        const attempts = await QuizAttempt.findForUser(quiz.id, user.id);
+
+        for (const attempt of attempts) {
+            if (attempt.isInProgress() && attempt.isOverdue(this.config.submitGraceMs)) {
+                await this._expire(attempt, quiz, lesson);
+            }
+        }
+
+        return attempts;
+    }
+
+    /**
+     * Attempts left, or null for unlimited
+     */
+    getAttemptsRemaining(quiz, attempts) {
+        if (!quiz.max_attempts) return null;
+        return Math.max(quiz.max_attempts - attempts.length, 0);
+    }
+
+    /**
+     * Correct answers are shown once the learner passed or cannot try again
+     */
+    canRevealAnswers(quiz, attempts) {
+        return attempts.some(attempt => attempt.passed) || this.getAttemptsRemaining(quiz, attempts) === 0;
+    }
+
+    /**
+     * Start an attempt with its own question and option order. A request that
+     * loses the race on the attempt number gets the attempt the other one started.
+     * @param {QuizAttempt[]} attempts - From getAttempts; the caller checks the limit
+     * @returns {Promise<QuizAttempt>}
+     */
+    async startAttempt(user, quiz, attempts) {
+        const now = new Date();
+
+        try {
+            return await QuizAttempt.create({
+                quiz_id: quiz.id,
+                user_id: user.id,
+                attempt_number: attempts.length + 1,
+                status: 'in_progress',
+                layout: this._buildLayout(quiz),
+                started_at: now,
+                deadline_at: quiz.time_limit_seconds ? new Date(now.getTime() + quiz.time_limit_seconds * 1000) : null
+            });
+        } catch (error) {
+            if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+
+            const current = (await QuizAttempt.findForUser(quiz.id, user.id)).find(attempt => attempt.isInProgress());
+            if (!current) throw error;
+            return current;
+        }
+    }
+
+    /**
+     * Score and close an attempt. Late submissions (past the deadline and
+     * grace) close the attempt as expired with no score.
+     * @param {Object} answers - { [question_id]: answer }
+     * @returns {Promise<QuizAttempt>}
+     */
+    async submitAttempt(attempt, quiz, lesson, answers) {
+        if (attempt.isOverdue(this.config.submitGraceMs)) {
+            return await this._expire(attempt, quiz, lesson);
+        }
+
+        const cleaned = this._cleanAnswers(quiz, answers);
+        const { results, score, maxScore } = this.score(quiz, cleaned);
+        const percent = maxScore > 0 ? Math.floor((score / maxScore) * 100) : 0;
+
+        return await this._close(attempt, lesson, {
+            status: 'submitted',
+            answers: cleaned,
+            results,
+            score,
+            max_score: maxScore,
+            percent,
+            passed: percent >= quiz.pass_percent,
+            submitted_at: new Date()
+        });
+    }
+
+    /**
+     * Score answers against the answer key
+     * @returns {Object} - { results: [{ question_id, correct, points, points_awarded }], score, maxScore }
+     */
+    score(quiz, answers) {
+        const results = quiz.questions.map(question => {
+            const correct = this._isCorrect(question, answers[question.id]);
+            return {
+                question_id: question.id,
+                correct,
+                points: question.points,
+                points_awarded: correct ? question.points : 0
+            };
+        });
+
+        return {
+            results,
+            score: results.reduce((sum, result) => sum + result.points_awarded, 0),
+            maxScore: quiz.getMaxScore()
+        };
+    }
+
+    /**
+     * Attempt as the learner sees it.
+     * In progress: the questions in this attempt's order, without answers.
+     * Closed: the learner's answers and results, plus correct answers and
+     * explanations when `reveal` is true.
+     */
+    presentAttempt(quiz, attempt, { reveal = false } = {}) {
+        const questions = attempt.layout
+            .map(entry => ({ entry, question: quiz.getQuestion(entry.question_id) }))
+            .filter(({ question }) => question)
+            .map(({ entry, question }) => this._presentQuestion(question, entry));
+
+        if (attempt.isInProgress()) {
+            return {
+                attempt: attempt.toSummaryJSON(),
+                questions
+            };
+        }
+
+        const results = new Map((attempt.results || []).map(result => [result.question_id, result]));
+        const answers = attempt.answers || {};
+
+        return {
+            attempt: attempt.toSummaryJSON(),
+            answers_revealed: reveal,
+            questions: questions.map(question => {
+                const definition = quiz.getQuestion(question.id);
+                const result = results.get(question.id);
+
+                return {
+                    ...question,
+                    your_answer: answers[question.id] !== undefined ? answers[question.id] : null,
+                    correct: result ? result.correct : false,
+                    points_awarded: result ? result.points_awarded : 0,
+                    ...(reveal && {
+                        correct_answer: this._correctAnswer(definition),
+                        explanation: definition.explanation || null
+                    })
+                };
+            })
+        };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Question order, and choice order for choice and ordering questions
+     * @private
+     */
+    _buildLayout(quiz) {
+        const questions = quiz.shuffle_questions ? shuffle(quiz.questions) : quiz.questions;
+
+        return questions.map(question => {
+            let choices = null;
+
+            if (['multiple_choice', 'multi_select'].includes(question.type)) {
+                const ids = question.options.map(option => option.id);
+                choices = quiz.shuffle_options ? shuffle(ids) : ids;
+            } else if (question.type === 'ordering') {
+                // Always shuffled - showing the items in order would give the answer away
+                const ids = question.items.map(item => item.id);
+                choices = shuffle(ids);
+                if (sameIds(choices, ids)) choices.push(choices.shift());
+            }
+
+            return { question_id: question.id, choices };
+        });
+    }
+
+    /**
+     * Question without the answer key, choices in the attempt's order
+     * @private
+     */
+    _presentQuestion(question, entry) {
+        const presented = {
+            id: question.id,
+            type: question.type,
+            prompt: question.prompt,
+            points: question.points
+        };
+
+        if (entry.choices) {
+            const source = question.type === 'ordering' ? question.items : question.options;
+            const byId = new Map(source.map(choice => [choice.id, choice]));
+            const choices = entry.choices
+                .filter(id => byId.has(id))
+                .map(id => ({ id, text: byId.get(id).text }));
+
+            presented[question.type === 'ordering' ? 'items' : 'options'] = choices;
+        }
+
+        return presented;
+    }
+
+    /**
+     * Keep answers to known questions, in a shape their type accepts
+     * @private
+     */
+    _cleanAnswers(quiz, answers) {
+        const cleaned = {};
+        if (!answers || typeof answers !== 'object') return cleaned;
+
+        for (const question of quiz.questions) {
+            const value = answers[question.id];
+            if (value === undefined || value === null) continue;
+
+            switch (question.type) {
+                case 'multiple_choice':
+                    if (typeof value === 'string' || typeof value === 'number') cleaned[question.id] = String(value);
+                    break;
+                case 'multi_select':
+                case 'ordering':
+                    if (Array.isArray(value)) cleaned[question.id] = value.slice(0, 100).map(String);
+                    break;
+                case 'true_false':
+                    if (typeof value === 'boolean') cleaned[question.id] = value;
+                    break;
+                case 'short_answer':
+                    if (typeof value === 'string') cleaned[question.id] = value.slice(0, this.config.maxAnswerLength);
+                    break;
+            }
+        }
+
+        return cleaned;
+    }
+
+    /**
+     * @private
+     */
+    _isCorrect(question, answer) {
+        if (answer === undefined) return false;
+
+        switch (question.type) {
+            case 'multiple_choice':
+                return answer === question.answer;
+            case 'multi_select':
+                return answer.length === question.answer.length
+                    && new Set(answer).size === answer.length
+                    && answer.every(id => question.answer.includes(id));
+            case 'true_false':
+                return answer === question.answer;
+            case 'ordering':
+                return sameIds(answer, question.items.map(item => item.id));
+            case 'short_answer': {
+                // Whole words/phrases; each keyword may list alternatives
+                const text = ` ${normalizeText(answer)} `;
+                const found = question.keywords.map(keyword => (Array.isArray(keyword) ? keyword : [keyword])
+                    .some(alternative => text.includes(` ${normalizeText(alternative)} `)));
+                return (question.match || 'all') === 'any' ? found.some(Boolean) : found.every(Boolean);
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _correctAnswer(question) {
+        if (!question) return null;
+
+        switch (question.type) {
+            case 'ordering':
+                return question.items.map(item => item.id);
+            case 'short_answer':
+                return { keywords: question.keywords, match: question.match || 'all' };
+            default:
+                return question.answer;
+        }
+    }
+
+    /**
+     * Close an attempt that ran out of time
+     * @private
+     */
+    async _expire(attempt, quiz, lesson) {
+        return await this._close(attempt, lesson, {
+            status: 'expired',
+            results: [],
+            score: 0,
+            max_score: quiz.getMaxScore(),
+            percent: 0,
+            passed: false,
+            submitted_at: attempt.deadline_at
+        });
+    }
+
+    /**
+     * Close an in-progress attempt (conditional update, so a double submit
+     * is scored once) and record it in lesson progress
+     * @private
+     */
+    async _close(attempt, lesson, values) {
+        const [affected] = await QuizAttempt.update(values, {
+            where: { id: attempt.id, status: 'in_progress' }
+        });
+
+        if (affected === 0) {
+            return await attempt.reload();
+        }
+
+        attempt.set(values);
+        await this._recordProgress(attempt, lesson);
+
+        return attempt;
+    }
+
+    /**
+     * A closed attempt counts as lesson activity; a pass completes the lesson
+     * @private
+     */
+    async _recordProgress(attempt, lesson) {
+        try {
+            await progressService.recordQuizResult(attempt.user_id, lesson, attempt);
+        } catch (error) {
+            // The attempt itself is saved
+            console.error(`[Quiz] Failed to record progress for attempt ${attempt.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = new QuizService();
@@ -0,0 +1,290 @@
+// services/RealtimeService.js
+
+// Statuses that end every open stream (authenticate refuses them on reconnect)
+const CLOSING_STATUSES = ['suspended', 'deleted'];
+
+/**
+ * Realtime Service
+ * - Server-Sent Events streams per user, any number of tabs
+ * - Heartbeats keep proxies from closing idle streams
+ * - Recent events are kept per user so a reconnect can resume from Last-Event-ID
+ * - Session revocations close the matching streams straight away
+ *
+ * State is in memory: with several API instances, events only reach streams
+ * connected to the instance that published them.
+ */
+class RealtimeService {
+    constructor() {
+        this.config = {
+            heartbeatMs: 25 * 1000,
+            retryMs: 5000, // Client reconnect delay
+            historySize: 50, // Events kept per user for resume
+            historyTtlMs: 5 * 60 * 1000,
+            maxConnectionsPerUser: 10
+        };
+
+        this.users = new Map(); // userId -> { connections: Set, history: [], evictedUpTo }
+        this.nextConnectionId = 1;
+
+        // Ids start at boot time so ids from before a restart are recognisably older
+        this.firstEventId = Date.now();
+        this.lastEventId = this.firstEventId;
+
+        this.heartbeat = null;
+    }
+
+    /**
+     * Open a stream on an authenticated request
+     * @param {Object} options - { familyId, expiresAt, ready }
+     *   familyId identifies the sign-in (refresh rotation keeps it), expiresAt closes
+     *   the stream when the access token runs out so the client reconnects with a new one,
+     *   ready is the current state sent first as a `ready` event
+     */
+    connect(req, res, { familyId, expiresAt, ready = {} }) {
+        const entry = this._entry(req.user.id);
+
+        // Oldest tab gives way
+        if (entry.connections.size >= this.config.maxConnectionsPerUser) {
+            const [oldest] = entry.connections;
+            this._close(oldest, 'disconnected', 'too_many_connections');
+        }
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // nginx
+        });
+        res.flushHeaders();
+        res.write(`retry: ${this.config.retryMs}\n\n`);
+
+        const connection = {
+            id: this.nextConnectionId++,
+            userId: req.user.id,
+            familyId,
+            res,
+            expiryTimer: null
+        };
+
+        const ttl = expiresAt ? expiresAt.getTime() - Date.now() : null;
+        if (ttl !== null) {
+            connection.expiryTimer = setTimeout(() => this._close(connection, 'token_expired', 'token_expired'), Math.max(ttl, 0));
+            connection.expiryTimer.unref();
+        }
+
+        entry.connections.add(connection);
+        req.on('close', () => this._remove(connection));
+
+        this._send(connection, 'ready', ready);
+        this._resume(connection, entry, req.get('last-event-id') || req.query.last_event_id);
+        this._startHeartbeat();
+
+        return connection;
+    }
+
+    /**
+     * Send an event to every open stream of a user (kept for resume)
+     * Users with no recent stream are skipped - they load current state on connect.
+     */
+    publish(userId, event, data) {
+        const entry = this.users.get(userId);
+        if (!entry) return null;
+
+        const message = { id: ++this.lastEventId, event, data, at: Date.now() };
+
+        entry.history.push(message);
+        this._prune(entry);
+
+        for (const connection of entry.connections) {
+            this._write(connection, message);
+        }
+
+        return message.id;
+    }
+
+    /**
+     * Tell the affected tabs their session is gone, then close them
+     * @param {Object} options - { familyIds } to limit to some sign-ins,
+     *   { exceptFamilyId } to keep the current one; neither means every session
+     */
+    revokeSessions(userId, { familyIds = null, exceptFamilyId = null, reason = 'session_revoked' } = {}) {
+        const entry = this.users.get(userId);
+        if (!entry) return 0;
+
+        let closed = 0;
+
+        for (const connection of [...entry.connections]) {
+            if (familyIds && !familyIds.includes(connection.familyId)) continue;
+            if (exceptFamilyId && connection.familyId === exceptFamilyId) continue;
+
+            this._close(connection, 'session_revoked', reason);
+            closed++;
+        }
+
+        return closed;
+    }
+
+    /**
+     * Push an account status change; suspended and deleted accounts are disconnected
+     */
+    accountStatusChanged(user, previousStatus) {
+        this.publish(user.id, 'account_status', {
+            status: user.account_status,
+            previous_status: previousStatus
+        });
+
+        if (CLOSING_STATUSES.includes(user.account_status)) {
+            this.revokeSessions(user.id, { reason: `account_${user.account_status}` });
+        }
+    }
+
+    /**
+     * Whether events for a user would be delivered or kept (skip building them otherwise)
+     */
+    isListening(userId) {
+        return this.users.has(userId);
+    }
+
+    /**
+     * Number of open streams for a user
+     */
+    connectionCount(userId) {
+        const entry = this.users.get(userId);
+        return entry ? entry.connections.size : 0;
+    }
+
+    /**
+     * End every stream (server shutdown - open streams would hold it up)
+     */
+    closeAll() {
+        for (const entry of this.users.values()) {
+            for (const connection of [...entry.connections]) {
+                this._close(connection, 'disconnected', 'server_shutdown');
+            }
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    _entry(userId) {
+        let entry = this.users.get(userId);
+
+        if (!entry) {
+            // Nothing published before this point was kept for the user
+            entry = { connections: new Set(), history: [], evictedUpTo: this.lastEventId };
+            this.users.set(userId, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Replay missed events, or ask the client to reload when they are no longer held
+     * @private
+     */
+    _resume(connection, entry, lastEventId) {
+        if (!lastEventId) return;
+
+        const lastId = parseInt(lastEventId);
+
+        if (isNaN(lastId) || lastId < this.firstEventId || lastId > this.lastEventId || lastId < entry.evictedUpTo) {
+            this._send(connection, 'resync', { reason: 'history_unavailable' });
+            return;
+        }
+
+        this._prune(entry);
+
+        for (const message of entry.history) {
+            if (message.id > lastId) this._write(connection, message);
+        }
+    }
+
+    /**
+     * Drop events past the history size or age
+     * @private
+     */
+    _prune(entry) {
+        const cutoff = Date.now() - this.config.historyTtlMs;
+
+        while (entry.history.length > 0
+            && (entry.history.length > this.config.historySize || entry.history[0].at < cutoff)) {
+            entry.evictedUpTo = entry.history.shift().id;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _write(connection, { id, event, data }) {
+        connection.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Event for one stream only - not kept for resume
+     * @private
+     */
+    _send(connection, event, data) {
+        connection.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Final event, then end the stream
+     * @private
+     */
+    _close(connection, event, reason) {
+        this._send(connection, event, { reason });
+        connection.res.end();
+        this._remove(connection);
+    }
+
+    /**
+     * Forget a closed stream; the user's history stays until it expires so a
+     * reconnecting tab can still resume
+     * @private
+     */
+    _remove(connection) {
+        clearTimeout(connection.expiryTimer);
+
+        const entry = this.users.get(connection.userId);
+        if (entry) entry.connections.delete(connection);
+    }
+
+    /**
+     * Heartbeat open streams and drop users with no streams and no history left
+     * @private
+     */
+    _startHeartbeat() {
+        if (this.heartbeat) return;
+
+        this.heartbeat = setInterval(() => {
+            for (const [userId, entry] of this.users) {
+                this._prune(entry);
+
+                if (entry.connections.size === 0 && entry.history.length === 0) {
+                    this.users.delete(userId);
+                    continue;
+                }
+
+                for (const connection of entry.connections) {
+                    connection.res.write(': heartbeat\n\n');
+                }
+            }
+
+            if (this.users.size === 0) this._stopHeartbeat();
+        }, this.config.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * @private
+     */
+    _stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
+
+module.exports = new RealtimeService();
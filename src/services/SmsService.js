@@ -0,0 +1,68 @@
+// services/SmsService.js
+const path = require('path');
+const ConsoleSmsProvider = require('./sms/ConsoleSmsProvider');
+const FileSmsProvider = require('./sms/FileSmsProvider');
+
+/**
+ * SMS Service
+ * - Sends text messages through a pluggable provider
+ * - Built-in stand-ins for local use: `console` (default) and `file`
+ *
+ * A provider is any object with `async send({ to, body })` that throws on
+ * failure. Set SMS_PROVIDER to `console`, `file`, or a path to a module
+ * exporting a provider class (constructed with no arguments), or call
+ * setProvider() at startup.
+ */
+class SmsService {
+    constructor() {
+        this.config = {
+            provider: process.env.SMS_PROVIDER || 'console',
+            filePath: process.env.SMS_FILE_PATH || path.join(process.cwd(), 'storage', 'sms.log')
+        };
+
+        this.provider = this._createProvider(this.config.provider);
+
+        if (process.env.NODE_ENV === 'production' && ['console', 'file'].includes(this.provider.name)) {
+            console.warn(`[SMS] Using the "${this.provider.name}" stand-in - text messages are not delivered.`);
+        }
+    }
+
+    /**
+     * Replace the provider (e.g. a vendor client configured at startup)
+     */
+    setProvider(provider) {
+        if (!provider || typeof provider.send !== 'function') {
+            throw new Error('SMS provider must implement send({ to, body })');
+        }
+        this.provider = provider;
+    }
+
+    /**
+     * Send a text message
+     * @param {string} to - E.164 phone number
+     */
+    async send(to, body) {
+        return await this.provider.send({ to, body });
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    _createProvider(name) {
+        if (name === 'console') return new ConsoleSmsProvider();
+        if (name === 'file') return new FileSmsProvider(this.config.filePath);
+
+        const Provider = require(path.resolve(name));
+        const provider = new Provider();
+
+        if (typeof provider.send !== 'function') {
+            throw new Error(`SMS provider "${name}" must implement send({ to, body })`);
+        }
+
+        return provider;
+    }
+}
+
+module.exports = new SmsService();
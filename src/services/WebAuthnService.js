@@ -0,0 +1,185 @@
+// services/WebAuthnService.js
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { WebAuthnCredential, WebAuthnChallenge } = require('../model');
+
+/**
+ * WebAuthn / Passkey Service
+ * - Registration and authentication ceremonies (@simplewebauthn/server)
+ * - Single-use challenges stored server-side
+ * - Signature counter updates
+ * - User verification (PIN / biometrics) is required, so a passkey is two
+ *   factors on its own and passkey sign-in skips the TOTP step
+ */
+class WebAuthnService {
+    constructor() {
+        this.rpName = process.env.WEBAUTHN_RP_NAME || 'ProtectEd';
+        this.rpID = process.env.WEBAUTHN_RP_ID || 'localhost';
+        // Comma-separated list, e.g. "https://app.protected.ph,https://admin.protected.ph"
+        this.origins = (process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:5000')
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Registration options for a signed-in user
+     */
+    async getRegistrationOptions(user) {
+        const existing = await WebAuthnCredential.findUserCredentials(user.id);
+
+        const options = await generateRegistrationOptions({
+            rpName: this.rpName,
+            rpID: this.rpID,
+            userName: user.email,
+            userDisplayName: user.name || user.email,
+            userID: Buffer.from(String(user.id)),
+            attestationType: 'none',
+            excludeCredentials: existing.map(c => ({
+                id: c.credential_id,
+                transports: c.transports || undefined
+            })),
+            authenticatorSelection: {
+                residentKey: 'preferred',
+                userVerification: 'required'
+            }
+        });
+
+        await WebAuthnChallenge.store(options.challenge, 'registration', user.id);
+
+        return options;
+    }
+
+    /**
+     * Verify registration response and save the new credential
+     */
+    async verifyRegistration(user, response, name = null) {
+        const challenge = await this._consumeChallenge(response, 'registration');
+
+        if (!challenge || challenge.user_id !== user.id) {
+            throw new Error('Passkey challenge invalid or expired');
+        }
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: this.origins,
+                expectedRPID: this.rpID,
+                requireUserVerification: true
+            });
+        } catch (error) {
+            throw new Error(`Passkey verification failed: ${error.message}`);
+        }
+
+        if (!verification.verified) {
+            throw new Error('Passkey verification failed');
+        }
+
+        const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+        return await WebAuthnCredential.create({
+            user_id: user.id,
+            credential_id: credential.id,
+            public_key: Buffer.from(credential.publicKey).toString('base64url'),
+            counter: credential.counter,
+            transports: credential.transports || null,
+            device_type: credentialDeviceType,
+            backed_up: credentialBackedUp,
+            name: name || null
+        });
+    }
+
+    /**
+     * Authentication options. Without a user, the browser offers discoverable passkeys.
+     */
+    async getAuthenticationOptions(user = null) {
+        const credentials = user ? await WebAuthnCredential.findUserCredentials(user.id) : [];
+
+        const options = await generateAuthenticationOptions({
+            rpID: this.rpID,
+            userVerification: 'required',
+            allowCredentials: credentials.map(c => ({
+                id: c.credential_id,
+                transports: c.transports || undefined
+            }))
+        });
+
+        await WebAuthnChallenge.store(options.challenge, 'authentication', user ? user.id : null);
+
+        return options;
+    }
+
+    /**
+     * Verify an authentication response
+     * @returns {Promise<WebAuthnCredential>} - Credential with `user` loaded
+     */
+    async verifyAuthentication(response) {
+        if (!response || !response.id) {
+            throw new Error('Passkey response is missing');
+        }
+
+        const credential = await WebAuthnCredential.findByCredentialId(response.id);
+        const challenge = await this._consumeChallenge(response, 'authentication');
+
+        if (!credential || !challenge) {
+            throw new Error('Passkey not recognized or challenge expired');
+        }
+
+        // Challenge was issued for a specific account
+        if (challenge.user_id && challenge.user_id !== credential.user_id) {
+            throw new Error('Passkey not recognized or challenge expired');
+        }
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: this.origins,
+                expectedRPID: this.rpID,
+                credential: credential.toWebAuthnCredential(),
+                requireUserVerification: true
+            });
+        } catch (error) {
+            throw new Error(`Passkey verification failed: ${error.message}`);
+        }
+
+        if (!verification.verified) {
+            throw new Error('Passkey verification failed');
+        }
+
+        credential.counter = verification.authenticationInfo.newCounter;
+        credential.backed_up = verification.authenticationInfo.credentialBackedUp;
+        credential.last_used_at = new Date();
+        await credential.save();
+
+        return credential;
+    }
+
+    /**
+     * Read the challenge echoed back in clientDataJSON and consume it
+     * @private
+     */
+    async _consumeChallenge(response, purpose) {
+        let clientData;
+        try {
+            clientData = JSON.parse(
+                Buffer.from(response.response.clientDataJSON, 'base64url').toString('utf8')
+            );
+        } catch (error) {
+            return null;
+        }
+
+        if (!clientData || typeof clientData.challenge !== 'string') return null;
+
+        return await WebAuthnChallenge.consume(clientData.challenge, purpose);
+    }
+}
+
+module.exports = new WebAuthnService();
@@ -0,0 +1,173 @@
+// services/email/EmailTemplates.js
+const en = require('./templates/en');
+const es = require('./templates/es');
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Marks a string as already-safe HTML so `html` does not escape it again
+ */
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escape text for HTML bodies and attributes
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * (null/undefined/false render as nothing, arrays are joined, nested `html` is kept)
+ */
+function html(strings, ...values) {
+    let out = strings[0];
+
+    values.forEach((value, i) => {
+        out += renderValue(value) + strings[i + 1];
+    });
+
+    return new SafeHtml(out);
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+
+    return escapeHtml(value);
+}
+
+/**
+ * Date and time in the reader's language (UTC)
+ */
+function formatDate(date, locale) {
+    return new Intl.DateTimeFormat(locale, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: 'UTC',
+        timeZoneName: 'short'
+    }).format(new Date(date));
+}
+
+/**
+ * Email Template Registry
+ * - Named templates with subject, HTML and plain-text bodies
+ * - Values interpolated into HTML are escaped (see `html`)
+ * - Per-locale variants; a template missing in a locale falls back to English
+ *
+ * A locale file exports `(helpers) => ({ name: { subject, html, text } })`,
+ * each part a function of the template variables. Helpers: { html, formatDate, locale }.
+ * The `layout` template wraps every body and receives { subject, html, text }.
+ */
+class EmailTemplates {
+    constructor() {
+        this.templates = new Map(); // locale -> Map(name -> template)
+
+        this.registerLocale('en', en);
+        this.registerLocale('es', es);
+    }
+
+    /**
+     * Locales with at least one template
+     */
+    get locales() {
+        return [...this.templates.keys()];
+    }
+
+    /**
+     * Add (or replace) one template for a locale
+     */
+    register(locale, name, template) {
+        for (const part of ['subject', 'html', 'text']) {
+            if (typeof template[part] !== 'function') {
+                throw new Error(`Email template "${name}" (${locale}) is missing ${part}()`);
+            }
+        }
+
+        if (!this.templates.has(locale)) this.templates.set(locale, new Map());
+        this.templates.get(locale).set(name, template);
+    }
+
+    /**
+     * Add every template from a locale file
+     */
+    registerLocale(locale, factory) {
+        const helpers = { html, formatDate: (date) => formatDate(date, locale), locale };
+
+        for (const [name, template] of Object.entries(factory(helpers))) {
+            this.register(locale, name, template);
+        }
+    }
+
+    has(name) {
+        return this.templates.get(DEFAULT_LOCALE).has(name);
+    }
+
+    /**
+     * Escape text for HTML - shared with other HTML output (data export report)
+     */
+    escapeHtml(value) {
+        return escapeHtml(value);
+    }
+
+    /**
+     * Best supported locale for a stored or requested value ('es-MX' -> 'es')
+     */
+    resolveLocale(value) {
+        if (!value) return DEFAULT_LOCALE;
+
+        const requested = String(value);
+        if (this.templates.has(requested)) return requested;
+
+        const language = requested.split('-')[0].toLowerCase();
+        return this.templates.has(language) ? language : DEFAULT_LOCALE;
+    }
+
+    /**
+     * Render a template
+     * @returns {Object} - { subject, html, text, locale } - locale actually used
+     */
+    render(name, locale, vars = {}) {
+        let resolved = this.resolveLocale(locale);
+        let template = this.templates.get(resolved).get(name);
+
+        if (!template) {
+            resolved = DEFAULT_LOCALE;
+            template = this.templates.get(DEFAULT_LOCALE).get(name);
+        }
+
+        if (!template) {
+            throw new Error(`Unknown email template: ${name}`);
+        }
+
+        const layout = this.templates.get(resolved).get('layout') || this.templates.get(DEFAULT_LOCALE).get('layout');
+        const subject = template.subject(vars);
+        const body = { subject, html: template.html(vars), text: template.text(vars) };
+
+        return {
+            subject: `${subject} - ProtectEd`,
+            html: String(layout.html(body)),
+            text: layout.text(body),
+            locale: resolved
+        };
+    }
+}
+
+module.exports = new EmailTemplates();
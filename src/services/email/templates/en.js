@@ -0,0 +1,154 @@
+// services/email/templates/en.js
+module.exports = ({ html, formatDate }) => ({
+    layout: {
+        subject: ({ subject }) => subject,
+        html: ({ subject, html: body }) => html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${subject}</title></head>
+<body style="font-family: Arial, sans-serif; line-height: 1.5; color: #1f2933;">
+${body}
+<p style="color: #7b8794; font-size: 12px;">ProtectEd</p>
+</body>
+</html>`,
+        text: ({ text }) => `${text}\n\n-- \nProtectEd`
+    },
+
+    verify_email: {
+        subject: () => 'Verify your email',
+        html: ({ name, url }) => html`<h1>Welcome${name && html`, ${name}`}!</h1>
+<p>Please verify your email by clicking the link below:</p>
+<p><a href="${url}">Verify Email</a></p>`,
+        text: ({ name, url }) => `Welcome${name ? `, ${name}` : ''}!\n\nPlease verify your email by opening this link:\n${url}`
+    },
+
+    password_reset: {
+        subject: () => 'Reset your password',
+        html: ({ url }) => html`<p>You requested a password reset. Click the link below to proceed:</p>
+<p><a href="${url}">Reset Password</a></p>
+<p>This link expires in 1 hour. If you didn't request it, you can ignore this email.</p>`,
+        text: ({ url }) => `You requested a password reset. Open this link to proceed:\n${url}\n\nThis link expires in 1 hour. If you didn't request it, you can ignore this email.`
+    },
+
+    account_locked: {
+        subject: () => 'Your account has been locked',
+        html: ({ locked_until, url }) => html`<p>We locked your account after several failed sign-in attempts.</p>
+<p>It will unlock automatically at ${formatDate(locked_until)}, or you can unlock it now:</p>
+<p><a href="${url}">Unlock Account</a></p>
+<p>If these attempts weren't you, unlock your account and change your password.</p>`,
+        text: ({ locked_until, url }) => `We locked your account after several failed sign-in attempts.\n\nIt will unlock automatically at ${formatDate(locked_until)}, or you can unlock it now:\n${url}\n\nIf these attempts weren't you, unlock your account and change your password.`
+    },
+
+    magic_link: {
+        subject: () => 'Your sign-in link',
+        html: ({ url }) => html`<p>Click the link below to sign in. It works once, on the device where you requested it.</p>
+<p><a href="${url}">Sign In</a></p>
+<p>This link expires in 15 minutes. If you didn't request it, you can ignore this email.</p>`,
+        text: ({ url }) => `Open this link to sign in. It works once, on the device where you requested it:\n${url}\n\nThis link expires in 15 minutes. If you didn't request it, you can ignore this email.`
+    },
+
+    token_reuse_alert: {
+        subject: () => 'Security alert: suspicious sign-in activity',
+        html: ({ ip_address, url }) => html`<p>We noticed an old sign-in token for your account being used again${ip_address && html` from ${ip_address}`}. This can mean someone copied it from one of your devices.</p>
+<p>To protect you, we signed that device out. If you don't recognize this, change your password and review your sessions:</p>
+<p><a href="${url}">Review Security Settings</a></p>`,
+        text: ({ ip_address, url }) => `We noticed an old sign-in token for your account being used again${ip_address ? ` from ${ip_address}` : ''}. This can mean someone copied it from one of your devices.\n\nTo protect you, we signed that device out. If you don't recognize this, change your password and review your sessions:\n${url}`
+    },
+
+    email_change_confirm: {
+        subject: () => 'Confirm your new email address',
+        html: ({ name, url }) => html`<p>Hi${name && html` ${name}`}, please confirm this is your new email address by clicking the link below:</p>
+<p><a href="${url}">Confirm Email Change</a></p>
+<p>This link expires in 24 hours. Your email will not change until you confirm.</p>`,
+        text: ({ name, url }) => `Hi${name ? ` ${name}` : ''}, please confirm this is your new email address by opening this link:\n${url}\n\nThis link expires in 24 hours. Your email will not change until you confirm.`
+    },
+
+    email_change_requested: {
+        subject: () => 'Email change requested',
+        html: ({ new_email, url }) => html`<p>Someone asked to change the email on your account to <strong>${new_email}</strong>.</p>
+<p>If this wasn't you, cancel the change and sign out all devices:</p>
+<p><a href="${url}">Cancel Email Change</a></p>
+<p>Then reset your password.</p>`,
+        text: ({ new_email, url }) => `Someone asked to change the email on your account to ${new_email}.\n\nIf this wasn't you, cancel the change and sign out all devices:\n${url}\n\nThen reset your password.`
+    },
+
+    email_changed: {
+        subject: () => 'Your email address was changed',
+        html: ({ new_email }) => html`<p>The email on your account has been changed to <strong>${new_email}</strong> and all other devices were signed out.</p>
+<p>If this wasn't you, contact support immediately.</p>`,
+        text: ({ new_email }) => `The email on your account has been changed to ${new_email} and all other devices were signed out.\n\nIf this wasn't you, contact support immediately.`
+    },
+
+    guardian_consent_request: {
+        subject: () => 'Your consent is needed',
+        html: ({ guardian_name, ward_name, consent_age, url }) => html`<p>Hi ${guardian_name},</p>
+<p><strong>${ward_name}</strong> listed you as their parent or guardian on ProtectEd. Because they are under ${consent_age}, some features stay locked until you give your consent.</p>
+<p><a href="${url}">Review and Respond</a></p>
+<p>This link expires in 7 days. If you don't know this person, you can ignore this email.</p>`,
+        text: ({ guardian_name, ward_name, consent_age, url }) => `Hi ${guardian_name},\n\n${ward_name} listed you as their parent or guardian on ProtectEd. Because they are under ${consent_age}, some features stay locked until you give your consent.\n\nReview and respond:\n${url}\n\nThis link expires in 7 days. If you don't know this person, you can ignore this email.`
+    },
+
+    guardian_consent_granted: {
+        subject: () => 'Consent recorded',
+        html: ({ ward_name, granted_at, url }) => html`<p>Thank you. We recorded your consent for <strong>${ward_name}</strong> on ${formatDate(granted_at)}.</p>
+<p>You can withdraw your consent at any time. Keep this email - the link below stays valid for a year:</p>
+<p><a href="${url}">Withdraw Consent</a></p>`,
+        text: ({ ward_name, granted_at, url }) => `Thank you. We recorded your consent for ${ward_name} on ${formatDate(granted_at)}.\n\nYou can withdraw your consent at any time. Keep this email - the link below stays valid for a year:\n${url}`
+    },
+
+    guardian_invite: {
+        subject: () => 'You have been invited to the guardian portal',
+        html: ({ guardian_name, ward_name, url }) => html`<p>Hi ${guardian_name},</p>
+<p><strong>${ward_name}</strong> invited you to the ProtectEd guardian portal, where you can follow their progress, see safety alerts and manage consent.</p>
+<p><a href="${url}">Accept Invite</a></p>
+<p>This link expires in 7 days. If you already have an account with this email, sign in first.</p>`,
+        text: ({ guardian_name, ward_name, url }) => `Hi ${guardian_name},\n\n${ward_name} invited you to the ProtectEd guardian portal, where you can follow their progress, see safety alerts and manage consent.\n\nAccept the invite:\n${url}\n\nThis link expires in 7 days. If you already have an account with this email, sign in first.`
+    },
+
+    guardian_contact_verification: {
+        subject: () => 'Confirm your email address',
+        html: ({ guardian_name, ward_name, code, url, expires_minutes }) => html`<p>Hi ${guardian_name},</p>
+<p><strong>${ward_name}</strong> added this address as a guardian contact on ProtectEd. We use it for safety alerts.</p>
+<p>Confirm it by clicking the link below, or give them this code: <strong>${code}</strong></p>
+<p><a href="${url}">Confirm Email</a></p>
+<p>The code expires in ${expires_minutes} minutes. If you don't know this person, you can ignore this email.</p>`,
+        text: ({ guardian_name, ward_name, code, url, expires_minutes }) => `Hi ${guardian_name},\n\n${ward_name} added this address as a guardian contact on ProtectEd. We use it for safety alerts.\n\nConfirm it by opening this link, or give them this code: ${code}\n${url}\n\nThe code expires in ${expires_minutes} minutes. If you don't know this person, you can ignore this email.`
+    },
+
+    guardian_alert: {
+        subject: () => 'Safety alert',
+        html: ({ guardian_name, ward_name, message }) => html`<p>Hi ${guardian_name},</p>
+<p>${message}</p>
+<p>This concerns <strong>${ward_name}</strong>, who listed you as a guardian.</p>`,
+        text: ({ guardian_name, ward_name, message }) => `Hi ${guardian_name},\n\n${message}\n\nThis concerns ${ward_name}, who listed you as a guardian.`
+    },
+
+    notification: {
+        subject: ({ title }) => title,
+        html: ({ name, body, url }) => html`<p>Hi${name && html` ${name}`},</p>
+${body && html`<p>${body}</p>`}
+<p><a href="${url}">Open ProtectEd</a></p>
+<p>You can choose which emails you get in your notification settings.</p>`,
+        text: ({ name, body, url }) => `Hi${name ? ` ${name}` : ''},\n\n${body ? `${body}\n\n` : ''}Open ProtectEd:\n${url}\n\nYou can choose which emails you get in your notification settings.`
+    },
+
+    data_export_ready: {
+        subject: () => 'Your data export is ready',
+        html: ({ name, expires_at, url }) => html`<p>Hi${name && html` ${name}`}, the copy of your ProtectEd data you asked for is ready.</p>
+<p><a href="${url}">Download Your Data</a></p>
+<p>This link expires in 24 hours and the file is deleted on ${formatDate(expires_at)}. You can get a new link from your account settings until then.</p>
+<p>If you didn't ask for this, change your password and review your sessions.</p>`,
+        text: ({ name, expires_at, url }) => `Hi${name ? ` ${name}` : ''}, the copy of your ProtectEd data you asked for is ready.\n\nDownload it here:\n${url}\n\nThis link expires in 24 hours and the file is deleted on ${formatDate(expires_at)}. You can get a new link from your account settings until then.\n\nIf you didn't ask for this, change your password and review your sessions.`
+    },
+
+    notification_digest: {
+        subject: ({ frequency }) => frequency === 'weekly' ? 'Your week on ProtectEd' : 'Your day on ProtectEd',
+        html: ({ name, items, more, url, settings_url, unsubscribe_urls }) => html`<p>Hi${name && html` ${name}`}, here is what you missed:</p>
+<ul>
+${items.map(item => html`<li><a href="${item.url}"><strong>${item.title}</strong></a>${item.body && html`<br>${item.body}`}</li>
+`)}</ul>
+${more > 0 && html`<p>...and ${more} more.</p>`}
+<p><a href="${url}">Open ProtectEd</a></p>
+<p style="color: #7b8794; font-size: 12px;">Unsubscribe from <a href="${unsubscribe_urls.module_reminders}">module reminders</a>, <a href="${unsubscribe_urls.platform_updates}">platform updates</a> or <a href="${unsubscribe_urls.all}">all notification emails</a>. Change how often you get this email in your <a href="${settings_url}">notification settings</a>.</p>`,
+        text: ({ name, items, more, url, settings_url, unsubscribe_urls }) => `Hi${name ? ` ${name}` : ''}, here is what you missed:\n\n${items.map(item => `- ${item.title}${item.body ? `\n  ${item.body}` : ''}\n  ${item.url}`).join('\n')}${more > 0 ? `\n\n...and ${more} more.` : ''}\n\nOpen ProtectEd:\n${url}\n\nUnsubscribe from module reminders: ${unsubscribe_urls.module_reminders}\nUnsubscribe from platform updates: ${unsubscribe_urls.platform_updates}\nUnsubscribe from all notification emails: ${unsubscribe_urls.all}\nChange how often you get this email: ${settings_url}`
+    }
+});
@@ -0,0 +1,58 @@
+// services/email/templates/es.js
+// Templates not listed here are sent in English
+module.exports = ({ html, formatDate }) => ({
+    layout: {
+        subject: ({ subject }) => subject,
+        html: ({ subject, html: body }) => html`<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>${subject}</title></head>
+<body style="font-family: Arial, sans-serif; line-height: 1.5; color: #1f2933;">
+${body}
+<p style="color: #7b8794; font-size: 12px;">ProtectEd</p>
+</body>
+</html>`,
+        text: ({ text }) => `${text}\n\n-- \nProtectEd`
+    },
+
+    verify_email: {
+        subject: () => 'Verifica tu correo electrónico',
+        html: ({ name, url }) => html`<h1>¡Te damos la bienvenida${name && html`, ${name}`}!</h1>
+<p>Verifica tu correo electrónico haciendo clic en el siguiente enlace:</p>
+<p><a href="${url}">Verificar correo</a></p>`,
+        text: ({ name, url }) => `¡Te damos la bienvenida${name ? `, ${name}` : ''}!\n\nVerifica tu correo electrónico abriendo este enlace:\n${url}`
+    },
+
+    password_reset: {
+        subject: () => 'Restablece tu contraseña',
+        html: ({ url }) => html`<p>Solicitaste restablecer tu contraseña. Haz clic en el siguiente enlace para continuar:</p>
+<p><a href="${url}">Restablecer contraseña</a></p>
+<p>Este enlace caduca en 1 hora. Si no lo solicitaste, puedes ignorar este correo.</p>`,
+        text: ({ url }) => `Solicitaste restablecer tu contraseña. Abre este enlace para continuar:\n${url}\n\nEste enlace caduca en 1 hora. Si no lo solicitaste, puedes ignorar este correo.`
+    },
+
+    account_locked: {
+        subject: () => 'Tu cuenta ha sido bloqueada',
+        html: ({ locked_until, url }) => html`<p>Bloqueamos tu cuenta después de varios intentos fallidos de inicio de sesión.</p>
+<p>Se desbloqueará automáticamente el ${formatDate(locked_until)}, o puedes desbloquearla ahora:</p>
+<p><a href="${url}">Desbloquear cuenta</a></p>
+<p>Si no fuiste tú, desbloquea tu cuenta y cambia tu contraseña.</p>`,
+        text: ({ locked_until, url }) => `Bloqueamos tu cuenta después de varios intentos fallidos de inicio de sesión.\n\nSe desbloqueará automáticamente el ${formatDate(locked_until)}, o puedes desbloquearla ahora:\n${url}\n\nSi no fuiste tú, desbloquea tu cuenta y cambia tu contraseña.`
+    },
+
+    magic_link: {
+        subject: () => 'Tu enlace de inicio de sesión',
+        html: ({ url }) => html`<p>Haz clic en el siguiente enlace para iniciar sesión. Funciona una sola vez, en el dispositivo donde lo solicitaste.</p>
+<p><a href="${url}">Iniciar sesión</a></p>
+<p>Este enlace caduca en 15 minutos. Si no lo solicitaste, puedes ignorar este correo.</p>`,
+        text: ({ url }) => `Abre este enlace para iniciar sesión. Funciona una sola vez, en el dispositivo donde lo solicitaste:\n${url}\n\nEste enlace caduca en 15 minutos. Si no lo solicitaste, puedes ignorar este correo.`
+    },
+
+    guardian_consent_request: {
+        subject: () => 'Necesitamos tu consentimiento',
+        html: ({ guardian_name, ward_name, consent_age, url }) => html`<p>Hola, ${guardian_name}:</p>
+<p><strong>${ward_name}</strong> te indicó como su madre, padre o tutor en ProtectEd. Como tiene menos de ${consent_age} años, algunas funciones permanecen bloqueadas hasta que des tu consentimiento.</p>
+<p><a href="${url}">Revisar y responder</a></p>
+<p>Este enlace caduca en 7 días. Si no conoces a esta persona, puedes ignorar este correo.</p>`,
+        text: ({ guardian_name, ward_name, consent_age, url }) => `Hola, ${guardian_name}:\n\n${ward_name} te indicó como su madre, padre o tutor en ProtectEd. Como tiene menos de ${consent_age} años, algunas funciones permanecen bloqueadas hasta que des tu consentimiento.\n\nRevisar y responder:\n${url}\n\nEste enlace caduca en 7 días. Si no conoces a esta persona, puedes ignorar este correo.`
+    }
+});
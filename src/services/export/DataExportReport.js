@@ -0,0 +1,107 @@
+// services/export/DataExportReport.js
+const { escapeHtml } = require('../email/EmailTemplates');
+
+// Section key in the export data -> heading in the report
+const SECTION_TITLES = {
+    account: 'Account',
+    profile: 'Profile',
+    guardians: 'Guardians',
+    guardian_of: 'Accounts you are a guardian for',
+    privacy_settings: 'Privacy settings',
+    notification_preferences: 'Notification preferences',
+    sessions: 'Sign-in history',
+    files: 'Uploaded files',
+    lesson_progress: 'Lesson progress',
+    quiz_attempts: 'Quiz attempts',
+    classes: 'Classes you joined',
+    badges: 'Badges',
+    activity_days: 'Days you were learning',
+    xp_history: 'XP history',
+    streak_freezes: 'Streak freezes'
+};
+
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return '<span class="empty">-</span>';
+    if (value instanceof Date) return escapeHtml(value.toISOString());
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'object') return `<code>${escapeHtml(JSON.stringify(value))}</code>`;
+
+    return escapeHtml(value);
+}
+
+function label(key) {
+    return escapeHtml(key.replace(/_/g, ' ').replace(/^./, c => c.toUpperCase()));
+}
+
+function renderRecord(record) {
+    const rows = Object.entries(record)
+        .map(([key, value]) => `<tr><th>${label(key)}</th><td>${formatValue(value)}</td></tr>`)
+        .join('\n');
+
+    return `<table class="record">\n${rows}\n</table>`;
+}
+
+function renderList(records) {
+    if (records.length === 0) return '<p class="empty">Nothing to show.</p>';
+
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    const head = columns.map(column => `<th>${label(column)}</th>`).join('');
+    const body = records
+        .map(record => `<tr>${columns.map(column => `<td>${formatValue(record[column])}</td>`).join('')}</tr>`)
+        .join('\n');
+
+    return `<table class="list">\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function renderSection(key, value) {
+    let content;
+
+    if (Array.isArray(value)) {
+        content = renderList(value);
+    } else if (value) {
+        content = renderRecord(value);
+    } else {
+        content = '<p class="empty">Nothing to show.</p>';
+    }
+
+    return `<section>\n<h2>${escapeHtml(SECTION_TITLES[key] || label(key))}</h2>\n${content}\n</section>`;
+}
+
+/**
+ * Human-readable copy of a data export (data.json holds the same data)
+ * @param {Object} data - Export sections, see DataExportService
+ * @param {Object} options - { generatedAt, avatarPath } - avatarPath is the
+ *   avatar's path inside the archive, when there is one
+ * @returns {string}
+ */
+function renderReport(data, { generatedAt, avatarPath = null }) {
+    const sections = Object.entries(data)
+        .map(([key, value]) => renderSection(key, value))
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Your ProtectEd data</title>
+<style>
+body { font-family: Arial, sans-serif; line-height: 1.5; color: #1f2933; margin: 2rem; }
+table { border-collapse: collapse; margin-bottom: 1rem; }
+th, td { border: 1px solid #cbd2d9; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+table.record th { background: #f5f7fa; width: 16rem; }
+table.list thead th { background: #f5f7fa; }
+.empty { color: #9aa5b1; }
+img.avatar { width: 120px; height: 120px; border-radius: 50%; }
+</style>
+</head>
+<body>
+<h1>Your ProtectEd data</h1>
+<p>Generated ${escapeHtml(generatedAt.toISOString())}. The same data is in <code>data.json</code> in this archive.</p>
+${avatarPath ? `<p><img class="avatar" src="${escapeHtml(avatarPath)}" alt="Your avatar"></p>` : ''}
+${sections}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReport };
@@ -0,0 +1,114 @@
+// services/export/ZipWriter.js
+const zlib = require('zlib');
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * DOS date/time fields used by ZIP headers
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Minimal in-memory ZIP writer (deflate, UTF-8 names, no ZIP64)
+ * Enough for data exports, which stay well under 4GB and 65535 entries.
+ *
+ * Usage:
+ *   const zip = new ZipWriter();
+ *   zip.add('data.json', JSON.stringify(data));
+ *   const buffer = zip.toBuffer();
+ */
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path inside the archive, e.g. 'files/avatar.jpg'
+     * @param {Buffer|string} content
+     */
+    add(name, content, { date = new Date() } = {}) {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+
+        this.entries.push({
+            name: Buffer.from(name, 'utf8'),
+            crc: crc32(data),
+            size: data.length,
+            compressed: zlib.deflateRawSync(data),
+            ...dosDateTime(date)
+        });
+
+        return this;
+    }
+
+    toBuffer() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4); // Version needed
+            local.writeUInt16LE(0x0800, 6); // UTF-8 names
+            local.writeUInt16LE(8, 8); // Deflate
+            local.writeUInt16LE(entry.time, 10);
+            local.writeUInt16LE(entry.date, 12);
+            local.writeUInt32LE(entry.crc, 14);
+            local.writeUInt32LE(entry.compressed.length, 18);
+            local.writeUInt32LE(entry.size, 22);
+            local.writeUInt16LE(entry.name.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4); // Version made by
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(0x0800, 8);
+            header.writeUInt16LE(8, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressed.length, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            header.writeUInt32LE(offset, 42);
+
+            parts.push(local, entry.name, entry.compressed);
+            central.push(header, entry.name);
+            offset += local.length + entry.name.length + entry.compressed.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(centralSize, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...parts, ...central, end]);
+    }
+}
+
+module.exports = ZipWriter;
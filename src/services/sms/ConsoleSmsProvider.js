@@ -0,0 +1,17 @@
+// services/sms/ConsoleSmsProvider.js
+
+/**
+ * Local stand-in: prints messages instead of sending them
+ */
+class ConsoleSmsProvider {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send({ to, body }) {
+        console.log(`[SMS] To ${to}: ${body}`);
+        return { id: null };
+    }
+}
+
+module.exports = ConsoleSmsProvider;
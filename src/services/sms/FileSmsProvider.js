@@ -0,0 +1,25 @@
+// services/sms/FileSmsProvider.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local stand-in: appends messages to a file (one JSON object per line)
+ * so codes can be read back in development and tests
+ */
+class FileSmsProvider {
+    constructor(filePath) {
+        this.name = 'file';
+        this.filePath = filePath;
+    }
+
+    async send({ to, body }) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(
+            this.filePath,
+            JSON.stringify({ to, body, sent_at: new Date().toISOString() }) + '\n'
+        );
+        return { id: null };
+    }
+}
+
+module.exports = FileSmsProvider;
@@ -0,0 +1,48 @@
+// tests/controller/AdminController.users.test.js
+const { Op } = require('sequelize');
+
+jest.mock('../../src/model', () => ({
+    User: { findAndCountAll: jest.fn() },
+    Session: {},
+    SecurityEvent: {},
+    AuditLog: {},
+    Permission: {},
+    RolePermission: {},
+    UserPermission: {},
+    EmailOutbox: {},
+    sequelize: { Sequelize: require('sequelize') }
+}));
+jest.mock('../../src/services/JwtService', () => ({}));
+jest.mock('../../src/services/EmailService', () => ({}));
+jest.mock('../../src/services/AuditService', () => ({}));
+jest.mock('../../src/services/PermissionService', () => ({}));
+jest.mock('../../src/services/RealtimeService', () => ({}));
+
+const { User } = require('../../src/model');
+const adminController = require('../../src/controller/AdminController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+describe('AdminController - user search', () => {
+    const next = jest.fn(error => { throw error; });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        User.findAndCountAll.mockResolvedValue({ rows: [], count: 0 });
+    });
+
+    const searchWhere = async (query) => {
+        await adminController.getUsers(mockRequest({ query }), mockResponse(), next);
+        return User.findAndCountAll.mock.calls[0][0].where;
+    };
+
+    test('the local provider filter matches accounts stored with no provider or as local', async () => {
+        const where = await searchWhere({ provider: 'local', search: 'sam' });
+
+        expect(where.provider).toEqual({ [Op.or]: [null, 'local'] });
+        expect(where[Op.or]).toHaveLength(2); // The search is kept alongside
+    });
+
+    test('other providers match exactly', async () => {
+        expect((await searchWhere({ provider: 'google' })).provider).toBe('google');
+    });
+});
@@ -0,0 +1,211 @@
+// tests/controller/AuthController.mfa.test.js
+jest.mock('../../src/model', () => ({
+    User: {
+        scope: jest.fn(),
+        findOne: jest.fn(),
+        findByPk: jest.fn(),
+        findByEmail: jest.fn(),
+        create: jest.fn(),
+        claimMfaStep: jest.fn()
+    },
+    UserProfile: {},
+    MfaRecoveryCode: {},
+    MagicLinkToken: {
+        findOne: jest.fn(),
+        consume: jest.fn()
+    },
+    LoginAttempt: {},
+    AuditLog: {},
+    sequelize: {}
+}));
+jest.mock('../../src/services/JwtService', () => ({
+    issueTokens: jest.fn(),
+    generateMfaPendingToken: jest.fn(() => 'mfa-pending-token'),
+    verifyActionToken: jest.fn()
+}));
+jest.mock('../../src/middleware/AuthMiddleware', () => ({
+    getDeviceInfo: () => ({ ip_address: '127.0.0.1', user_agent: 'jest', device_name: 'Unknown Device' })
+}));
+jest.mock('../../src/services/EmailService', () => ({}));
+jest.mock('../../src/services/OAuthService', () => ({
+    exchangeCode: jest.fn(),
+    verifyIdToken: jest.fn()
+}));
+jest.mock('../../src/services/TotpService', () => ({
+    decryptSecret: jest.fn(secret => secret),
+    verifyCode: jest.fn()
+}));
+jest.mock('../../src/services/LoginThrottleService', () => ({
+    checkIp: jest.fn(async () => ({ blocked: false, retryAfter: 0 })),
+    checkAccount: jest.fn(() => ({ locked: false, lockedUntil: null, throttled: false, retryAfter: 0 })),
+    recordFailure: jest.fn(async () => ({ locked: false, lockedUntil: null, justLocked: false })),
+    recordSuccess: jest.fn()
+}));
+jest.mock('../../src/services/PasswordPolicyService', () => ({}));
+jest.mock('../../src/services/AuditService', () => ({}));
+jest.mock('../../src/services/PermissionService', () => ({}));
+jest.mock('../../src/services/GuardianConsentService', () => ({}));
+jest.mock('../../src/services/WebAuthnService', () => ({}));
+
+const { User, MagicLinkToken } = require('../../src/model');
+const jwtService = require('../../src/services/JwtService');
+const oauthService = require('../../src/services/OAuthService');
+const totpService = require('../../src/services/TotpService');
+const loginThrottleService = require('../../src/services/LoginThrottleService');
+const authController = require('../../src/controller/AuthController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const mfaUser = (overrides = {}) => ({
+    id: 7,
+    email: 'learner@example.com',
+    password: 'hash',
+    provider: 'google',
+    provider_id: 'google-7',
+    email_verified_at: new Date(),
+    password_reset_required: false,
+    validatePassword: jest.fn(async () => true),
+    isSuspended: () => false,
+    canSignIn: () => true,
+    hasVerifiedEmail: () => true,
+    hasMfaEnabled: () => true,
+    save: jest.fn(),
+    updateLastLogin: jest.fn(),
+    ...overrides
+});
+
+const expectChallenge = (res, authMethod) => {
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        mfa_required: true,
+        mfa_token: 'mfa-pending-token'
+    }));
+    expect(jwtService.generateMfaPendingToken).toHaveBeenCalledWith(expect.objectContaining({ id: 7 }), ...(authMethod ? [authMethod] : []));
+    expect(jwtService.issueTokens).not.toHaveBeenCalled();
+    expect(res.cookie).not.toHaveBeenCalledWith('refresh_token', expect.anything(), expect.anything());
+};
+
+describe('AuthController - MFA challenge on every sign-in path', () => {
+    const next = jest.fn(error => { throw error; });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('password login returns a challenge instead of tokens', async () => {
+        const user = mfaUser();
+        User.scope.mockReturnValue({ findOne: jest.fn(async () => user) });
+        const res = mockResponse();
+
+        await authController.login(mockRequest({ body: { email: user.email, password: 'secret' } }), res, next);
+
+        expectChallenge(res);
+    });
+
+    test('magic link returns a challenge instead of tokens', async () => {
+        const user = mfaUser();
+        jwtService.verifyActionToken.mockReturnValue({ id: 7, jti: 'link-jti' });
+        MagicLinkToken.findOne.mockResolvedValue({
+            id: 1,
+            user_id: 7,
+            isUsable: () => true,
+            matchesDevice: () => true
+        });
+        MagicLinkToken.consume.mockResolvedValue(true);
+        User.findByPk.mockResolvedValue(user);
+        const res = mockResponse();
+
+        await authController.consumeMagicLink(mockRequest({ body: { token: 'link' } }), res, next);
+
+        expectChallenge(res, 'magic_link');
+    });
+
+    test('OAuth callback redirects with a challenge instead of setting a session', async () => {
+        process.env.FRONTEND_URL = 'https://app.example.com';
+        const user = mfaUser();
+        jwtService.verifyActionToken.mockReturnValue({ provider: 'google', state: 'state-1', code_verifier: 'v', nonce: 'n' });
+        oauthService.exchangeCode.mockResolvedValue('id-token');
+        oauthService.verifyIdToken.mockResolvedValue({ provider: 'google', provider_id: 'google-7' });
+        User.findOne.mockResolvedValue(user);
+        const res = mockResponse();
+
+        await authController.oauthCallback(mockRequest({
+            params: { provider: 'google' },
+            query: { code: 'code-1', state: 'state-1' },
+            cookies: { oauth_state: 'state-cookie' }
+        }), res);
+
+        const redirect = new URL(res.redirect.mock.calls[0][0]);
+        expect(redirect.searchParams.get('status')).toBe('mfa_required');
+        expect(redirect.searchParams.get('mfa_token')).toBe('mfa-pending-token');
+        expect(jwtService.generateMfaPendingToken).toHaveBeenCalledWith(user, 'oauth');
+        expect(jwtService.issueTokens).not.toHaveBeenCalled();
+    });
+
+    test('OAuth ID token sign-in returns a challenge instead of tokens', async () => {
+        const user = mfaUser();
+        oauthService.verifyIdToken.mockResolvedValue({ provider: 'google', provider_id: 'google-7' });
+        User.findOne.mockResolvedValue(user);
+        const res = mockResponse();
+
+        await authController.oauthToken(mockRequest({
+            params: { provider: 'google' },
+            body: { id_token: 'id-token' }
+        }), res, next);
+
+        expectChallenge(res, 'oauth');
+    });
+
+    test('OAuth account linking saves the link but returns a challenge instead of tokens', async () => {
+        const user = mfaUser({ provider: null, provider_id: null });
+        jwtService.verifyActionToken.mockReturnValue({ id: 7, provider: 'google', provider_id: 'google-7' });
+        User.scope.mockReturnValue({ findByPk: jest.fn(async () => user) });
+        const res = mockResponse();
+
+        await authController.oauthLink(mockRequest({ body: { link_token: 'link', password: 'secret' } }), res, next);
+
+        expect(user.save).toHaveBeenCalled();
+        expect(user.provider_id).toBe('google-7');
+        expectChallenge(res, 'oauth');
+    });
+});
+
+describe('AuthController - verifyMfa', () => {
+    const next = jest.fn(error => { throw error; });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jwtService.verifyActionToken.mockReturnValue({ id: 7, auth_method: 'password' });
+        jwtService.issueTokens.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+        totpService.verifyCode.mockReturnValue(100);
+    });
+
+    const verify = async (user) => {
+        User.scope.mockReturnValue({ findByPk: jest.fn(async () => user) });
+        const res = mockResponse();
+        await authController.verifyMfa(mockRequest({ body: { mfa_token: 'mfa-pending-token', code: '123456' } }), res, next);
+        return res;
+    };
+
+    const signedInUser = () => mfaUser({ mfa_secret: 'secret', mfa_last_used_step: 99, toSafeJSON: () => ({ id: 7 }) });
+
+    test('a valid code spends its time step and signs in', async () => {
+        User.claimMfaStep.mockResolvedValue(true);
+
+        const res = await verify(signedInUser());
+
+        expect(User.claimMfaStep).toHaveBeenCalledWith(7, 100);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Login successful', token: 'access' }));
+    });
+
+    test('a code whose step another request already spent is refused and counted', async () => {
+        User.claimMfaStep.mockResolvedValue(false);
+
+        const res = await verify(signedInUser());
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_MFA_CODE' }));
+        expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(
+            expect.objectContaining({ id: 7 }), 'learner@example.com', expect.any(Object), 'invalid_mfa_code', 'mfa'
+        );
+        expect(jwtService.issueTokens).not.toHaveBeenCalled();
+    });
+});
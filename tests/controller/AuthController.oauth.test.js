@@ -0,0 +1,182 @@
+// tests/controller/AuthController.oauth.test.js
+jest.mock('../../src/model', () => ({
+    User: {
+        scope: jest.fn(),
+        findOne: jest.fn(),
+        findByPk: jest.fn(),
+        findByEmail: jest.fn(),
+        create: jest.fn()
+    },
+    UserProfile: {},
+    MfaRecoveryCode: {},
+    MagicLinkToken: {},
+    LoginAttempt: {},
+    AuditLog: {},
+    sequelize: {}
+}));
+jest.mock('../../src/services/JwtService', () => ({
+    issueTokens: jest.fn(async () => ({ accessToken: 'access', refreshToken: 'refresh' })),
+    generateMfaPendingToken: jest.fn(() => 'mfa-pending-token'),
+    generateAccountLinkToken: jest.fn(() => 'link-token'),
+    verifyActionToken: jest.fn()
+}));
+jest.mock('../../src/middleware/AuthMiddleware', () => ({
+    getDeviceInfo: () => ({ ip_address: '127.0.0.1', user_agent: 'jest', device_name: 'Unknown Device' })
+}));
+jest.mock('../../src/services/EmailService', () => ({}));
+jest.mock('../../src/services/TotpService', () => ({}));
+jest.mock('../../src/services/LoginThrottleService', () => ({
+    checkIp: jest.fn(),
+    checkAccount: jest.fn(),
+    recordFailure: jest.fn(),
+    recordSuccess: jest.fn()
+}));
+jest.mock('../../src/services/PasswordPolicyService', () => ({}));
+jest.mock('../../src/services/AuditService', () => ({}));
+jest.mock('../../src/services/PermissionService', () => ({}));
+jest.mock('../../src/services/GuardianConsentService', () => ({}));
+jest.mock('../../src/services/WebAuthnService', () => ({}));
+
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const { startIssuer } = require('../helpers/oidcIssuer');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const CLIENT_ID = 'test-client';
+
+describe('AuthController - OAuth sign-in against a stand-in OIDC issuer', () => {
+    const next = jest.fn(error => { throw error; });
+    let issuer;
+    let authController, User, jwtService, loginThrottleService;
+
+    beforeAll(async () => {
+        issuer = await startIssuer({ clientId: CLIENT_ID });
+
+        process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+        process.env.GOOGLE_OIDC_ISSUER = issuer.issuer;
+        process.env.FRONTEND_URL = 'https://app.example.com';
+        delete process.env.FACEBOOK_CLIENT_ID;
+
+        // OAuthService reads its providers from env when it loads
+        authController = require('../../src/controller/AuthController');
+        ({ User } = require('../../src/model'));
+        jwtService = require('../../src/services/JwtService');
+        loginThrottleService = require('../../src/services/LoginThrottleService');
+    });
+
+    afterAll(async () => {
+        await issuer.close();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        loginThrottleService.checkIp.mockResolvedValue({ blocked: false, retryAfter: 0 });
+        loginThrottleService.recordFailure.mockResolvedValue({ locked: false, lockedUntil: null, justLocked: false });
+    });
+
+    const linkedUser = () => ({
+        id: 7,
+        email: 'learner@example.com',
+        provider: 'google',
+        provider_id: 'subject-1',
+        canSignIn: () => true,
+        hasMfaEnabled: () => false,
+        updateLastLogin: jest.fn(),
+        toJSON: () => ({ id: 7 })
+    });
+
+    describe('ID token sign-in', () => {
+        const signIn = async (provider, idToken) => {
+            const res = mockResponse();
+            await authController.oauthToken(mockRequest({ params: { provider }, body: { id_token: idToken } }), res, next);
+            return res;
+        };
+
+        test('a token from the issuer signs in the linked account', async () => {
+            User.findOne.mockResolvedValue(linkedUser());
+
+            const res = await signIn('google', issuer.signIdToken());
+
+            expect(User.findOne).toHaveBeenCalledWith({ where: { provider: 'google', provider_id: 'subject-1' } });
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Login successful', token: 'access' }));
+            expect(loginThrottleService.recordSuccess).toHaveBeenCalledWith(expect.objectContaining({ id: 7 }), expect.any(Object), 'oauth');
+        });
+
+        test('a forged token is refused and counted against the network', async () => {
+            const res = await signIn('google', issuer.signIdToken({ aud: 'other-client' }));
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'OAUTH_INVALID_TOKEN' }));
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(null, null, expect.any(Object), 'oauth_invalid_token', 'oauth');
+            expect(jwtService.issueTokens).not.toHaveBeenCalled();
+        });
+
+        test('an unconfigured provider is not found', async () => {
+            const res = await signIn('facebook', issuer.signIdToken());
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'OAUTH_PROVIDER_UNAVAILABLE' }));
+        });
+
+        test('a blocked network is refused before the token is checked', async () => {
+            loginThrottleService.checkIp.mockResolvedValue({ blocked: true, retryAfter: 900 });
+
+            const res = await signIn('google', issuer.signIdToken());
+
+            expect(res.status).toHaveBeenCalledWith(429);
+            expect(res.set).toHaveBeenCalledWith('Retry-After', '900');
+            expect(User.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('authorization code callback', () => {
+        const callback = async (query = { code: 'code-1', state: 'state-1' }) => {
+            const res = mockResponse();
+            await authController.oauthCallback(mockRequest({
+                params: { provider: 'google' },
+                query,
+                cookies: { oauth_state: 'state-cookie' }
+            }), res);
+            return new URL(res.redirect.mock.calls[0][0]);
+        };
+
+        beforeEach(() => {
+            jwtService.verifyActionToken.mockReturnValue({
+                provider: 'google',
+                state: 'state-1',
+                nonce: 'nonce-1',
+                code_verifier: 'verifier-1'
+            });
+        });
+
+        test('exchanges the code and signs in', async () => {
+            issuer.state.nextIdToken = issuer.signIdToken({ nonce: 'nonce-1' });
+            User.findOne.mockResolvedValue(linkedUser());
+
+            const redirect = await callback();
+
+            expect(redirect.searchParams.get('status')).toBe('success');
+            expect(jwtService.issueTokens).toHaveBeenCalled();
+        });
+
+        test('an ID token minted for another sign-in (nonce) is refused', async () => {
+            issuer.state.nextIdToken = issuer.signIdToken({ nonce: 'nonce-from-elsewhere' });
+
+            const redirect = await callback();
+
+            expect(redirect.searchParams.get('status')).toBe('error');
+            expect(redirect.searchParams.get('code')).toBe('OAUTH_INVALID_TOKEN');
+            expect(jwtService.issueTokens).not.toHaveBeenCalled();
+        });
+
+        test('a blocked network is sent back before the code is exchanged', async () => {
+            loginThrottleService.checkIp.mockResolvedValue({ blocked: true, retryAfter: 900 });
+            const requests = issuer.state.tokenRequests.length;
+
+            const redirect = await callback();
+
+            expect(redirect.searchParams.get('code')).toBe('LOGIN_THROTTLED');
+            expect(issuer.state.tokenRequests).toHaveLength(requests);
+        });
+    });
+});
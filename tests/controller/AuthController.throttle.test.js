@@ -0,0 +1,233 @@
+// tests/controller/AuthController.throttle.test.js
+jest.mock('../../src/model', () => ({
+    User: {
+        scope: jest.fn(),
+        findOne: jest.fn(),
+        findByPk: jest.fn(),
+        findByEmail: jest.fn(),
+        create: jest.fn()
+    },
+    UserProfile: {},
+    MfaRecoveryCode: {},
+    MagicLinkToken: {
+        findOne: jest.fn(),
+        consume: jest.fn()
+    },
+    LoginAttempt: {},
+    AuditLog: {},
+    sequelize: {}
+}));
+jest.mock('../../src/services/JwtService', () => ({
+    issueTokens: jest.fn(async () => ({ accessToken: 'access', refreshToken: 'refresh' })),
+    generateMfaPendingToken: jest.fn(() => 'mfa-pending-token'),
+    generateUnlockToken: jest.fn(() => 'unlock-token'),
+    verifyActionToken: jest.fn()
+}));
+jest.mock('../../src/middleware/AuthMiddleware', () => ({
+    getDeviceInfo: () => ({ ip_address: '127.0.0.1', user_agent: 'jest', device_name: 'Unknown Device' })
+}));
+jest.mock('../../src/services/EmailService', () => ({
+    sendAccountLockedEmail: jest.fn()
+}));
+jest.mock('../../src/services/OAuthService', () => ({
+    exchangeCode: jest.fn(),
+    verifyIdToken: jest.fn()
+}));
+jest.mock('../../src/services/TotpService', () => ({}));
+jest.mock('../../src/services/LoginThrottleService', () => ({
+    checkIp: jest.fn(),
+    checkAccount: jest.fn(),
+    recordFailure: jest.fn(),
+    recordSuccess: jest.fn()
+}));
+jest.mock('../../src/services/PasswordPolicyService', () => ({}));
+jest.mock('../../src/services/AuditService', () => ({}));
+jest.mock('../../src/services/PermissionService', () => ({}));
+jest.mock('../../src/services/GuardianConsentService', () => ({}));
+jest.mock('../../src/services/WebAuthnService', () => ({
+    verifyAuthentication: jest.fn()
+}));
+
+const { User, MagicLinkToken } = require('../../src/model');
+const jwtService = require('../../src/services/JwtService');
+const emailService = require('../../src/services/EmailService');
+const oauthService = require('../../src/services/OAuthService');
+const loginThrottleService = require('../../src/services/LoginThrottleService');
+const webAuthnService = require('../../src/services/WebAuthnService');
+const authController = require('../../src/controller/AuthController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const account = (overrides = {}) => ({
+    id: 7,
+    email: 'learner@example.com',
+    password: 'hash',
+    provider: null,
+    provider_id: null,
+    email_verified_at: new Date(),
+    validatePassword: jest.fn(async () => true),
+    isSuspended: () => false,
+    canSignIn: () => true,
+    hasVerifiedEmail: () => true,
+    hasMfaEnabled: () => false,
+    save: jest.fn(),
+    updateLastLogin: jest.fn(),
+    toJSON: () => ({ id: 7 }),
+    toSafeJSON: () => ({ id: 7 }),
+    ...overrides
+});
+
+describe('AuthController - sign-in attempts are throttled and recorded', () => {
+    const next = jest.fn(error => { throw error; });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        loginThrottleService.checkIp.mockResolvedValue({ blocked: false, retryAfter: 0 });
+        loginThrottleService.checkAccount.mockReturnValue({ locked: false, lockedUntil: null, throttled: false, retryAfter: 0 });
+        loginThrottleService.recordFailure.mockResolvedValue({ locked: false, lockedUntil: null, justLocked: false });
+    });
+
+    describe('password login', () => {
+        test('a locked account is refused before the password is checked', async () => {
+            const user = account();
+            User.scope.mockReturnValue({ findOne: jest.fn(async () => user) });
+            loginThrottleService.checkAccount.mockReturnValue({ locked: true, lockedUntil: new Date(), throttled: false, retryAfter: 0 });
+            const res = mockResponse();
+
+            await authController.login(mockRequest({ body: { email: user.email, password: 'secret' } }), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(423);
+            expect(user.validatePassword).not.toHaveBeenCalled();
+            expect(jwtService.issueTokens).not.toHaveBeenCalled();
+        });
+
+        test('the failure that locks the account sends the unlock email', async () => {
+            const user = account({ validatePassword: jest.fn(async () => false) });
+            User.scope.mockReturnValue({ findOne: jest.fn(async () => user) });
+            loginThrottleService.recordFailure.mockResolvedValue({ locked: true, lockedUntil: new Date(), justLocked: true });
+            const res = mockResponse();
+
+            await authController.login(mockRequest({ body: { email: user.email, password: 'wrong' } }), res, next);
+
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(user, user.email, expect.any(Object), 'invalid_password');
+            expect(emailService.sendAccountLockedEmail).toHaveBeenCalledWith(user, 'unlock-token');
+            expect(res.status).toHaveBeenCalledWith(423);
+        });
+
+        test('a blocked network is refused', async () => {
+            loginThrottleService.checkIp.mockResolvedValue({ blocked: true, retryAfter: 900 });
+            const res = mockResponse();
+
+            await authController.login(mockRequest({ body: { email: 'learner@example.com', password: 'secret' } }), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(429);
+            expect(res.set).toHaveBeenCalledWith('Retry-After', '900');
+        });
+    });
+
+    describe('passkey', () => {
+        test('records a success', async () => {
+            const user = account();
+            webAuthnService.verifyAuthentication.mockResolvedValue({ user });
+
+            await authController.passkeyLogin(mockRequest({ body: { response: { id: 'credential-1' } } }), mockResponse(), next);
+
+            expect(loginThrottleService.recordSuccess).toHaveBeenCalledWith(user, expect.any(Object), 'passkey');
+        });
+
+        test('records a failure', async () => {
+            webAuthnService.verifyAuthentication.mockRejectedValue(new Error('Passkey verification failed'));
+            const res = mockResponse();
+
+            await authController.passkeyLogin(mockRequest({ body: { response: { id: 'credential-1' } } }), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(null, null, expect.any(Object), 'invalid_passkey', 'passkey');
+        });
+    });
+
+    describe('magic link', () => {
+        test('records a success', async () => {
+            const user = account();
+            jwtService.verifyActionToken.mockReturnValue({ id: 7, jti: 'link-jti' });
+            MagicLinkToken.findOne.mockResolvedValue({ id: 1, user_id: 7, isUsable: () => true, matchesDevice: () => true });
+            MagicLinkToken.consume.mockResolvedValue(true);
+            User.findByPk.mockResolvedValue(user);
+
+            await authController.consumeMagicLink(mockRequest({ body: { token: 'link' } }), mockResponse(), next);
+
+            expect(loginThrottleService.recordSuccess).toHaveBeenCalledWith(user, expect.any(Object), 'magic_link');
+        });
+
+        test('records an unusable link', async () => {
+            jwtService.verifyActionToken.mockReturnValue({ id: 7, jti: 'link-jti' });
+            MagicLinkToken.findOne.mockResolvedValue(null);
+            const res = mockResponse();
+
+            await authController.consumeMagicLink(mockRequest({ body: { token: 'link' } }), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(null, null, expect.any(Object), 'invalid_magic_link', 'magic_link');
+        });
+    });
+
+    describe('OAuth', () => {
+        test('ID token sign-in records a success', async () => {
+            const user = account({ provider: 'google', provider_id: 'google-7' });
+            oauthService.verifyIdToken.mockResolvedValue({ provider: 'google', provider_id: 'google-7' });
+            User.findOne.mockResolvedValue(user);
+
+            await authController.oauthToken(mockRequest({ params: { provider: 'google' }, body: { id_token: 'id-token' } }), mockResponse(), next);
+
+            expect(loginThrottleService.recordSuccess).toHaveBeenCalledWith(user, expect.any(Object), 'oauth');
+        });
+
+        test('a rejected ID token records a failure', async () => {
+            oauthService.verifyIdToken.mockRejectedValue(Object.assign(new Error('Invalid identity token'), {
+                code: 'OAUTH_INVALID_TOKEN',
+                statusCode: 401
+            }));
+            const res = mockResponse();
+
+            await authController.oauthToken(mockRequest({ params: { provider: 'google' }, body: { id_token: 'forged' } }), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(null, null, expect.any(Object), 'oauth_invalid_token', 'oauth');
+        });
+
+        test('linking with a wrong password counts towards the account lock', async () => {
+            const user = account({ validatePassword: jest.fn(async () => false) });
+            jwtService.verifyActionToken.mockReturnValue({ id: 7, provider: 'google', provider_id: 'google-7' });
+            User.scope.mockReturnValue({ findByPk: jest.fn(async () => user) });
+            const res = mockResponse();
+
+            await authController.oauthLink(mockRequest({ body: { link_token: 'link', password: 'wrong' } }), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(user, user.email, expect.any(Object), 'invalid_password', 'oauth');
+            expect(user.save).not.toHaveBeenCalled();
+        });
+
+        test('linking is refused while the account is locked', async () => {
+            const user = account();
+            jwtService.verifyActionToken.mockReturnValue({ id: 7, provider: 'google', provider_id: 'google-7' });
+            User.scope.mockReturnValue({ findByPk: jest.fn(async () => user) });
+            loginThrottleService.checkAccount.mockReturnValue({ locked: true, lockedUntil: new Date(), throttled: false, retryAfter: 0 });
+            const res = mockResponse();
+
+            await authController.oauthLink(mockRequest({ body: { link_token: 'link', password: 'secret' } }), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(423);
+            expect(user.validatePassword).not.toHaveBeenCalled();
+        });
+
+        test('a successful link records a success', async () => {
+            const user = account();
+            jwtService.verifyActionToken.mockReturnValue({ id: 7, provider: 'google', provider_id: 'google-7' });
+            User.scope.mockReturnValue({ findByPk: jest.fn(async () => user) });
+
+            await authController.oauthLink(mockRequest({ body: { link_token: 'link', password: 'secret' } }), mockResponse(), next);
+
+            expect(loginThrottleService.recordSuccess).toHaveBeenCalledWith(user, expect.any(Object), 'oauth');
+        });
+    });
+});
@@ -0,0 +1,101 @@
+// tests/controller/GuardianPortalController.invite.test.js
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.JWT_KEYS_DIR = '/nonexistent/jwt-keys';
+
+jest.mock('../../src/model', () => ({
+    User: { findByEmail: jest.fn(), findByPk: jest.fn() },
+    UserGuardian: { findByPk: jest.fn(), findWardLink: jest.fn() },
+    UserPrivacySettings: {},
+    SecurityEvent: {},
+    Session: {},
+    TokenBlacklist: {},
+    WebAuthnChallenge: {},
+    MagicLinkToken: {},
+    sequelize: { transaction: jest.fn() }
+}));
+jest.mock('../../src/services/EmailService', () => ({}));
+jest.mock('../../src/services/RealtimeService', () => ({}));
+jest.mock('../../src/services/PasswordPolicyService', () => ({}));
+jest.mock('../../src/services/GuardianConsentService', () => ({}));
+jest.mock('../../src/services/GuardianContactService', () => ({
+    markEmailVerified: jest.fn()
+}));
+jest.mock('../../src/services/AuditService', () => ({
+    log: jest.fn()
+}));
+jest.mock('../../src/services/ProgressService', () => ({}));
+jest.mock('../../src/services/BadgeService', () => ({}));
+jest.mock('../../src/middleware/AuthMiddleware', () => ({
+    getDeviceInfo: () => ({ ip_address: '127.0.0.1', user_agent: 'jest', device_name: 'Unknown Device' })
+}));
+
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const { User, UserGuardian, sequelize } = require('../../src/model');
+const jwtService = require('../../src/services/JwtService');
+const guardianPortalController = require('../../src/controller/GuardianPortalController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+// Sent at .750; the DATETIME column gives back whole seconds
+const INVITED_AT = new Date('2026-10-18T09:30:15.750Z');
+
+const guardianRecord = (invitedAt) => ({
+    id: 3,
+    user_id: 7,
+    full_name: 'Pat Parent',
+    email: 'parent@example.com',
+    invited_at: invitedAt,
+    user: { id: 7, name: 'Sam' },
+    isLinked: () => false,
+    save: jest.fn()
+});
+
+describe('GuardianPortalController - invite links', () => {
+    const next = jest.fn(error => { throw error; });
+    const token = jwtService.generateGuardianInviteToken(guardianRecord(INVITED_AT));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        User.findByEmail.mockResolvedValue(null);
+    });
+
+    test('an invite resolves once the invite time is read back from the database', async () => {
+        UserGuardian.findByPk.mockResolvedValue(guardianRecord(new Date('2026-10-18T09:30:16.000Z')));
+        const res = mockResponse();
+
+        await guardianPortalController.getInvite(mockRequest({ query: { token } }), res, next);
+
+        expect(res.status).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            guardian: { full_name: 'Pat Parent', email: 'parent@example.com' }
+        }));
+    });
+
+    test('a newer invite replaces the link', async () => {
+        UserGuardian.findByPk.mockResolvedValue(guardianRecord(new Date('2026-10-18T10:00:00.000Z')));
+        const res = mockResponse();
+
+        await guardianPortalController.getInvite(mockRequest({ query: { token } }), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_GUARDIAN_INVITE' }));
+    });
+
+    test('claiming an invite links the account without changing its role', async () => {
+        const transaction = { commit: jest.fn(), rollback: jest.fn(), finished: false };
+        sequelize.transaction.mockResolvedValue(transaction);
+        UserGuardian.findByPk.mockResolvedValue(guardianRecord(INVITED_AT));
+        UserGuardian.findWardLink.mockResolvedValue(null);
+        const player = { id: 12, email: 'parent@example.com', role: 'player', save: jest.fn() };
+        const res = mockResponse();
+
+        await guardianPortalController.claimInvite(mockRequest({ body: { token }, user: player }), res, next);
+
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invite accepted.' }));
+        expect(transaction.commit).toHaveBeenCalled();
+        expect(player.role).toBe('player');
+        expect(player.save).not.toHaveBeenCalled();
+        expect(User.findByPk).not.toHaveBeenCalled();
+    });
+});
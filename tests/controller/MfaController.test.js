@@ -0,0 +1,125 @@
+// tests/controller/MfaController.test.js
+jest.mock('../../src/model', () => ({
+    User: {
+        scope: jest.fn(),
+        claimMfaStep: jest.fn()
+    },
+    MfaRecoveryCode: {
+        replaceForUser: jest.fn()
+    },
+    sequelize: {}
+}));
+jest.mock('../../src/services/JwtService', () => ({
+    generateUnlockToken: jest.fn(() => 'unlock-token')
+}));
+jest.mock('../../src/services/TotpService', () => ({
+    decryptSecret: jest.fn(secret => secret),
+    verifyCode: jest.fn(),
+    generateRecoveryCodes: jest.fn(() => ['aaaa-bbbb'])
+}));
+jest.mock('../../src/services/AuditService', () => ({
+    log: jest.fn()
+}));
+jest.mock('../../src/services/LoginThrottleService', () => ({
+    checkAccount: jest.fn(),
+    recordFailure: jest.fn()
+}));
+jest.mock('../../src/services/EmailService', () => ({
+    sendAccountLockedEmail: jest.fn()
+}));
+jest.mock('../../src/middleware/AuthMiddleware', () => ({
+    getDeviceInfo: () => ({ ip_address: '127.0.0.1', user_agent: 'jest', device_name: 'Unknown Device' })
+}));
+
+const { User, MfaRecoveryCode } = require('../../src/model');
+const totpService = require('../../src/services/TotpService');
+const loginThrottleService = require('../../src/services/LoginThrottleService');
+const emailService = require('../../src/services/EmailService');
+const mfaController = require('../../src/controller/MfaController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+describe('MfaController - regenerateRecoveryCodes', () => {
+    const next = jest.fn(error => { throw error; });
+    const user = {
+        id: 7,
+        email: 'learner@example.com',
+        mfa_secret: 'secret',
+        mfa_last_used_step: 99,
+        hasMfaEnabled: () => true
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        User.scope.mockReturnValue({ findByPk: jest.fn(async () => ({ ...user })) });
+        loginThrottleService.checkAccount.mockReturnValue({ locked: false, lockedUntil: null, throttled: false, retryAfter: 0 });
+        loginThrottleService.recordFailure.mockResolvedValue({ locked: false, lockedUntil: null, justLocked: false });
+        totpService.verifyCode.mockReturnValue(100);
+        User.claimMfaStep.mockResolvedValue(true);
+    });
+
+    const regenerate = async () => {
+        const res = mockResponse();
+        await mfaController.regenerateRecoveryCodes(mockRequest({ body: { code: '123456' }, user: { id: 7 } }), res, next);
+        return res;
+    };
+
+    test('a valid code spends its time step and replaces the codes', async () => {
+        const res = await regenerate();
+
+        expect(User.claimMfaStep).toHaveBeenCalledWith(7, 100);
+        expect(MfaRecoveryCode.replaceForUser).toHaveBeenCalledWith(7, ['aaaa-bbbb']);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ recovery_codes: ['aaaa-bbbb'] }));
+    });
+
+    test('a wrong code counts towards the account lock', async () => {
+        totpService.verifyCode.mockReturnValue(null);
+
+        const res = await regenerate();
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(
+            expect.objectContaining({ id: 7 }), 'learner@example.com', expect.any(Object), 'invalid_mfa_code', 'mfa'
+        );
+        expect(MfaRecoveryCode.replaceForUser).not.toHaveBeenCalled();
+    });
+
+    test('the failure that locks the account sends the unlock email', async () => {
+        totpService.verifyCode.mockReturnValue(null);
+        loginThrottleService.recordFailure.mockResolvedValue({ locked: true, lockedUntil: new Date(), justLocked: true });
+
+        await regenerate();
+
+        expect(emailService.sendAccountLockedEmail).toHaveBeenCalledWith(expect.objectContaining({ id: 7 }), 'unlock-token');
+    });
+
+    test('a code whose step another request already spent is refused', async () => {
+        User.claimMfaStep.mockResolvedValue(false);
+
+        const res = await regenerate();
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(loginThrottleService.recordFailure).toHaveBeenCalled();
+        expect(MfaRecoveryCode.replaceForUser).not.toHaveBeenCalled();
+    });
+
+    test('a locked account is refused before the code is checked', async () => {
+        const lockedUntil = new Date('2026-10-18T10:00:00Z');
+        loginThrottleService.checkAccount.mockReturnValue({ locked: true, lockedUntil, throttled: false, retryAfter: 0 });
+
+        const res = await regenerate();
+
+        expect(res.status).toHaveBeenCalledWith(423);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ACCOUNT_LOCKED', locked_until: lockedUntil }));
+        expect(totpService.verifyCode).not.toHaveBeenCalled();
+    });
+
+    test('a throttled account is told when to retry', async () => {
+        loginThrottleService.checkAccount.mockReturnValue({ locked: false, lockedUntil: null, throttled: true, retryAfter: 30 });
+
+        const res = await regenerate();
+
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.set).toHaveBeenCalledWith('Retry-After', '30');
+        expect(totpService.verifyCode).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,80 @@
+// tests/controller/QuizController.test.js
+jest.mock('../../src/model', () => ({
+    Quiz: { findByPk: jest.fn() },
+    Lesson: {},
+    Module: {}
+}));
+jest.mock('../../src/services/QuizService', () => ({
+    getAttempts: jest.fn(),
+    getAttemptsRemaining: jest.fn(),
+    startAttempt: jest.fn(),
+    presentAttempt: jest.fn(() => ({ attempt: {}, questions: [] }))
+}));
+
+const { Quiz } = require('../../src/model');
+const quizService = require('../../src/services/QuizService');
+const quizController = require('../../src/controller/QuizController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const publishedQuiz = () => ({
+    id: 3,
+    lesson: { id: 5, module: { isPublished: () => true } }
+});
+
+const attempt = (status) => ({ id: 11, status, isInProgress: () => status === 'in_progress' });
+
+describe('QuizController - starting an attempt', () => {
+    const next = jest.fn(error => { throw error; });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Quiz.findByPk.mockResolvedValue(publishedQuiz());
+    });
+
+    test('refuses once the attempts are used up', async () => {
+        quizService.getAttempts.mockResolvedValue([attempt('submitted'), attempt('expired')]);
+        quizService.getAttemptsRemaining.mockReturnValue(0);
+        const res = mockResponse();
+
+        await quizController.startAttempt(mockRequest({ params: { id: '3' } }), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'QUIZ_ATTEMPTS_EXHAUSTED' }));
+        expect(quizService.startAttempt).not.toHaveBeenCalled();
+    });
+
+    test('continues the attempt in progress instead of starting another', async () => {
+        const current = attempt('in_progress');
+        quizService.getAttempts.mockResolvedValue([current]);
+        const res = mockResponse();
+
+        await quizController.startAttempt(mockRequest({ params: { id: '3' } }), res, next);
+
+        expect(quizService.startAttempt).not.toHaveBeenCalled();
+        expect(quizService.presentAttempt).toHaveBeenCalledWith(expect.anything(), current);
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('a concurrent start loses on the unique index with a conflict', async () => {
+        quizService.getAttempts.mockResolvedValue([]);
+        quizService.getAttemptsRemaining.mockReturnValue(1);
+        quizService.startAttempt.mockRejectedValue(Object.assign(new Error('Duplicate'), { name: 'SequelizeUniqueConstraintError' }));
+        const res = mockResponse();
+
+        await quizController.startAttempt(mockRequest({ params: { id: '3' } }), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'QUIZ_ATTEMPT_IN_PROGRESS' }));
+    });
+
+    test('starts an attempt while some are left', async () => {
+        quizService.getAttempts.mockResolvedValue([attempt('submitted')]);
+        quizService.getAttemptsRemaining.mockReturnValue(1);
+        quizService.startAttempt.mockResolvedValue(attempt('in_progress'));
+        const res = mockResponse();
+
+        await quizController.startAttempt(mockRequest({ params: { id: '3' } }), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+    });
+});
@@ -0,0 +1,58 @@
+// tests/controller/SettingsController.export.test.js
+jest.mock('../../src/model', () => ({}));
+jest.mock('../../src/services/JwtService', () => ({}));
+jest.mock('../../src/services/AuditService', () => ({
+    log: jest.fn()
+}));
+jest.mock('../../src/services/EmailService', () => ({}));
+jest.mock('../../src/services/DataExportService', () => ({
+    request: jest.fn()
+}));
+
+const dataExportService = require('../../src/services/DataExportService');
+const settingsController = require('../../src/controller/SettingsController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const limitError = (message) => Object.assign(new Error(message), { code: 'DATA_EXPORT_LIMITED', statusCode: 429 });
+
+describe('SettingsController - requestDataExport', () => {
+    const user = { id: 7 };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('queues an export', async () => {
+        dataExportService.request.mockResolvedValue({ id: 4, toJSON: () => ({ id: 4, status: 'pending' }) });
+        const res = mockResponse();
+
+        await settingsController.requestDataExport(mockRequest({ user }), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(202);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ export: { id: 4, status: 'pending' } }));
+    });
+
+    test('a limited request is told so, whatever the wording', async () => {
+        dataExportService.request.mockRejectedValue(limitError('One export a day, please'));
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await settingsController.requestDataExport(mockRequest({ user }), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.json).toHaveBeenCalledWith({ message: 'One export a day, please', code: 'DATA_EXPORT_LIMITED' });
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('other failures go to the error handler even if they mention an earlier export', async () => {
+        const error = new Error('Row already created by another transaction');
+        dataExportService.request.mockRejectedValue(error);
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await settingsController.requestDataExport(mockRequest({ user }), res, next);
+
+        expect(next).toHaveBeenCalledWith(error);
+        expect(res.status).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,9 @@
+// tests/globalSetup.js
+
+/**
+ * Run the suite west of UTC, where a date-only value parsed as UTC midnight
+ * reads back as the day before with local getters
+ */
+module.exports = () => {
+    process.env.TZ = 'America/New_York';
+};
@@ -0,0 +1,32 @@
+// tests/helpers/http.js
+
+/**
+ * Minimal Express request for calling a controller directly
+ */
+const mockRequest = ({ body = {}, params = {}, query = {}, cookies = {}, headers = {}, user = null, jti = null } = {}) => ({
+    body,
+    params,
+    query,
+    cookies,
+    headers,
+    user,
+    jti,
+    ip: '127.0.0.1',
+    get: (name) => headers[name.toLowerCase()]
+});
+
+/**
+ * Express response that records what the controller sent
+ */
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    res.cookie = jest.fn(() => res);
+    res.clearCookie = jest.fn(() => res);
+    res.redirect = jest.fn(() => res);
+    return res;
+};
+
+module.exports = { mockRequest, mockResponse };
@@ -0,0 +1,80 @@
+// tests/helpers/oidcIssuer.js
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Stand-in OpenID Connect issuer on a local port: discovery document, JWKS,
+ * and a token endpoint that exchanges one known code for an ID token.
+ * Point *_OIDC_ISSUER at `issuer` before loading OAuthService.
+ */
+const startIssuer = async ({ clientId, code = 'code-1', codeVerifier = 'verifier-1' }) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = 'test-key-1';
+    const issuerState = { nextIdToken: null, tokenRequests: [] };
+
+    const server = http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === 'GET' && req.url === '/.well-known/openid-configuration') {
+            return send(200, {
+                issuer: issuerState.issuer,
+                authorization_endpoint: `${issuerState.issuer}/authorize`,
+                token_endpoint: `${issuerState.issuer}/token`,
+                jwks_uri: `${issuerState.issuer}/jwks`
+            });
+        }
+
+        if (req.method === 'GET' && req.url === '/jwks') {
+            return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+        }
+
+        if (req.method === 'POST' && req.url === '/token') {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                const form = Object.fromEntries(new URLSearchParams(raw));
+                issuerState.tokenRequests.push(form);
+
+                if (form.code !== code || form.code_verifier !== codeVerifier || form.client_id !== clientId) {
+                    return send(400, { error: 'invalid_grant', error_description: 'Code is invalid or expired' });
+                }
+                send(200, { id_token: issuerState.nextIdToken, token_type: 'Bearer' });
+            });
+            return;
+        }
+
+        send(404, { error: 'not_found' });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    issuerState.issuer = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * ID token signed by this issuer; claims and options override the defaults
+     */
+    const signIdToken = (claims = {}, { key = privateKey, keyid = kid, expiresIn = '5m' } = {}) => jwt.sign({
+        iss: issuerState.issuer,
+        aud: clientId,
+        sub: 'subject-1',
+        email: 'Learner@Example.com',
+        email_verified: true,
+        name: 'Sam Learner',
+        ...claims
+    }, key, { algorithm: 'RS256', keyid, expiresIn });
+
+    return {
+        issuer: issuerState.issuer,
+        state: issuerState,
+        signIdToken,
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections(); // fetch keeps connections alive
+        })
+    };
+};
+
+module.exports = { startIssuer };
@@ -0,0 +1,92 @@
+// tests/jobs/AccountDeletionJob.test.js
+const mockModel = () => ({
+    destroy: jest.fn(),
+    findAll: jest.fn(async () => []),
+    update: jest.fn()
+});
+
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+jest.mock('../../src/model', () => new Proxy({}, {
+    get: (models, name) => {
+        if (!models[name]) models[name] = mockModel();
+        return models[name];
+    }
+}));
+jest.mock('../../src/config/db', () => ({
+    Sequelize: require('sequelize').Sequelize,
+    transaction: jest.fn()
+}));
+jest.mock('../../src/services/AvatarService', () => ({ deleteAvatar: jest.fn() }));
+jest.mock('../../src/services/FileStorageService', () => ({ deleteFile: jest.fn() }));
+
+const { Op } = require('sequelize');
+const models = require('../../src/model');
+const sequelize = require('../../src/config/db');
+const fileStorageService = require('../../src/services/FileStorageService');
+const AccountDeletionJob = require('../../src/jobs/AccountDeletionJob');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+describe('AccountDeletionJob - deleteAccount', () => {
+    const transaction = { commit: jest.fn(), rollback: jest.fn() };
+    const deletionRequest = {
+        user_id: 7,
+        user: { id: 7, email: 'learner@example.com', avatar_url: null },
+        complete: jest.fn()
+    };
+
+    beforeAll(async () => {
+        sequelize.transaction.mockResolvedValue(transaction);
+        models.UserGuardian.findAll.mockResolvedValue([{ id: 3 }, { id: 4 }]);
+        models.DataExport.findAll.mockResolvedValue([{ id: 1, file_key: 'exports/7/a.zip' }, { id: 2, file_key: null }]);
+
+        await AccountDeletionJob.deleteAccount(deletionRequest);
+    });
+
+    const whereOf = (model) => model.destroy.mock.calls[0][0].where;
+
+    test('commits and completes the request', () => {
+        expect(transaction.commit).toHaveBeenCalled();
+        expect(transaction.rollback).not.toHaveBeenCalled();
+        expect(deletionRequest.complete).toHaveBeenCalled();
+    });
+
+    test.each([
+        'UserProfile', 'UserPrivacySettings', 'UserNotificationPreferences', 'Session', 'TokenBlacklist',
+        'MfaRecoveryCode', 'WebAuthnCredential', 'WebAuthnChallenge', 'MagicLinkToken', 'PasswordHistory',
+        'Notification', 'GuardianConsent', 'DataExport', 'LessonProgress', 'ProgressEvent', 'QuizAttempt',
+        'ClassroomMember', 'UserBadge', 'UserActivityDay', 'PlayerStats', 'StreakFreeze'
+    ])('removes %s rows', (name) => {
+        expect(whereOf(models[name])).toEqual({ user_id: 7 });
+    });
+
+    test('removes login attempts and outbox emails by user or address', () => {
+        expect(whereOf(models.LoginAttempt)[Op.or]).toEqual([{ user_id: 7 }, { email: 'learner@example.com' }]);
+        expect(whereOf(models.EmailOutbox)[Op.or]).toEqual([{ user_id: 7 }, { to_address: 'learner@example.com' }]);
+    });
+
+    test('removes guardian records on both sides, with their contact codes', () => {
+        expect(whereOf(models.UserGuardian)[Op.or]).toEqual([{ user_id: 7 }, { guardian_user_id: 7 }]);
+        expect(whereOf(models.GuardianContactCode)).toEqual({ guardian_id: [3, 4] });
+    });
+
+    test('removes export archives from storage', () => {
+        expect(fileStorageService.deleteFile).toHaveBeenCalledTimes(1);
+        expect(fileStorageService.deleteFile).toHaveBeenCalledWith('exports/7/a.zip');
+    });
+
+    test('clears personal and secret fields on the user', () => {
+        expect(models.User.update).toHaveBeenCalledWith(expect.objectContaining({
+            account_status: 'deleted',
+            email: 'deleted_user_7@deleted.local',
+            password: null,
+            mfa_enabled: false,
+            mfa_secret: null,
+            pending_email: null
+        }), expect.objectContaining({ where: { id: 7 } }));
+    });
+
+    test('keeps the XP ledger', () => {
+        expect(models.XpEntry.destroy).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,55 @@
+// tests/middleware/AuthMiddleware.wards.test.js
+jest.mock('../../src/model', () => ({
+    User: {},
+    UserGuardian: { count: jest.fn() }
+}));
+jest.mock('../../src/services/JwtService', () => ({}));
+jest.mock('../../src/services/PermissionService', () => ({
+    getPermissionsForUser: jest.fn()
+}));
+
+const { UserGuardian } = require('../../src/model');
+const permissionService = require('../../src/services/PermissionService');
+const { requireWardAccess } = require('../../src/middleware/AuthMiddleware');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+describe('AuthMiddleware - guardian portal access', () => {
+    const guard = requireWardAccess('wards.read');
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('guardian and staff roles get in through the permission', async () => {
+        permissionService.getPermissionsForUser.mockResolvedValue(['wards.read']);
+        const next = jest.fn();
+
+        await guard(mockRequest({ user: { id: 4, role: 'guardian' } }), mockResponse(), next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(UserGuardian.count).not.toHaveBeenCalled();
+    });
+
+    test('a player who claimed a ward link gets in without the guardian role', async () => {
+        permissionService.getPermissionsForUser.mockResolvedValue(['progress.read']);
+        UserGuardian.count.mockResolvedValue(1);
+        const next = jest.fn();
+
+        await guard(mockRequest({ user: { id: 12, role: 'player' } }), mockResponse(), next);
+
+        expect(UserGuardian.count).toHaveBeenCalledWith({ where: { guardian_user_id: 12 } });
+        expect(next).toHaveBeenCalledWith();
+    });
+
+    test('a player with no ward links is refused', async () => {
+        permissionService.getPermissionsForUser.mockResolvedValue([]);
+        UserGuardian.count.mockResolvedValue(0);
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await guard(mockRequest({ user: { id: 12, role: 'player' } }), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,36 @@
+// tests/services/GuardianConsentService.test.js
+jest.mock('../../src/model', () => ({}));
+jest.mock('../../src/services/JwtService', () => ({}));
+jest.mock('../../src/services/EmailService', () => ({}));
+jest.mock('../../src/services/AuditService', () => ({}));
+jest.mock('../../src/services/GuardianContactService', () => ({}));
+
+const guardianConsentService = require('../../src/services/GuardianConsentService');
+
+describe('GuardianConsentService.calculateAge', () => {
+    // 18 October 2026, local noon; the suite runs west of UTC (tests/globalSetup.js)
+    const today = new Date(2026, 9, 18, 12, 0, 0);
+
+    test('turns a year older on the birthday itself', () => {
+        expect(guardianConsentService.calculateAge('2008-10-18', today)).toBe(18);
+    });
+
+    test('is a year younger the day before the birthday', () => {
+        expect(guardianConsentService.calculateAge('2008-10-19', today)).toBe(17);
+    });
+
+    test('a birthday on the first of the month is not read as the month before', () => {
+        expect(guardianConsentService.calculateAge('2008-11-01', today)).toBe(17);
+        expect(guardianConsentService.calculateAge('2008-10-01', today)).toBe(18);
+    });
+
+    test('an 18th birthday today no longer needs consent', () => {
+        jest.useFakeTimers({ now: today });
+        try {
+            expect(guardianConsentService.requiresConsent('2008-10-18')).toBe(false);
+            expect(guardianConsentService.requiresConsent('2008-10-19')).toBe(true);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,70 @@
+// tests/services/JwtService.links.test.js
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.JWT_KEYS_DIR = '/nonexistent/jwt-keys';
+
+jest.mock('../../src/model', () => ({
+    User: {},
+    Session: {},
+    TokenBlacklist: {},
+    WebAuthnChallenge: {},
+    MagicLinkToken: {},
+    SecurityEvent: {}
+}));
+jest.mock('../../src/services/EmailService', () => ({}));
+jest.mock('../../src/services/RealtimeService', () => ({}));
+
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const jwtService = require('../../src/services/JwtService');
+
+// What a DATETIME column gives back for a value written with milliseconds
+const truncated = (date) => new Date(Math.floor(date.getTime() / 1000) * 1000);
+const rounded = (date) => new Date(Math.round(date.getTime() / 1000) * 1000);
+
+// Written at .750 so rounding and truncation read back different seconds
+const WRITTEN = new Date('2026-10-18T09:30:15.750Z');
+
+describe('JwtService - links tied to a timestamp column', () => {
+    test('the unlock link survives the lock time being read back from the database', () => {
+        const token = jwtService.generateUnlockToken({ id: 7, locked_until: WRITTEN });
+        const { version } = jwtService.verifyActionToken(token, 'account_unlock');
+
+        expect(jwtService.isCurrentLink(version, truncated(WRITTEN))).toBe(true);
+        expect(jwtService.isCurrentLink(version, rounded(WRITTEN))).toBe(true);
+    });
+
+    test('a newer lock, or none, invalidates the link', () => {
+        const token = jwtService.generateUnlockToken({ id: 7, locked_until: WRITTEN });
+        const { version } = jwtService.verifyActionToken(token, 'account_unlock');
+
+        expect(jwtService.isCurrentLink(version, new Date(WRITTEN.getTime() + 60 * 1000))).toBe(false);
+        expect(jwtService.isCurrentLink(version, null)).toBe(false);
+        expect(jwtService.isCurrentLink(undefined, WRITTEN)).toBe(false);
+    });
+
+    test('email change confirm and cancel links survive the request time being read back', () => {
+        const user = { id: 7, pending_email: 'new@example.com', pending_email_requested_at: WRITTEN };
+        const confirm = jwtService.verifyActionToken(jwtService.generateEmailChangeToken(user), 'email_change');
+        const cancel = jwtService.verifyActionToken(jwtService.generateEmailChangeCancelToken(user), 'email_change_cancel');
+
+        for (const { version } of [confirm, cancel]) {
+            expect(jwtService.isCurrentLink(version, truncated(WRITTEN))).toBe(true);
+            expect(jwtService.isCurrentLink(version, rounded(WRITTEN))).toBe(true);
+            expect(jwtService.isCurrentLink(version, new Date(WRITTEN.getTime() + 5 * 1000))).toBe(false);
+        }
+    });
+
+    test('guardian consent and withdrawal links survive the consent times being read back', () => {
+        const user = { id: 7, guardian_consent_requested_at: WRITTEN, guardian_consent_at: WRITTEN };
+        const guardian = { id: 3, email: 'parent@example.com' };
+        const consent = jwtService.verifyActionToken(jwtService.generateGuardianConsentToken(user, guardian), 'guardian_consent');
+        const withdraw = jwtService.verifyActionToken(jwtService.generateGuardianConsentWithdrawToken(user, guardian), 'guardian_consent_withdraw');
+
+        for (const { version } of [consent, withdraw]) {
+            expect(jwtService.isCurrentLink(version, truncated(WRITTEN))).toBe(true);
+            expect(jwtService.isCurrentLink(version, rounded(WRITTEN))).toBe(true);
+            expect(jwtService.isCurrentLink(version, new Date(WRITTEN.getTime() + 5 * 1000))).toBe(false);
+        }
+    });
+});
@@ -0,0 +1,155 @@
+// tests/services/JwtService.refresh.test.js
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.JWT_KEYS_DIR = '/nonexistent/jwt-keys';
+
+jest.mock('../../src/model', () => ({
+    User: { findByPk: jest.fn() },
+    Session: {
+        findByJti: jest.fn(),
+        markRotated: jest.fn(),
+        revokeFamily: jest.fn(async () => 2),
+        revokeAllUserSessions: jest.fn(),
+        create: jest.fn()
+    },
+    TokenBlacklist: {},
+    WebAuthnChallenge: {},
+    MagicLinkToken: {},
+    SecurityEvent: { record: jest.fn() }
+}));
+jest.mock('../../src/services/EmailService', () => ({
+    sendTokenReuseAlertEmail: jest.fn(async () => {})
+}));
+jest.mock('../../src/services/RealtimeService', () => ({
+    revokeSessions: jest.fn()
+}));
+jest.mock('../../src/services/NotificationService', () => ({
+    notify: jest.fn(async () => {})
+}));
+
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const { Session, SecurityEvent } = require('../../src/model');
+const emailService = require('../../src/services/EmailService');
+const realtimeService = require('../../src/services/RealtimeService');
+const jwtService = require('../../src/services/JwtService');
+
+const REUSE = 'Token reuse detected. This session has been revoked for security.';
+
+const sessionFor = (overrides = {}) => ({
+    id: 1,
+    user_id: 7,
+    jti: 'jti-1',
+    family_id: 'family-1',
+    auth_method: 'password',
+    rotated_at: null,
+    device_name: 'Chrome Browser',
+    ip_address: '10.0.0.1',
+    user: {
+        id: 7,
+        email: 'learner@example.com',
+        role: 'player',
+        guardian_consent_required: false,
+        tokenIssuedBeforePasswordChange: () => false
+    },
+    validateRefreshToken: jest.fn(async () => true),
+    isActive: () => true,
+    revoke: jest.fn(),
+    ...overrides
+});
+
+describe('JwtService - refresh token rotation and reuse detection', () => {
+    const refreshToken = jwtService.generateRefreshToken(7, 'jti-1');
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('rotates a fresh token within the same family', async () => {
+        Session.findByJti.mockResolvedValue(sessionFor());
+        Session.markRotated.mockResolvedValue(true);
+
+        const result = await jwtService.refreshAccessToken(refreshToken, { ip_address: '10.0.0.1' });
+
+        expect(result.refreshToken).toEqual(expect.any(String));
+        expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+            user_id: 7,
+            family_id: 'family-1',
+            parent_jti: 'jti-1',
+            auth_method: 'password'
+        }));
+        expect(Session.revokeFamily).not.toHaveBeenCalled();
+    });
+
+    test('replaying a rotated token revokes the whole family', async () => {
+        Session.findByJti.mockResolvedValue(sessionFor({ rotated_at: new Date() }));
+
+        await expect(jwtService.refreshAccessToken(refreshToken, { ip_address: '10.9.9.9' })).rejects.toThrow(REUSE);
+
+        expect(Session.revokeFamily).toHaveBeenCalledWith('family-1');
+        expect(realtimeService.revokeSessions).toHaveBeenCalledWith(7, { familyIds: ['family-1'], reason: 'token_reuse' });
+        expect(SecurityEvent.record).toHaveBeenCalledWith('refresh_token_reuse', expect.objectContaining({
+            userId: 7,
+            severity: 'critical'
+        }));
+        expect(emailService.sendTokenReuseAlertEmail).toHaveBeenCalled();
+        expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    test('a token that does not match the session hash is treated as reuse', async () => {
+        Session.findByJti.mockResolvedValue(sessionFor({ validateRefreshToken: jest.fn(async () => false) }));
+
+        await expect(jwtService.refreshAccessToken(refreshToken)).rejects.toThrow(REUSE);
+
+        expect(Session.revokeFamily).toHaveBeenCalledWith('family-1');
+    });
+
+    test('the loser of two concurrent refreshes is treated as reuse', async () => {
+        Session.findByJti.mockResolvedValue(sessionFor());
+        Session.markRotated.mockResolvedValue(false);
+
+        await expect(jwtService.refreshAccessToken(refreshToken)).rejects.toThrow(REUSE);
+
+        expect(Session.revokeFamily).toHaveBeenCalledWith('family-1');
+        expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    test('a token for another user is rejected without revoking anything', async () => {
+        Session.findByJti.mockResolvedValue(sessionFor({ user_id: 8 }));
+
+        await expect(jwtService.refreshAccessToken(refreshToken)).rejects.toThrow('Invalid or expired refresh token');
+
+        expect(Session.revokeFamily).not.toHaveBeenCalled();
+    });
+});
+
+describe('JwtService - forced password reset', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('no session is issued while a reset is required, whatever the sign-in path', async () => {
+        const user = { id: 7, role: 'player', password_reset_required: true };
+
+        for (const authMethod of ['password', 'mfa', 'passkey', 'magic_link', 'oauth']) {
+            await expect(jwtService.issueTokens(user, { auth_method: authMethod })).rejects.toEqual(expect.objectContaining({
+                code: 'PASSWORD_RESET_REQUIRED',
+                statusCode: 403
+            }));
+        }
+
+        expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    test('refreshing an old session does not get past a forced reset', async () => {
+        const session = sessionFor();
+        session.user.password_reset_required = true;
+        Session.findByJti.mockResolvedValue(session);
+        Session.markRotated.mockResolvedValue(true);
+
+        await expect(jwtService.refreshAccessToken(jwtService.generateRefreshToken(7, 'jti-1'))).rejects.toEqual(expect.objectContaining({
+            code: 'PASSWORD_RESET_REQUIRED'
+        }));
+        expect(Session.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,118 @@
+// tests/services/LoginThrottleService.test.js
+jest.mock('../../src/model', () => ({
+    User: {
+        increment: jest.fn(),
+        update: jest.fn()
+    },
+    LoginAttempt: {
+        create: jest.fn(),
+        countRecentFailuresByIp: jest.fn()
+    }
+}));
+
+const { User, LoginAttempt } = require('../../src/model');
+const loginThrottleService = require('../../src/services/LoginThrottleService');
+
+/**
+ * User whose reload() reflects the atomic increment the service issues
+ */
+const accountWith = (failedCount, overrides = {}) => {
+    const user = {
+        id: 7,
+        email: 'learner@example.com',
+        failed_login_count: failedCount,
+        last_failed_login_at: null,
+        locked_until: null,
+        isLocked() {
+            return !!this.locked_until && new Date(this.locked_until).getTime() > Date.now();
+        },
+        ...overrides
+    };
+    user.reload = jest.fn(async () => {
+        user.failed_login_count += 1;
+    });
+    return user;
+};
+
+describe('LoginThrottleService - lockout', () => {
+    const { lockAfter, backoffAfter, lockDurationMinutes, ipMaxFailures } = loginThrottleService.config;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('locks the account on the failure that reaches the limit', async () => {
+        const user = accountWith(lockAfter - 1);
+
+        const result = await loginThrottleService.recordFailure(user, user.email, {}, 'invalid_password');
+
+        expect(result.locked).toBe(true);
+        expect(result.justLocked).toBe(true);
+        expect(User.increment).toHaveBeenCalledWith('failed_login_count', { by: 1, where: { id: 7 } });
+
+        const lockedFor = new Date(result.lockedUntil).getTime() - Date.now();
+        expect(lockedFor).toBeGreaterThan((lockDurationMinutes - 1) * 60 * 1000);
+        expect(lockedFor).toBeLessThanOrEqual(lockDurationMinutes * 60 * 1000);
+    });
+
+    test('does not lock before the limit', async () => {
+        const user = accountWith(lockAfter - 2);
+
+        const result = await loginThrottleService.recordFailure(user, user.email, {}, 'invalid_password');
+
+        expect(result.locked).toBe(false);
+        expect(result.justLocked).toBe(false);
+    });
+
+    test('a locked account stays locked until the lock expires', () => {
+        const locked = accountWith(lockAfter, { locked_until: new Date(Date.now() + 60 * 1000) });
+        expect(loginThrottleService.checkAccount(locked)).toEqual(expect.objectContaining({ locked: true }));
+
+        const expired = accountWith(0, { locked_until: new Date(Date.now() - 1000) });
+        expect(loginThrottleService.checkAccount(expired)).toEqual(expect.objectContaining({ locked: false, throttled: false }));
+    });
+
+    test('backs off after repeated failures', () => {
+        const user = accountWith(backoffAfter + 1, { last_failed_login_at: new Date() });
+
+        const check = loginThrottleService.checkAccount(user);
+
+        expect(check.throttled).toBe(true);
+        expect(check.retryAfter).toBeGreaterThan(0);
+    });
+
+    test('unknown emails are recorded without touching any account', async () => {
+        const result = await loginThrottleService.recordFailure(null, 'nobody@example.com', { ip_address: '10.0.0.1' }, 'unknown_email');
+
+        expect(result.locked).toBe(false);
+        expect(User.increment).not.toHaveBeenCalled();
+        expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+            user_id: null,
+            success: false,
+            failure_reason: 'unknown_email',
+            ip_address: '10.0.0.1'
+        }));
+    });
+
+    test('a successful sign-in clears the counter and the lock', async () => {
+        const user = accountWith(4, { last_failed_login_at: new Date() });
+
+        await loginThrottleService.recordSuccess(user, {}, 'passkey');
+
+        expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ success: true, auth_method: 'passkey' }));
+        expect(User.update).toHaveBeenCalledWith(
+            { failed_login_count: 0, last_failed_login_at: null, locked_until: null },
+            { where: { id: 7 } }
+        );
+        expect(user.failed_login_count).toBe(0);
+    });
+
+    test('blocks an IP with too many recent failures', async () => {
+        LoginAttempt.countRecentFailuresByIp.mockResolvedValue(ipMaxFailures);
+
+        const check = await loginThrottleService.checkIp('10.0.0.1');
+
+        expect(check.blocked).toBe(true);
+        expect(check.retryAfter).toBeGreaterThan(0);
+    });
+});
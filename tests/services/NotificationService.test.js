@@ -0,0 +1,69 @@
+// tests/services/NotificationService.test.js
+jest.mock('../../src/model', () => ({
+    Notification: {
+        CATEGORIES: ['module_reminder', 'achievement', 'safety', 'platform_update'],
+        create: jest.fn(async (values) => ({ id: 1, ...values, toJSON: () => values })),
+        build: jest.fn((values) => ({ ...values, isNewRecord: true })),
+        update: jest.fn()
+    },
+    UserNotificationPreferences: {
+        DIGEST_CATEGORIES: ['module_reminder', 'platform_update'],
+        findOrCreateForUser: jest.fn()
+    }
+}));
+jest.mock('../../src/services/EmailService', () => ({
+    sendNotificationEmail: jest.fn()
+}));
+jest.mock('../../src/services/RealtimeService', () => ({
+    isListening: jest.fn(() => false),
+    publish: jest.fn()
+}));
+
+const { Notification, UserNotificationPreferences } = require('../../src/model');
+const emailService = require('../../src/services/EmailService');
+const notificationService = require('../../src/services/NotificationService');
+
+const user = { id: 7 };
+const payload = { type: 'test', title: 'Something happened' };
+
+/**
+ * Preferences with in-app turned off and email on, for every category
+ */
+const emailOnly = () => UserNotificationPreferences.findOrCreateForUser.mockResolvedValue({
+    allows: (category, channel) => channel === 'email'
+});
+
+describe('NotificationService - digest categories', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test.each(['module_reminder', 'platform_update'])('%s with in-app off is kept for the digest, not emailed now', async (category) => {
+        emailOnly();
+
+        const result = await notificationService.notify(user, category, payload);
+
+        expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ category, digest_only: true }));
+        expect(emailService.sendNotificationEmail).not.toHaveBeenCalled();
+        expect(result).toEqual({ notification: null, emailed: false });
+    });
+
+    test('other categories with in-app off are emailed now and not stored', async () => {
+        emailOnly();
+
+        const result = await notificationService.notify(user, 'achievement', payload);
+
+        expect(Notification.create).not.toHaveBeenCalled();
+        expect(emailService.sendNotificationEmail).toHaveBeenCalled();
+        expect(result.emailed).toBe(true);
+    });
+
+    test('digest categories with email off are not stored when in-app is off too', async () => {
+        UserNotificationPreferences.findOrCreateForUser.mockResolvedValue({ allows: () => false });
+
+        await notificationService.notify(user, 'module_reminder', payload);
+
+        expect(Notification.create).not.toHaveBeenCalled();
+        expect(emailService.sendNotificationEmail).not.toHaveBeenCalled();
+    });
+});
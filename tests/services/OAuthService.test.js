@@ -0,0 +1,103 @@
+// tests/services/OAuthService.test.js
+const crypto = require('crypto');
+const { startIssuer } = require('../helpers/oidcIssuer');
+
+const CLIENT_ID = 'test-client';
+
+describe('OAuthService - against a stand-in OIDC issuer', () => {
+    let issuer;
+    let oauthService;
+
+    beforeAll(async () => {
+        issuer = await startIssuer({ clientId: CLIENT_ID });
+
+        process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+        process.env.GOOGLE_CLIENT_SECRET = 'test-secret';
+        process.env.GOOGLE_OIDC_ISSUER = issuer.issuer;
+        delete process.env.FACEBOOK_CLIENT_ID;
+
+        // The service reads its providers from env when it loads
+        oauthService = require('../../src/services/OAuthService');
+    });
+
+    afterAll(async () => {
+        await issuer.close();
+    });
+
+    const expectOAuthError = async (promise, code, statusCode) => {
+        await expect(promise).rejects.toEqual(expect.objectContaining({ code, statusCode }));
+    };
+
+    test('builds the authorization URL from discovery with state, nonce and PKCE', async () => {
+        const params = oauthService.createAuthorizationParams();
+
+        const url = new URL(await oauthService.getAuthorizationUrl('google', params));
+
+        expect(url.origin + url.pathname).toBe(`${issuer.issuer}/authorize`);
+        expect(url.searchParams.get('client_id')).toBe(CLIENT_ID);
+        expect(url.searchParams.get('state')).toBe(params.state);
+        expect(url.searchParams.get('nonce')).toBe(params.nonce);
+        expect(url.searchParams.get('code_challenge')).toBe(
+            crypto.createHash('sha256').update(params.codeVerifier).digest('base64url')
+        );
+        expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    });
+
+    test('exchanges a code with its PKCE verifier for the ID token', async () => {
+        issuer.state.nextIdToken = issuer.signIdToken();
+
+        const idToken = await oauthService.exchangeCode('google', 'code-1', 'verifier-1');
+
+        expect(idToken).toBe(issuer.state.nextIdToken);
+        expect(issuer.state.tokenRequests.pop()).toEqual(expect.objectContaining({
+            grant_type: 'authorization_code',
+            code_verifier: 'verifier-1',
+            redirect_uri: oauthService.getCallbackUrl('google')
+        }));
+    });
+
+    test('a rejected code is an OAuth error, not a server error', async () => {
+        await expectOAuthError(oauthService.exchangeCode('google', 'code-1', 'wrong-verifier'), 'OAUTH_EXCHANGE_FAILED', 401);
+    });
+
+    test('verifies an ID token and normalises the identity', async () => {
+        const identity = await oauthService.verifyIdToken('google', issuer.signIdToken({ nonce: 'nonce-1' }), 'nonce-1');
+
+        expect(identity).toEqual({
+            provider: 'google',
+            provider_id: 'subject-1',
+            email: 'learner@example.com',
+            email_verified: true,
+            name: 'Sam Learner',
+            picture: null
+        });
+    });
+
+    test.each([
+        ['another audience', () => issuer.signIdToken({ aud: 'other-client' })],
+        ['another issuer', () => issuer.signIdToken({ iss: 'https://evil.example.com' })],
+        ['an expired token', () => issuer.signIdToken({}, { expiresIn: -60 })],
+        ['a key the issuer does not publish', () => issuer.signIdToken({}, { keyid: 'unknown-key' })],
+        ['a forged signature', () => issuer.signIdToken({}, {
+            key: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+        })],
+        ['something that is not a JWT', () => 'not-a-token']
+    ])('rejects %s', async (_, token) => {
+        await expectOAuthError(oauthService.verifyIdToken('google', token()), 'OAUTH_INVALID_TOKEN', 401);
+    });
+
+    test('rejects a nonce that does not match the authorization request', async () => {
+        await expectOAuthError(
+            oauthService.verifyIdToken('google', issuer.signIdToken({ nonce: 'nonce-1' }), 'nonce-2'),
+            'OAUTH_INVALID_TOKEN',
+            401
+        );
+    });
+
+    test('an unconfigured provider is unavailable rather than unauthorised', async () => {
+        expect(oauthService.isEnabled('facebook')).toBe(false);
+
+        await expectOAuthError(oauthService.verifyIdToken('facebook', issuer.signIdToken()), 'OAUTH_PROVIDER_UNAVAILABLE', 404);
+        await expectOAuthError(oauthService.verifyIdToken('myspace', issuer.signIdToken()), 'OAUTH_PROVIDER_UNAVAILABLE', 404);
+    });
+});
@@ -0,0 +1,33 @@
+// tests/services/PermissionService.test.js
+jest.mock('../../src/model', () => ({
+    User: {},
+    Permission: {},
+    RolePermission: {},
+    UserPermission: {}
+}));
+
+const permissionService = require('../../src/services/PermissionService');
+
+describe('PermissionService - role hierarchy', () => {
+    const as = role => ({ role });
+
+    test('a role acts only on roles below it', () => {
+        expect(permissionService.outranks(as('admin'), as('moderator'))).toBe(true);
+        expect(permissionService.outranks(as('moderator'), as('player'))).toBe(true);
+
+        expect(permissionService.outranks(as('moderator'), as('admin'))).toBe(false);
+        expect(permissionService.outranks(as('moderator'), as('moderator'))).toBe(false);
+        expect(permissionService.outranks(as('admin'), as('admin'))).toBe(false);
+    });
+
+    test('unknown roles rank lowest', () => {
+        expect(permissionService.outranks(as('player'), as('unknown'))).toBe(true);
+        expect(permissionService.outranks(as('unknown'), as('player'))).toBe(false);
+    });
+
+    test('no one can give a role above their own', () => {
+        expect(permissionService.canAssignRole(as('admin'), 'admin')).toBe(true);
+        expect(permissionService.canAssignRole(as('moderator'), 'educator')).toBe(true);
+        expect(permissionService.canAssignRole(as('moderator'), 'admin')).toBe(false);
+    });
+});
@@ -0,0 +1,121 @@
+// tests/services/PlayerService.xp.test.js
+jest.mock('../../src/model', () => ({
+    PlayerStats: { lockForUser: jest.fn() },
+    XpEntry: {
+        findByKey: jest.fn(),
+        create: jest.fn()
+    },
+    StreakFreeze: {},
+    UserActivityDay: {},
+    UserNotificationPreferences: {},
+    UserBadge: {},
+    User: {},
+    sequelize: { transaction: jest.fn() }
+}));
+jest.mock('../../src/services/NotificationService', () => ({
+    notify: jest.fn(async () => {})
+}));
+
+const { PlayerStats, XpEntry, sequelize } = require('../../src/model');
+const playerService = require('../../src/services/PlayerService');
+
+/**
+ * In-memory ledger behind the mocked models: one stats row and its entries
+ */
+const ledgerFor = (xpTotal) => {
+    const stats = { user_id: 7, xp_total: xpTotal, level: playerService.getLevel(xpTotal).level, save: jest.fn() };
+    const entries = [];
+
+    PlayerStats.lockForUser.mockResolvedValue(stats);
+    XpEntry.findByKey.mockImplementation(async (userId, key) => entries.find(entry => entry.idempotency_key === key) || null);
+    XpEntry.create.mockImplementation(async (values) => {
+        entries.push(values);
+        return values;
+    });
+
+    return { stats, entries };
+};
+
+describe('PlayerService - XP ledger', () => {
+    let transaction;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        transaction = { commit: jest.fn(), rollback: jest.fn(), afterCommit: jest.fn() };
+        sequelize.transaction.mockResolvedValue(transaction);
+    });
+
+    test('awards the configured XP and records the balance after it', async () => {
+        const { stats } = ledgerFor(40);
+
+        const entry = await playerService.awardXp(7, { reason: 'lesson_completed', sourceType: 'lesson', sourceId: 5 });
+
+        expect(entry).toEqual(expect.objectContaining({
+            amount: 10,
+            idempotency_key: 'lesson_completed:lesson:5',
+            source_id: '5',
+            balance_after: 50
+        }));
+        expect(stats.xp_total).toBe(50);
+        expect(stats.level).toBe(2);
+        expect(transaction.afterCommit).toHaveBeenCalled();
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('a reused key returns null and does not award twice', async () => {
+        const { stats, entries } = ledgerFor(0);
+        const award = { reason: 'quiz_passed', sourceType: 'quiz', sourceId: 3 };
+
+        await playerService.awardXp(7, award);
+        const again = await playerService.awardXp(7, award);
+
+        expect(again).toBeNull();
+        expect(entries).toHaveLength(1);
+        expect(stats.xp_total).toBe(15);
+        expect(transaction.commit).toHaveBeenCalledTimes(2);
+    });
+
+    test('an explicit key makes repeated adjustments for the same source distinct', async () => {
+        const { stats, entries } = ledgerFor(0);
+        const adjustment = { reason: 'adjustment', sourceType: 'admin', sourceId: 1, amount: 20 };
+
+        await playerService.awardXp(7, { ...adjustment, key: 'adjustment:a' });
+        await playerService.awardXp(7, { ...adjustment, key: 'adjustment:b' });
+        await playerService.awardXp(7, { ...adjustment, key: 'adjustment:a' });
+
+        expect(entries).toHaveLength(2);
+        expect(stats.xp_total).toBe(40);
+    });
+
+    test('refuses to take the total below zero', async () => {
+        const { stats, entries } = ledgerFor(10);
+
+        await expect(playerService.awardXp(7, { reason: 'adjustment', sourceType: 'admin', sourceId: 1, amount: -11 }))
+            .rejects.toThrow('XP total cannot go below zero');
+
+        expect(entries).toHaveLength(0);
+        expect(stats.xp_total).toBe(10);
+        expect(transaction.rollback).toHaveBeenCalled();
+        expect(transaction.commit).not.toHaveBeenCalled();
+    });
+
+    test('inside a caller\'s transaction, leaves commit and rollback to the caller', async () => {
+        ledgerFor(0);
+        const outer = { commit: jest.fn(), rollback: jest.fn(), afterCommit: jest.fn() };
+
+        await playerService.awardXp(7, { reason: 'daily_activity', sourceType: 'day', sourceId: '2026-10-18' }, { transaction: outer });
+        await expect(playerService.awardXp(7, { reason: 'adjustment', sourceType: 'admin', sourceId: 1, amount: -100 }, { transaction: outer }))
+            .rejects.toThrow();
+
+        expect(sequelize.transaction).not.toHaveBeenCalled();
+        expect(outer.commit).not.toHaveBeenCalled();
+        expect(outer.rollback).not.toHaveBeenCalled();
+    });
+
+    test('a reason without configured XP is refused', async () => {
+        ledgerFor(0);
+
+        await expect(playerService.awardXp(7, { reason: 'unknown', sourceType: 'x', sourceId: 1 }))
+            .rejects.toThrow('No XP configured for unknown');
+    });
+});
@@ -0,0 +1,73 @@
+// tests/services/ProgressService.test.js
+jest.mock('../../src/model', () => ({
+    Module: {},
+    Lesson: { findAll: jest.fn() },
+    LessonProgress: {},
+    ProgressEvent: { TYPES: ['start', 'progress', 'complete'] },
+    Quiz: {},
+    ClassroomMember: {},
+    UserPrivacySettings: {},
+    sequelize: {}
+}));
+jest.mock('../../src/services/PlayerService', () => ({
+    recordActivity: jest.fn(async () => {})
+}));
+
+const { Lesson } = require('../../src/model');
+const playerService = require('../../src/services/PlayerService');
+const progressService = require('../../src/services/ProgressService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ProgressService - activity days from client events', () => {
+    const user = { id: 7 };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Lesson.findAll.mockResolvedValue([{ id: 5, module_id: 2, module: { isPublished: () => true }, quiz: null }]);
+        jest.spyOn(progressService, '_applyEvent').mockResolvedValue(true);
+        jest.spyOn(progressService, 'getModuleProgress').mockResolvedValue([]);
+        jest.spyOn(progressService, '_evaluateBadges').mockResolvedValue([]);
+    });
+
+    const eventAt = (id, time) => ({ id, lesson_id: 5, type: 'progress', occurred_at: time.toISOString(), seconds: 60 });
+
+    test('recent offline events count for the day they happened', async () => {
+        const yesterday = new Date(Date.now() - DAY);
+
+        await progressService.recordEvents(user, [eventAt('e1', yesterday)]);
+
+        expect(playerService.recordActivity).toHaveBeenCalledWith(7, [yesterday]);
+    });
+
+    test('events older than the offline window count for the day they arrived', async () => {
+        const before = Date.now();
+        const old = new Date(before - progressService.config.maxActivityBackdateMs - DAY);
+
+        const { results } = await progressService.recordEvents(user, [eventAt('e1', old)]);
+
+        expect(results[0].status).toBe('applied');
+        expect(progressService._applyEvent).toHaveBeenCalledWith(7, expect.anything(), expect.objectContaining({ occurred_at: old }));
+
+        const [[, times]] = playerService.recordActivity.mock.calls;
+        expect(times[0].getTime()).toBeGreaterThanOrEqual(before);
+    });
+
+    test('a batch spread over past weeks cannot fill in past streak days', async () => {
+        const events = [3, 6, 9, 12].map(days => eventAt(`e${days}`, new Date(Date.now() - days * DAY)));
+
+        await progressService.recordEvents(user, events);
+
+        const [[, times]] = playerService.recordActivity.mock.calls;
+        const days = new Set(times.map(time => time.toISOString().slice(0, 10)));
+        expect(days.size).toBe(1);
+    });
+
+    test('replayed events are not counted at all', async () => {
+        progressService._applyEvent.mockResolvedValue(false);
+
+        await progressService.recordEvents(user, [eventAt('e1', new Date())]);
+
+        expect(playerService.recordActivity).not.toHaveBeenCalled();
+    });
+});
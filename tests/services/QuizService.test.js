@@ -0,0 +1,280 @@
+// tests/services/QuizService.test.js
+jest.mock('../../src/model', () => ({
+    QuizAttempt: {
+        findForUser: jest.fn(),
+        create: jest.fn(),
+        update: jest.fn()
+    }
+}));
+jest.mock('../../src/services/ProgressService', () => ({
+    recordQuizResult: jest.fn(async () => true)
+}));
+
+const { QuizAttempt } = require('../../src/model');
+const progressService = require('../../src/services/ProgressService');
+const quizService = require('../../src/services/QuizService');
+
+const QUESTIONS = [
+    {
+        id: 'q1',
+        type: 'multiple_choice',
+        points: 2,
+        options: [{ id: 'a', text: 'Paris' }, { id: 'b', text: 'Lyon' }],
+        answer: 'a'
+    },
+    {
+        id: 'q2',
+        type: 'multi_select',
+        points: 2,
+        options: [{ id: 'a', text: 'Red' }, { id: 'b', text: 'Blue' }, { id: 'c', text: 'Cat' }],
+        answer: ['a', 'b']
+    },
+    { id: 'q3', type: 'true_false', points: 1, answer: true },
+    {
+        id: 'q4',
+        type: 'ordering',
+        points: 3,
+        items: [{ id: 'x', text: 'First' }, { id: 'y', text: 'Second' }, { id: 'z', text: 'Third' }]
+    },
+    { id: 'q5', type: 'short_answer', points: 2, keywords: [['photosynthesis', 'photo synthesis'], 'light'] }
+];
+
+const quizWith = (overrides = {}) => ({
+    id: 3,
+    pass_percent: 70,
+    max_attempts: 2,
+    time_limit_seconds: null,
+    shuffle_questions: false,
+    shuffle_options: false,
+    questions: QUESTIONS,
+    getQuestion(id) {
+        return this.questions.find(question => question.id === id) || null;
+    },
+    getMaxScore() {
+        return this.questions.reduce((sum, question) => sum + question.points, 0);
+    },
+    ...overrides
+});
+
+const attemptWith = (overrides = {}) => {
+    const attempt = {
+        id: 11,
+        quiz_id: 3,
+        user_id: 7,
+        status: 'in_progress',
+        passed: null,
+        percent: null,
+        started_at: new Date(Date.now() - 60 * 1000),
+        deadline_at: null,
+        isInProgress() {
+            return this.status === 'in_progress';
+        },
+        isOverdue(graceMs = 0, now = new Date()) {
+            return !!this.deadline_at && now.getTime() > new Date(this.deadline_at).getTime() + graceMs;
+        },
+        reload: jest.fn(async () => attempt),
+        ...overrides
+    };
+    attempt.set = jest.fn(values => Object.assign(attempt, values));
+    return attempt;
+};
+
+const ALL_CORRECT = {
+    q1: 'a',
+    q2: ['b', 'a'],
+    q3: true,
+    q4: ['x', 'y', 'z'],
+    q5: 'Plants use LIGHT for photo-synthesis.'
+};
+
+describe('QuizService - scoring', () => {
+    test('scores every question type', () => {
+        const { results, score, maxScore } = quizService.score(quizWith(), ALL_CORRECT);
+
+        expect(results.every(result => result.correct)).toBe(true);
+        expect(score).toBe(10);
+        expect(maxScore).toBe(10);
+    });
+
+    test('wrong, missing and partial answers score nothing', () => {
+        const { results, score } = quizService.score(quizWith(), {
+            q1: 'b',
+            q2: ['a'],
+            q4: ['y', 'x', 'z'],
+            q5: 'Plants need light'
+        });
+
+        expect(results.map(result => result.points_awarded)).toEqual([0, 0, 0, 0, 0]);
+        expect(score).toBe(0);
+    });
+
+    test('a multi-select answer cannot repeat a correct option to match the count', () => {
+        const { results } = quizService.score(quizWith(), { q2: ['a', 'a'] });
+
+        expect(results[1].correct).toBe(false);
+    });
+
+    test('a short answer matches whole words only', () => {
+        const quiz = quizWith({ questions: [{ id: 'q1', type: 'short_answer', points: 1, keywords: ['cat'], match: 'any' }] });
+
+        expect(quizService.score(quiz, { q1: 'The CAT sat' }).score).toBe(1);
+        expect(quizService.score(quiz, { q1: 'concatenate' }).score).toBe(0);
+    });
+
+    test('answers in the wrong shape are dropped before scoring', async () => {
+        QuizAttempt.update.mockResolvedValue([1]);
+        const attempt = attemptWith();
+
+        await quizService.submitAttempt(attempt, quizWith(), { id: 5 }, { q1: ['a'], q3: 'true', unknown: 'a' });
+
+        expect(attempt.answers).toEqual({});
+        expect(attempt.score).toBe(0);
+    });
+});
+
+describe('QuizService - submitting', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        QuizAttempt.update.mockResolvedValue([1]);
+    });
+
+    test('passes at the pass mark and records the result in lesson progress', async () => {
+        const attempt = attemptWith();
+        const lesson = { id: 5 };
+
+        // 7 of 10 points: q1, q2, q4
+        await quizService.submitAttempt(attempt, quizWith(), lesson, { q1: 'a', q2: ['a', 'b'], q4: ['x', 'y', 'z'] });
+
+        expect(attempt.status).toBe('submitted');
+        expect(attempt.percent).toBe(70);
+        expect(attempt.passed).toBe(true);
+        expect(QuizAttempt.update).toHaveBeenCalledWith(
+            expect.objectContaining({ status: 'submitted', score: 7, max_score: 10 }),
+            { where: { id: 11, status: 'in_progress' } }
+        );
+        expect(progressService.recordQuizResult).toHaveBeenCalledWith(7, lesson, attempt);
+    });
+
+    test('percent rounds down, so just under the pass mark fails', async () => {
+        const attempt = attemptWith();
+        const quiz = quizWith({
+            pass_percent: 67,
+            questions: [
+                { id: 'q1', type: 'true_false', points: 1, answer: true },
+                { id: 'q2', type: 'true_false', points: 1, answer: true },
+                { id: 'q3', type: 'true_false', points: 1, answer: true }
+            ]
+        });
+
+        await quizService.submitAttempt(attempt, quiz, { id: 5 }, { q1: true, q2: true, q3: false });
+
+        expect(attempt.percent).toBe(66);
+        expect(attempt.passed).toBe(false);
+    });
+
+    test('a submission after the deadline and grace closes the attempt unscored', async () => {
+        const attempt = attemptWith({ deadline_at: new Date(Date.now() - quizService.config.submitGraceMs - 1000) });
+
+        await quizService.submitAttempt(attempt, quizWith(), { id: 5 }, ALL_CORRECT);
+
+        expect(attempt.status).toBe('expired');
+        expect(attempt.score).toBe(0);
+        expect(attempt.passed).toBe(false);
+        expect(attempt.submitted_at).toBe(attempt.deadline_at);
+    });
+
+    test('a submission within the grace period is scored', async () => {
+        const attempt = attemptWith({ deadline_at: new Date(Date.now() - 1000) });
+
+        await quizService.submitAttempt(attempt, quizWith(), { id: 5 }, ALL_CORRECT);
+
+        expect(attempt.status).toBe('submitted');
+        expect(attempt.percent).toBe(100);
+    });
+
+    test('a double submit is scored once', async () => {
+        QuizAttempt.update.mockResolvedValue([0]);
+        const attempt = attemptWith();
+
+        await quizService.submitAttempt(attempt, quizWith(), { id: 5 }, ALL_CORRECT);
+
+        expect(attempt.reload).toHaveBeenCalled();
+        expect(attempt.set).not.toHaveBeenCalled();
+        expect(progressService.recordQuizResult).not.toHaveBeenCalled();
+    });
+});
+
+describe('QuizService - attempt limits', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        QuizAttempt.update.mockResolvedValue([1]);
+    });
+
+    test('counts the attempts left, or null when unlimited', () => {
+        const attempts = [attemptWith({ status: 'submitted' })];
+
+        expect(quizService.getAttemptsRemaining(quizWith({ max_attempts: 2 }), attempts)).toBe(1);
+        expect(quizService.getAttemptsRemaining(quizWith({ max_attempts: 1 }), [...attempts, attemptWith()])).toBe(0);
+        expect(quizService.getAttemptsRemaining(quizWith({ max_attempts: null }), attempts)).toBeNull();
+    });
+
+    test('answers are revealed after a pass or the last allowed attempt, not before', () => {
+        const quiz = quizWith({ max_attempts: 2 });
+        const failed = attemptWith({ status: 'submitted', passed: false });
+
+        expect(quizService.canRevealAnswers(quiz, [failed])).toBe(false);
+        expect(quizService.canRevealAnswers(quiz, [attemptWith({ status: 'submitted', passed: true })])).toBe(true);
+        expect(quizService.canRevealAnswers(quiz, [failed, failed])).toBe(true);
+        expect(quizService.canRevealAnswers(quizWith({ max_attempts: null }), [failed, failed])).toBe(false);
+    });
+
+    test('a new attempt is numbered after the earlier ones and gets a deadline', async () => {
+        QuizAttempt.create.mockImplementation(async values => values);
+
+        const attempt = await quizService.startAttempt({ id: 7 }, quizWith({ time_limit_seconds: 600 }), [attemptWith()]);
+
+        expect(attempt.attempt_number).toBe(2);
+        expect(attempt.deadline_at.getTime() - attempt.started_at.getTime()).toBe(600 * 1000);
+        expect(attempt.layout.map(entry => entry.question_id)).toEqual(['q1', 'q2', 'q3', 'q4', 'q5']);
+    });
+
+    test('a start that loses the race on the attempt number gets the attempt already started', async () => {
+        const duplicate = Object.assign(new Error('Duplicate entry'), { name: 'SequelizeUniqueConstraintError' });
+        const started = attemptWith({ id: 12, attempt_number: 2 });
+        QuizAttempt.create.mockRejectedValue(duplicate);
+        QuizAttempt.findForUser.mockResolvedValue([started, attemptWith({ status: 'submitted' })]);
+
+        const attempt = await quizService.startAttempt({ id: 7 }, quizWith(), [attemptWith({ status: 'submitted' })]);
+
+        expect(attempt).toBe(started);
+        expect(QuizAttempt.findForUser).toHaveBeenCalledWith(3, 7);
+    });
+
+    test('a lost race with no attempt left in progress is still a conflict', async () => {
+        const duplicate = Object.assign(new Error('Duplicate entry'), { name: 'SequelizeUniqueConstraintError' });
+        QuizAttempt.create.mockRejectedValue(duplicate);
+        QuizAttempt.findForUser.mockResolvedValue([attemptWith({ status: 'submitted' })]);
+
+        await expect(quizService.startAttempt({ id: 7 }, quizWith(), [])).rejects.toBe(duplicate);
+    });
+
+    test('ordering items never start in the correct order', async () => {
+        QuizAttempt.create.mockImplementation(async values => values);
+        const quiz = quizWith({ questions: [QUESTIONS[3]] });
+
+        for (let i = 0; i < 20; i++) {
+            const attempt = await quizService.startAttempt({ id: 7 }, quiz, []);
+            expect(attempt.layout[0].choices).not.toEqual(['x', 'y', 'z']);
+        }
+    });
+
+    test('overdue attempts are closed when the history is loaded, so they count as used', async () => {
+        const overdue = attemptWith({ deadline_at: new Date(Date.now() - quizService.config.submitGraceMs - 1000) });
+        QuizAttempt.findForUser.mockResolvedValue([overdue]);
+
+        const attempts = await quizService.getAttempts({ id: 7 }, quizWith({ max_attempts: 1 }), { id: 5 });
+
+        expect(overdue.status).toBe('expired');
+        expect(quizService.getAttemptsRemaining(quizWith({ max_attempts: 1 }), attempts)).toBe(0);
+    });
+});
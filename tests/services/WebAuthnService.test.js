@@ -0,0 +1,70 @@
+// tests/services/WebAuthnService.test.js
+jest.mock('@simplewebauthn/server', () => ({
+    generateRegistrationOptions: jest.fn(async () => ({ challenge: 'registration-challenge' })),
+    verifyRegistrationResponse: jest.fn(),
+    generateAuthenticationOptions: jest.fn(async () => ({ challenge: 'authentication-challenge' })),
+    verifyAuthenticationResponse: jest.fn(async () => ({
+        verified: true,
+        authenticationInfo: { newCounter: 2, credentialBackedUp: false }
+    }))
+}));
+jest.mock('../../src/model', () => ({
+    WebAuthnCredential: {
+        findUserCredentials: jest.fn(async () => []),
+        findByCredentialId: jest.fn()
+    },
+    WebAuthnChallenge: {
+        store: jest.fn(),
+        consume: jest.fn()
+    }
+}));
+
+const simpleWebAuthn = require('@simplewebauthn/server');
+const { WebAuthnCredential, WebAuthnChallenge } = require('../../src/model');
+const webAuthnService = require('../../src/services/WebAuthnService');
+
+const assertion = (challenge) => ({
+    id: 'credential-1',
+    response: {
+        clientDataJSON: Buffer.from(JSON.stringify({ challenge })).toString('base64url')
+    }
+});
+
+describe('WebAuthnService - user verification', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('sign-in options ask the authenticator to verify the user', async () => {
+        await webAuthnService.getAuthenticationOptions(null);
+
+        expect(simpleWebAuthn.generateAuthenticationOptions).toHaveBeenCalledWith(
+            expect.objectContaining({ userVerification: 'required' })
+        );
+    });
+
+    test('registration options ask the authenticator to verify the user', async () => {
+        await webAuthnService.getRegistrationOptions({ id: 7, email: 'learner@example.com' });
+
+        expect(simpleWebAuthn.generateRegistrationOptions).toHaveBeenCalledWith(
+            expect.objectContaining({
+                authenticatorSelection: expect.objectContaining({ userVerification: 'required' })
+            })
+        );
+    });
+
+    test('assertions without user verification are rejected', async () => {
+        WebAuthnCredential.findByCredentialId.mockResolvedValue({
+            user_id: 7,
+            toWebAuthnCredential: () => ({ id: 'credential-1' }),
+            save: jest.fn()
+        });
+        WebAuthnChallenge.consume.mockResolvedValue({ challenge: 'c-1', user_id: null });
+
+        await webAuthnService.verifyAuthentication(assertion('c-1'));
+
+        expect(simpleWebAuthn.verifyAuthenticationResponse).toHaveBeenCalledWith(
+            expect.objectContaining({ requireUserVerification: true })
+        );
+    });
+});